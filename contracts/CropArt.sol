@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title CropArt
+ * @dev On-chain SVG art for crop NFTs
+ * Features:
+ * - A plant drawn for each growth stage (0 = seed ... 4 = harvestable)
+ * - Fruit colour picked per crop type from a fixed palette
+ * - Background tinted by the crop's rarity
+ */
+library CropArt {
+
+    /**
+     * @dev Renders a crop as an SVG document
+     * @param _name Crop type display name
+     * @param _cropType Crop type ID, selects the fruit colour
+     * @param _stage Growth stage index
+     * @param _rarity Rarity index, selects the background
+     * @param _stageName Growth stage display name
+     */
+    function render(
+        string memory _name,
+        uint256 _cropType,
+        uint8 _stage,
+        uint8 _rarity,
+        string memory _stageName
+    ) internal pure returns (string memory) {
+        return string(abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">',
+            '<rect width="200" height="200" fill="', _background(_rarity), '"/>',
+            '<rect y="150" width="200" height="50" fill="#6d4c41"/>',
+            _plant(_stage, _fruitColor(_cropType)),
+            '<text x="100" y="182" text-anchor="middle" font-family="sans-serif" font-size="14" fill="#fff">',
+            _name, ' - ', _stageName,
+            '</text></svg>'
+        ));
+    }
+
+    /**
+     * @dev Draws the plant for a growth stage: a seed, then a stem that grows taller,
+     * gains leaves, and carries one unripe fruit when mature and three ripe ones when harvestable
+     */
+    function _plant(uint8 _stage, string memory _color) private pure returns (string memory) {
+        if (_stage == 0) {
+            return '<ellipse cx="100" cy="148" rx="8" ry="5" fill="#a1887f"/>';
+        }
+        if (_stage == 1) {
+            return string(abi.encodePacked(
+                _stem("130"),
+                '<ellipse cx="92" cy="132" rx="8" ry="4" fill="#66bb6a"/>',
+                '<ellipse cx="108" cy="132" rx="8" ry="4" fill="#66bb6a"/>'
+            ));
+        }
+
+        string memory plant = string(abi.encodePacked(
+            _stem(_stage == 2 ? "100" : "70"),
+            '<ellipse cx="84" cy="125" rx="14" ry="6" fill="#43a047"/>',
+            '<ellipse cx="116" cy="115" rx="14" ry="6" fill="#43a047"/>'
+        ));
+        if (_stage == 3) {
+            return string(abi.encodePacked(plant, '<circle cx="100" cy="70" r="9" fill="#9ccc65"/>'));
+        }
+        if (_stage == 4) {
+            return string(abi.encodePacked(
+                plant,
+                '<circle cx="100" cy="66" r="14" fill="', _color, '"/>',
+                '<circle cx="76" cy="108" r="11" fill="', _color, '"/>',
+                '<circle cx="124" cy="98" r="11" fill="', _color, '"/>'
+            ));
+        }
+        return plant;
+    }
+
+    /**
+     * @dev Green stem from the soil up to `_top`
+     */
+    function _stem(string memory _top) private pure returns (string memory) {
+        return string(abi.encodePacked('<path d="M100 150V', _top, '" stroke="#388e3c" stroke-width="5"/>'));
+    }
+
+    /**
+     * @dev Fruit colour for a crop type; the launch crops get their natural colours
+     * and later types cycle through the rest of the palette
+     */
+    function _fruitColor(uint256 _cropType) private pure returns (string memory) {
+        uint256 index = _cropType % 8;
+        if (index == 0) return "#e53935"; // Tomato
+        if (index == 1) return "#fdd835"; // Corn
+        if (index == 2) return "#d4a017"; // Wheat
+        if (index == 3) return "#8e24aa"; // Special Fruit
+        if (index == 4) return "#fb8c00";
+        if (index == 5) return "#1e88e5";
+        if (index == 6) return "#d81b60";
+        return "#00897b";
+    }
+
+    /**
+     * @dev Background colour for a rarity index
+     */
+    function _background(uint8 _rarity) private pure returns (string memory) {
+        if (_rarity == 1) return "#c8e6c9"; // Uncommon
+        if (_rarity == 2) return "#bbdefb"; // Rare
+        if (_rarity == 3) return "#ffe082"; // Legendary
+        return "#eceff1";
+    }
+}
@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./HarvestToken.sol";
+import "./CropNFT.sol";
+
+/**
+ * @title CropMarketplace
+ * @dev HARVEST-priced marketplace for growing crops
+ * Features:
+ * - Non-custodial listings: sellers keep (and can water) their crops until they sell
+ * - Buyers name the price they expect, so a seller cannot raise it under them
+ * - EIP-2981 royalties from CropNFT, paid to the FarmRewardSystem reward reserve
+ * - Listings go stale once the crop changes hands, even if it later returns to the seller,
+ *   and can no longer be bought
+ */
+contract CropMarketplace is ReentrancyGuard {
+
+    struct Listing {
+        address seller;
+        uint256 price; // HARVEST
+        uint256 transferCount; // CropNFT.transferCount when listed; any later transfer voids the listing
+    }
+
+    HarvestToken public immutable harvestToken;
+    CropNFT public immutable cropNFT;
+
+    // Listings by crop token ID
+    mapping(uint256 => Listing) public listings;
+
+    // Events
+    event CropListed(uint256 indexed tokenId, address indexed seller, uint256 price);
+    event ListingCancelled(uint256 indexed tokenId, address indexed seller);
+    event CropSold(uint256 indexed tokenId, address indexed seller, address indexed buyer, uint256 price, uint256 royalty);
+
+    constructor(address _harvestToken, address _cropNFT) {
+        require(_harvestToken != address(0), "Token cannot be zero address");
+        require(_cropNFT != address(0), "CropNFT cannot be zero address");
+        harvestToken = HarvestToken(_harvestToken);
+        cropNFT = CropNFT(_cropNFT);
+    }
+
+    /**
+     * @dev Lists a crop for sale, or changes the price of an existing listing.
+     * The marketplace must be approved to transfer the crop.
+     * @param _tokenId ID of the crop
+     * @param _price Price in HARVEST
+     */
+    function listCrop(uint256 _tokenId, uint256 _price) external {
+        require(_price > 0, "Price must be greater than 0");
+        require(cropNFT.ownerOf(_tokenId) == msg.sender, "Not crop owner");
+        require(
+            cropNFT.getApproved(_tokenId) == address(this) || cropNFT.isApprovedForAll(msg.sender, address(this)),
+            "Marketplace not approved"
+        );
+
+        listings[_tokenId] = Listing({seller: msg.sender, price: _price, transferCount: cropNFT.transferCount(_tokenId)});
+
+        emit CropListed(_tokenId, msg.sender, _price);
+    }
+
+    /**
+     * @dev Removes the caller's listing for a crop
+     * @param _tokenId ID of the crop
+     */
+    function cancelListing(uint256 _tokenId) external {
+        require(listings[_tokenId].seller == msg.sender, "Not the seller");
+        delete listings[_tokenId];
+
+        emit ListingCancelled(_tokenId, msg.sender);
+    }
+
+    /**
+     * @dev Buys a listed crop. The buyer approves the marketplace for the price first;
+     * the royalty goes to the reserve and the rest to the seller.
+     * @param _tokenId ID of the crop
+     * @param _price Price the buyer expects to pay; must match the listing
+     */
+    function buyCrop(uint256 _tokenId, uint256 _price) external nonReentrant {
+        Listing memory listing = listings[_tokenId];
+        require(listing.seller != address(0), "Crop not listed");
+        require(listing.price == _price, "Price changed");
+        require(listing.seller != msg.sender, "Cannot buy own crop");
+        require(
+            cropNFT.ownerOf(_tokenId) == listing.seller && cropNFT.transferCount(_tokenId) == listing.transferCount,
+            "Listing is stale"
+        );
+
+        delete listings[_tokenId];
+
+        (address receiver, uint256 royalty) = cropNFT.royaltyInfo(_tokenId, _price);
+        if (receiver == address(0)) royalty = 0;
+
+        if (royalty > 0) {
+            harvestToken.transferFrom(msg.sender, receiver, royalty);
+        }
+        harvestToken.transferFrom(msg.sender, listing.seller, _price - royalty);
+        cropNFT.safeTransferFrom(listing.seller, msg.sender, _tokenId);
+
+        emit CropSold(_tokenId, listing.seller, msg.sender, _price, royalty);
+    }
+
+    /**
+     * @dev Whether a listing can be bought right now: listed, the crop has not changed hands since,
+     * and the marketplace is still approved
+     * @param _tokenId ID of the crop
+     */
+    function isListingActive(uint256 _tokenId) external view returns (bool) {
+        Listing memory listing = listings[_tokenId];
+        address seller = listing.seller;
+        if (seller == address(0)) return false;
+
+        // Harvested crops are burned, so ownerOf reverts for them
+        try cropNFT.ownerOf(_tokenId) returns (address owner) {
+            return owner == seller
+                && cropNFT.transferCount(_tokenId) == listing.transferCount
+                && (cropNFT.getApproved(_tokenId) == address(this) || cropNFT.isApprovedForAll(seller, address(this)));
+        } catch {
+            return false;
+        }
+    }
+}
@@ -2,29 +2,49 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Burnable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/interfaces/IERC4906.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "./FeaturePausable.sol";
+import "./CropArt.sol";
+import "./ICropTransferHook.sol";
+import "./IRandomnessProvider.sol";
+import "./IRandomnessConsumer.sol";
 
 /**
  * @title CropNFT
  * @dev NFT contract representing virtual crops in the farming system
  * Features:
- * - Different crop types with varying rarity and growth times
+ * - Admin-managed crop catalog with growth times, rewards, planting costs and rarity
  * - Growth stages that affect reward multipliers
- * - Metadata stored on-chain for transparency
+ * - Rarity traits and harvest yields drawn from randomness requested at planting and delivered later
+ *   by a pluggable provider (common crops with fixed yields when none is set), and withering of neglected crops
+ * - Base64 JSON metadata and SVG art built on-chain at read time, so the growth stage is never stale
  * - Burning mechanism for harvest rewards
+ * - Enumerable per-owner crops; every mint, transfer and burn is reported to the FarmRewardSystem
+ * - EIP-2981 royalties on crop sales, paid to the FarmRewardSystem reward reserve
+ * - Global and per-feature (planting, harvesting) pause switches
+ * - Role-based administration: CROP_ADMIN_ROLE manages farms, PAUSER_ROLE pauses
  */
-contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable {
+contract CropNFT is ERC721, ERC721Enumerable, ERC721Burnable, FeaturePausable, IERC4906, IERC2981, IRandomnessConsumer {
+    
+    bytes32 public constant CROP_ADMIN_ROLE = keccak256("CROP_ADMIN_ROLE");
     
     uint256 private _tokenIdCounter;
     
-    enum CropType {
-        TOMATO,     // Basic crop - 7 days growth
-        CORN,       // Medium crop - 14 days growth  
-        WHEAT,      // Advanced crop - 21 days growth
-        SPECIAL_FRUIT // Rare crop - 30 days growth
+    uint256 public constant YIELD_VARIANCE = 20; // Harvest yields vary by up to this many percent either way
+    uint256 public constant WITHER_GRACE_PERIOD = 7 days; // A crop can go this long without water before it withers
+    uint256 public constant WITHER_RATE = 10; // Yield lost per day beyond the grace period, in percent
+    uint256 public constant MAX_WITHER_PENALTY = 50; // Withering never costs more than half the yield
+    uint256 public constant MAX_ROYALTY_BPS = 1000; // Royalties are capped at 10% of the sale price
+    
+    enum Rarity {
+        COMMON,
+        UNCOMMON,
+        RARE,
+        LEGENDARY
     }
     
     enum GrowthStage {
@@ -35,8 +55,17 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
         HARVESTABLE // 100% grown - ready for rewards
     }
     
+    struct CropType {
+        string name;
+        uint256 growthDuration;  // Seconds from planting to harvest
+        uint256 baseReward;      // HARVEST paid on harvest before multipliers
+        uint256 plantingCost;    // HARVEST charged to plant
+        Rarity rarity;
+        bool isEnabled;          // Disabled types cannot be planted
+    }
+    
     struct Crop {
-        CropType cropType;
+        uint256 cropType;
         GrowthStage growthStage;
         uint256 plantedAt;
         uint256 lastWatered;
@@ -44,70 +73,189 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
         bool isHarvested;
         uint256 baseReward;
         uint256 bonusMultiplier; // 100 = 1x, 150 = 1.5x, etc.
+        uint256 growthDuration;  // Copied from the crop type at planting
+        Rarity rarity;           // Rolled at planting, raises the yield
+        uint256 witherPenalty;   // Yield lost to neglect up to the last watering, in percent
+    }
+    
+    struct RandomnessRequest {
+        uint256 requestId;
+        uint256 randomness;      // Delivered number: its last two digits pick the rarity, the rest the yield
+        bool pending;            // Requested at planting and not yet delivered
+        bool fulfilled;
     }
     
     // Mapping from token ID to crop data
     mapping(uint256 => Crop) public crops;
     
-    // Mapping from crop type to growth duration (in seconds)
-    mapping(CropType => uint256) public growthDurations;
+    // Crop catalog, indexed by crop type ID
+    CropType[] private _cropTypes;
     
-    // Mapping from crop type to base reward amount
-    mapping(CropType => uint256) public baseRewards;
-      // Authorized farming contracts that can mint/burn NFTs
+    // Authorized farming contracts that can mint/burn NFTs
     mapping(address => bool) public authorizedFarms;
     
     // The FarmRewardSystem contract address
     address public farmRewardSystem;
     
+    // Source of rarity and yield rolls; zero address means common crops with fixed yields
+    IRandomnessProvider public randomnessProvider;
+    
+    // Randomness requested for each crop at planting
+    mapping(uint256 => RandomnessRequest) public cropRandomness;
+    
+    // Request ID => token ID plus one, so zero means no pending request
+    mapping(uint256 => uint256) private _requestTokens;
+    
+    // Royalty on crop sales in basis points, paid to the FarmRewardSystem reward reserve
+    uint256 public royaltyBps = 500;
+    
+    // Transfers between owners per crop (mints and burns excluded), so marketplaces can tell
+    // a crop that left its seller and came back
+    mapping(uint256 => uint256) public transferCount;
+    
     // Events
-    event CropPlanted(uint256 indexed tokenId, address indexed farmer, CropType cropType);
+    event CropPlanted(uint256 indexed tokenId, address indexed farmer, uint256 cropType);
     event CropWatered(uint256 indexed tokenId, address indexed farmer);
     event CropGrowthUpdated(uint256 indexed tokenId, GrowthStage newStage);
     event CropHarvested(uint256 indexed tokenId, address indexed farmer, uint256 reward);
+    event RandomnessRequested(uint256 indexed tokenId, uint256 indexed requestId);
+    event CropRarityRolled(uint256 indexed tokenId, Rarity rarity);
+    event HarvestYieldRolled(uint256 indexed tokenId, uint256 yieldPercent, uint256 witherPenalty);
+    event RandomnessProviderUpdated(address indexed provider);
+    event RoyaltyUpdated(uint256 royaltyBps);
     event AuthorizedFarmAdded(address indexed farm);
     event AuthorizedFarmRemoved(address indexed farm);
+    event CropTypeAdded(uint256 indexed cropType, string name);
+    event CropTypeUpdated(uint256 indexed cropType, uint256 growthDuration, uint256 baseReward, uint256 plantingCost, Rarity rarity);
+    event CropTypeEnabled(uint256 indexed cropType, bool isEnabled);
     
-    constructor() ERC721("XFarm Crops", "CROP") Ownable(msg.sender) {
+    constructor() ERC721("XFarm Crops", "CROP") {
+        // The deployer holds every role until they are handed over
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CROP_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        
         _initializeCropTypes();
     }
     
     /**
-     * @dev Initialize crop types with their properties
+     * @dev Seeds the catalog with the launch crops (IDs 0-3)
      */
     function _initializeCropTypes() private {
-        // Growth durations (in seconds)
-        growthDurations[CropType.TOMATO] = 7 days;
-        growthDurations[CropType.CORN] = 14 days;
-        growthDurations[CropType.WHEAT] = 21 days;
-        growthDurations[CropType.SPECIAL_FRUIT] = 30 days;
-        
-        // Base rewards (in token wei)
-        baseRewards[CropType.TOMATO] = 10 * 10**18;        // 10 HARVEST
-        baseRewards[CropType.CORN] = 25 * 10**18;          // 25 HARVEST
-        baseRewards[CropType.WHEAT] = 50 * 10**18;         // 50 HARVEST
-        baseRewards[CropType.SPECIAL_FRUIT] = 100 * 10**18; // 100 HARVEST
+        _addCropType("Tomato", 7 days, 10 * 10**18, 4 * 10**18, Rarity.COMMON);
+        _addCropType("Corn", 14 days, 25 * 10**18, 10 * 10**18, Rarity.UNCOMMON);
+        _addCropType("Wheat", 21 days, 50 * 10**18, 20 * 10**18, Rarity.RARE);
+        _addCropType("Special Fruit", 30 days, 100 * 10**18, 40 * 10**18, Rarity.LEGENDARY);
+    }
+    
+    /**
+     * @dev Adds a crop type to the catalog
+     * @param _name Display name
+     * @param _growthDuration Seconds from planting to harvest
+     * @param _baseReward HARVEST paid on harvest before multipliers
+     * @param _plantingCost HARVEST charged to plant
+     * @param _rarity Rarity tier
+     * @return cropTypeId ID of the new crop type
+     */
+    function addCropType(
+        string calldata _name,
+        uint256 _growthDuration,
+        uint256 _baseReward,
+        uint256 _plantingCost,
+        Rarity _rarity
+    ) external onlyRole(CROP_ADMIN_ROLE) returns (uint256 cropTypeId) {
+        return _addCropType(_name, _growthDuration, _baseReward, _plantingCost, _rarity);
+    }
+    
+    /**
+     * @dev Internal function to add a crop type
+     */
+    function _addCropType(
+        string memory _name,
+        uint256 _growthDuration,
+        uint256 _baseReward,
+        uint256 _plantingCost,
+        Rarity _rarity
+    ) internal returns (uint256 cropTypeId) {
+        require(bytes(_name).length > 0, "Name cannot be empty");
+        require(_isSafeName(_name), "Name contains invalid characters");
+        require(_growthDuration > 0, "Growth duration must be greater than 0");
+        
+        cropTypeId = _cropTypes.length;
+        _cropTypes.push(CropType({
+            name: _name,
+            growthDuration: _growthDuration,
+            baseReward: _baseReward,
+            plantingCost: _plantingCost,
+            rarity: _rarity,
+            isEnabled: true
+        }));
+        
+        emit CropTypeAdded(cropTypeId, _name);
+        emit CropTypeUpdated(cropTypeId, _growthDuration, _baseReward, _plantingCost, _rarity);
+    }
+    
+    /**
+     * @dev Updates a crop type. Crops already planted keep the values they were planted with
+     * @param _cropType Crop type ID
+     * @param _growthDuration Seconds from planting to harvest
+     * @param _baseReward HARVEST paid on harvest before multipliers
+     * @param _plantingCost HARVEST charged to plant
+     * @param _rarity Rarity tier
+     */
+    function updateCropType(
+        uint256 _cropType,
+        uint256 _growthDuration,
+        uint256 _baseReward,
+        uint256 _plantingCost,
+        Rarity _rarity
+    ) external onlyRole(CROP_ADMIN_ROLE) {
+        require(_cropType < _cropTypes.length, "Unknown crop type");
+        require(_growthDuration > 0, "Growth duration must be greater than 0");
+        
+        CropType storage cropType = _cropTypes[_cropType];
+        cropType.growthDuration = _growthDuration;
+        cropType.baseReward = _baseReward;
+        cropType.plantingCost = _plantingCost;
+        cropType.rarity = _rarity;
+        
+        emit CropTypeUpdated(_cropType, _growthDuration, _baseReward, _plantingCost, _rarity);
+    }
+    
+    /**
+     * @dev Enables or disables planting of a crop type. Crops already planted are unaffected
+     * @param _cropType Crop type ID
+     * @param _isEnabled Whether the type can be planted
+     */
+    function setCropTypeEnabled(uint256 _cropType, bool _isEnabled) external onlyRole(CROP_ADMIN_ROLE) {
+        require(_cropType < _cropTypes.length, "Unknown crop type");
+        _cropTypes[_cropType].isEnabled = _isEnabled;
+        emit CropTypeEnabled(_cropType, _isEnabled);
     }
     
     /**
      * @dev Plants a new crop NFT
      * @param _farmer Address of the farmer
-     * @param _cropType Type of crop to plant
+     * @param _cropType Crop type ID to plant
      * @param _bonusMultiplier Bonus multiplier for rewards (100 = 1x)
      */
     function plantCrop(
         address _farmer,
-        CropType _cropType,
+        uint256 _cropType,
         uint256 _bonusMultiplier
-    ) external returns (uint256) {
+    ) external whenFeatureActive(Feature.PLANTING) returns (uint256) {
         require(authorizedFarms[msg.sender], "Only authorized farms can plant crops");
         require(_farmer != address(0), "Farmer cannot be zero address");
         require(_bonusMultiplier >= 100, "Bonus multiplier cannot be less than 100");
-          uint256 tokenId = _tokenIdCounter;
+        require(_cropType < _cropTypes.length, "Unknown crop type");
+        CropType memory cropType = _cropTypes[_cropType];
+        require(cropType.isEnabled, "Crop type is disabled");
+        
+        uint256 tokenId = _tokenIdCounter;
         _tokenIdCounter++;
         
         uint256 currentTime = block.timestamp;
-        uint256 harvestTime = currentTime + growthDurations[_cropType];
+        uint256 harvestTime = currentTime + cropType.growthDuration;
         
         crops[tokenId] = Crop({
             cropType: _cropType,
@@ -116,12 +264,15 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
             lastWatered: currentTime,
             harvestableAt: harvestTime,
             isHarvested: false,
-            baseReward: baseRewards[_cropType],
-            bonusMultiplier: _bonusMultiplier
+            baseReward: cropType.baseReward,
+            bonusMultiplier: _bonusMultiplier,
+            growthDuration: cropType.growthDuration,
+            rarity: Rarity.COMMON,
+            witherPenalty: 0
         });
+        _requestRandomness(tokenId);
         
         _safeMint(_farmer, tokenId);
-        _setTokenURI(tokenId, _generateTokenURI(tokenId));
         
         emit CropPlanted(tokenId, _farmer, _cropType);
         
@@ -130,7 +281,7 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
       /**
      * @dev Waters a crop to potentially speed up growth
      * @param _tokenId ID of the crop to water
-     */    function waterCrop(uint256 _tokenId) external {
+     */    function waterCrop(uint256 _tokenId) external whenFeatureActive(Feature.PLANTING) {
         require(_ownerOf(_tokenId) != address(0), "Crop does not exist");
         require(ownerOf(_tokenId) == msg.sender, "Only crop owner can water");
         
@@ -142,7 +293,7 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
      * @param _tokenId ID of the crop to water
      * @param _owner The owner of the crop
      */
-    function waterCropForOwner(uint256 _tokenId, address _owner) external {
+    function waterCropForOwner(uint256 _tokenId, address _owner) external whenFeatureActive(Feature.PLANTING) {
         require(msg.sender == farmRewardSystem, "Only FarmRewardSystem can water for owner");
         require(_ownerOf(_tokenId) != address(0), "Crop does not exist");
         require(ownerOf(_tokenId) == _owner, "Invalid owner");
@@ -159,29 +310,41 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
         require(!crop.isHarvested, "Crop already harvested");
         require(block.timestamp >= crop.lastWatered + 1 hours, "Crop was watered recently");
         
+        // Lock in any withering since the last watering before the clock restarts
+        crop.witherPenalty = _currentWitherPenalty(crop);
         crop.lastWatered = block.timestamp;
         
         // Watering can reduce growth time by 1 hour (up to 50% of original time)
-        uint256 maxReduction = growthDurations[crop.cropType] / 2;
-        uint256 currentReduction = crop.plantedAt + growthDurations[crop.cropType] - crop.harvestableAt;
+        uint256 maxReduction = crop.growthDuration / 2;
+        uint256 currentReduction = crop.plantedAt + crop.growthDuration - crop.harvestableAt;
         
         if (currentReduction < maxReduction) {
             crop.harvestableAt -= 1 hours;
         }
         
         _updateGrowthStage(_tokenId);
-        _setTokenURI(_tokenId, _generateTokenURI(_tokenId));
         
         emit CropWatered(_tokenId, ownerOf(_tokenId));
+        emit MetadataUpdate(_tokenId);
     }
       /**
      * @dev Updates the growth stage of a crop based on elapsed time
      * @param _tokenId ID of the crop to update
      */
-    function updateGrowthStage(uint256 _tokenId) external {
+    function updateGrowthStage(uint256 _tokenId) external whenNotPaused {
         require(_ownerOf(_tokenId) != address(0), "Crop does not exist");
         _updateGrowthStage(_tokenId);
-        _setTokenURI(_tokenId, _generateTokenURI(_tokenId));
+    }
+    
+    /**
+     * @dev Updates the growth stage of several crops
+     * @param _tokenIds IDs of the crops to update
+     */
+    function updateGrowthStages(uint256[] calldata _tokenIds) external whenNotPaused {
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            require(_ownerOf(_tokenIds[i]) != address(0), "Crop does not exist");
+            _updateGrowthStage(_tokenIds[i]);
+        }
     }
     
     /**
@@ -193,33 +356,39 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
         
         if (crop.isHarvested) return;
         
-        uint256 currentTime = block.timestamp;
-        uint256 totalGrowthTime = growthDurations[crop.cropType];
-        uint256 elapsedTime = currentTime - crop.plantedAt;
+        GrowthStage newStage = _currentGrowthStage(crop);
         
-        GrowthStage newStage;
+        if (newStage != crop.growthStage) {
+            crop.growthStage = newStage;
+            emit CropGrowthUpdated(_tokenId, newStage);
+            emit MetadataUpdate(_tokenId);
+        }
+    }
+    
+    /**
+     * @dev Growth stage a crop has reached by now, whether or not it has been written to storage
+     * @param _crop Crop data
+     */
+    function _currentGrowthStage(Crop memory _crop) internal view returns (GrowthStage) {
+        uint256 currentTime = block.timestamp;
+        uint256 totalGrowthTime = _crop.growthDuration;
+        uint256 elapsedTime = currentTime - _crop.plantedAt;
         
-        if (currentTime >= crop.harvestableAt) {
-            newStage = GrowthStage.HARVESTABLE;
+        if (currentTime >= _crop.harvestableAt) {
+            return GrowthStage.HARVESTABLE;
         } else if (elapsedTime >= (totalGrowthTime * 75) / 100) {
-            newStage = GrowthStage.MATURE;
+            return GrowthStage.MATURE;
         } else if (elapsedTime >= (totalGrowthTime * 50) / 100) {
-            newStage = GrowthStage.GROWING;
+            return GrowthStage.GROWING;
         } else if (elapsedTime >= (totalGrowthTime * 25) / 100) {
-            newStage = GrowthStage.SPROUTING;
-        } else {
-            newStage = GrowthStage.SEED;
-        }
-        
-        if (newStage != crop.growthStage) {
-            crop.growthStage = newStage;
-            emit CropGrowthUpdated(_tokenId, newStage);
+            return GrowthStage.SPROUTING;
         }
+        return GrowthStage.SEED;
     }    /**
      * @dev Harvests a crop (burns the NFT and triggers reward)
      * @param _tokenId ID of the crop to harvest
      */
-    function harvestCrop(uint256 _tokenId) external returns (uint256 reward) {
+    function harvestCrop(uint256 _tokenId) external whenFeatureActive(Feature.HARVESTING) returns (uint256 reward) {
         require(_ownerOf(_tokenId) != address(0), "Crop does not exist");
         require(ownerOf(_tokenId) == msg.sender, "Only crop owner can harvest");
         
@@ -231,7 +400,10 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
      * @param _tokenId ID of the crop to harvest
      * @param _owner The owner of the crop
      */
-    function harvestCropForOwner(uint256 _tokenId, address _owner) external returns (uint256 reward) {
+    function harvestCropForOwner(
+        uint256 _tokenId,
+        address _owner
+    ) external whenFeatureActive(Feature.HARVESTING) returns (uint256 reward) {
         require(msg.sender == farmRewardSystem, "Only FarmRewardSystem can harvest for owner");
         require(_ownerOf(_tokenId) != address(0), "Crop does not exist");
         require(ownerOf(_tokenId) == _owner, "Invalid owner");
@@ -246,12 +418,21 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
     function _harvestCrop(uint256 _tokenId) internal returns (uint256 reward) {
         Crop storage crop = crops[_tokenId];
         require(!crop.isHarvested, "Crop already harvested");
+        RandomnessRequest memory request = cropRandomness[_tokenId];
+        require(!request.pending, "Crop randomness pending");
+        
+        // Catch up a stale stage so ripe crops need no separate updateGrowthStage call
+        _updateGrowthStage(_tokenId);
         require(crop.growthStage == GrowthStage.HARVESTABLE, "Crop not ready for harvest");
         
         crop.isHarvested = true;
         
-        // Calculate final reward with bonus multiplier
-        reward = (crop.baseReward * crop.bonusMultiplier) / 100;
+        // Final reward: base reward scaled by the stake bonus, rarity, the yield roll and withering
+        uint256 witherPenalty = _currentWitherPenalty(crop);
+        uint256 yieldPercent = request.fulfilled ? _rollYield(request.randomness) : 100;
+        reward = crop.baseReward * crop.bonusMultiplier * rarityBonus(crop.rarity) * yieldPercent
+            * (100 - witherPenalty) / 100_000_000;
+        emit HarvestYieldRolled(_tokenId, yieldPercent, witherPenalty);
         
         address owner = ownerOf(_tokenId);
         emit CropHarvested(_tokenId, owner, reward);
@@ -263,48 +444,191 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
     }
     
     /**
-     * @dev Generates metadata URI for a crop NFT
+     * @dev Yield multiplier of a rarity trait (100 = 1x)
+     * @param _rarity Rarity trait
+     */
+    function rarityBonus(Rarity _rarity) public pure returns (uint256) {
+        if (_rarity == Rarity.LEGENDARY) return 150;
+        if (_rarity == Rarity.RARE) return 125;
+        if (_rarity == Rarity.UNCOMMON) return 110;
+        return 100;
+    }
+    
+    /**
+     * @dev Current wither penalty: the penalty locked in at the last watering plus
+     * WITHER_RATE percent per day the crop has gone unwatered beyond the grace period
+     */
+    function _currentWitherPenalty(Crop memory _crop) internal view returns (uint256) {
+        uint256 dry = block.timestamp - _crop.lastWatered;
+        uint256 penalty = _crop.witherPenalty;
+        if (dry > WITHER_GRACE_PERIOD) {
+            penalty = penalty + (dry - WITHER_GRACE_PERIOD) * WITHER_RATE / 1 days;
+        }
+        return penalty < MAX_WITHER_PENALTY ? penalty : MAX_WITHER_PENALTY;
+    }
+    
+    /**
+     * @dev Asks the randomness provider for a crop's rolls; without a provider the crop stays common with a fixed yield
+     * @param _tokenId Crop the randomness is for
+     */
+    function _requestRandomness(uint256 _tokenId) internal {
+        if (address(randomnessProvider) == address(0)) return;
+        
+        uint256 requestId = randomnessProvider.requestRandomness();
+        cropRandomness[_tokenId] = RandomnessRequest({
+            requestId: requestId,
+            randomness: 0,
+            pending: true,
+            fulfilled: false
+        });
+        _requestTokens[requestId] = _tokenId + 1;
+        emit RandomnessRequested(_tokenId, requestId);
+    }
+    
+    /**
+     * @dev Receives the randomness requested at planting and rolls the crop's rarity.
+     * The yield is derived from the same number at harvest, so neither roll happens in a farmer's transaction.
+     * @param _requestId ID of the request
+     * @param _randomness Random number delivered by the provider
+     */
+    function fulfillRandomness(uint256 _requestId, uint256 _randomness) external {
+        require(msg.sender == address(randomnessProvider), "Only randomness provider");
+        uint256 tokenIdPlusOne = _requestTokens[_requestId];
+        require(tokenIdPlusOne != 0, "Unknown randomness request");
+        uint256 tokenId = tokenIdPlusOne - 1;
+        delete _requestTokens[_requestId];
+        
+        RandomnessRequest storage request = cropRandomness[tokenId];
+        require(request.pending && request.requestId == _requestId, "Unknown randomness request");
+        request.pending = false;
+        request.fulfilled = true;
+        request.randomness = _randomness;
+        
+        Rarity rarity = _rollRarity(_randomness);
+        crops[tokenId].rarity = rarity;
+        emit CropRarityRolled(tokenId, rarity);
+        emit MetadataUpdate(tokenId);
+    }
+    
+    /**
+     * @dev Requests new randomness for a crop whose request was never delivered, e.g. after switching providers.
+     * Admin-only: letting owners retry would let them discard a roll they saw coming.
+     * @param _tokenId Crop with a pending request
+     */
+    function retryRandomness(uint256 _tokenId) external onlyRole(CROP_ADMIN_ROLE) {
+        RandomnessRequest memory request = cropRandomness[_tokenId];
+        require(request.pending, "No pending randomness");
+        require(address(randomnessProvider) != address(0), "No randomness provider");
+        
+        delete _requestTokens[request.requestId];
+        _requestRandomness(_tokenId);
+    }
+    
+    /**
+     * @dev Rolls a crop's rarity: 1% legendary, 5% rare, 20% uncommon, otherwise common
+     * @param _randomness Number delivered for the crop
+     */
+    function _rollRarity(uint256 _randomness) internal pure returns (Rarity) {
+        uint256 roll = _randomness % 100;
+        if (roll < 1) return Rarity.LEGENDARY;
+        if (roll < 6) return Rarity.RARE;
+        if (roll < 26) return Rarity.UNCOMMON;
+        return Rarity.COMMON;
+    }
+    
+    /**
+     * @dev Rolls a harvest yield between 100 - YIELD_VARIANCE and 100 + YIELD_VARIANCE percent
+     * @param _randomness Number delivered for the crop
+     */
+    function _rollYield(uint256 _randomness) internal pure returns (uint256) {
+        return 100 - YIELD_VARIANCE + (_randomness / 100) % (2 * YIELD_VARIANCE + 1);
+    }
+    
+    /**
+     * @dev Builds the metadata URI for a crop: base64 JSON in the OpenSea metadata format with an
+     * embedded SVG image. Worked out on every read, so stage, withering and time left are current.
      * @param _tokenId ID of the crop
      */
     function _generateTokenURI(uint256 _tokenId) internal view returns (string memory) {
         Crop memory crop = crops[_tokenId];
+        GrowthStage stage = _currentGrowthStage(crop);
+        string memory typeName = _getCropTypeName(crop.cropType);
+        string memory stageName = _getGrowthStageName(stage);
+        
+        string memory image = CropArt.render(typeName, crop.cropType, uint8(stage), uint8(crop.rarity), stageName);
         
-        // This would typically return a URL to JSON metadata
-        // For this example, we'll return a simple string
         return string(abi.encodePacked(
             "data:application/json;base64,",
-            _encodeMetadata(_tokenId, crop)
+            Base64.encode(abi.encodePacked(
+                '{"name":"', typeName, ' #', _toString(_tokenId),
+                '","description":"A virtual crop in XFarm. Harvest it once ripe to earn HARVEST.",',
+                '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(image)), '",',
+                _encodeAttributes(crop, typeName, stageName),
+                '}'
+            ))
         ));
     }
     
     /**
-     * @dev Encodes crop metadata as base64 JSON
-     * @param _tokenId ID of the crop
+     * @dev Encodes a crop's traits as an OpenSea attributes array
      * @param _crop Crop data
+     * @param _typeName Crop type display name
+     * @param _stageName Current growth stage display name
      */
-    function _encodeMetadata(uint256 _tokenId, Crop memory _crop) internal pure returns (string memory) {
-        // Simplified metadata encoding
-        // In production, you'd use a proper base64 encoding library
+    function _encodeAttributes(
+        Crop memory _crop,
+        string memory _typeName,
+        string memory _stageName
+    ) internal view returns (string memory) {
+        uint256 timeRemaining = block.timestamp < _crop.harvestableAt ? _crop.harvestableAt - block.timestamp : 0;
+        
         return string(abi.encodePacked(
-            '{"name":"Crop #', _toString(_tokenId),
-            '","description":"A virtual crop in XFarm",',
             '"attributes":[',
-                '{"trait_type":"Crop Type","value":"', _getCropTypeName(_crop.cropType), '"},',
-                '{"trait_type":"Growth Stage","value":"', _getGrowthStageName(_crop.growthStage), '"},',
+                '{"trait_type":"Crop Type","value":"', _typeName, '"},',
+                '{"trait_type":"Type Rarity","value":"', _getRarityName(_cropTypes[_crop.cropType].rarity), '"},',
+                '{"trait_type":"Rarity","value":"', _getRarityName(_crop.rarity), '"},',
+                '{"trait_type":"Growth Stage","value":"', _stageName, '"},',
+                '{"display_type":"number","trait_type":"Hours Remaining","value":', _toString((timeRemaining + 1 hours - 1) / 1 hours), '},',
+                '{"display_type":"date","trait_type":"Harvest ETA","value":', _toString(_crop.harvestableAt), '},',
+                '{"display_type":"number","trait_type":"Wither Penalty","value":', _toString(_currentWitherPenalty(_crop)),
+                    ',"max_value":', _toString(MAX_WITHER_PENALTY), '},',
                 '{"trait_type":"Base Reward","value":"', _toString(_crop.baseReward), '"},',
-                '{"trait_type":"Bonus Multiplier","value":"', _toString(_crop.bonusMultiplier), '"}',
-            ']}'
+                '{"display_type":"number","trait_type":"Bonus Multiplier","value":', _toString(_crop.bonusMultiplier), '}',
+            ']'
         ));
     }
     
+    /**
+     * @dev Whether a crop type name can be embedded in JSON and SVG as-is:
+     * no quotes, backslashes, markup characters or control characters
+     */
+    function _isSafeName(string memory _name) internal pure returns (bool) {
+        bytes memory name = bytes(_name);
+        for (uint256 i = 0; i < name.length; i++) {
+            bytes1 char = name[i];
+            if (char < 0x20 || char == '"' || char == "\\" || char == "<" || char == ">" || char == "&") {
+                return false;
+            }
+        }
+        return true;
+    }
+    
     /**
      * @dev Returns crop type name
      */
-    function _getCropTypeName(CropType _cropType) internal pure returns (string memory) {
-        if (_cropType == CropType.TOMATO) return "Tomato";
-        if (_cropType == CropType.CORN) return "Corn";
-        if (_cropType == CropType.WHEAT) return "Wheat";
-        if (_cropType == CropType.SPECIAL_FRUIT) return "Special Fruit";
+    function _getCropTypeName(uint256 _cropType) internal view returns (string memory) {
+        if (_cropType >= _cropTypes.length) return "Unknown";
+        return _cropTypes[_cropType].name;
+    }
+    
+    /**
+     * @dev Returns rarity name
+     */
+    function _getRarityName(Rarity _rarity) internal pure returns (string memory) {
+        if (_rarity == Rarity.COMMON) return "Common";
+        if (_rarity == Rarity.UNCOMMON) return "Uncommon";
+        if (_rarity == Rarity.RARE) return "Rare";
+        if (_rarity == Rarity.LEGENDARY) return "Legendary";
         return "Unknown";
     }
     
@@ -349,7 +673,7 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
      * @dev Adds an authorized farm contract
      * @param _farm Address of the farm contract
      */
-    function addAuthorizedFarm(address _farm) external onlyOwner {
+    function addAuthorizedFarm(address _farm) external onlyRole(CROP_ADMIN_ROLE) {
         require(_farm != address(0), "Farm cannot be zero address");
         authorizedFarms[_farm] = true;
         emit AuthorizedFarmAdded(_farm);
@@ -358,7 +682,7 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
      * @dev Removes an authorized farm contract
      * @param _farm Address of the farm contract
      */
-    function removeAuthorizedFarm(address _farm) external onlyOwner {
+    function removeAuthorizedFarm(address _farm) external onlyRole(CROP_ADMIN_ROLE) {
         authorizedFarms[_farm] = false;
         emit AuthorizedFarmRemoved(_farm);
     }
@@ -367,64 +691,150 @@ contract CropNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable
      * @dev Sets the FarmRewardSystem contract address
      * @param _farmRewardSystem Address of the FarmRewardSystem contract
      */
-    function setFarmRewardSystem(address _farmRewardSystem) external onlyOwner {
+    function setFarmRewardSystem(address _farmRewardSystem) external onlyRole(CROP_ADMIN_ROLE) {
         require(_farmRewardSystem != address(0), "FarmRewardSystem cannot be zero address");
         farmRewardSystem = _farmRewardSystem;
     }
     
     /**
-     * @dev Pauses all NFT operations
+     * @dev Sets the randomness provider for rarity and yield rolls. Requests still pending with the old
+     * provider can be reissued with retryRandomness.
+     * @param _provider Provider address, or zero for common crops with fixed yields
      */
-    function pause() external onlyOwner {
-        _pause();
+    function setRandomnessProvider(address _provider) external onlyRole(CROP_ADMIN_ROLE) {
+        randomnessProvider = IRandomnessProvider(_provider);
+        emit RandomnessProviderUpdated(_provider);
     }
     
     /**
-     * @dev Unpauses NFT operations
+     * @dev Sets the royalty charged on crop sales
+     * @param _royaltyBps Royalty in basis points, at most MAX_ROYALTY_BPS
      */
-    function unpause() external onlyOwner {
-        _unpause();
+    function setRoyaltyBps(uint256 _royaltyBps) external onlyRole(CROP_ADMIN_ROLE) {
+        require(_royaltyBps <= MAX_ROYALTY_BPS, "Royalty too high");
+        royaltyBps = _royaltyBps;
+        emit RoyaltyUpdated(_royaltyBps);
+    }
+    
+    /**
+     * @dev EIP-2981 royalty for a sale: royaltyBps of the price, paid to the FarmRewardSystem reserve
+     * @param _salePrice Sale price in the payment token
+     */
+    function royaltyInfo(uint256, uint256 _salePrice) external view returns (address receiver, uint256 royaltyAmount) {
+        return (farmRewardSystem, _salePrice * royaltyBps / 10000);
+    }
+    
+    /**
+     * @dev Blocks mints, transfers and burns while globally paused, counts transfers between owners,
+     * and reports every ownership change to the FarmRewardSystem so its per-farmer crop lists stay in sync
+     */
+    function _update(
+        address to,
+        uint256 tokenId,
+        address auth
+    ) internal override(ERC721, ERC721Enumerable) whenNotPaused returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (from != address(0) && to != address(0)) {
+            transferCount[tokenId] = transferCount[tokenId] + 1;
+        }
+        if (farmRewardSystem != address(0)) {
+            ICropTransferHook(farmRewardSystem).onCropTransfer(from, to, tokenId);
+        }
+    }
+    
+    function _increaseBalance(address account, uint128 value) internal override(ERC721, ERC721Enumerable) {
+        super._increaseBalance(account, value);
+    }
+    
+    /**
+     * @dev Gets every crop an address owns
+     * @param _owner Owner address
+     */
+    function cropsOfOwner(address _owner) external view returns (uint256[] memory tokenIds) {
+        tokenIds = new uint256[](balanceOf(_owner));
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(_owner, i);
+        }
     }
       /**
-     * @dev Gets crop information
+     * @dev Gets crop information, with the growth stage and wither penalty worked out at read time
      * @param _tokenId ID of the crop
      */
     function getCropInfo(uint256 _tokenId) external view returns (
-        CropType cropType,
+        uint256 cropType,
         GrowthStage growthStage,
         uint256 plantedAt,
         uint256 harvestableAt,
         bool isHarvested,
         uint256 baseReward,
-        uint256 bonusMultiplier
+        uint256 bonusMultiplier,
+        Rarity rarity,
+        uint256 lastWatered,
+        uint256 witherPenalty
     ) {
         require(_ownerOf(_tokenId) != address(0), "Crop does not exist");
         Crop memory crop = crops[_tokenId];
         
         return (
             crop.cropType,
-            crop.growthStage,
+            _currentGrowthStage(crop),
             crop.plantedAt,
             crop.harvestableAt,
             crop.isHarvested,
             crop.baseReward,
-            crop.bonusMultiplier
+            crop.bonusMultiplier,
+            crop.rarity,
+            crop.lastWatered,
+            _currentWitherPenalty(crop)
         );
     }
-      /**
-     * @dev Checks if a crop is ready for harvest
+    /**
+     * @dev Gets a crop type from the catalog
+     * @param _cropType Crop type ID
+     */
+    function getCropType(uint256 _cropType) external view returns (CropType memory) {
+        require(_cropType < _cropTypes.length, "Unknown crop type");
+        return _cropTypes[_cropType];
+    }
+    
+    /**
+     * @dev Gets the whole crop catalog, indexed by crop type ID
+     */
+    function getCropTypes() external view returns (CropType[] memory) {
+        return _cropTypes;
+    }
+    
+    /**
+     * @dev Number of crop types in the catalog
+     */
+    function cropTypeCount() external view returns (uint256) {
+        return _cropTypes.length;
+    }
+    
+    /**
+     * @dev Checks if a crop is ready for harvest, including that its randomness has arrived
      * @param _tokenId ID of the crop
      */
     function isHarvestable(uint256 _tokenId) external view returns (bool) {
         if (_ownerOf(_tokenId) == address(0)) return false;
         Crop memory crop = crops[_tokenId];
-        return !crop.isHarvested && block.timestamp >= crop.harvestableAt;    }
+        return !crop.isHarvested && block.timestamp >= crop.harvestableAt && !cropRandomness[_tokenId].pending;    }
     
-    // Required overrides for ERC721URIStorage
-    function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
-        return super.tokenURI(tokenId);
+    /**
+     * @dev Base64 JSON metadata with an SVG image, built from the crop's current state
+     * @param tokenId ID of the crop
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return _generateTokenURI(tokenId);
     }
-      function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721URIStorage) returns (bool) {
-        return super.supportsInterface(interfaceId);
+    
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(ERC721, ERC721Enumerable, AccessControl, IERC165) returns (bool) {
+        // ERC-4906: MetadataUpdate is emitted when watering, growth or a rarity roll changes a crop
+        return interfaceId == bytes4(0x49064906)
+            || interfaceId == type(IERC2981).interfaceId
+            || super.supportsInterface(interfaceId);
     }
 }
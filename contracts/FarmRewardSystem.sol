@@ -2,22 +2,37 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "./FeaturePausable.sol";
 import "./HarvestToken.sol";
 import "./CropNFT.sol";
+import "./IFarmActivityHook.sol";
 
 /**
  * @title FarmRewardSystem
  * @dev Main contract managing the farming reward system
  * Features:
  * - Staking mechanism for earning rewards
+ * - Time-locked pools with boosted rewards and burned early-exit penalties
+ * - Emission budget: rewards paid from the funded reserve first, capped per epoch, halving rate schedule
+ * - Principal kept apart from reward reserves, with a solvency check and a pause-proof emergency withdraw
+ * - Global and per-feature pause switches
+ * - Role-based administration: POOL_MANAGER_ROLE tunes pools and emissions, TREASURER_ROLE manages reserves
  * - Time-based farming rewards
- * - NFT crop planting and harvesting
+ * - NFT crop planting and harvesting, with HARVEST planting fees (part burned, part to the reserve)
+ *   and a plot limit that grows with stake; per-farmer crop lists follow NFT transfers
  * - Referral system for additional rewards
  * - Daily check-in bonuses
+ * - Batch planting, watering and harvesting, and multicall for bundling any farm calls
+ * - Gasless staking approvals through HARVEST permits
+ * - ERC-2771 meta-transactions: a trusted forwarder can relay check-ins, watering and harvesting
+ * - Activity hook (seasons and quests) told about check-ins and harvests, which may add a reward bonus
  */
-contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
+contract FarmRewardSystem is ReentrancyGuard, FeaturePausable, ICropTransferHook, Multicall, ERC2771Context {
+    
+    bytes32 public constant POOL_MANAGER_ROLE = keccak256("POOL_MANAGER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
     
     HarvestToken public harvestToken;
     CropNFT public cropNFT;
@@ -28,6 +43,7 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
         uint256 stakedAt;
         uint256 lastClaimAt;
         uint256 rewardsEarned;
+        uint256 unlockAt; // 0 for flexible pools
     }
     
     // User farming data
@@ -49,79 +65,175 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
         uint256 rewardPerTokenStored;
         uint256 minimumStake;
         bool isActive;
+        uint256 lockDuration; // 0 = flexible
+        uint256 boostMultiplier; // 100 = 1x, 150 = 1.5x, etc.
+        uint256 earlyUnstakePenalty; // Percentage of principal burned when unstaking before unlock
+    }
+    
+    // Lock tier template applied to pools created with that lock length
+    struct LockTier {
+        uint256 boostMultiplier;
+        uint256 earlyUnstakePenalty;
+        bool isEnabled;
+    }
+    
+    // Per-user position in a single pool, as returned by getUserPoolPositions
+    struct PoolPosition {
+        uint256 poolId;
+        uint256 amount;
+        uint256 stakedAt;
+        uint256 unlockAt;
+        uint256 pendingRewards;
+        uint256 rewardsEarned;
     }
     
     // Mappings
     mapping(address => FarmerInfo) public farmers;
-    mapping(address => StakeInfo) public stakes;
+    mapping(address => mapping(uint256 => StakeInfo)) public stakes; // user => poolId => stake
     mapping(address => mapping(uint256 => uint256)) public userRewardPerTokenPaid;
-    mapping(address => uint256) public rewards;
+    mapping(address => mapping(uint256 => uint256)) public rewards; // user => poolId => unclaimed reward
     mapping(address => bool) public hasReferred;
     
     // Farm pools
     mapping(uint256 => FarmPool) public farmPools;
     uint256 public totalPools;
     
+    // Lock duration (in seconds) => tier configuration
+    mapping(uint256 => LockTier) public lockTiers;
+    
     // Constants and variables
     uint256 public constant DAILY_CHECK_IN_REWARD = 1 * 10**18; // 1 HARVEST token
     uint256 public constant MAX_CHECK_IN_STREAK = 30; // Maximum streak for bonus
     uint256 public constant REFERRAL_BONUS = 10; // 10% referral bonus
     uint256 public constant STREAK_MULTIPLIER = 5; // 5% bonus per streak day
+    uint256 public constant MAX_EARLY_UNSTAKE_PENALTY = 50; // Penalty can never exceed 50%
+    uint256 public constant LOCK_WEIGHT_PERIOD = 90 days; // Stake locked this long counts 1x toward crop bonuses
+    
+    uint256 public constant EPOCH_DURATION = 7 days; // Emission cap window
+    uint256 public constant MAX_HALVINGS = 64; // Reward rates are zero after this many halvings
     
     uint256 public totalRewardsDistributed;
     uint256 public totalFarmersRegistered;
     
+    // Emission budget
+    uint256 public totalPrincipal; // Staked principal across all pools, never used to pay rewards
+    uint256 public settledRewardObligations; // Staking rewards accrued up to each pool's last update and not yet claimed
+    uint256 public totalRewardsMinted; // Part of totalRewardsDistributed that was minted rather than paid from reserve
+    uint256 public emissionStart; // Start of epoch 0 and of the halving schedule
+    uint256 public halvingInterval; // Pool reward rates halve every interval (0 = no halving)
+    uint256 public epochEmissionCap; // Maximum rewards paid per epoch (0 = uncapped)
+    bool public mintFallbackEnabled; // Mint the shortfall when the reserve runs out
+    bool public emergencyExitEnabled; // Waive the early-unstake penalty on emergencyWithdraw
+    mapping(uint256 => uint256) public epochEmissions; // epoch => rewards paid
+    mapping(address => uint256) public deferredRewards; // Rewards held back by the epoch cap, claimable in a later epoch
+    uint256 public totalDeferredRewards;
+    
+    // Crop economy
+    uint256 public plantingFeeBurnPercent; // Share of each planting fee burned; the rest funds the reward reserve
+    uint256 public basePlotLimit; // Crops a farmer can grow at once without staking
+    uint256 public plotStakeStep; // Staked HARVEST per extra plot (0 = no extra plots)
+    uint256 public maxPlotLimit; // Plot limit ceiling
+    mapping(uint256 => uint256) private _cropListIndex; // tokenId => position in its owner's ownedCrops, plus one
+    
+    // Meta-transactions
+    address private _trustedForwarder; // ERC-2771 forwarder allowed to relay farmer calls (zero = none)
+    
+    // Engagement
+    IFarmActivityHook public activityHook; // Told about check-ins and harvests (zero = none)
+    
     // Events
     event FarmerRegistered(address indexed farmer, address indexed referrer);
     event TokensStaked(address indexed farmer, uint256 poolId, uint256 amount);
     event TokensUnstaked(address indexed farmer, uint256 poolId, uint256 amount);
     event RewardsClaimed(address indexed farmer, uint256 amount);
     event CheckInCompleted(address indexed farmer, uint256 streak, uint256 reward);
-    event CropPlanted(address indexed farmer, uint256 tokenId, CropNFT.CropType cropType);
+    event CropPlanted(address indexed farmer, uint256 tokenId, uint256 cropType);
     event CropHarvested(address indexed farmer, uint256 tokenId, uint256 reward);
     event ReferralRewardPaid(address indexed referrer, address indexed referee, uint256 amount);
     event PoolCreated(uint256 indexed poolId, uint256 rewardRate, uint256 minimumStake);
     event PoolUpdated(uint256 indexed poolId, uint256 newRewardRate, bool isActive);
+    event LockedPoolCreated(uint256 indexed poolId, uint256 lockDuration, uint256 boostMultiplier, uint256 earlyUnstakePenalty);
+    event LockTierUpdated(uint256 indexed lockDuration, uint256 boostMultiplier, uint256 earlyUnstakePenalty, bool isEnabled);
+    event EarlyUnstakePenaltyBurned(address indexed farmer, uint256 indexed poolId, uint256 amount);
+    event EmissionPaid(address indexed recipient, uint256 fromReserve, uint256 minted);
+    event RewardDeferred(address indexed recipient, uint256 amount);
+    event HalvingIntervalUpdated(uint256 halvingInterval);
+    event EpochEmissionCapUpdated(uint256 epochEmissionCap);
+    event MintFallbackUpdated(bool enabled);
+    event EmergencyExitUpdated(bool enabled);
+    event RewardReserveDeposited(address indexed from, uint256 amount);
+    event RewardReserveWithdrawn(address indexed to, uint256 amount);
+    event EmergencyWithdrawn(address indexed farmer, uint256 indexed poolId, uint256 amount, uint256 forfeitedRewards);
+    event PlantingFeePaid(address indexed farmer, uint256 indexed cropType, uint256 burned, uint256 toReserve);
+    event PlantingFeeBurnPercentUpdated(uint256 burnPercent);
+    event PlotLimitsUpdated(uint256 basePlotLimit, uint256 plotStakeStep, uint256 maxPlotLimit);
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event ActivityHookUpdated(address indexed hook);
     
-    constructor(address _harvestToken, address _cropNFT) Ownable(msg.sender) {
+    constructor(address _harvestToken, address _cropNFT) ERC2771Context(address(0)) {
         require(_harvestToken != address(0), "Harvest token cannot be zero address");
         require(_cropNFT != address(0), "Crop NFT cannot be zero address");
         
         harvestToken = HarvestToken(_harvestToken);
         cropNFT = CropNFT(_cropNFT);
         
+        // The deployer holds every role until they are handed over
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(POOL_MANAGER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        
+        // Emission schedule: rates halve yearly, at most 1M HARVEST paid per epoch
+        emissionStart = block.timestamp;
+        halvingInterval = 365 days;
+        epochEmissionCap = 1_000_000 * 10**18;
+        mintFallbackEnabled = true;
+        
+        // Crop economy: half of each planting fee is burned, 3 plots plus one per 1000 HARVEST staked, up to 25
+        plantingFeeBurnPercent = 50;
+        basePlotLimit = 3;
+        plotStakeStep = 1000 * 10**18;
+        maxPlotLimit = 25;
+        
         // Create initial farming pool
-        _createPool(100, 1000 * 10**18); // 100 tokens per second per staked token, 1000 minimum stake
+        _createPool(100, 1000 * 10**18, 0); // 100 tokens per second per staked token, 1000 minimum stake
+        
+        // Default lock tiers: longer locks earn a bigger boost and pay a bigger early-exit penalty
+        _setLockTier(30 days, 125, 10, true);
+        _setLockTier(90 days, 150, 15, true);
+        _setLockTier(180 days, 200, 20, true);
     }
       /**
      * @dev Registers a new farmer with optional referrer
      * @param _referrer Address of the referrer (optional)
      */
-    function registerFarmer(address _referrer) external {
-        require(farmers[msg.sender].lastCheckIn == 0, "Farmer already registered");
+    function registerFarmer(address _referrer) external whenNotPaused {
+        address sender = _msgSender();
+        require(farmers[sender].lastCheckIn == 0, "Farmer already registered");
         
-        if (_referrer != address(0) && _referrer != msg.sender && farmers[_referrer].lastCheckIn != 0) {
-            farmers[msg.sender].referrer = _referrer;
+        if (_referrer != address(0) && _referrer != sender && farmers[_referrer].lastCheckIn != 0) {
+            farmers[sender].referrer = _referrer;
         }
         
         // Set lastCheckIn to allow immediate first check-in
-        farmers[msg.sender].lastCheckIn = 1; // Non-zero to indicate registration, but allows immediate check-in
+        farmers[sender].lastCheckIn = 1; // Non-zero to indicate registration, but allows immediate check-in
         totalFarmersRegistered = totalFarmersRegistered + 1;
         
-        emit FarmerRegistered(msg.sender, _referrer);
+        emit FarmerRegistered(sender, _referrer);
     }
       /**
      * @dev Performs daily check-in to earn bonus rewards
      */
-    function dailyCheckIn() external nonReentrant {
-        require(farmers[msg.sender].lastCheckIn != 0, "Farmer not registered");
+    function dailyCheckIn() external nonReentrant whenFeatureActive(Feature.CHECK_IN) {
+        address sender = _msgSender();
+        require(farmers[sender].lastCheckIn != 0, "Farmer not registered");
         
         // Allow first check-in immediately after registration (lastCheckIn == 1)
-        if (farmers[msg.sender].lastCheckIn != 1) {
-            require(block.timestamp >= farmers[msg.sender].lastCheckIn + 20 hours, "Check-in too early");
+        if (farmers[sender].lastCheckIn != 1) {
+            require(block.timestamp >= farmers[sender].lastCheckIn + 20 hours, "Check-in too early");
         }
         
-        FarmerInfo storage farmer = farmers[msg.sender];        // Update streak
+        FarmerInfo storage farmer = farmers[sender];        // Update streak
         if (farmer.lastCheckIn == 1) {
             // First check-in after registration
             farmer.checkInStreak = 1;
@@ -140,13 +252,13 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
         uint256 baseReward = DAILY_CHECK_IN_REWARD;
         uint256 streakBonus = baseReward * farmer.checkInStreak * STREAK_MULTIPLIER / 100;
         uint256 totalReward = baseReward + streakBonus;
+        totalReward = totalReward + _activityBonus(abi.encodeCall(IFarmActivityHook.onCheckIn, (sender, farmer.checkInStreak, totalReward)));
         
-        // Mint and distribute reward
-        harvestToken.mintRewards(msg.sender, totalReward);
+        // Distribute reward
+        _distributeReward(sender, totalReward, false);
         farmer.totalRewardsEarned = farmer.totalRewardsEarned + totalReward;
-        totalRewardsDistributed = totalRewardsDistributed + totalReward;
         
-        emit CheckInCompleted(msg.sender, farmer.checkInStreak, totalReward);
+        emit CheckInCompleted(sender, farmer.checkInStreak, totalReward);
     }
     
     /**
@@ -154,26 +266,70 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
      * @param _poolId ID of the farming pool
      * @param _amount Amount of tokens to stake
      */
-    function stakeTokens(uint256 _poolId, uint256 _amount) external nonReentrant updateReward(msg.sender, _poolId) {
-        require(_poolId < totalPools, "Invalid pool ID");
+    function stakeTokens(uint256 _poolId, uint256 _amount)
+        external
+        nonReentrant
+        whenFeatureActive(Feature.STAKING)
+        updateReward(_msgSender(), _poolId)
+    {
+        _stakeTokens(_msgSender(), _poolId, _amount);
+    }
+    
+    /**
+     * @dev Stakes tokens using an EIP-2612 permit instead of a prior approve transaction
+     * @param _poolId ID of the farming pool
+     * @param _amount Amount of tokens to stake, also the permitted allowance
+     * @param _deadline Permit expiry timestamp
+     * @param _v Signature recovery byte
+     * @param _r Signature r value
+     * @param _s Signature s value
+     */
+    function stakeWithPermit(uint256 _poolId, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s)
+        external
+        nonReentrant
+        whenFeatureActive(Feature.STAKING)
+        updateReward(_msgSender(), _poolId)
+    {
+        address sender = _msgSender();
+        // A permit seen in the mempool can be submitted by someone else first;
+        // that only matters if it left the allowance short, which stakeFrom catches
+        try harvestToken.permit(sender, address(this), _amount, _deadline, _v, _r, _s) {} catch {}
+        _stakeTokens(sender, _poolId, _amount);
+    }
+    
+    /**
+     * @dev Pulls a farmer's tokens into a pool and records the stake
+     * @param _account Farmer address
+     * @param _poolId ID of the farming pool
+     * @param _amount Amount of tokens to stake
+     */
+    function _stakeTokens(address _account, uint256 _poolId, uint256 _amount) internal {
         require(_amount > 0, "Amount must be greater than 0");
-        require(farmers[msg.sender].lastCheckIn != 0, "Farmer not registered");
+        require(farmers[_account].lastCheckIn != 0, "Farmer not registered");
         
         FarmPool storage pool = farmPools[_poolId];
         require(pool.isActive, "Pool is not active");
         require(_amount >= pool.minimumStake, "Amount below minimum stake");
         
-        // Transfer tokens from user
-        harvestToken.transferFrom(msg.sender, address(this), _amount);
-          // Update stake info
-        stakes[msg.sender].amount = stakes[msg.sender].amount + _amount;
-        stakes[msg.sender].stakedAt = block.timestamp;
+        // Transfer tokens from user; they keep counting as the user's voting power
+        harvestToken.stakeFrom(_account, _amount);
+        
+        // Update stake info
+        StakeInfo storage userStake = stakes[_account][_poolId];
+        userStake.amount = userStake.amount + _amount;
+        userStake.stakedAt = block.timestamp;
+        
+        // Topping up a locked position restarts its lock
+        if (pool.lockDuration > 0) {
+            userStake.unlockAt = block.timestamp + pool.lockDuration;
+        }
         
         // Update pool and farmer info
         pool.totalStaked = pool.totalStaked + _amount;
-        farmers[msg.sender].totalStaked = farmers[msg.sender].totalStaked + _amount;
+        totalPrincipal = totalPrincipal + _amount;
+        farmers[_account].totalStaked = farmers[_account].totalStaked + _amount;
         
-        emit TokensStaked(msg.sender, _poolId, _amount);
+        emit TokensStaked(_account, _poolId, _amount);
     }
     
     /**
@@ -181,105 +337,369 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
      * @param _poolId ID of the farming pool
      * @param _amount Amount of tokens to unstake
      */
-    function unstakeTokens(uint256 _poolId, uint256 _amount) external nonReentrant updateReward(msg.sender, _poolId) {
-        require(_poolId < totalPools, "Invalid pool ID");
+    function unstakeTokens(uint256 _poolId, uint256 _amount)
+        external
+        nonReentrant
+        whenFeatureActive(Feature.STAKING)
+        updateReward(_msgSender(), _poolId)
+    {
+        address sender = _msgSender();
         require(_amount > 0, "Amount must be greater than 0");
-        require(stakes[msg.sender].amount >= _amount, "Insufficient staked amount");
+        require(stakes[sender][_poolId].amount >= _amount, "Insufficient staked amount");
         
+        _unstake(sender, _poolId, _amount, true);
+    }
+    
+    /**
+     * @dev Claims accumulated farming rewards
+     * @param _poolId ID of the farming pool
+     */
+    function claimRewards(uint256 _poolId)
+        external
+        nonReentrant
+        whenFeatureActive(Feature.CLAIMING)
+        updateReward(_msgSender(), _poolId)
+    {
+        address sender = _msgSender();
+        uint256 reward = _collectPoolReward(sender, _poolId);
+        require(reward > 0, "No rewards to claim");
+        
+        _payStakingRewards(sender, reward);
+    }
+    
+    /**
+     * @dev Claims accumulated farming rewards from every pool in one transaction
+     */
+    function claimAllRewards() external nonReentrant whenFeatureActive(Feature.CLAIMING) {
+        address sender = _msgSender();
+        uint256 totalReward;
+        
+        for (uint256 i = 0; i < totalPools; i++) {
+            _updateReward(sender, i);
+            totalReward = totalReward + _collectPoolReward(sender, i);
+        }
+        require(totalReward > 0, "No rewards to claim");
+        
+        _payStakingRewards(sender, totalReward);
+    }
+    
+    /**
+     * @dev Withdraws the caller's whole stake from a pool and claims its rewards
+     * @param _poolId ID of the farming pool
+     */
+    function exitPool(uint256 _poolId)
+        external
+        nonReentrant
+        whenFeatureActive(Feature.STAKING)
+        whenFeatureActive(Feature.CLAIMING)
+        updateReward(_msgSender(), _poolId)
+    {
+        address sender = _msgSender();
+        uint256 amount = stakes[sender][_poolId].amount;
+        uint256 reward = _collectPoolReward(sender, _poolId);
+        require(amount > 0 || reward > 0, "Nothing to exit");
+        
+        if (amount > 0) {
+            _unstake(sender, _poolId, amount, true);
+        }
+        if (reward > 0) {
+            _payStakingRewards(sender, reward);
+        }
+    }
+    
+    /**
+     * @dev Claims rewards the epoch cap deferred. Anything the current epoch still has no room for stays deferred.
+     */
+    function claimDeferredRewards() external nonReentrant whenFeatureActive(Feature.CLAIMING) {
+        address sender = _msgSender();
+        uint256 amount = deferredRewards[sender];
+        require(amount > 0, "No deferred rewards");
+        
+        deferredRewards[sender] = 0;
+        totalDeferredRewards = totalDeferredRewards - amount;
+        _distributeReward(sender, amount, true);
+    }
+    
+    /**
+     * @dev Withdraws the caller's whole stake from a pool without paying rewards.
+     * Works while the contract or staking is paused; pending rewards in the pool are forfeited.
+     * The early-unstake penalty still applies to locked stakes unless the admin has enabled the emergency exit.
+     * @param _poolId ID of the farming pool
+     */
+    function emergencyWithdraw(uint256 _poolId) external nonReentrant {
+        address sender = _msgSender();
+        require(_poolId < totalPools, "Invalid pool ID");
+        uint256 amount = stakes[sender][_poolId].amount;
+        require(amount > 0, "Nothing to withdraw");
+        
+        // Settle the pool so other stakers keep their accrual, then drop the caller's rewards
+        _updateReward(sender, _poolId);
+        uint256 forfeited = rewards[sender][_poolId];
+        rewards[sender][_poolId] = 0;
+        _releaseRewardObligation(forfeited);
+        
+        _unstake(sender, _poolId, amount, !emergencyExitEnabled);
+        
+        emit EmergencyWithdrawn(sender, _poolId, amount, forfeited);
+    }
+    
+    /**
+     * @dev Internal unstake logic, shared by unstakeTokens, exitPool and emergencyWithdraw.
+     * Unstaking from a locked pool before the lock ends burns the pool's early-unstake penalty.
+     * @param _account Staker address
+     * @param _poolId ID of the farming pool
+     * @param _amount Amount of tokens to unstake
+     * @param _applyPenalty Whether an unexpired lock burns the early-unstake penalty
+     */
+    function _unstake(address _account, uint256 _poolId, uint256 _amount, bool _applyPenalty) internal {
         FarmPool storage pool = farmPools[_poolId];
-          // Update stake info
-        stakes[msg.sender].amount = stakes[msg.sender].amount - _amount;
+        StakeInfo storage userStake = stakes[_account][_poolId];
+        
+        uint256 penalty = 0;
+        if (_applyPenalty && block.timestamp < userStake.unlockAt) {
+            penalty = _amount * pool.earlyUnstakePenalty / 100;
+        }
+        
+        // Update stake info
+        userStake.amount = userStake.amount - _amount;
         
         // Update pool and farmer info
         pool.totalStaked = pool.totalStaked - _amount;
-        farmers[msg.sender].totalStaked = farmers[msg.sender].totalStaked - _amount;
+        totalPrincipal = totalPrincipal - _amount;
+        farmers[_account].totalStaked = farmers[_account].totalStaked - _amount;
+        
+        if (penalty > 0) {
+            emit EarlyUnstakePenaltyBurned(_account, _poolId, penalty);
+        }
         
-        // Transfer tokens back to user
-        harvestToken.transfer(msg.sender, _amount);
+        // Transfer tokens back to user, burning the penalty
+        harvestToken.unstakeTo(_account, _amount, penalty);
         
-        emit TokensUnstaked(msg.sender, _poolId, _amount);
+        emit TokensUnstaked(_account, _poolId, _amount);
     }
     
     /**
-     * @dev Claims accumulated farming rewards
+     * @dev Moves a user's settled reward for one pool out of the ledger
+     * @param _account Staker address
      * @param _poolId ID of the farming pool
+     * @return reward Amount that was pending in the pool
      */
-    function claimRewards(uint256 _poolId) external nonReentrant updateReward(msg.sender, _poolId) {
-        uint256 reward = rewards[msg.sender];
-        require(reward > 0, "No rewards to claim");
-          rewards[msg.sender] = 0;
-        stakes[msg.sender].lastClaimAt = block.timestamp;
-        stakes[msg.sender].rewardsEarned = stakes[msg.sender].rewardsEarned + reward;
-        farmers[msg.sender].totalRewardsEarned = farmers[msg.sender].totalRewardsEarned + reward;
+    function _collectPoolReward(address _account, uint256 _poolId) internal returns (uint256 reward) {
+        reward = rewards[_account][_poolId];
+        if (reward == 0) return 0;
+        
+        rewards[_account][_poolId] = 0;
+        _releaseRewardObligation(reward);
+        StakeInfo storage userStake = stakes[_account][_poolId];
+        userStake.lastClaimAt = block.timestamp;
+        userStake.rewardsEarned = userStake.rewardsEarned + reward;
+    }
+    
+    /**
+     * @dev Pays staking rewards to a farmer and the referral bonus to their referrer
+     * @param _account Farmer address
+     * @param _reward Reward amount to pay
+     */
+    function _payStakingRewards(address _account, uint256 _reward) internal {
+        farmers[_account].totalRewardsEarned = farmers[_account].totalRewardsEarned + _reward;
         
-        // Mint rewards
-        harvestToken.mintRewards(msg.sender, reward);
-        totalRewardsDistributed = totalRewardsDistributed + reward;
+        // Distribute rewards
+        _distributeReward(_account, _reward, true);
         
         // Pay referral bonus if applicable
-        address referrer = farmers[msg.sender].referrer;
+        address referrer = farmers[_account].referrer;
         if (referrer != address(0)) {
-            uint256 referralReward = reward * REFERRAL_BONUS / 100;
-            harvestToken.mintRewards(referrer, referralReward);
+            uint256 referralReward = _reward * REFERRAL_BONUS / 100;
+            _distributeReward(referrer, referralReward, false);
             farmers[referrer].referralRewards = farmers[referrer].referralRewards + referralReward;
-            totalRewardsDistributed = totalRewardsDistributed + referralReward;
             
-            emit ReferralRewardPaid(referrer, msg.sender, referralReward);
+            emit ReferralRewardPaid(referrer, _account, referralReward);
         }
         
-        emit RewardsClaimed(msg.sender, reward);
+        emit RewardsClaimed(_account, _reward);
     }
     
     /**
-     * @dev Plants a new crop NFT
-     * @param _cropType Type of crop to plant
+     * @dev Plants a new crop NFT, charging the crop type's planting cost in HARVEST
+     * @param _cropType Crop type ID from the CropNFT catalog
      */
-    function plantCrop(CropNFT.CropType _cropType) external nonReentrant {
-        require(farmers[msg.sender].lastCheckIn != 0, "Farmer not registered");
-        
-        // Calculate bonus multiplier based on farmer's stake
-        uint256 bonusMultiplier = 100; // Base 1x multiplier
-        if (farmers[msg.sender].totalStaked >= 10000 * 10**18) {
-            bonusMultiplier = 150; // 1.5x for large stakers
-        } else if (farmers[msg.sender].totalStaked >= 1000 * 10**18) {
-            bonusMultiplier = 125; // 1.25x for medium stakers
-        }
-        
-        // Plant the crop
-        uint256 tokenId = cropNFT.plantCrop(msg.sender, _cropType, bonusMultiplier);
+    function plantCrop(uint256 _cropType) external nonReentrant whenFeatureActive(Feature.PLANTING) {
+        _plantCrops(_msgSender(), _cropType, 1);
+    }
+    
+    /**
+     * @dev Plants several crops of one type, charging all planting fees in a single transfer
+     * @param _cropType Crop type ID from the CropNFT catalog
+     * @param _count Number of crops to plant
+     */
+    function plantCrops(uint256 _cropType, uint256 _count) external nonReentrant whenFeatureActive(Feature.PLANTING) {
+        require(_count > 0, "Count must be greater than 0");
+        _plantCrops(_msgSender(), _cropType, _count);
+    }
+    
+    /**
+     * @dev Shared planting logic: plot limit, fee collection and minting
+     * @param _farmer Farmer planting the crops
+     * @param _cropType Crop type ID from the CropNFT catalog
+     * @param _count Number of crops to plant
+     */
+    function _plantCrops(address _farmer, uint256 _cropType, uint256 _count) internal {
+        require(farmers[_farmer].lastCheckIn != 0, "Farmer not registered");
+        require(farmers[_farmer].ownedCrops.length + _count <= getPlotLimit(_farmer), "Plot limit reached");
         
-        // Add to farmer's crop list
-        farmers[msg.sender].ownedCrops.push(tokenId);
+        CropNFT.CropType memory cropType = cropNFT.getCropType(_cropType);
+        require(cropType.isEnabled, "Crop type is disabled");
+        _collectPlantingFee(_farmer, _cropType, cropType.plantingCost * _count);
         
-        emit CropPlanted(msg.sender, tokenId, _cropType);
+        uint256 bonusMultiplier = getCropBonusMultiplier(_farmer);
+        for (uint256 i = 0; i < _count; i++) {
+            // The mint adds the crop to the farmer's crop list through onCropTransfer
+            uint256 tokenId = cropNFT.plantCrop(_farmer, _cropType, bonusMultiplier);
+            emit CropPlanted(_farmer, tokenId, _cropType);
+        }
     }
       /**
      * @dev Harvests a crop NFT for rewards
      * @param _tokenId ID of the crop to harvest
      */
-    function harvestCrop(uint256 _tokenId) external nonReentrant {
-        require(cropNFT.ownerOf(_tokenId) == msg.sender, "Not crop owner");
-        require(cropNFT.isHarvestable(_tokenId), "Crop not ready for harvest");
+    function harvestCrop(uint256 _tokenId) external nonReentrant whenFeatureActive(Feature.HARVESTING) {
+        address sender = _msgSender();
+        uint256 reward = _harvestCrop(sender, _tokenId);
         
-        // Harvest the crop and get reward amount
-        uint256 reward = cropNFT.harvestCropForOwner(_tokenId, msg.sender);
-          // Mint harvest rewards
-        harvestToken.mintRewards(msg.sender, reward);
-        farmers[msg.sender].totalRewardsEarned = farmers[msg.sender].totalRewardsEarned + reward;
-        totalRewardsDistributed = totalRewardsDistributed + reward;
+        // Distribute harvest rewards
+        _distributeReward(sender, reward, false);
+        farmers[sender].totalRewardsEarned = farmers[sender].totalRewardsEarned + reward;
+    }
+    
+    /**
+     * @dev Harvests several crops and pays their combined reward in one distribution
+     * @param _tokenIds IDs of the crops to harvest
+     */
+    function harvestCrops(uint256[] calldata _tokenIds) external nonReentrant whenFeatureActive(Feature.HARVESTING) {
+        address sender = _msgSender();
+        uint256 totalReward = 0;
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            totalReward = totalReward + _harvestCrop(sender, _tokenIds[i]);
+        }
+        
+        _distributeReward(sender, totalReward, false);
+        farmers[sender].totalRewardsEarned = farmers[sender].totalRewardsEarned + totalReward;
+    }
+    
+    /**
+     * @dev Harvests one of a farmer's crops and returns its reward without paying it
+     */
+    function _harvestCrop(address _farmer, uint256 _tokenId) internal returns (uint256 reward) {
+        require(cropNFT.ownerOf(_tokenId) == _farmer, "Not crop owner");
+        require(cropNFT.isHarvestable(_tokenId), "Crop not ready for harvest");
         
-        // Remove from farmer's crop list
-        _removeCropFromFarmer(msg.sender, _tokenId);
+        reward = cropNFT.harvestCropForOwner(_tokenId, _farmer);
+        reward = reward + _activityBonus(abi.encodeCall(IFarmActivityHook.onHarvest, (_farmer, _tokenId, reward)));
         
-        emit CropHarvested(msg.sender, _tokenId, reward);
+        emit CropHarvested(_farmer, _tokenId, reward);
     }
       /**
      * @dev Waters a crop to potentially speed up growth
      * @param _tokenId ID of the crop to water
      */
-    function waterCrop(uint256 _tokenId) external {
-        require(cropNFT.ownerOf(_tokenId) == msg.sender, "Not crop owner");
-        cropNFT.waterCropForOwner(_tokenId, msg.sender);
+    function waterCrop(uint256 _tokenId) external whenFeatureActive(Feature.PLANTING) {
+        address sender = _msgSender();
+        require(cropNFT.ownerOf(_tokenId) == sender, "Not crop owner");
+        cropNFT.waterCropForOwner(_tokenId, sender);
+    }
+    
+    /**
+     * @dev Waters several crops in one transaction
+     * @param _tokenIds IDs of the crops to water
+     */
+    function waterCrops(uint256[] calldata _tokenIds) external whenFeatureActive(Feature.PLANTING) {
+        address sender = _msgSender();
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            require(cropNFT.ownerOf(_tokenIds[i]) == sender, "Not crop owner");
+            cropNFT.waterCropForOwner(_tokenIds[i], sender);
+        }
+    }
+    
+    /**
+     * @dev Reports a check-in or harvest to the activity hook and returns the bonus it grants.
+     * A failing hook costs the farmer only the bonus, never the action itself.
+     * @param _call Encoded hook call
+     */
+    function _activityBonus(bytes memory _call) internal returns (uint256 bonus) {
+        if (address(activityHook) == address(0)) return 0;
+        (bool success, bytes memory result) = address(activityHook).call(_call);
+        if (success && result.length == 32) bonus = abi.decode(result, (uint256));
+    }
+    
+    /**
+     * @dev Takes a planting fee from a farmer, burns its burn share and keeps the rest as reward reserve
+     * @param _farmer Farmer paying the fee
+     * @param _cropType Crop type being planted
+     * @param _fee Fee in HARVEST
+     */
+    function _collectPlantingFee(address _farmer, uint256 _cropType, uint256 _fee) internal {
+        if (_fee == 0) return;
+        
+        harvestToken.transferFrom(_farmer, address(this), _fee);
+        uint256 burned = _fee * plantingFeeBurnPercent / 100;
+        if (burned > 0) {
+            harvestToken.burn(burned);
+        }
+        
+        emit PlantingFeePaid(_farmer, _cropType, burned, _fee - burned);
+    }
+    
+    /**
+     * @dev Harvest reward multiplier a farmer's new crops get from locked, time-weighted stake
+     * @param _farmer Farmer address
+     * @return Multiplier where 100 = 1x
+     */
+    function getCropBonusMultiplier(address _farmer) public view returns (uint256) {
+        uint256 lockedWeight = getLockedStakeWeight(_farmer);
+        if (lockedWeight >= 10000 * 10**18) {
+            return 150; // 1.5x for large stakers
+        } else if (lockedWeight >= 1000 * 10**18) {
+            return 125; // 1.25x for medium stakers
+        }
+        return 100; // Base 1x multiplier
+    }
+    
+    /**
+     * @dev Number of crops a farmer can grow at once: the base limit plus one plot per stake step, capped
+     * @param _farmer Farmer address
+     */
+    function getPlotLimit(address _farmer) public view returns (uint256) {
+        uint256 limit = basePlotLimit;
+        if (plotStakeStep > 0) {
+            limit = limit + farmers[_farmer].totalStaked / plotStakeStep;
+        }
+        return limit < maxPlotLimit ? limit : maxPlotLimit;
+    }
+    
+    /**
+     * @dev Base-yield estimate of the return of planting a crop type now, using the farmer's current
+     * bonus multiplier. It assumes a common crop at a 100% yield: the rarity multiplier and yield
+     * variance rolled for each crop are not included, so a real harvest pays more or less than this.
+     * @param _cropType Crop type ID
+     * @param _farmer Farmer address
+     * @return plantingCost HARVEST charged to plant
+     * @return expectedReward HARVEST a common crop pays on harvest at a 100% yield
+     * @return netReturn Reward minus cost
+     * @return roiBps Net return in basis points of the cost (0 when planting is free)
+     */
+    function getCropROI(uint256 _cropType, address _farmer) external view returns (
+        uint256 plantingCost,
+        uint256 expectedReward,
+        int256 netReturn,
+        int256 roiBps
+    ) {
+        CropNFT.CropType memory cropType = cropNFT.getCropType(_cropType);
+        plantingCost = cropType.plantingCost;
+        expectedReward = cropType.baseReward * getCropBonusMultiplier(_farmer) / 100;
+        netReturn = int256(expectedReward) - int256(plantingCost);
+        if (plantingCost > 0) {
+            roiBps = netReturn * 10000 / int256(plantingCost);
+        }
     }
     
     /**
@@ -287,35 +707,107 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
      * @param _rewardRate Reward rate in tokens per second per staked token
      * @param _minimumStake Minimum stake required
      */
-    function createPool(uint256 _rewardRate, uint256 _minimumStake) external onlyOwner {
-        _createPool(_rewardRate, _minimumStake);
+    function createPool(uint256 _rewardRate, uint256 _minimumStake) external onlyRole(POOL_MANAGER_ROLE) {
+        _createPool(_rewardRate, _minimumStake, 0);
+    }
+    
+    /**
+     * @dev Creates a time-locked farming pool using the lock tier for `_lockDuration`
+     * @param _rewardRate Reward rate in tokens per second per staked token
+     * @param _minimumStake Minimum stake required
+     * @param _lockDuration Lock length in seconds; must match an enabled lock tier
+     */
+    function createLockedPool(
+        uint256 _rewardRate,
+        uint256 _minimumStake,
+        uint256 _lockDuration
+    ) external onlyRole(POOL_MANAGER_ROLE) {
+        require(_lockDuration > 0, "Lock duration must be greater than 0");
+        require(lockTiers[_lockDuration].isEnabled, "Lock tier not enabled");
+        _createPool(_rewardRate, _minimumStake, _lockDuration);
     }
     
     /**
      * @dev Internal function to create a farming pool
+     * @param _lockDuration Lock length in seconds (0 for a flexible pool)
      */
-    function _createPool(uint256 _rewardRate, uint256 _minimumStake) internal {
+    function _createPool(uint256 _rewardRate, uint256 _minimumStake, uint256 _lockDuration) internal {
+        uint256 boostMultiplier = 100;
+        uint256 earlyUnstakePenalty = 0;
+        if (_lockDuration > 0) {
+            boostMultiplier = lockTiers[_lockDuration].boostMultiplier;
+            earlyUnstakePenalty = lockTiers[_lockDuration].earlyUnstakePenalty;
+        }
+        
         farmPools[totalPools] = FarmPool({
             rewardRate: _rewardRate,
             totalStaked: 0,
             lastUpdateTime: block.timestamp,
             rewardPerTokenStored: 0,
             minimumStake: _minimumStake,
-            isActive: true
+            isActive: true,
+            lockDuration: _lockDuration,
+            boostMultiplier: boostMultiplier,
+            earlyUnstakePenalty: earlyUnstakePenalty
         });
-          emit PoolCreated(totalPools, _rewardRate, _minimumStake);
+        
+        emit PoolCreated(totalPools, _rewardRate, _minimumStake);
+        if (_lockDuration > 0) {
+            emit LockedPoolCreated(totalPools, _lockDuration, boostMultiplier, earlyUnstakePenalty);
+        }
         totalPools = totalPools + 1;
     }
     
+    /**
+     * @dev Adds or updates a lock tier. Existing pools keep the tier values they were created with.
+     * @param _lockDuration Lock length in seconds
+     * @param _boostMultiplier Reward boost for the tier (100 = 1x)
+     * @param _earlyUnstakePenalty Percentage of principal burned on early unstake
+     * @param _isEnabled Whether new pools can be created with this tier
+     */
+    function setLockTier(
+        uint256 _lockDuration,
+        uint256 _boostMultiplier,
+        uint256 _earlyUnstakePenalty,
+        bool _isEnabled
+    ) external onlyRole(POOL_MANAGER_ROLE) {
+        _setLockTier(_lockDuration, _boostMultiplier, _earlyUnstakePenalty, _isEnabled);
+    }
+    
+    /**
+     * @dev Internal function to configure a lock tier
+     */
+    function _setLockTier(
+        uint256 _lockDuration,
+        uint256 _boostMultiplier,
+        uint256 _earlyUnstakePenalty,
+        bool _isEnabled
+    ) internal {
+        require(_lockDuration > 0, "Lock duration must be greater than 0");
+        require(_boostMultiplier >= 100, "Boost multiplier cannot be less than 100");
+        require(_earlyUnstakePenalty <= MAX_EARLY_UNSTAKE_PENALTY, "Penalty too high");
+        
+        lockTiers[_lockDuration] = LockTier({
+            boostMultiplier: _boostMultiplier,
+            earlyUnstakePenalty: _earlyUnstakePenalty,
+            isEnabled: _isEnabled
+        });
+        
+        emit LockTierUpdated(_lockDuration, _boostMultiplier, _earlyUnstakePenalty, _isEnabled);
+    }
+    
     /**
      * @dev Updates a farming pool's parameters
      * @param _poolId ID of the pool to update
      * @param _rewardRate New reward rate
      * @param _isActive Whether the pool is active
      */
-    function updatePool(uint256 _poolId, uint256 _rewardRate, bool _isActive) external onlyOwner {
+    function updatePool(uint256 _poolId, uint256 _rewardRate, bool _isActive) external onlyRole(POOL_MANAGER_ROLE) {
         require(_poolId < totalPools, "Invalid pool ID");
         
+        // Settle rewards accrued at the old rate first
+        _updateReward(address(0), _poolId);
+        
         FarmPool storage pool = farmPools[_poolId];
         pool.rewardRate = _rewardRate;
         pool.isActive = _isActive;
@@ -328,16 +820,26 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
      */
     modifier updateReward(address _account, uint256 _poolId) {
         require(_poolId < totalPools, "Invalid pool ID");
-        
+        _updateReward(_account, _poolId);
+        _;
+    }
+    
+    /**
+     * @dev Settles a pool's accumulator and the account's pending reward in it
+     * @param _account User address (zero to only update the pool)
+     * @param _poolId ID of the farming pool
+     */
+    function _updateReward(address _account, uint256 _poolId) internal {
         FarmPool storage pool = farmPools[_poolId];
-        pool.rewardPerTokenStored = rewardPerToken(_poolId);
+        uint256 newRewardPerToken = rewardPerToken(_poolId);
+        settledRewardObligations = settledRewardObligations + _poolAccrual(_poolId, newRewardPerToken);
+        pool.rewardPerTokenStored = newRewardPerToken;
         pool.lastUpdateTime = block.timestamp;
         
         if (_account != address(0)) {
-            rewards[_account] = earned(_account, _poolId);
+            rewards[_account][_poolId] = earned(_account, _poolId);
             userRewardPerTokenPaid[_account][_poolId] = pool.rewardPerTokenStored;
         }
-        _;
     }
     
     /**
@@ -350,35 +852,401 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
         if (pool.totalStaked == 0) {
             return pool.rewardPerTokenStored;
         }
-          return pool.rewardPerTokenStored + (
-            (block.timestamp - pool.lastUpdateTime) * pool.rewardRate * 1e18 / pool.totalStaked
+        return pool.rewardPerTokenStored + (
+            _scheduledEmission(pool.rewardRate, pool.lastUpdateTime, block.timestamp) * 1e18 / pool.totalStaked
         );
     }
     
+    /**
+     * @dev Integrates a base reward rate over [_from, _to) along the halving schedule
+     * @param _rate Base reward rate before halvings
+     * @param _from Start timestamp
+     * @param _to End timestamp
+     */
+    function _scheduledEmission(uint256 _rate, uint256 _from, uint256 _to) internal view returns (uint256 total) {
+        if (halvingInterval == 0) {
+            return (_to - _from) * _rate;
+        }
+        
+        while (_from < _to) {
+            uint256 halvings = (_from - emissionStart) / halvingInterval;
+            if (halvings >= MAX_HALVINGS) break;
+            
+            uint256 segmentEnd = emissionStart + (halvings + 1) * halvingInterval;
+            if (segmentEnd > _to) segmentEnd = _to;
+            
+            total = total + (segmentEnd - _from) * (_rate >> halvings);
+            _from = segmentEnd;
+        }
+    }
+    
+    /**
+     * @dev Current reward rate of a pool after halvings (before lock boost)
+     * @param _poolId ID of the farming pool
+     */
+    function currentRewardRate(uint256 _poolId) public view returns (uint256) {
+        uint256 rate = farmPools[_poolId].rewardRate;
+        if (halvingInterval == 0) return rate;
+        
+        uint256 halvings = (block.timestamp - emissionStart) / halvingInterval;
+        return halvings >= MAX_HALVINGS ? 0 : rate >> halvings;
+    }
+    
+    /**
+     * @dev Pays a reward from the funded reserve, minting only the shortfall.
+     * Every reward path goes through here so the per-epoch cap covers all emissions.
+     * Whatever the cap leaves no room for is credited to deferredRewards instead of reverting.
+     * Only owed rewards (claimed staking rewards and deferred rewards) may use the reserve set aside for obligations;
+     * every other reward is paid from the free reserve so it never spends what stakers are owed.
+     * @param _to Reward recipient
+     * @param _amount Reward amount
+     * @param _owed Whether the amount was already released from the obligations
+     */
+    function _distributeReward(address _to, uint256 _amount, bool _owed) internal {
+        uint256 epoch = currentEpoch();
+        uint256 amount = _amount;
+        if (epochEmissionCap > 0) {
+            uint256 remaining = epochEmissions[epoch] >= epochEmissionCap ? 0 : epochEmissionCap - epochEmissions[epoch];
+            if (amount > remaining) {
+                amount = remaining;
+                deferredRewards[_to] = deferredRewards[_to] + _amount - amount;
+                totalDeferredRewards = totalDeferredRewards + _amount - amount;
+                emit RewardDeferred(_to, _amount - amount);
+                if (amount == 0) {
+                    return;
+                }
+            }
+        }
+        epochEmissions[epoch] = epochEmissions[epoch] + amount;
+        
+        uint256 reserve = _owed ? rewardReserveBalance() : freeRewardReserve();
+        uint256 fromReserve = amount <= reserve ? amount : reserve;
+        uint256 minted = amount - fromReserve;
+        
+        if (fromReserve > 0) {
+            harvestToken.transfer(_to, fromReserve);
+        }
+        if (minted > 0) {
+            require(mintFallbackEnabled, "Reward reserve exhausted");
+            harvestToken.mintRewards(_to, minted);
+            totalRewardsMinted = totalRewardsMinted + minted;
+        }
+        
+        totalRewardsDistributed = totalRewardsDistributed + amount;
+        emit EmissionPaid(_to, fromReserve, minted);
+    }
+    
+    /**
+     * @dev Rewards a pool has accrued to all its stakers since its last update
+     * @param _poolId ID of the farming pool
+     * @param _rewardPerToken Current reward per token of the pool
+     */
+    function _poolAccrual(uint256 _poolId, uint256 _rewardPerToken) internal view returns (uint256) {
+        FarmPool storage pool = farmPools[_poolId];
+        return (_rewardPerToken - pool.rewardPerTokenStored) * pool.totalStaked * pool.boostMultiplier / 100 / 1e18;
+    }
+    
+    /**
+     * @dev Removes claimed or forfeited rewards from the outstanding obligations.
+     * Per-user rounding can leave the aggregate a few wei short, so it floors at zero.
+     * @param _amount Reward amount leaving the books
+     */
+    function _releaseRewardObligation(uint256 _amount) internal {
+        settledRewardObligations = _amount < settledRewardObligations ? settledRewardObligations - _amount : 0;
+    }
+    
+    /**
+     * @dev Staking rewards accrued to all stakers and not yet claimed, including accrual since each pool's last update,
+     * plus rewards deferred by the epoch cap
+     */
+    function totalRewardObligations() public view returns (uint256 obligations) {
+        obligations = settledRewardObligations + totalDeferredRewards;
+        for (uint256 i = 0; i < totalPools; i++) {
+            obligations = obligations + _poolAccrual(i, rewardPerToken(i));
+        }
+    }
+    
+    /**
+     * @dev Reserve the treasurer can withdraw: balance minus principal minus outstanding staking rewards
+     */
+    function freeRewardReserve() public view returns (uint256) {
+        uint256 reserve = rewardReserveBalance();
+        uint256 obligations = totalRewardObligations();
+        return reserve > obligations ? reserve - obligations : 0;
+    }
+    
+    /**
+     * @dev Solvency invariant: the HARVEST balance covers all principal plus outstanding staking rewards
+     * @return balance HARVEST held by the contract
+     * @return principal Total staked principal
+     * @return obligations Outstanding staking rewards
+     * @return solvent Whether balance >= principal + obligations
+     */
+    function getSolvency() external view returns (
+        uint256 balance,
+        uint256 principal,
+        uint256 obligations,
+        bool solvent
+    ) {
+        balance = harvestToken.balanceOf(address(this));
+        principal = totalPrincipal;
+        obligations = totalRewardObligations();
+        solvent = balance >= principal + obligations;
+    }
+    
+    /**
+     * @dev Adds HARVEST from the caller to the reward reserve
+     * @param _amount Amount to deposit
+     */
+    function depositRewardReserve(uint256 _amount) external onlyRole(TREASURER_ROLE) {
+        address sender = _msgSender();
+        require(_amount > 0, "Amount must be greater than 0");
+        harvestToken.transferFrom(sender, address(this), _amount);
+        emit RewardReserveDeposited(sender, _amount);
+    }
+    
+    /**
+     * @dev Withdraws excess reward reserve. Principal and outstanding staking rewards cannot be withdrawn.
+     * @param _to Recipient address
+     * @param _amount Amount to withdraw
+     */
+    function withdrawRewardReserve(address _to, uint256 _amount) external onlyRole(TREASURER_ROLE) {
+        require(_to != address(0), "Recipient cannot be zero address");
+        require(_amount <= freeRewardReserve(), "Amount exceeds free reserve");
+        harvestToken.transfer(_to, _amount);
+        emit RewardReserveWithdrawn(_to, _amount);
+    }
+    
+    /**
+     * @dev HARVEST held by the contract beyond staked principal
+     */
+    function rewardReserveBalance() public view returns (uint256) {
+        uint256 balance = harvestToken.balanceOf(address(this));
+        return balance > totalPrincipal ? balance - totalPrincipal : 0;
+    }
+    
+    /**
+     * @dev Index of the current emission epoch
+     */
+    function currentEpoch() public view returns (uint256) {
+        return (block.timestamp - emissionStart) / EPOCH_DURATION;
+    }
+    
+    /**
+     * @dev Remaining emission budget and projected staking runway
+     * @return reserveBalance Funded reserve available for rewards
+     * @return epoch Current epoch index
+     * @return epochEmitted Rewards paid in the current epoch
+     * @return epochRemaining Rewards still allowed this epoch (max uint when uncapped)
+     * @return stakingEmissionRate Rewards per second currently accruing across all pools
+     * @return projectedRunway Seconds until the reserve is exhausted by staking rewards alone (max uint if never)
+     */
+    function getEmissionStatus() external view returns (
+        uint256 reserveBalance,
+        uint256 epoch,
+        uint256 epochEmitted,
+        uint256 epochRemaining,
+        uint256 stakingEmissionRate,
+        uint256 projectedRunway
+    ) {
+        reserveBalance = rewardReserveBalance();
+        epoch = currentEpoch();
+        epochEmitted = epochEmissions[epoch];
+        if (epochEmissionCap == 0) {
+            epochRemaining = type(uint256).max;
+        } else {
+            epochRemaining = epochEmitted >= epochEmissionCap ? 0 : epochEmissionCap - epochEmitted;
+        }
+        
+        // Base (unhalved) rate of every pool that currently has stakers
+        uint256 baseRate;
+        for (uint256 i = 0; i < totalPools; i++) {
+            if (farmPools[i].totalStaked > 0) {
+                baseRate = baseRate + farmPools[i].rewardRate * farmPools[i].boostMultiplier / 100;
+            }
+        }
+        
+        stakingEmissionRate = _halvedRate(baseRate, block.timestamp);
+        projectedRunway = _projectRunway(reserveBalance, baseRate);
+    }
+    
+    /**
+     * @dev Applies the halvings in effect at `_timestamp` to a base rate
+     */
+    function _halvedRate(uint256 _baseRate, uint256 _timestamp) internal view returns (uint256) {
+        if (halvingInterval == 0) return _baseRate;
+        uint256 halvings = (_timestamp - emissionStart) / halvingInterval;
+        return halvings >= MAX_HALVINGS ? 0 : _baseRate >> halvings;
+    }
+    
+    /**
+     * @dev Walks the halving schedule forward until `_reserve` is spent at `_baseRate`
+     */
+    function _projectRunway(uint256 _reserve, uint256 _baseRate) internal view returns (uint256 runway) {
+        uint256 t = block.timestamp;
+        
+        while (true) {
+            uint256 rate = _halvedRate(_baseRate, t);
+            if (rate == 0) return type(uint256).max;
+            if (halvingInterval == 0) return _reserve / rate;
+            
+            uint256 segmentEnd = emissionStart + ((t - emissionStart) / halvingInterval + 1) * halvingInterval;
+            uint256 segmentCost = (segmentEnd - t) * rate;
+            if (segmentCost >= _reserve) return runway + _reserve / rate;
+            
+            _reserve = _reserve - segmentCost;
+            runway = runway + (segmentEnd - t);
+            t = segmentEnd;
+        }
+    }
+    
+    /**
+     * @dev Updates the halving interval. All pools are settled first so past accrual keeps the old curve.
+     * @param _halvingInterval New interval in seconds (0 disables halving)
+     */
+    function setHalvingInterval(uint256 _halvingInterval) external onlyRole(POOL_MANAGER_ROLE) {
+        for (uint256 i = 0; i < totalPools; i++) {
+            _updateReward(address(0), i);
+        }
+        halvingInterval = _halvingInterval;
+        emit HalvingIntervalUpdated(_halvingInterval);
+    }
+    
+    /**
+     * @dev Updates the per-epoch emission cap
+     * @param _epochEmissionCap New cap (0 = uncapped)
+     */
+    function setEpochEmissionCap(uint256 _epochEmissionCap) external onlyRole(POOL_MANAGER_ROLE) {
+        epochEmissionCap = _epochEmissionCap;
+        emit EpochEmissionCapUpdated(_epochEmissionCap);
+    }
+    
+    /**
+     * @dev Sets the share of planting fees that is burned; the rest goes to the reward reserve
+     * @param _burnPercent Percentage burned (0-100)
+     */
+    function setPlantingFeeBurnPercent(uint256 _burnPercent) external onlyRole(TREASURER_ROLE) {
+        require(_burnPercent <= 100, "Burn percent cannot exceed 100");
+        plantingFeeBurnPercent = _burnPercent;
+        emit PlantingFeeBurnPercentUpdated(_burnPercent);
+    }
+    
+    /**
+     * @dev Configures how many crops a farmer can grow at once
+     * @param _basePlotLimit Plots available without staking
+     * @param _plotStakeStep Staked HARVEST per extra plot (0 = no extra plots)
+     * @param _maxPlotLimit Plot limit ceiling
+     */
+    function setPlotLimits(uint256 _basePlotLimit, uint256 _plotStakeStep, uint256 _maxPlotLimit) external onlyRole(POOL_MANAGER_ROLE) {
+        require(_basePlotLimit > 0, "Base plot limit must be greater than 0");
+        require(_maxPlotLimit >= _basePlotLimit, "Max plot limit below base");
+        basePlotLimit = _basePlotLimit;
+        plotStakeStep = _plotStakeStep;
+        maxPlotLimit = _maxPlotLimit;
+        emit PlotLimitsUpdated(_basePlotLimit, _plotStakeStep, _maxPlotLimit);
+    }
+    
+    /**
+     * @dev Enables or disables minting when the reserve cannot cover a reward
+     * @param _enabled Whether to mint the shortfall
+     */
+    function setMintFallbackEnabled(bool _enabled) external onlyRole(TREASURER_ROLE) {
+        mintFallbackEnabled = _enabled;
+        emit MintFallbackUpdated(_enabled);
+    }
+    
+    /**
+     * @dev Enables or disables the emergency exit. Pausing alone never waives lock penalties,
+     * so only the admin can let locked stakers leave early at no cost.
+     * @param _enabled Whether emergencyWithdraw waives the early-unstake penalty
+     */
+    function setEmergencyExitEnabled(bool _enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emergencyExitEnabled = _enabled;
+        emit EmergencyExitUpdated(_enabled);
+    }
+    
+    /**
+     * @dev Sets the ERC-2771 forwarder allowed to relay farmer calls.
+     * A forwarder can act for any farmer, so only the admin may change it.
+     * @param _forwarder Forwarder address (zero disables meta-transactions)
+     */
+    function setTrustedForwarder(address _forwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _trustedForwarder = _forwarder;
+        emit TrustedForwarderUpdated(_forwarder);
+    }
+    
+    /**
+     * @dev Sets the contract told about check-ins and harvests. Its bonuses are paid
+     * from the emission budget, so only the admin may change it.
+     * @param _hook Hook address (zero disables it)
+     */
+    function setActivityHook(address _hook) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        activityHook = IFarmActivityHook(_hook);
+        emit ActivityHookUpdated(_hook);
+    }
+    
+    /**
+     * @dev Forwarder currently trusted to relay farmer calls
+     */
+    function trustedForwarder() public view override returns (address) {
+        return _trustedForwarder;
+    }
+    
     /**
      * @dev Calculates earned rewards for a user in a pool
      * @param _account User address
      * @param _poolId ID of the farming pool
-     */    function earned(address _account, uint256 _poolId) public view returns (uint256) {
-        return stakes[_account].amount * (
+     */
+    function earned(address _account, uint256 _poolId) public view returns (uint256) {
+        return stakes[_account][_poolId].amount * (
             rewardPerToken(_poolId) - userRewardPerTokenPaid[_account][_poolId]
-        ) / 1e18 + rewards[_account];
+        ) * farmPools[_poolId].boostMultiplier / 100 / 1e18 + rewards[_account][_poolId];
     }
     
     /**
-     * @dev Removes a crop from farmer's owned crops list
+     * @dev Calculates a farmer's locked stake weighted by lock length.
+     * Only positions that are still locked count; stake locked for LOCK_WEIGHT_PERIOD counts 1x.
+     * @param _account Farmer address
      */
-    function _removeCropFromFarmer(address _farmer, uint256 _tokenId) internal {
-        uint256[] storage crops = farmers[_farmer].ownedCrops;
-        for (uint256 i = 0; i < crops.length; i++) {
-            if (crops[i] == _tokenId) {
-                crops[i] = crops[crops.length - 1];
-                crops.pop();
-                break;
+    function getLockedStakeWeight(address _account) public view returns (uint256 weight) {
+        for (uint256 i = 0; i < totalPools; i++) {
+            StakeInfo memory userStake = stakes[_account][i];
+            if (userStake.amount > 0 && userStake.unlockAt > block.timestamp) {
+                weight = weight + userStake.amount * farmPools[i].lockDuration / LOCK_WEIGHT_PERIOD;
             }
         }
     }
     
+    /**
+     * @dev Keeps farmers' crop lists in step with CropNFT mints, transfers and burns
+     * @param _from Previous owner, zero on mint
+     * @param _to New owner, zero on burn
+     * @param _tokenId ID of the crop
+     */
+    function onCropTransfer(address _from, address _to, uint256 _tokenId) external {
+        require(msg.sender == address(cropNFT), "Only CropNFT");
+        if (_from != address(0)) _removeCropFromFarmer(_from, _tokenId);
+        if (_to != address(0)) {
+            farmers[_to].ownedCrops.push(_tokenId);
+            _cropListIndex[_tokenId] = farmers[_to].ownedCrops.length;
+        }
+    }
+    
+    /**
+     * @dev Removes a crop from farmer's owned crops list by swapping in the last entry
+     */
+    function _removeCropFromFarmer(address _farmer, uint256 _tokenId) internal {
+        uint256[] storage crops = farmers[_farmer].ownedCrops;
+        uint256 position = _cropListIndex[_tokenId];
+        if (position == 0) return;
+        
+        uint256 lastTokenId = crops[crops.length - 1];
+        crops[position - 1] = lastTokenId;
+        _cropListIndex[lastTokenId] = position;
+        crops.pop();
+        delete _cropListIndex[_tokenId];
+    }
+    
     /**
      * @dev Gets farmer's owned crops
      * @param _farmer Farmer address
@@ -408,6 +1276,56 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
         );
     }
     
+    /**
+     * @dev Gets lock configuration of a pool
+     * @param _poolId ID of the farming pool
+     */
+    function getPoolLockInfo(uint256 _poolId) external view returns (
+        uint256 lockDuration,
+        uint256 boostMultiplier,
+        uint256 earlyUnstakePenalty
+    ) {
+        require(_poolId < totalPools, "Invalid pool ID");
+        FarmPool memory pool = farmPools[_poolId];
+        
+        return (
+            pool.lockDuration,
+            pool.boostMultiplier,
+            pool.earlyUnstakePenalty
+        );
+    }
+    
+    /**
+     * @dev Gets every pool position (stake or unclaimed reward) a user holds
+     * @param _account User address
+     */
+    function getUserPoolPositions(address _account) external view returns (PoolPosition[] memory positions) {
+        uint256 count;
+        for (uint256 i = 0; i < totalPools; i++) {
+            if (stakes[_account][i].amount > 0 || earned(_account, i) > 0) {
+                count++;
+            }
+        }
+        
+        positions = new PoolPosition[](count);
+        uint256 index;
+        for (uint256 i = 0; i < totalPools; i++) {
+            StakeInfo memory userStake = stakes[_account][i];
+            uint256 pending = earned(_account, i);
+            if (userStake.amount > 0 || pending > 0) {
+                positions[index] = PoolPosition({
+                    poolId: i,
+                    amount: userStake.amount,
+                    stakedAt: userStake.stakedAt,
+                    unlockAt: userStake.unlockAt,
+                    pendingRewards: pending,
+                    rewardsEarned: userStake.rewardsEarned
+                });
+                index++;
+            }
+        }
+    }
+    
     /**
      * @dev Gets farmer statistics
      * @param _farmer Farmer address
@@ -431,26 +1349,27 @@ contract FarmRewardSystem is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Emergency pause function
+     * @dev Emergency token recovery to the caller. HARVEST reserves are managed through withdrawRewardReserve.
+     * @param _token Token address to recover
+     * @param _amount Amount to recover
      */
-    function pause() external onlyOwner {
-        _pause();
+    function recoverERC20(address _token, uint256 _amount) external onlyRole(TREASURER_ROLE) {
+        address sender = _msgSender();
+        require(_token != address(harvestToken), "Cannot recover native token");
+        IERC20(_token).transfer(sender, _amount);
     }
     
-    /**
-     * @dev Unpause function
-     */
-    function unpause() external onlyOwner {
-        _unpause();
+    // Context resolution: relayed calls from the trusted forwarder act for the signer
+    
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
     }
     
-    /**
-     * @dev Emergency token recovery
-     * @param _token Token address to recover
-     * @param _amount Amount to recover
-     */
-    function recoverERC20(address _token, uint256 _amount) external onlyOwner {
-        require(_token != address(harvestToken), "Cannot recover native token");
-        IERC20(_token).transfer(owner(), _amount);
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
 }
@@ -0,0 +1,464 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./FeaturePausable.sol";
+import "./HarvestToken.sol";
+import "./CropNFT.sol";
+import "./IFarmActivityHook.sol";
+
+/**
+ * @title FarmSeasons
+ * @dev Seasons, quests, achievement badges and season leaderboards on top of FarmRewardSystem
+ * Features:
+ * - Seasons with fixed start and end times that never overlap
+ * - Quests per season, tracked from the check-ins and harvests FarmRewardSystem reports:
+ *   harvest N crops (of one type or any), reach a check-in streak within the season, check in N times
+ * - Soulbound ERC-1155 achievement badges minted on quest completion; held badges boost
+ *   check-in and harvest rewards, up to MAX_REWARD_BOOST
+ * - Season points (one per whole HARVEST of base rewards earned, plus quest points) ranked on a top-LEADERBOARD_SIZE board
+ * - HARVEST prize pool per season, paid to the final leaderboard by rank share
+ * - SEASON_MANAGER_ROLE runs seasons, quests and badges; PAUSER_ROLE stops tracking without affecting farming,
+ *   globally or for check-ins or harvests only
+ */
+contract FarmSeasons is ERC1155, FeaturePausable, ReentrancyGuard, IFarmActivityHook {
+
+    bytes32 public constant SEASON_MANAGER_ROLE = keccak256("SEASON_MANAGER_ROLE");
+
+    uint256 public constant LEADERBOARD_SIZE = 10;
+    uint256 public constant MAX_QUESTS_PER_SEASON = 20;
+    uint256 public constant MAX_BADGE_TYPES = 32;
+    uint256 public constant MAX_REWARD_BOOST = 50; // Badge boosts stack up to +50%
+    uint256 public constant ANY_CROP = type(uint256).max; // Harvest quest crop type matching every crop
+
+    enum QuestKind {
+        HARVEST,         // Harvest `target` crops of `cropType` during the season
+        CHECK_IN_STREAK, // Reach a streak of `target` daily check-ins made since the season started
+        CHECK_INS        // Check in `target` times during the season
+    }
+
+    struct Season {
+        uint256 startTime;
+        uint256 endTime;
+        uint256 prizePool;
+        bool finalized;
+    }
+
+    struct Quest {
+        uint256 seasonId;
+        QuestKind kind;
+        uint256 cropType;
+        uint256 target;
+        uint256 badgeId;
+        uint256 points; // Season points awarded on completion
+    }
+
+    struct LeaderboardEntry {
+        address farmer;
+        uint256 points;
+    }
+
+    HarvestToken public immutable harvestToken;
+    CropNFT public immutable cropNFT;
+    address public immutable farmRewardSystem;
+
+    Season[] private _seasons;
+    mapping(uint256 => uint256[]) private _seasonPrizeShares; // seasonId => percent per rank
+    mapping(uint256 => uint256[]) private _seasonQuests; // seasonId => quest IDs
+    mapping(uint256 => address[]) private _leaderboards; // seasonId => farmers by rank
+    mapping(uint256 => mapping(address => uint256)) public seasonPoints;
+    mapping(uint256 => mapping(address => uint256)) public seasonStreak; // seasonId => farmer => streak counted from the season start
+
+    Quest[] private _quests;
+    mapping(uint256 => mapping(address => uint256)) public questProgress; // questId => farmer => progress
+    mapping(uint256 => mapping(address => bool)) public questCompleted;
+
+    // Badge ID => reward boost in percent; zero means the badge is not defined
+    mapping(uint256 => uint256) public badgeBoost;
+    uint256[] private _badgeIds;
+
+    // Events
+    event SeasonCreated(uint256 indexed seasonId, uint256 startTime, uint256 endTime, uint256[] prizeShares);
+    event QuestCreated(uint256 indexed questId, uint256 indexed seasonId, QuestKind kind, uint256 cropType, uint256 target, uint256 badgeId, uint256 points);
+    event QuestProgressed(uint256 indexed questId, address indexed farmer, uint256 progress);
+    event QuestCompleted(uint256 indexed questId, address indexed farmer, uint256 badgeId);
+    event BadgeDefined(uint256 indexed badgeId, uint256 boostPercent);
+    event SeasonPointsAdded(uint256 indexed seasonId, address indexed farmer, uint256 points, uint256 total);
+    event PrizePoolFunded(uint256 indexed seasonId, address indexed from, uint256 amount);
+    event PrizePaid(uint256 indexed seasonId, address indexed farmer, uint256 rank, uint256 amount);
+    event SeasonFinalized(uint256 indexed seasonId, uint256 paid, uint256 returnedToReserve);
+
+    modifier onlyFarm() {
+        require(msg.sender == farmRewardSystem, "Only FarmRewardSystem");
+        _;
+    }
+
+    constructor(address _harvestToken, address _cropNFT, address _farmRewardSystem, string memory _uri) ERC1155(_uri) {
+        require(_harvestToken != address(0), "Token cannot be zero address");
+        require(_cropNFT != address(0), "CropNFT cannot be zero address");
+        require(_farmRewardSystem != address(0), "Farm cannot be zero address");
+        harvestToken = HarvestToken(_harvestToken);
+        cropNFT = CropNFT(_cropNFT);
+        farmRewardSystem = _farmRewardSystem;
+
+        // The deployer holds every role until they are handed over
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(SEASON_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Tracks a check-in for streak and check-in quests and returns the farmer's badge bonus
+     */
+    function onCheckIn(address _farmer, uint256 _streak, uint256 _reward) external onlyFarm returns (uint256) {
+        if (!isFeatureActive(Feature.CHECK_IN)) return 0;
+
+        (bool active, uint256 seasonId) = currentSeason();
+        if (active) {
+            // The farm's streak may have started before the season; only check-ins since the start count
+            uint256 streak = seasonStreak[seasonId][_farmer] + 1;
+            if (streak > _streak) streak = _streak;
+            seasonStreak[seasonId][_farmer] = streak;
+
+            uint256[] storage questIds = _seasonQuests[seasonId];
+            for (uint256 i = 0; i < questIds.length; i++) {
+                Quest storage quest = _quests[questIds[i]];
+                if (quest.kind == QuestKind.CHECK_IN_STREAK) {
+                    _setProgress(questIds[i], quest, _farmer, streak);
+                } else if (quest.kind == QuestKind.CHECK_INS) {
+                    _setProgress(questIds[i], quest, _farmer, questProgress[questIds[i]][_farmer] + 1);
+                }
+            }
+            _addPoints(seasonId, _farmer, _reward / 1e18);
+        }
+
+        return _reward * rewardBoost(_farmer) / 100;
+    }
+
+    /**
+     * @dev Tracks a harvest for harvest quests and returns the farmer's badge bonus
+     */
+    function onHarvest(address _farmer, uint256 _tokenId, uint256 _reward) external onlyFarm returns (uint256) {
+        if (!isFeatureActive(Feature.HARVESTING)) return 0;
+
+        (bool active, uint256 seasonId) = currentSeason();
+        if (active) {
+            // Harvested crops are burned but their data stays readable
+            (uint256 cropType, , , , , , , , , , ) = cropNFT.crops(_tokenId);
+            uint256[] storage questIds = _seasonQuests[seasonId];
+            for (uint256 i = 0; i < questIds.length; i++) {
+                Quest storage quest = _quests[questIds[i]];
+                if (quest.kind == QuestKind.HARVEST && (quest.cropType == ANY_CROP || quest.cropType == cropType)) {
+                    _setProgress(questIds[i], quest, _farmer, questProgress[questIds[i]][_farmer] + 1);
+                }
+            }
+            _addPoints(seasonId, _farmer, _reward / 1e18);
+        }
+
+        return _reward * rewardBoost(_farmer) / 100;
+    }
+
+    /**
+     * @dev Records quest progress and completes the quest once it reaches its target.
+     * Progress only moves up, so a broken streak keeps the best streak of the season.
+     */
+    function _setProgress(uint256 _questId, Quest storage _quest, address _farmer, uint256 _progress) internal {
+        if (questCompleted[_questId][_farmer] || _progress <= questProgress[_questId][_farmer]) return;
+
+        questProgress[_questId][_farmer] = _progress;
+        emit QuestProgressed(_questId, _farmer, _progress);
+
+        if (_progress >= _quest.target) {
+            questCompleted[_questId][_farmer] = true;
+            // Each badge is held at most once; repeating a quest in a later season only earns points
+            if (balanceOf(_farmer, _quest.badgeId) == 0) {
+                _mintBadge(_farmer, _quest.badgeId);
+            }
+            emit QuestCompleted(_questId, _farmer, _quest.badgeId);
+            _addPoints(_quest.seasonId, _farmer, _quest.points);
+        }
+    }
+
+    /**
+     * @dev Adds season points and moves the farmer up the leaderboard.
+     * Ties keep the farmer who got there first ahead.
+     */
+    function _addPoints(uint256 _seasonId, address _farmer, uint256 _points) internal {
+        if (_points == 0) return;
+        uint256 total = seasonPoints[_seasonId][_farmer] + _points;
+        seasonPoints[_seasonId][_farmer] = total;
+        emit SeasonPointsAdded(_seasonId, _farmer, _points, total);
+
+        address[] storage board = _leaderboards[_seasonId];
+        uint256 position = board.length;
+        for (uint256 i = 0; i < board.length; i++) {
+            if (board[i] == _farmer) {
+                position = i;
+                break;
+            }
+        }
+        if (position == board.length) {
+            if (board.length < LEADERBOARD_SIZE) {
+                board.push(_farmer);
+            } else if (total > seasonPoints[_seasonId][board[LEADERBOARD_SIZE - 1]]) {
+                position = LEADERBOARD_SIZE - 1;
+                board[position] = _farmer;
+            } else {
+                return;
+            }
+        }
+
+        while (position > 0 && seasonPoints[_seasonId][board[position - 1]] < total) {
+            board[position] = board[position - 1];
+            position--;
+        }
+        board[position] = _farmer;
+    }
+
+    /**
+     * @dev Adds HARVEST to a season's prize pool. Anyone can fund a season until it is finalized.
+     * @param _seasonId Season to fund
+     * @param _amount Amount of HARVEST, approved to this contract first
+     */
+    function fundPrizePool(uint256 _seasonId, uint256 _amount) external nonReentrant {
+        require(_seasonId < _seasons.length, "Invalid season ID");
+        require(_amount > 0, "Amount must be greater than 0");
+        Season storage season = _seasons[_seasonId];
+        require(!season.finalized, "Season already finalized");
+
+        harvestToken.transferFrom(msg.sender, address(this), _amount);
+        season.prizePool = season.prizePool + _amount;
+
+        emit PrizePoolFunded(_seasonId, msg.sender, _amount);
+    }
+
+    /**
+     * @dev Pays the prize pool of an ended season to its leaderboard by rank share.
+     * Shares without a farmer to take them go to the FarmRewardSystem reward reserve.
+     * Anyone can finalize once the season has ended.
+     * @param _seasonId Season to finalize
+     */
+    function finalizeSeason(uint256 _seasonId) external nonReentrant {
+        require(_seasonId < _seasons.length, "Invalid season ID");
+        Season storage season = _seasons[_seasonId];
+        require(block.timestamp >= season.endTime, "Season not ended");
+        require(!season.finalized, "Season already finalized");
+        season.finalized = true;
+
+        address[] storage board = _leaderboards[_seasonId];
+        uint256[] storage shares = _seasonPrizeShares[_seasonId];
+        uint256 paid = 0;
+        for (uint256 rank = 0; rank < shares.length && rank < board.length; rank++) {
+            uint256 prize = season.prizePool * shares[rank] / 100;
+            if (prize == 0) continue;
+            paid = paid + prize;
+            harvestToken.transfer(board[rank], prize);
+            emit PrizePaid(_seasonId, board[rank], rank + 1, prize);
+        }
+
+        uint256 leftover = season.prizePool - paid;
+        if (leftover > 0) {
+            harvestToken.transfer(farmRewardSystem, leftover);
+        }
+
+        emit SeasonFinalized(_seasonId, paid, leftover);
+    }
+
+    /**
+     * @dev Schedules a season after every existing one
+     * @param _startTime Season start timestamp
+     * @param _endTime Season end timestamp
+     * @param _prizeShares Percent of the prize pool per leaderboard rank, summing to 100
+     */
+    function createSeason(uint256 _startTime, uint256 _endTime, uint256[] calldata _prizeShares)
+        external
+        onlyRole(SEASON_MANAGER_ROLE)
+        returns (uint256 seasonId)
+    {
+        require(_startTime >= block.timestamp && _endTime > _startTime, "Invalid season window");
+        if (_seasons.length > 0) {
+            require(_startTime >= _seasons[_seasons.length - 1].endTime, "Season overlaps previous season");
+        }
+        require(_prizeShares.length <= LEADERBOARD_SIZE, "Too many prize ranks");
+        uint256 totalShares = 0;
+        for (uint256 i = 0; i < _prizeShares.length; i++) {
+            totalShares = totalShares + _prizeShares[i];
+        }
+        require(totalShares == 100, "Prize shares must sum to 100");
+
+        seasonId = _seasons.length;
+        _seasons.push(Season({startTime: _startTime, endTime: _endTime, prizePool: 0, finalized: false}));
+        _seasonPrizeShares[seasonId] = _prizeShares;
+
+        emit SeasonCreated(seasonId, _startTime, _endTime, _prizeShares);
+    }
+
+    /**
+     * @dev Adds a quest to a season that has not ended
+     * @param _seasonId Season the quest belongs to
+     * @param _kind What the quest counts
+     * @param _cropType Crop type for harvest quests (ANY_CROP for every type); ignored otherwise
+     * @param _target Count or streak needed to complete the quest
+     * @param _badgeId Badge minted on completion; must be defined
+     * @param _points Season points awarded on completion (rewards earn one point per whole HARVEST)
+     */
+    function createQuest(
+        uint256 _seasonId,
+        QuestKind _kind,
+        uint256 _cropType,
+        uint256 _target,
+        uint256 _badgeId,
+        uint256 _points
+    ) external onlyRole(SEASON_MANAGER_ROLE) returns (uint256 questId) {
+        require(_seasonId < _seasons.length, "Invalid season ID");
+        require(block.timestamp < _seasons[_seasonId].endTime, "Season already ended");
+        require(_seasonQuests[_seasonId].length < MAX_QUESTS_PER_SEASON, "Too many quests");
+        require(_target > 0, "Target must be greater than 0");
+        require(badgeBoost[_badgeId] > 0, "Badge not defined");
+        if (_kind == QuestKind.HARVEST && _cropType != ANY_CROP) {
+            require(_cropType < cropNFT.cropTypeCount(), "Invalid crop type");
+        }
+
+        questId = _quests.length;
+        _quests.push(Quest({
+            seasonId: _seasonId,
+            kind: _kind,
+            cropType: _cropType,
+            target: _target,
+            badgeId: _badgeId,
+            points: _points
+        }));
+        _seasonQuests[_seasonId].push(questId);
+
+        emit QuestCreated(questId, _seasonId, _kind, _cropType, _target, _badgeId, _points);
+    }
+
+    /**
+     * @dev Defines a badge or changes its boost
+     * @param _badgeId Badge token ID
+     * @param _boostPercent Reward boost while holding the badge, in percent (1-MAX_REWARD_BOOST)
+     */
+    function defineBadge(uint256 _badgeId, uint256 _boostPercent) external onlyRole(SEASON_MANAGER_ROLE) {
+        require(_boostPercent > 0 && _boostPercent <= MAX_REWARD_BOOST, "Invalid boost");
+        if (badgeBoost[_badgeId] == 0) {
+            require(_badgeIds.length < MAX_BADGE_TYPES, "Too many badges");
+            _badgeIds.push(_badgeId);
+        }
+        badgeBoost[_badgeId] = _boostPercent;
+
+        emit BadgeDefined(_badgeId, _boostPercent);
+    }
+
+    /**
+     * @dev Sets the ERC-1155 metadata URI template ({id} is replaced by the badge ID)
+     * @param _uri New URI template
+     */
+    function setURI(string calldata _uri) external onlyRole(SEASON_MANAGER_ROLE) {
+        _setURI(_uri);
+    }
+
+    /**
+     * @dev The season running now, if any
+     * @return active Whether a season is running
+     * @return seasonId ID of the running season (0 when none is)
+     */
+    function currentSeason() public view returns (bool active, uint256 seasonId) {
+        // Seasons are ordered and never overlap, so only the latest started one can be running
+        for (uint256 i = _seasons.length; i > 0; i--) {
+            Season storage season = _seasons[i - 1];
+            if (season.startTime <= block.timestamp) {
+                return (block.timestamp < season.endTime, i - 1);
+            }
+        }
+    }
+
+    /**
+     * @dev Reward boost from the badges an account holds, in percent
+     * @param _account Farmer address
+     */
+    function rewardBoost(address _account) public view returns (uint256 boost) {
+        for (uint256 i = 0; i < _badgeIds.length; i++) {
+            if (balanceOf(_account, _badgeIds[i]) > 0) {
+                boost = boost + badgeBoost[_badgeIds[i]];
+            }
+        }
+        if (boost > MAX_REWARD_BOOST) boost = MAX_REWARD_BOOST;
+    }
+
+    /**
+     * @dev Gets a season with its prize shares
+     * @param _seasonId Season ID
+     */
+    function getSeason(uint256 _seasonId) external view returns (Season memory season, uint256[] memory prizeShares) {
+        require(_seasonId < _seasons.length, "Invalid season ID");
+        return (_seasons[_seasonId], _seasonPrizeShares[_seasonId]);
+    }
+
+    /**
+     * @dev Number of seasons created
+     */
+    function seasonCount() external view returns (uint256) {
+        return _seasons.length;
+    }
+
+    /**
+     * @dev Gets a quest
+     * @param _questId Quest ID
+     */
+    function getQuest(uint256 _questId) external view returns (Quest memory) {
+        require(_questId < _quests.length, "Invalid quest ID");
+        return _quests[_questId];
+    }
+
+    /**
+     * @dev Quest IDs of a season
+     * @param _seasonId Season ID
+     */
+    function getSeasonQuests(uint256 _seasonId) external view returns (uint256[] memory) {
+        return _seasonQuests[_seasonId];
+    }
+
+    /**
+     * @dev Season leaderboard, best first
+     * @param _seasonId Season ID
+     */
+    function getLeaderboard(uint256 _seasonId) external view returns (LeaderboardEntry[] memory entries) {
+        address[] storage board = _leaderboards[_seasonId];
+        entries = new LeaderboardEntry[](board.length);
+        for (uint256 i = 0; i < board.length; i++) {
+            entries[i] = LeaderboardEntry({farmer: board[i], points: seasonPoints[_seasonId][board[i]]});
+        }
+    }
+
+    /**
+     * @dev Defined badge IDs
+     */
+    function getBadgeIds() external view returns (uint256[] memory) {
+        return _badgeIds;
+    }
+
+    /**
+     * @dev Mints one badge without the ERC-1155 receiver check: badges cannot be moved,
+     * so a wallet that rejects them must not block quest completion
+     */
+    function _mintBadge(address _to, uint256 _badgeId) internal {
+        uint256[] memory ids = new uint256[](1);
+        uint256[] memory values = new uint256[](1);
+        ids[0] = _badgeId;
+        values[0] = 1;
+        _update(address(0), _to, ids, values);
+    }
+
+    /**
+     * @dev Badges can be minted but never transferred or burned
+     */
+    function _update(address from, address to, uint256[] memory ids, uint256[] memory values) internal override {
+        require(from == address(0), "Badges are soulbound");
+        super._update(from, to, ids, values);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC1155, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title FeaturePausable
+ * @dev Pause model shared by the XFarm contracts
+ * Features:
+ * - Global pause that stops every guarded entry point
+ * - Separate pause switches for staking, claiming, check-ins, planting and harvesting
+ * - PAUSER_ROLE can pause but never unpause; only DEFAULT_ADMIN_ROLE resumes operations
+ */
+abstract contract FeaturePausable is AccessControl, Pausable {
+
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    enum Feature {
+        STAKING,
+        CLAIMING,
+        CHECK_IN,
+        PLANTING,
+        HARVESTING
+    }
+
+    // Per-feature pause switches
+    mapping(Feature => bool) public featurePaused;
+
+    // Events
+    event FeaturePaused(Feature indexed feature, address indexed account);
+    event FeatureUnpaused(Feature indexed feature, address indexed account);
+
+    modifier whenFeatureActive(Feature _feature) {
+        _requireNotPaused();
+        require(!featurePaused[_feature], "Feature is paused");
+        _;
+    }
+
+    /**
+     * @dev Pauses every guarded entry point
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Lifts the global pause
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Pauses a single feature
+     * @param _feature Feature to pause
+     */
+    function pauseFeature(Feature _feature) external onlyRole(PAUSER_ROLE) {
+        require(!featurePaused[_feature], "Feature already paused");
+        featurePaused[_feature] = true;
+        emit FeaturePaused(_feature, msg.sender);
+    }
+
+    /**
+     * @dev Resumes a single feature
+     * @param _feature Feature to resume
+     */
+    function unpauseFeature(Feature _feature) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(featurePaused[_feature], "Feature not paused");
+        featurePaused[_feature] = false;
+        emit FeatureUnpaused(_feature, msg.sender);
+    }
+
+    /**
+     * @dev Whether a feature is currently usable
+     * @param _feature Feature to check
+     */
+    function isFeatureActive(Feature _feature) public view returns (bool) {
+        return !paused() && !featurePaused[_feature];
+    }
+}
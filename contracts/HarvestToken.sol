@@ -3,7 +3,9 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 
 /**
@@ -11,11 +13,18 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
  * @dev Custom ERC20 token for the XFarm reward system
  * Features:
  * - Burnable tokens for deflationary mechanics
+ * - EIP-2612 permit, so approvals can be signed off-chain
+ * - ERC20Votes voting power for governance; HARVEST staked in the reward pool keeps voting for its staker
  * - Pausable for emergency controls
- * - Owner-controlled minting for reward distribution
+ * - Minting restricted to authorized reward contracts, managed by MINTER_ADMIN_ROLE
  * - Anti-whale mechanics with transfer limits
+ * - Role-based administration: TREASURER_ROLE sets limits and recovers tokens, PAUSER_ROLE pauses
  */
-contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
+contract HarvestToken is ERC20, ERC20Burnable, ERC20Permit, ERC20Votes, AccessControl, Pausable {
+    bytes32 public constant MINTER_ADMIN_ROLE = keccak256("MINTER_ADMIN_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    
     uint256 public constant MAX_SUPPLY = 1_000_000_000 * 10**18; // 1 billion tokens
     uint256 public constant INITIAL_SUPPLY = 100_000_000 * 10**18; // 100 million tokens
     
@@ -40,17 +49,24 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
     // Authorized minters (reward contracts)
     mapping(address => bool) public authorizedMinters;
     
+    // Stakes held by reward contracts. Staked tokens sit in the contract's balance
+    // but their voting units stay with the staker.
+    mapping(address => mapping(address => uint256)) public stakedWith; // reward contract => staker => amount
+    mapping(address => uint256) public stakedBalanceOf;
+    
     event RewardPoolUpdated(address indexed newRewardPool);
     event AuthorizedMinterAdded(address indexed minter);
     event AuthorizedMinterRemoved(address indexed minter);
     event MaxTransferAmountUpdated(uint256 newAmount);
+    event Staked(address indexed farm, address indexed staker, uint256 amount);
+    event Unstaked(address indexed farm, address indexed staker, uint256 amount, uint256 burned);
     
     constructor(
         address _teamWallet,
         address _marketingWallet,
         address _liquidityWallet,
         address _reserveWallet
-    ) ERC20("Harvest Token", "HARVEST") Ownable(msg.sender) {
+    ) ERC20("Harvest Token", "HARVEST") ERC20Permit("Harvest Token") {
         require(_teamWallet != address(0), "Team wallet cannot be zero address");
         require(_marketingWallet != address(0), "Marketing wallet cannot be zero address");
         require(_liquidityWallet != address(0), "Liquidity wallet cannot be zero address");
@@ -61,16 +77,20 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
         liquidityWallet = _liquidityWallet;
         reserveWallet = _reserveWallet;
         
+        // The deployer holds every role until they are handed over
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ADMIN_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        
         // Set initial max transfer amount to 1% of total supply
         maxTransferAmount = INITIAL_SUPPLY / 100;
         
-        // Exclude important addresses from transfer limits
-        isExcludedFromLimits[owner()] = true;
+        // Only the reward pool allocation held here and the liquidity wallet move more than the limit.
+        // The deployer and the team, marketing and reserve wallets stay limited; the vesting contract
+        // holding those allocations is excluded explicitly once deployed.
         isExcludedFromLimits[address(this)] = true;
-        isExcludedFromLimits[_teamWallet] = true;
-        isExcludedFromLimits[_marketingWallet] = true;
         isExcludedFromLimits[_liquidityWallet] = true;
-        isExcludedFromLimits[_reserveWallet] = true;
         
         _distributeInitialSupply();
     }
@@ -97,7 +117,7 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
      * @dev Sets the reward pool address
      * @param _rewardPool Address of the reward distribution contract
      */
-    function setRewardPool(address _rewardPool) external onlyOwner {
+    function setRewardPool(address _rewardPool) external onlyRole(MINTER_ADMIN_ROLE) {
         require(_rewardPool != address(0), "Reward pool cannot be zero address");
         rewardPool = _rewardPool;
         isExcludedFromLimits[_rewardPool] = true;
@@ -116,7 +136,7 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
      * @dev Adds an authorized minter (reward contract)
      * @param _minter Address to authorize for minting
      */
-    function addAuthorizedMinter(address _minter) external onlyOwner {
+    function addAuthorizedMinter(address _minter) external onlyRole(MINTER_ADMIN_ROLE) {
         require(_minter != address(0), "Minter cannot be zero address");
         authorizedMinters[_minter] = true;
         isExcludedFromLimits[_minter] = true;
@@ -127,7 +147,7 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
      * @dev Removes an authorized minter
      * @param _minter Address to remove from authorized minters
      */
-    function removeAuthorizedMinter(address _minter) external onlyOwner {
+    function removeAuthorizedMinter(address _minter) external onlyRole(MINTER_ADMIN_ROLE) {
         authorizedMinters[_minter] = false;
         emit AuthorizedMinterRemoved(_minter);
     }
@@ -143,11 +163,54 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
         _mint(_to, _amount);
     }
     
+    /**
+     * @dev Moves a staker's tokens into the calling reward contract, using the staker's allowance
+     * like transferFrom. The staker keeps the voting power of the staked tokens.
+     * Only authorized minters take stakes; a removed minter can still return them.
+     * @param _staker Address staking the tokens
+     * @param _amount Amount of tokens to stake
+     */
+    function stakeFrom(address _staker, uint256 _amount) external {
+        require(authorizedMinters[msg.sender], "Caller is not authorized to stake");
+        _spendAllowance(_staker, msg.sender, _amount);
+        _transfer(_staker, msg.sender, _amount);
+        
+        stakedWith[msg.sender][_staker] = stakedWith[msg.sender][_staker] + _amount;
+        stakedBalanceOf[_staker] = stakedBalanceOf[_staker] + _amount;
+        // The transfer moved the units to the reward contract, which never delegates; hand them back
+        _transferVotingUnits(msg.sender, _staker, _amount);
+        
+        emit Staked(msg.sender, _staker, _amount);
+    }
+    
+    /**
+     * @dev Returns staked tokens from the calling reward contract to their staker, burning part of them
+     * (such as an early-unstake penalty). The staker's voting power drops by the burned amount.
+     * @param _staker Address that staked the tokens
+     * @param _amount Amount of staked tokens released
+     * @param _burned Part of `_amount` burned instead of returned
+     */
+    function unstakeTo(address _staker, uint256 _amount, uint256 _burned) external {
+        require(stakedWith[msg.sender][_staker] >= _amount, "Amount exceeds stake");
+        require(_burned <= _amount, "Burn exceeds amount");
+        
+        stakedWith[msg.sender][_staker] = stakedWith[msg.sender][_staker] - _amount;
+        stakedBalanceOf[_staker] = stakedBalanceOf[_staker] - _amount;
+        _transferVotingUnits(_staker, msg.sender, _amount);
+        
+        if (_burned > 0) {
+            _burn(msg.sender, _burned);
+        }
+        _transfer(msg.sender, _staker, _amount - _burned);
+        
+        emit Unstaked(msg.sender, _staker, _amount, _burned);
+    }
+    
     /**
      * @dev Updates maximum transfer amount for anti-whale protection
      * @param _maxTransferAmount New maximum transfer amount
      */
-    function setMaxTransferAmount(uint256 _maxTransferAmount) external onlyOwner {
+    function setMaxTransferAmount(uint256 _maxTransferAmount) external onlyRole(TREASURER_ROLE) {
         require(_maxTransferAmount > 0, "Max transfer amount must be greater than 0");
         maxTransferAmount = _maxTransferAmount;
         emit MaxTransferAmountUpdated(_maxTransferAmount);
@@ -158,27 +221,27 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
      * @param _account Address to update
      * @param _excluded Whether to exclude from limits
      */
-    function setExcludedFromLimits(address _account, bool _excluded) external onlyOwner {
+    function setExcludedFromLimits(address _account, bool _excluded) external onlyRole(TREASURER_ROLE) {
         isExcludedFromLimits[_account] = _excluded;
     }
     
     /**
      * @dev Pauses all token transfers (emergency function)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
      * @dev Unpauses token transfers
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
         _unpause();    }
     
     /**
      * @dev Override _update function to include anti-whale protection
      */
-    function _update(address from, address to, uint256 value) internal override whenNotPaused {
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) whenNotPaused {
         // Apply transfer limits (except for excluded addresses)
         if (
             from != address(0) && // Not minting
@@ -191,6 +254,18 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
         
         super._update(from, to, value);
     }
+    
+    /**
+     * @dev Voting units of an account: its balance plus what it has staked.
+     * Used when the account changes delegate, so staked tokens follow the delegation.
+     */
+    function _getVotingUnits(address account) internal view override returns (uint256) {
+        return balanceOf(account) + stakedBalanceOf[account];
+    }
+    
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
       /**
      * @dev Returns the current allocation percentages
      */
@@ -211,12 +286,12 @@ contract HarvestToken is ERC20, ERC20Burnable, Ownable, Pausable {
     }
     
     /**
-     * @dev Emergency function to recover accidentally sent tokens
+     * @dev Emergency function to recover accidentally sent tokens to the caller
      * @param _token Address of the token to recover
      * @param _amount Amount to recover
      */
-    function recoverERC20(address _token, uint256 _amount) external onlyOwner {
+    function recoverERC20(address _token, uint256 _amount) external onlyRole(TREASURER_ROLE) {
         require(_token != address(this), "Cannot recover native token");
-        IERC20(_token).transfer(owner(), _amount);
+        IERC20(_token).transfer(msg.sender, _amount);
     }
 }
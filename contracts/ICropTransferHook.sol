@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICropTransferHook
+ * @dev Implemented by the farm so CropNFT can report every mint, transfer and burn
+ */
+interface ICropTransferHook {
+    /**
+     * @dev Called by CropNFT after a crop changes hands
+     * @param _from Previous owner, zero on mint
+     * @param _to New owner, zero on burn
+     * @param _tokenId ID of the crop
+     */
+    function onCropTransfer(address _from, address _to, uint256 _tokenId) external;
+}
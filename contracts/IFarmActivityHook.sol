@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IFarmActivityHook
+ * @dev Implemented by contracts that follow farmer activity, such as FarmSeasons.
+ * FarmRewardSystem reports each check-in and harvest and adds the returned bonus to the reward.
+ */
+interface IFarmActivityHook {
+    /**
+     * @dev Called by FarmRewardSystem after a daily check-in
+     * @param _farmer Farmer who checked in
+     * @param _streak Check-in streak after this check-in
+     * @param _reward Check-in reward before any bonus
+     * @return Bonus reward to pay on top
+     */
+    function onCheckIn(address _farmer, uint256 _streak, uint256 _reward) external returns (uint256);
+
+    /**
+     * @dev Called by FarmRewardSystem after a crop is harvested (the crop is already burned)
+     * @param _farmer Farmer who harvested
+     * @param _tokenId ID of the harvested crop
+     * @param _reward Harvest reward before any bonus
+     * @return Bonus reward to pay on top
+     */
+    function onHarvest(address _farmer, uint256 _tokenId, uint256 _reward) external returns (uint256);
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IRandomnessConsumer
+ * @dev Implemented by CropNFT so its randomness provider can deliver requested numbers
+ */
+interface IRandomnessConsumer {
+    /**
+     * @dev Called by the randomness provider with the number for an earlier request
+     * @param _requestId ID returned by IRandomnessProvider.requestRandomness
+     * @param _randomness Random number
+     */
+    function fulfillRandomness(uint256 _requestId, uint256 _randomness) external;
+}
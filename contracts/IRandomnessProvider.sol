@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IRandomnessProvider
+ * @dev Source of random numbers for crop traits and harvest yields.
+ * Randomness is requested in one transaction and delivered in a later one (VRF style),
+ * so nobody can see or steer a roll inside the transaction that depends on it.
+ */
+interface IRandomnessProvider {
+    /**
+     * @dev Requests a random number for the caller. The provider later answers by calling
+     * IRandomnessConsumer.fulfillRandomness on the caller with the returned request ID.
+     */
+    function requestRandomness() external returns (uint256 requestId);
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title XFarmTimelock
+ * @dev Timelock that receives DEFAULT_ADMIN_ROLE (and optionally the operational roles)
+ * of the XFarm contracts, so every privileged change is announced before it executes
+ */
+contract XFarmTimelock is TimelockController {
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        address[] memory _executors,
+        address _admin
+    ) TimelockController(_minDelay, _proposers, _executors, _admin) {}
+}
@@ -0,0 +1,251 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title XFarmVesting
+ * @dev Holds the team, marketing and reserve HARVEST allocations and releases them over time
+ * Features:
+ * - Grants vest linearly from their start over their duration, with nothing claimable before the cliff
+ * - Anyone can claim a grant's vested tokens; they are always paid to its beneficiary
+ * - Revocable grants (team grants) can be cut off: what has vested stays claimable,
+ *   the unvested rest is returned to the revoker
+ * - VESTING_ADMIN_ROLE creates grants, funding them from its own balance or from the allocations
+ *   HarvestToken mints to this contract, and revokes them
+ */
+contract XFarmVesting is AccessControl, ReentrancyGuard {
+    bytes32 public constant VESTING_ADMIN_ROLE = keccak256("VESTING_ADMIN_ROLE");
+
+    struct Grant {
+        address beneficiary;
+        uint256 amount; // Total granted; reduced to the vested amount on revocation
+        uint256 claimed;
+        uint256 start;
+        uint256 cliff; // Seconds after start before anything can be claimed
+        uint256 duration; // Seconds after start until the grant is fully vested
+        bool revocable;
+        bool revoked;
+    }
+
+    IERC20 public token;
+
+    uint256 public totalAllocated; // Tokens held for grants and not yet claimed
+
+    Grant[] private _grants;
+    mapping(address => uint256[]) private _beneficiaryGrants;
+
+    // Events
+    event GrantCreated(uint256 indexed grantId, address indexed beneficiary, uint256 amount, uint256 start, uint256 cliff, uint256 duration, bool revocable);
+    event TokensClaimed(uint256 indexed grantId, address indexed beneficiary, uint256 amount);
+    event GrantRevoked(uint256 indexed grantId, address indexed beneficiary, uint256 vested, uint256 returned);
+    event TokenSet(address indexed token);
+
+    /**
+     * @param _token Vested token, or the zero address to set it later with setToken, so the
+     * token can be deployed with this contract as the holder of its vested allocations
+     */
+    constructor(address _token) {
+        token = IERC20(_token);
+
+        // The deployer holds every role until they are handed over
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(VESTING_ADMIN_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Sets the vested token of a contract deployed without one. It can only be set once.
+     * @param _token Address of the vested token
+     */
+    function setToken(address _token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(token) == address(0), "Token already set");
+        require(_token != address(0), "Token cannot be zero address");
+        token = IERC20(_token);
+
+        emit TokenSet(_token);
+    }
+
+    /**
+     * @dev Creates a grant, pulling its tokens from the caller
+     * @param _beneficiary Address that receives the vested tokens
+     * @param _amount Amount of tokens to vest
+     * @param _start Timestamp vesting starts from
+     * @param _cliff Seconds after start before anything can be claimed
+     * @param _duration Seconds after start until the grant is fully vested
+     * @param _revocable Whether the grant can be revoked
+     * @return grantId ID of the new grant
+     */
+    function createGrant(
+        address _beneficiary,
+        uint256 _amount,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        bool _revocable
+    ) external onlyRole(VESTING_ADMIN_ROLE) nonReentrant returns (uint256 grantId) {
+        grantId = _createGrant(_beneficiary, _amount, _start, _cliff, _duration, _revocable);
+        require(token.transferFrom(msg.sender, address(this), _amount), "Token transfer failed");
+    }
+
+    /**
+     * @dev Creates a grant from tokens this contract holds beyond existing grants,
+     * such as the team, marketing and reserve allocations HarvestToken mints to it
+     * @param _beneficiary Address that receives the vested tokens
+     * @param _amount Amount of tokens to vest
+     * @param _start Timestamp vesting starts from
+     * @param _cliff Seconds after start before anything can be claimed
+     * @param _duration Seconds after start until the grant is fully vested
+     * @param _revocable Whether the grant can be revoked
+     * @return grantId ID of the new grant
+     */
+    function createGrantFromBalance(
+        address _beneficiary,
+        uint256 _amount,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        bool _revocable
+    ) external onlyRole(VESTING_ADMIN_ROLE) nonReentrant returns (uint256 grantId) {
+        require(_amount <= unallocatedBalance(), "Insufficient unallocated balance");
+        return _createGrant(_beneficiary, _amount, _start, _cliff, _duration, _revocable);
+    }
+
+    /**
+     * @dev Records a grant whose tokens this contract already holds
+     */
+    function _createGrant(
+        address _beneficiary,
+        uint256 _amount,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        bool _revocable
+    ) private returns (uint256 grantId) {
+        require(_beneficiary != address(0), "Beneficiary cannot be zero address");
+        require(_amount > 0, "Amount must be greater than 0");
+        require(_duration > 0, "Duration must be greater than 0");
+        require(_cliff <= _duration, "Cliff exceeds duration");
+
+        totalAllocated = totalAllocated + _amount;
+        grantId = _grants.length;
+        _grants.push(Grant({
+            beneficiary: _beneficiary,
+            amount: _amount,
+            claimed: 0,
+            start: _start,
+            cliff: _cliff,
+            duration: _duration,
+            revocable: _revocable,
+            revoked: false
+        }));
+        _beneficiaryGrants[_beneficiary].push(grantId);
+
+        emit GrantCreated(grantId, _beneficiary, _amount, _start, _cliff, _duration, _revocable);
+    }
+
+    /**
+     * @dev Pays a grant's claimable tokens to its beneficiary
+     * @param _grantId ID of the grant
+     */
+    function claim(uint256 _grantId) external nonReentrant {
+        uint256 amount = claimable(_grantId);
+        require(amount > 0, "Nothing to claim");
+
+        Grant storage grant = _grants[_grantId];
+        grant.claimed = grant.claimed + amount;
+        totalAllocated = totalAllocated - amount;
+        require(token.transfer(grant.beneficiary, amount), "Token transfer failed");
+
+        emit TokensClaimed(_grantId, grant.beneficiary, amount);
+    }
+
+    /**
+     * @dev Revokes a revocable grant. Tokens vested so far stay claimable by the beneficiary;
+     * the unvested rest is returned to the caller.
+     * @param _grantId ID of the grant
+     */
+    function revoke(uint256 _grantId) external onlyRole(VESTING_ADMIN_ROLE) nonReentrant {
+        require(_grantId < _grants.length, "Invalid grant ID");
+        Grant storage grant = _grants[_grantId];
+        require(grant.revocable, "Grant is not revocable");
+        require(!grant.revoked, "Grant already revoked");
+
+        uint256 vested = vestedAmount(_grantId, block.timestamp);
+        uint256 unvested = grant.amount - vested;
+        grant.amount = vested;
+        grant.revoked = true;
+        totalAllocated = totalAllocated - unvested;
+
+        if (unvested > 0) {
+            require(token.transfer(msg.sender, unvested), "Token transfer failed");
+        }
+
+        emit GrantRevoked(_grantId, grant.beneficiary, vested, unvested);
+    }
+
+    /**
+     * @dev Amount of a grant vested at a timestamp, including what has been claimed
+     * @param _grantId ID of the grant
+     * @param _timestamp Time to evaluate
+     */
+    function vestedAmount(uint256 _grantId, uint256 _timestamp) public view returns (uint256) {
+        require(_grantId < _grants.length, "Invalid grant ID");
+        Grant storage grant = _grants[_grantId];
+
+        // A revoked grant's amount is frozen at what had vested
+        if (grant.revoked) return grant.amount;
+        if (_timestamp < grant.start + grant.cliff) return 0;
+        if (_timestamp >= grant.start + grant.duration) return grant.amount;
+        return grant.amount * (_timestamp - grant.start) / grant.duration;
+    }
+
+    /**
+     * @dev Amount of a grant its beneficiary can claim now
+     * @param _grantId ID of the grant
+     */
+    function claimable(uint256 _grantId) public view returns (uint256) {
+        return vestedAmount(_grantId, block.timestamp) - _grants[_grantId].claimed;
+    }
+
+    /**
+     * @dev Tokens this contract holds beyond what its grants still owe
+     */
+    function unallocatedBalance() public view returns (uint256) {
+        return token.balanceOf(address(this)) - totalAllocated;
+    }
+
+    /**
+     * @dev Tokens held for all grants that have not vested yet. Loops over every grant; meant for off-chain reads.
+     */
+    function lockedAmount() external view returns (uint256 locked) {
+        for (uint256 i = 0; i < _grants.length; i++) {
+            locked = locked + _grants[i].amount - vestedAmount(i, block.timestamp);
+        }
+    }
+
+    /**
+     * @dev Returns a grant
+     * @param _grantId ID of the grant
+     */
+    function getGrant(uint256 _grantId) external view returns (Grant memory) {
+        require(_grantId < _grants.length, "Invalid grant ID");
+        return _grants[_grantId];
+    }
+
+    /**
+     * @dev Returns the number of grants created
+     */
+    function grantCount() external view returns (uint256) {
+        return _grants.length;
+    }
+
+    /**
+     * @dev Returns the IDs of a beneficiary's grants
+     * @param _beneficiary Beneficiary address
+     */
+    function getBeneficiaryGrants(address _beneficiary) external view returns (uint256[] memory) {
+        return _beneficiaryGrants[_beneficiary];
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../IRandomnessProvider.sol";
+import "../IRandomnessConsumer.sol";
+
+/**
+ * @title MockRandomnessProvider
+ * @dev Test randomness provider. Records requests and delivers whatever value the test passes to fulfill.
+ * Never use it outside tests: anyone can choose the numbers.
+ */
+contract MockRandomnessProvider is IRandomnessProvider {
+    
+    address[] private _consumers; // requestId => requesting contract
+    
+    event RandomnessRequested(uint256 indexed requestId, address indexed consumer);
+    
+    /**
+     * @dev Records a request; the ID is its position in the request list
+     */
+    function requestRandomness() external returns (uint256 requestId) {
+        requestId = _consumers.length;
+        _consumers.push(msg.sender);
+        emit RandomnessRequested(requestId, msg.sender);
+    }
+    
+    /**
+     * @dev Delivers a number for a request to the contract that made it
+     * @param _requestId Request ID
+     * @param _randomness Value to deliver
+     */
+    function fulfill(uint256 _requestId, uint256 _randomness) external {
+        require(_requestId < _consumers.length, "Unknown request");
+        IRandomnessConsumer(_consumers[_requestId]).fulfillRandomness(_requestId, _randomness);
+    }
+    
+    /**
+     * @dev Number of requests made so far
+     */
+    function requestCount() external view returns (uint256) {
+        return _consumers.length;
+    }
+}
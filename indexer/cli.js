@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// Usage: node indexer/cli.js <command> [args] --network <name> [--rpc <url>]
+//
+//   sync [--follow] [--interval 15] [--confirmations 3]
+//   leaderboard [--metric rewards|staked|harvests|streak|referrals] [--limit 10]
+//   referrals <address>
+//   history <address>
+//   check
+require("dotenv").config();
+const path = require("path");
+const { JsonRpcProvider, formatEther } = require("ethers");
+const { loadManifest } = require("../scripts/lib/deployments");
+const { EventIndexer, JsonStore } = require("./index");
+
+const DEFAULT_RPC = {
+  localhost: "http://127.0.0.1:8545",
+  bscTestnet: process.env.BSC_TESTNET_URL,
+  bscMainnet: process.env.BSC_MAINNET_URL
+};
+
+function parseArgs(argv) {
+  const options = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith("--")) {
+        options[key] = true;
+      } else {
+        options[key] = next;
+        i++;
+      }
+    } else {
+      options._.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+function printTree(node, indent = "") {
+  console.log(`${indent}${node.address} (${formatEther(node.referralRewards)} HARVEST in referral rewards)`);
+  for (const child of node.referees) printTree(child, indent + "  ");
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command, target] = options._;
+  const network = options.network || "localhost";
+
+  const manifest = loadManifest(network);
+  if (!manifest) throw new Error(`No deployment manifest for network "${network}"`);
+
+  const rpc = options.rpc || process.env.RPC_URL || DEFAULT_RPC[network];
+  if (!rpc) throw new Error(`No RPC URL for network "${network}" - pass --rpc`);
+
+  const provider = new JsonRpcProvider(rpc);
+  const indexer = new EventIndexer({
+    provider,
+    addresses: {
+      cropNFT: manifest.contracts.CropNFT.address,
+      farmRewardSystem: manifest.contracts.FarmRewardSystem.address
+    },
+    store: new JsonStore(path.join(__dirname, "data", `${network}.json`)),
+    startBlock: Math.min(manifest.contracts.CropNFT.blockNumber, manifest.contracts.FarmRewardSystem.blockNumber),
+    confirmations: Number(options.confirmations || (network === "localhost" ? 0 : 3))
+  });
+  await indexer.init();
+
+  switch (command) {
+    case "sync": {
+      const interval = Number(options.interval || 15) * 1000;
+      do {
+        const result = await indexer.sync();
+        if (result.rolledBackTo !== null) {
+          console.log(`⚠️  Reorg detected, rolled back to block ${result.rolledBackTo}`);
+        }
+        if (result.fromBlock > result.toBlock) {
+          console.log(`✓ Up to date at block ${result.toBlock}`);
+        } else {
+          console.log(`📥 Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.newEvents} new events`);
+        }
+        if (options.follow) await new Promise((resolve) => setTimeout(resolve, interval));
+      } while (options.follow);
+      break;
+    }
+    case "leaderboard": {
+      const metric = options.metric || "rewards";
+      const rows = indexer.leaderboard(metric, Number(options.limit || 10));
+      console.log(`=== LEADERBOARD (${metric}) ===`);
+      for (const row of rows) {
+        const value = metric === "harvests" || metric === "streak" ? row.value.toString() : `${formatEther(row.value)} HARVEST`;
+        console.log(`${String(row.rank).padStart(3)}. ${row.address}  ${value}`);
+      }
+      break;
+    }
+    case "referrals":
+      if (!target) throw new Error("Usage: referrals <address>");
+      printTree(indexer.referralTree(target));
+      break;
+    case "history": {
+      if (!target) throw new Error("Usage: history <address>");
+      const history = indexer.rewardHistory(target);
+      for (const entry of history.entries) {
+        console.log(`${new Date(entry.timestamp * 1000).toISOString()}  ${entry.source.padEnd(8)}  ${formatEther(entry.amount)} HARVEST  ${entry.transactionHash}`);
+      }
+      console.log(`Total: ${formatEther(history.total)} HARVEST`);
+      break;
+    }
+    case "check": {
+      const result = await indexer.crossCheck();
+      console.log(`Indexed rewards:  ${formatEther(result.indexed)} HARVEST`);
+      console.log(`On-chain rewards: ${formatEther(result.onChain)} HARVEST (block ${result.blockNumber})`);
+      console.log(`Indexed minted:   ${formatEther(result.indexedMinted)} HARVEST`);
+      console.log(`On-chain minted:  ${formatEther(result.onChainMinted)} HARVEST`);
+      console.log(result.matches ? "✅ Totals match" : "❌ Totals differ");
+      if (!result.matches) process.exitCode = 1;
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected sync, leaderboard, referrals, history or check)`);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Indexer failed:");
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,12 @@
+const { EventIndexer } = require("./src/indexer");
+const { MemoryStore, JsonStore } = require("./src/store");
+const { buildProjections } = require("./src/projections");
+const queries = require("./src/queries");
+
+module.exports = {
+  EventIndexer,
+  MemoryStore,
+  JsonStore,
+  buildProjections,
+  ...queries
+};
@@ -0,0 +1,236 @@
+const { Contract, Interface } = require("ethers");
+const { loadAbi } = require("../../sdk/src/abi");
+const { emptyState } = require("./store");
+const { buildProjections } = require("./projections");
+const queries = require("./queries");
+
+/**
+ * Converts decoded event arguments into JSON-safe values (bigints become decimal strings)
+ * @param {object} log ethers LogDescription
+ */
+function normaliseArgs(log) {
+  const args = {};
+  log.fragment.inputs.forEach((input, index) => {
+    const value = log.args[index];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Follows FarmRewardSystem and CropNFT logs into a store.
+ *
+ * Only blocks at least `confirmations` deep are indexed. The hashes of recently indexed
+ * blocks are kept so that on the next sync a reorg is detected and the store is
+ * rolled back to the last block that is still canonical before indexing resumes.
+ */
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {object} options.provider ethers provider
+   * @param {object} options.addresses { cropNFT, farmRewardSystem }
+   * @param {object} options.store MemoryStore or JsonStore
+   * @param {number} [options.startBlock] First block to index (usually the deployment block)
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head
+   * @param {number} [options.batchSize] Blocks per eth_getLogs request
+   * @param {number} [options.reorgDepth] Number of recent block hashes to keep
+   */
+  constructor({ provider, addresses, store, startBlock = 0, confirmations = 0, batchSize = 2000, reorgDepth = 64 }) {
+    this.provider = provider;
+    this.addresses = {
+      cropNFT: addresses.cropNFT,
+      farmRewardSystem: addresses.farmRewardSystem
+    };
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+
+    this.interfaces = {
+      [addresses.cropNFT.toLowerCase()]: { name: "CropNFT", iface: new Interface(loadAbi("CropNFT")) },
+      [addresses.farmRewardSystem.toLowerCase()]: { name: "FarmRewardSystem", iface: new Interface(loadAbi("FarmRewardSystem")) }
+    };
+    this.state = null;
+    this._projections = null;
+  }
+
+  /**
+   * Loads the store, creating an empty one on first run
+   */
+  async init() {
+    const chainId = Number((await this.provider.getNetwork()).chainId);
+    const state = this.store.load();
+
+    if (state) {
+      if (state.chainId !== chainId) {
+        throw new Error(`Store was built for chain ${state.chainId}, connected to chain ${chainId}`);
+      }
+      const sameContracts = Object.keys(this.addresses).every(
+        (key) => state.addresses[key].toLowerCase() === this.addresses[key].toLowerCase()
+      );
+      if (!sameContracts) {
+        throw new Error("Store was built for different contract addresses");
+      }
+      this.state = state;
+    } else {
+      this.state = emptyState({ chainId, addresses: this.addresses, startBlock: this.startBlock });
+    }
+    this._projections = null;
+    return this.state;
+  }
+
+  /**
+   * Indexes new blocks up to the confirmed head (or `toBlock`)
+   * @param {object} [options]
+   * @param {number} [options.toBlock] Stop at this block instead of the confirmed head
+   * @returns {Promise<{fromBlock: number, toBlock: number, newEvents: number, rolledBackTo: number|null}>}
+   */
+  async sync({ toBlock } = {}) {
+    if (!this.state) await this.init();
+
+    const rolledBackTo = await this._handleReorg();
+    const head = await this.provider.getBlockNumber();
+    const target = Math.min(toBlock === undefined ? Infinity : toBlock, head - this.confirmations);
+    const fromBlock = this.state.checkpoint ? this.state.checkpoint.number + 1 : this.state.startBlock;
+
+    let newEvents = 0;
+    for (let from = fromBlock; from <= target; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      const events = await this._fetchEvents(from, to);
+      const block = await this.provider.getBlock(to);
+
+      this.state.events.push(...events);
+      this.state.checkpoint = { number: to, hash: block.hash };
+      this.state.recentBlocks.push({ number: to, hash: block.hash });
+      this.state.recentBlocks = this.state.recentBlocks.slice(-this.reorgDepth);
+      this.store.save(this.state);
+
+      newEvents += events.length;
+      this._projections = null;
+    }
+
+    return { fromBlock, toBlock: Math.max(target, fromBlock - 1), newEvents, rolledBackTo };
+  }
+
+  /**
+   * Checks the stored block hashes against the chain and rolls back past any reorg
+   * @returns {Promise<number|null>} Block rolled back to, or null when nothing changed
+   */
+  async _handleReorg() {
+    const { checkpoint, recentBlocks } = this.state;
+    if (!checkpoint) return null;
+
+    for (let i = recentBlocks.length - 1; i >= 0; i--) {
+      const known = recentBlocks[i];
+      const onChain = await this.provider.getBlock(known.number);
+      if (onChain && onChain.hash === known.hash) {
+        if (known.number === checkpoint.number) return null;
+        this._rollback(known);
+        return known.number;
+      }
+    }
+
+    // Reorg deeper than the kept history: reindex from scratch
+    this._rollback(null);
+    return this.state.startBlock - 1;
+  }
+
+  /**
+   * Drops everything indexed after `ancestor`
+   * @param {{number: number, hash: string}|null} ancestor Last canonical block, or null for a full reset
+   */
+  _rollback(ancestor) {
+    const keepUpTo = ancestor ? ancestor.number : this.state.startBlock - 1;
+    this.state.events = this.state.events.filter((event) => event.blockNumber <= keepUpTo);
+    this.state.recentBlocks = this.state.recentBlocks.filter((block) => block.number <= keepUpTo);
+    this.state.checkpoint = ancestor;
+    this.store.save(this.state);
+    this._projections = null;
+  }
+
+  /**
+   * Fetches and decodes logs for both contracts in a block range
+   */
+  async _fetchEvents(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: [this.addresses.cropNFT, this.addresses.farmRewardSystem],
+      fromBlock,
+      toBlock
+    });
+
+    const timestamps = new Map();
+    for (const blockNumber of new Set(logs.map((log) => log.blockNumber))) {
+      timestamps.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+    }
+
+    const events = [];
+    for (const log of logs) {
+      const source = this.interfaces[log.address.toLowerCase()];
+      const parsed = source.iface.parseLog(log);
+      if (!parsed) continue;
+
+      events.push({
+        contract: source.name,
+        event: parsed.name,
+        args: normaliseArgs(parsed),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps.get(log.blockNumber)
+      });
+    }
+    return events;
+  }
+
+  /**
+   * Farmer, pool and crop state derived from the indexed events
+   */
+  get projections() {
+    if (!this._projections) {
+      this._projections = buildProjections(this.state ? this.state.events : []);
+    }
+    return this._projections;
+  }
+
+  leaderboard(metric, limit) {
+    return queries.leaderboard(this.projections, metric, limit);
+  }
+
+  referralTree(root, maxDepth) {
+    return queries.referralTree(this.projections, root, maxDepth);
+  }
+
+  rewardHistory(address) {
+    return queries.rewardHistory(this.projections, address);
+  }
+
+  /**
+   * Compares the indexed payouts (EmissionPaid) and mint totals with FarmRewardSystem.totalRewardsDistributed
+   * and totalRewardsMinted at the checkpoint block. Rewards deferred by the epoch cap count once they are paid.
+   * @returns {Promise<{blockNumber: number|null, indexed: bigint, onChain: bigint, indexedMinted: bigint, onChainMinted: bigint, matches: boolean}>}
+   */
+  async crossCheck() {
+    const { paidFromReserve, minted: indexedMinted } = this.projections.totals;
+    const indexed = paidFromReserve + indexedMinted;
+    if (!this.state || !this.state.checkpoint) {
+      return { blockNumber: null, indexed, onChain: 0n, indexedMinted, onChainMinted: 0n, matches: indexed === 0n && indexedMinted === 0n };
+    }
+
+    const farm = new Contract(this.addresses.farmRewardSystem, loadAbi("FarmRewardSystem"), this.provider);
+    const blockTag = this.state.checkpoint.number;
+    const onChain = await farm.totalRewardsDistributed({ blockTag });
+    const onChainMinted = await farm.totalRewardsMinted({ blockTag });
+    return {
+      blockNumber: blockTag,
+      indexed,
+      onChain,
+      indexedMinted,
+      onChainMinted,
+      matches: indexed === onChain && indexedMinted === onChainMinted
+    };
+  }
+}
+
+module.exports = { EventIndexer };
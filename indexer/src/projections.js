@@ -0,0 +1,217 @@
+const { ZeroAddress } = require("ethers");
+
+const REWARD_SOURCES = ["checkIn", "staking", "harvest", "referral"];
+
+function newFarmer(address) {
+  return {
+    address,
+    registered: false,
+    registeredAt: null,
+    referrer: null,
+    referees: [],
+    stakes: {}, // poolId => bigint
+    totalStaked: 0n,
+    checkIns: 0,
+    checkInStreak: 0,
+    cropsPlanted: 0,
+    harvests: 0,
+    penaltiesBurned: 0n,
+    emergencyWithdrawals: 0,
+    plantingFeesPaid: 0n,
+    rewards: { checkIn: 0n, staking: 0n, harvest: 0n, referral: 0n },
+    totalRewards: 0n,
+    history: []
+  };
+}
+
+/**
+ * Rebuilds farmer, pool and crop state by replaying indexed events in order.
+ * Rebuilding from the raw log on every read keeps reorg handling trivial:
+ * rolling back is just dropping events.
+ * @param {Array<object>} events Normalised events as stored by the indexer
+ */
+function buildProjections(events) {
+  const farmers = new Map();
+  const pools = new Map();
+  const crops = new Map();
+  const totals = { rewardsDistributed: 0n, checkIn: 0n, staking: 0n, harvest: 0n, referral: 0n, penaltiesBurned: 0n, paidFromReserve: 0n, minted: 0n, deferred: 0n, forfeitedRewards: 0n, reserveDeposited: 0n, reserveWithdrawn: 0n, plantingFeesBurned: 0n, plantingFeesToReserve: 0n };
+
+  const farmer = (address) => {
+    const key = address.toLowerCase();
+    if (!farmers.has(key)) farmers.set(key, newFarmer(address));
+    return farmers.get(key);
+  };
+  const pool = (poolId) => {
+    const key = Number(poolId);
+    if (!pools.has(key)) {
+      pools.set(key, { poolId: key, rewardRate: 0n, minimumStake: 0n, isActive: true, lockDuration: 0, boostMultiplier: 100, earlyUnstakePenalty: 0, totalStaked: 0n });
+    }
+    return pools.get(key);
+  };
+  const reward = (account, source, amount, event) => {
+    const value = BigInt(amount);
+    const entry = farmer(account);
+    entry.rewards[source] += value;
+    entry.totalRewards += value;
+    entry.history.push({
+      source,
+      amount: value,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash
+    });
+    totals[source] += value;
+    totals.rewardsDistributed += value;
+  };
+
+  for (const event of events) {
+    const args = event.args;
+
+    switch (`${event.contract}.${event.event}`) {
+      case "FarmRewardSystem.FarmerRegistered": {
+        const entry = farmer(args.farmer);
+        entry.registered = true;
+        entry.registeredAt = event.timestamp;
+        // The event echoes the referrer argument as passed; mirror the contract's
+        // validation so rejected referrers don't show up in referral trees
+        const referrer = args.referrer;
+        if (
+          referrer !== ZeroAddress &&
+          referrer.toLowerCase() !== args.farmer.toLowerCase() &&
+          farmers.has(referrer.toLowerCase()) &&
+          farmers.get(referrer.toLowerCase()).registered
+        ) {
+          entry.referrer = farmers.get(referrer.toLowerCase()).address;
+          farmers.get(referrer.toLowerCase()).referees.push(entry.address);
+        }
+        break;
+      }
+      case "FarmRewardSystem.TokensStaked": {
+        const entry = farmer(args.farmer);
+        const amount = BigInt(args.amount);
+        entry.stakes[args.poolId] = (entry.stakes[args.poolId] || 0n) + amount;
+        entry.totalStaked += amount;
+        pool(args.poolId).totalStaked += amount;
+        break;
+      }
+      case "FarmRewardSystem.TokensUnstaked": {
+        const entry = farmer(args.farmer);
+        const amount = BigInt(args.amount);
+        entry.stakes[args.poolId] = (entry.stakes[args.poolId] || 0n) - amount;
+        entry.totalStaked -= amount;
+        pool(args.poolId).totalStaked -= amount;
+        break;
+      }
+      case "FarmRewardSystem.EarlyUnstakePenaltyBurned": {
+        const amount = BigInt(args.amount);
+        farmer(args.farmer).penaltiesBurned += amount;
+        totals.penaltiesBurned += amount;
+        break;
+      }
+      case "FarmRewardSystem.EmergencyWithdrawn":
+        // The stake itself is removed by the TokensUnstaked event emitted alongside
+        farmer(args.farmer).emergencyWithdrawals += 1;
+        totals.forfeitedRewards += BigInt(args.forfeitedRewards);
+        break;
+      case "FarmRewardSystem.PlantingFeePaid": {
+        const burned = BigInt(args.burned);
+        const toReserve = BigInt(args.toReserve);
+        farmer(args.farmer).plantingFeesPaid += burned + toReserve;
+        totals.plantingFeesBurned += burned;
+        totals.plantingFeesToReserve += toReserve;
+        break;
+      }
+      case "FarmRewardSystem.RewardReserveDeposited":
+        totals.reserveDeposited += BigInt(args.amount);
+        break;
+      case "FarmRewardSystem.RewardReserveWithdrawn":
+        totals.reserveWithdrawn += BigInt(args.amount);
+        break;
+      case "FarmRewardSystem.EmissionPaid":
+        totals.paidFromReserve += BigInt(args.fromReserve);
+        totals.minted += BigInt(args.minted);
+        break;
+      case "FarmRewardSystem.RewardDeferred":
+        totals.deferred += BigInt(args.amount);
+        break;
+      case "FarmRewardSystem.RewardsClaimed":
+        reward(args.farmer, "staking", args.amount, event);
+        break;
+      case "FarmRewardSystem.CheckInCompleted": {
+        const entry = farmer(args.farmer);
+        entry.checkIns += 1;
+        entry.checkInStreak = Number(args.streak);
+        reward(args.farmer, "checkIn", args.reward, event);
+        break;
+      }
+      case "FarmRewardSystem.ReferralRewardPaid":
+        reward(args.referrer, "referral", args.amount, event);
+        break;
+      case "FarmRewardSystem.CropPlanted":
+        farmer(args.farmer).cropsPlanted += 1;
+        break;
+      case "FarmRewardSystem.CropHarvested":
+        farmer(args.farmer).harvests += 1;
+        reward(args.farmer, "harvest", args.reward, event);
+        break;
+      case "FarmRewardSystem.PoolCreated": {
+        const entry = pool(args.poolId);
+        entry.rewardRate = BigInt(args.rewardRate);
+        entry.minimumStake = BigInt(args.minimumStake);
+        break;
+      }
+      case "FarmRewardSystem.LockedPoolCreated": {
+        const entry = pool(args.poolId);
+        entry.lockDuration = Number(args.lockDuration);
+        entry.boostMultiplier = Number(args.boostMultiplier);
+        entry.earlyUnstakePenalty = Number(args.earlyUnstakePenalty);
+        break;
+      }
+      case "FarmRewardSystem.PoolUpdated": {
+        const entry = pool(args.poolId);
+        entry.rewardRate = BigInt(args.newRewardRate);
+        entry.isActive = args.isActive;
+        break;
+      }
+      case "CropNFT.CropPlanted":
+        crops.set(args.tokenId, {
+          tokenId: args.tokenId,
+          owner: args.farmer,
+          cropType: Number(args.cropType),
+          plantedAt: event.timestamp,
+          growthStage: 0,
+          timesWatered: 0,
+          harvested: false,
+          reward: null
+        });
+        break;
+      case "CropNFT.CropWatered":
+        if (crops.has(args.tokenId)) crops.get(args.tokenId).timesWatered += 1;
+        break;
+      case "CropNFT.CropGrowthUpdated":
+        if (crops.has(args.tokenId)) crops.get(args.tokenId).growthStage = Number(args.newStage);
+        break;
+      case "CropNFT.CropHarvested":
+        if (crops.has(args.tokenId)) {
+          const entry = crops.get(args.tokenId);
+          entry.harvested = true;
+          entry.reward = BigInt(args.reward);
+        }
+        break;
+      case "CropNFT.Transfer":
+        if (crops.has(args.tokenId) && args.to !== ZeroAddress) {
+          crops.get(args.tokenId).owner = args.to;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { farmers, pools, crops, totals };
+}
+
+module.exports = {
+  REWARD_SOURCES,
+  buildProjections
+};
@@ -0,0 +1,71 @@
+const { REWARD_SOURCES } = require("./projections");
+
+// Leaderboard metrics and how to read them from a farmer projection
+const LEADERBOARD_METRICS = {
+  rewards: (farmer) => farmer.totalRewards,
+  staked: (farmer) => farmer.totalStaked,
+  harvests: (farmer) => BigInt(farmer.harvests),
+  streak: (farmer) => BigInt(farmer.checkInStreak),
+  referrals: (farmer) => farmer.rewards.referral
+};
+
+/**
+ * Ranks registered farmers by a metric, highest first
+ * @param {object} projections buildProjections result
+ * @param {string} metric One of LEADERBOARD_METRICS
+ * @param {number} limit Maximum number of rows
+ */
+function leaderboard(projections, metric = "rewards", limit = 10) {
+  const score = LEADERBOARD_METRICS[metric];
+  if (!score) {
+    throw new RangeError(`Unknown leaderboard metric "${metric}" (expected ${Object.keys(LEADERBOARD_METRICS).join(", ")})`);
+  }
+
+  return [...projections.farmers.values()]
+    .filter((farmer) => farmer.registered)
+    .map((farmer) => ({ address: farmer.address, value: score(farmer) }))
+    .sort((a, b) => (b.value > a.value ? 1 : b.value < a.value ? -1 : 0))
+    .slice(0, limit)
+    .map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+/**
+ * Builds the referral tree below a farmer
+ * @param {object} projections buildProjections result
+ * @param {string} root Farmer address at the top of the tree
+ * @param {number} maxDepth Levels to expand below the root
+ */
+function referralTree(projections, root, maxDepth = 5) {
+  const build = (address, depth) => {
+    const farmer = projections.farmers.get(address.toLowerCase());
+    if (!farmer) return { address, referralRewards: 0n, referees: [] };
+
+    return {
+      address: farmer.address,
+      referralRewards: farmer.rewards.referral,
+      referees: depth < maxDepth ? farmer.referees.map((referee) => build(referee, depth + 1)) : []
+    };
+  };
+
+  return build(root, 0);
+}
+
+/**
+ * Lists a farmer's rewards by source, oldest first
+ * @param {object} projections buildProjections result
+ * @param {string} address Farmer address
+ */
+function rewardHistory(projections, address) {
+  const farmer = projections.farmers.get(address.toLowerCase());
+  if (!farmer) {
+    return { address, totals: Object.fromEntries(REWARD_SOURCES.map((source) => [source, 0n])), total: 0n, entries: [] };
+  }
+  return { address: farmer.address, totals: { ...farmer.rewards }, total: farmer.totalRewards, entries: farmer.history };
+}
+
+module.exports = {
+  LEADERBOARD_METRICS,
+  leaderboard,
+  referralTree,
+  rewardHistory
+};
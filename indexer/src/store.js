@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+/**
+ * Returns an empty store state
+ * @param {object} options
+ * @param {number} options.chainId Chain the events come from
+ * @param {object} options.addresses Indexed contract addresses
+ * @param {number} options.startBlock First block to index
+ */
+function emptyState({ chainId, addresses, startBlock }) {
+  return {
+    version: STORE_VERSION,
+    chainId,
+    addresses,
+    startBlock,
+    checkpoint: null, // { number, hash } of the last fully indexed block
+    recentBlocks: [], // [{ number, hash }] kept for reorg detection, oldest first
+    events: []
+  };
+}
+
+/**
+ * In-memory store, used by tests and as the base for JsonStore
+ */
+class MemoryStore {
+  constructor() {
+    this.state = null;
+  }
+
+  load() {
+    return this.state;
+  }
+
+  save(state) {
+    this.state = state;
+  }
+}
+
+/**
+ * JSON file store. Writes go to a temporary file that is renamed into place,
+ * so a crash mid-write never leaves a truncated store behind.
+ */
+class JsonStore {
+  /**
+   * @param {string} file Path of the JSON store
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return null;
+    const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    if (state.version !== STORE_VERSION) {
+      throw new Error(`Unsupported store version ${state.version} in ${this.file}`);
+    }
+    return state;
+  }
+
+  save(state) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = {
+  STORE_VERSION,
+  emptyState,
+  MemoryStore,
+  JsonStore
+};
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Usage: node relayer/cli.js --network <name> [--rpc <url>] [--port 8546] [--max-gas 2000000]
+//
+// Serves POST /relay on localhost and submits signed farmer requests through the
+// XFarmForwarder from the deployment manifest. The relayer pays gas from RELAYER_PRIVATE_KEY,
+// or on localhost from the node's first unlocked account.
+require("dotenv").config();
+const { JsonRpcProvider, Wallet, formatEther } = require("ethers");
+const { loadManifest } = require("../scripts/lib/deployments");
+const { Relayer, createServer } = require("./index");
+
+const DEFAULT_RPC = {
+  localhost: "http://127.0.0.1:8545",
+  bscTestnet: process.env.BSC_TESTNET_URL,
+  bscMainnet: process.env.BSC_MAINNET_URL
+};
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      options[argv[i].slice(2)] = true;
+    } else {
+      options[argv[i].slice(2)] = next;
+      i++;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const network = options.network || "localhost";
+
+  const manifest = loadManifest(network);
+  if (!manifest) throw new Error(`No deployment manifest for network "${network}"`);
+  if (!manifest.contracts.XFarmForwarder) throw new Error(`No XFarmForwarder in the "${network}" manifest - redeploy first`);
+
+  const rpc = options.rpc || process.env.RPC_URL || DEFAULT_RPC[network];
+  if (!rpc) throw new Error(`No RPC URL for network "${network}" - pass --rpc`);
+
+  const provider = new JsonRpcProvider(rpc);
+  let signer;
+  if (process.env.RELAYER_PRIVATE_KEY) {
+    signer = new Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+  } else if (network === "localhost") {
+    signer = await provider.getSigner(0);
+  } else {
+    throw new Error("Set RELAYER_PRIVATE_KEY to the account that pays for relayed transactions");
+  }
+
+  const relayer = new Relayer({
+    signer,
+    addresses: {
+      forwarder: manifest.contracts.XFarmForwarder.address,
+      farmRewardSystem: manifest.contracts.FarmRewardSystem.address
+    },
+    maxGas: BigInt(options["max-gas"] || 2_000_000)
+  });
+
+  const port = Number(options.port || 8546);
+  const server = createServer(relayer, { log: (line) => console.log(line) });
+  server.listen(port, "127.0.0.1", async () => {
+    const address = await signer.getAddress();
+    console.log(`📨 Relayer listening on http://127.0.0.1:${port}/relay`);
+    console.log(`   Forwarder: ${manifest.contracts.XFarmForwarder.address}`);
+    console.log(`   Paying gas from ${address} (${formatEther(await provider.getBalance(address))} BNB)`);
+  });
+
+  process.on("SIGINT", () => server.close(() => process.exit(0)));
+}
+
+main().catch((error) => {
+  console.error("❌ Relayer failed:");
+  console.error(error);
+  process.exit(1);
+});
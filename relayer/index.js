@@ -0,0 +1,8 @@
+const { Relayer, RelayError } = require("./src/relayer");
+const { createServer } = require("./src/server");
+
+module.exports = {
+  Relayer,
+  RelayError,
+  createServer
+};
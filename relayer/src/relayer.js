@@ -0,0 +1,116 @@
+const { Contract, Interface, isAddress, isHexString } = require("ethers");
+const { loadAbi } = require("../../sdk/src/abi");
+const { RELAYABLE_FUNCTIONS } = require("../../sdk/src/constants");
+
+/**
+ * Raised for requests the relayer refuses to submit; `status` is the HTTP status to answer with
+ */
+class RelayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RelayError";
+    this.status = status;
+  }
+}
+
+/**
+ * Reads a request field that must be a non-negative integer
+ * @param {object} request ForwardRequestData
+ * @param {string} field Field name
+ * @returns {bigint}
+ */
+function uintField(request, field) {
+  const value = request[field];
+  if (typeof value === "bigint" || (typeof value === "number" && Number.isSafeInteger(value)) || /^(0x[0-9a-fA-F]+|[0-9]+)$/.test(value)) {
+    const parsed = BigInt(value);
+    if (parsed >= 0n) return parsed;
+  }
+  throw new RelayError(`Request field "${field}" is not an unsigned integer`);
+}
+
+/**
+ * Submits farmers' signed ERC-2771 requests through the XFarmForwarder, paying their gas.
+ *
+ * Only FarmRewardSystem check-ins, watering and harvesting are accepted. Every request
+ * is verified and simulated first, so the relayer never pays for a call that would revert.
+ */
+class Relayer {
+  /**
+   * @param {object} options
+   * @param {object} options.signer ethers Signer that pays for relayed transactions
+   * @param {object} options.addresses { forwarder, farmRewardSystem }
+   * @param {bigint} [options.maxGas] Highest gas a request may ask the forwarder to pass on
+   */
+  constructor({ signer, addresses, maxGas = 2_000_000n }) {
+    this.signer = signer;
+    this.forwarder = new Contract(addresses.forwarder, loadAbi("XFarmForwarder"), signer);
+    this.farmAddress = addresses.farmRewardSystem;
+    this.farmInterface = new Interface(loadAbi("FarmRewardSystem"));
+    this.maxGas = maxGas;
+  }
+
+  /**
+   * Checks a request and returns the farm function it calls
+   * @param {object} request ForwardRequestData as produced by signRelayRequest
+   * @returns {Promise<string>} Function name
+   */
+  async validate(request) {
+    for (const field of ["from", "to", "value", "gas", "deadline", "data", "signature"]) {
+      if (request[field] === undefined) throw new RelayError(`Missing request field "${field}"`);
+    }
+    for (const field of ["from", "to"]) {
+      if (!isAddress(request[field])) throw new RelayError(`Request field "${field}" is not an address`);
+    }
+    for (const field of ["data", "signature"]) {
+      if (!isHexString(request[field])) throw new RelayError(`Request field "${field}" is not hex data`);
+    }
+    if (request.to.toLowerCase() !== this.farmAddress.toLowerCase()) {
+      throw new RelayError("Only FarmRewardSystem calls are relayed");
+    }
+    if (uintField(request, "value") !== 0n) {
+      throw new RelayError("Relayed calls cannot carry value");
+    }
+    if (uintField(request, "gas") > this.maxGas) {
+      throw new RelayError(`Requested gas exceeds the relayer limit of ${this.maxGas}`);
+    }
+    uintField(request, "deadline");
+
+    let call;
+    try {
+      call = this.farmInterface.parseTransaction({ data: request.data });
+    } catch {
+      throw new RelayError("Request data is not a valid FarmRewardSystem call");
+    }
+    if (!call || !RELAYABLE_FUNCTIONS.includes(call.name)) {
+      throw new RelayError(`Only ${RELAYABLE_FUNCTIONS.join(", ")} can be relayed`);
+    }
+    if (!(await this.forwarder.verify(request))) {
+      throw new RelayError("Invalid signature, nonce or deadline");
+    }
+    return call.name;
+  }
+
+  /**
+   * Validates, simulates and submits a request
+   * @param {object} request ForwardRequestData as produced by signRelayRequest
+   * @returns {Promise<{functionName: string, transactionHash: string}>}
+   */
+  async relay(request) {
+    const functionName = await this.validate(request);
+
+    try {
+      await this.forwarder.execute.staticCall(request);
+    } catch (error) {
+      throw new RelayError(`${functionName} would revert: ${error.shortMessage || error.message}`, 422);
+    }
+
+    const tx = await this.forwarder.execute(request);
+    const receipt = await tx.wait();
+    return { functionName, transactionHash: receipt.hash };
+  }
+}
+
+module.exports = {
+  Relayer,
+  RelayError
+};
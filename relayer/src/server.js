@@ -0,0 +1,73 @@
+const http = require("http");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Reads and parses a JSON request body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function respond(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * HTTP front end for a Relayer.
+ *
+ *   POST /relay   body: ForwardRequestData JSON -> { functionName, transactionHash }
+ *   GET  /health  -> { relayer, forwarder, farmRewardSystem }
+ *
+ * @param {import("./relayer").Relayer} relayer
+ * @param {object} [options]
+ * @param {Function} [options.log] Called with one line per relayed or refused request
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer(relayer, { log = () => {} } = {}) {
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        return respond(res, 200, {
+          relayer: await relayer.signer.getAddress(),
+          forwarder: relayer.forwarder.target,
+          farmRewardSystem: relayer.farmAddress
+        });
+      }
+      if (req.method !== "POST" || req.url !== "/relay") {
+        return respond(res, 404, { error: "Not found" });
+      }
+
+      const request = await readJson(req);
+      const result = await relayer.relay(request);
+      log(`✓ ${result.functionName} for ${request.from}: ${result.transactionHash}`);
+      respond(res, 200, result);
+    } catch (error) {
+      const status = error.status || 500;
+      log(`✗ ${status} ${error.message}`);
+      respond(res, status, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  createServer
+};
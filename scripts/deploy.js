@@ -1,131 +1,483 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { loadManifest, saveManifest, manifestPath, checkWiring } = require("./lib/deployments");
+const { GOVERNED_ROLES, checkRoles, governanceSteps, roleMigrationSteps } = require("./lib/roles");
 
 async function main() {
   console.log("🚀 Starting XFarm Reward System deployment...");
-  
+
   // Get the deployer account
   const [deployer] = await ethers.getSigners();
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
   console.log("📝 Deploying contracts with account:", deployer.address);
   console.log("💰 Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "BNB");
-  
-  // Deployment addresses for tokenomics
+
+  // Deployment addresses for tokenomics. Team, marketing and reserve are vesting beneficiaries;
+  // their allocations are minted to XFarmVesting and only the liquidity allocation is paid out directly.
   const teamWallet = process.env.TEAM_WALLET || deployer.address;
   const marketingWallet = process.env.MARKETING_WALLET || deployer.address;
-  const liquidityWallet = process.env.LIQUIDITY_WALLET || deployer.address;
+  // The liquidity wallet is exempt from transfer limits, so it must not be the deployer.
+  // Local chains default to their second account.
+  const localNetwork = hre.network.name === "hardhat" || hre.network.name === "localhost";
+  const liquidityWallet = process.env.LIQUIDITY_WALLET || (localNetwork ? (await ethers.getSigners())[1].address : "");
+  if (!liquidityWallet || liquidityWallet.toLowerCase() === deployer.address.toLowerCase()) {
+    throw new Error("Set LIQUIDITY_WALLET to an address other than the deployer");
+  }
   const reserveWallet = process.env.RESERVE_WALLET || deployer.address;
-  
+
+  // Resume from an earlier run on the same chain, otherwise start a fresh manifest
+  let manifest = loadManifest(hre.network.name);
+  if (manifest && manifest.chainId !== chainId) {
+    console.log(`⚠️  Existing manifest is for chain ${manifest.chainId}, starting fresh on chain ${chainId}`);
+    manifest = null;
+  }
+  if (manifest) {
+    console.log("📂 Resuming from", manifestPath(hre.network.name));
+  }
+  manifest = manifest || {
+    network: hre.network.name,
+    chainId,
+    deployer: deployer.address,
+    createdAt: new Date().toISOString(),
+    contracts: {},
+    wiring: {},
+    retired: []
+  };
+  manifest.retired = manifest.retired || [];
+  manifest.wallets = {
+    team: teamWallet,
+    marketing: marketingWallet,
+    liquidity: liquidityWallet,
+    reserve: reserveWallet
+  };
+
+  /**
+   * Why the manifest entry of a contract cannot be reused, or null when it still has code on chain
+   * and was deployed from the same bytecode with the same constructor arguments
+   */
+  async function staleReason(name, args) {
+    const factory = await ethers.getContractFactory(name);
+    const entry = manifest.contracts[name];
+    if (!entry) return "not deployed";
+    const hasCode = (await ethers.provider.getCode(entry.address)) !== "0x";
+    const sameArgs = JSON.stringify(entry.args) === JSON.stringify(args);
+    const sameCode = entry.codeHash === ethers.keccak256(factory.bytecode);
+    if (hasCode && sameArgs && sameCode) return null;
+    return !hasCode ? "missing on chain" : !sameCode ? "built from older source" : "deployed with different arguments";
+  }
+
+  /**
+   * Deploys a contract, or reuses the manifest entry when staleReason() finds nothing wrong with it
+   * and no `replaceReason` is given
+   */
+  async function deployOrReuse(name, args, replaceReason = null) {
+    const factory = await ethers.getContractFactory(name);
+    const codeHash = ethers.keccak256(factory.bytecode);
+    const entry = manifest.contracts[name];
+    const reason = replaceReason || (await staleReason(name, args));
+    if (!reason) {
+      console.log(`♻️  Reusing ${name} at ${entry.address}`);
+      return ethers.getContractAt(name, entry.address);
+    }
+    if (entry) {
+      const hasCode = (await ethers.provider.getCode(entry.address)) !== "0x";
+      console.log(`⚠️  ${name} at ${entry.address} is ${reason}, redeploying`);
+      if (hasCode) {
+        manifest.retired.push({ name, address: entry.address, retiredAt: new Date().toISOString() });
+      }
+    }
+
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    manifest.contracts[name] = {
+      address: await contract.getAddress(),
+      args,
+      codeHash,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
+    saveManifest(hre.network.name, manifest);
+
+    console.log(`✅ ${name} deployed to:`, await contract.getAddress());
+    return contract;
+  }
+
+  // Deploy the vesting contract first, without a token, so HarvestToken can mint the team, marketing
+  // and reserve allocations straight to it; the vesting contract learns its token in a wiring step.
+  console.log("🔒 Deploying Vesting...");
+  const vestingArgs = [ethers.ZeroAddress];
+  const tokenArgsFor = (vesting) => [vesting, vesting, liquidityWallet, vesting];
+  let vesting = await deployOrReuse("XFarmVesting", vestingArgs);
+  // A vesting contract already bound to a token that is about to be replaced is replaced with it
+  if (
+    (await vesting.token()) !== ethers.ZeroAddress &&
+    (await staleReason("HarvestToken", tokenArgsFor(await vesting.getAddress())))
+  ) {
+    vesting = await deployOrReuse("XFarmVesting", vestingArgs, "bound to a replaced token");
+  }
+  const vestingAddress = await vesting.getAddress();
+
+  // Deploy Harvest Token, so teamWallet(), marketingWallet() and reserveWallet() name the vesting contract
   console.log("🏗️  Deploying Harvest Token...");
-  
-  // Deploy Harvest Token
-  const HarvestToken = await ethers.getContractFactory("HarvestToken");
-  const harvestToken = await HarvestToken.deploy(
-    teamWallet,
-    marketingWallet,
-    liquidityWallet,
-    reserveWallet
-  );
-  await harvestToken.waitForDeployment();
-  
-  console.log("✅ Harvest Token deployed to:", await harvestToken.getAddress());
-  console.log("   Team Wallet:", teamWallet);
-  console.log("   Marketing Wallet:", marketingWallet);
+  const tokenArgs = tokenArgsFor(vestingAddress);
+  const harvestToken = await deployOrReuse("HarvestToken", tokenArgs);
+
+  console.log("   Team Beneficiary:", teamWallet);
+  console.log("   Marketing Beneficiary:", marketingWallet);
   console.log("   Liquidity Wallet:", liquidityWallet);
-  console.log("   Reserve Wallet:", reserveWallet);
-  
+  console.log("   Reserve Beneficiary:", reserveWallet);
+
   // Deploy Crop NFT
   console.log("🌱 Deploying Crop NFT...");
-  const CropNFT = await ethers.getContractFactory("CropNFT");
-  const cropNFT = await CropNFT.deploy();
-  await cropNFT.waitForDeployment();
-  
-  console.log("✅ Crop NFT deployed to:", await cropNFT.getAddress());
-  
-  // Deploy Farm Reward System
+  const cropNFT = await deployOrReuse("CropNFT", []);
+
+  // Deploy Farm Reward System (redeployed whenever the token or NFT address changes)
   console.log("🚜 Deploying Farm Reward System...");
-  const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
-  const farmRewardSystem = await FarmRewardSystem.deploy(
+  const farmRewardSystem = await deployOrReuse("FarmRewardSystem", [
     await harvestToken.getAddress(),
     await cropNFT.getAddress()
-  );
-  await farmRewardSystem.waitForDeployment();
-  
-  console.log("✅ Farm Reward System deployed to:", await farmRewardSystem.getAddress());
-  
-  // Setup contract connections
+  ]);
+
+  const farmAddress = await farmRewardSystem.getAddress();
+
+  // Deploy Crop Marketplace (royalties follow CropNFT.farmRewardSystem, so it has no farm link)
+  console.log("🛒 Deploying Crop Marketplace...");
+  const cropMarketplace = await deployOrReuse("CropMarketplace", [
+    await harvestToken.getAddress(),
+    await cropNFT.getAddress()
+  ]);
+
+  // Deploy seasons, quests and badges (redeployed whenever the farm address changes)
+  console.log("🏆 Deploying Farm Seasons...");
+  const farmSeasons = await deployOrReuse("FarmSeasons", [
+    await harvestToken.getAddress(),
+    await cropNFT.getAddress(),
+    farmAddress,
+    process.env.BADGE_URI || ""
+  ]);
+  const seasonsAddress = await farmSeasons.getAddress();
+
+  // Deploy the meta-transaction forwarder the relayer submits signed farmer requests through
+  console.log("📨 Deploying Forwarder...");
+  const forwarder = await deployOrReuse("XFarmForwarder", []);
+  const forwarderAddress = await forwarder.getAddress();
+
+  // Setup contract connections. Each step reads chain state first so a re-run only
+  // sends the transactions that are still missing.
   console.log("🔗 Setting up contract connections...");
-  
-  // Set Farm Reward System as reward pool in Harvest Token
-  await harvestToken.setRewardPool(await farmRewardSystem.getAddress());
-  console.log("   ✓ Set Farm Reward System as reward pool");
-  
-  // Add Farm Reward System as authorized minter
-  await harvestToken.addAuthorizedMinter(await farmRewardSystem.getAddress());
-  console.log("   ✓ Added Farm Reward System as authorized minter");
-  
-  // Add Farm Reward System as authorized farm in Crop NFT
-  await cropNFT.addAuthorizedFarm(await farmRewardSystem.getAddress());
-  console.log("   ✓ Added Farm Reward System as authorized farm");
-  
-  // Set Farm Reward System address in Crop NFT
-  await cropNFT.setFarmRewardSystem(await farmRewardSystem.getAddress());
-  console.log("   ✓ Set Farm Reward System address in Crop NFT");
-  
+
+  const wiringSteps = [
+    {
+      key: "vestingToken",
+      description: "Set Harvest Token as the token of Vesting",
+      isDone: async () => (await vesting.token()).toLowerCase() === (await harvestToken.getAddress()).toLowerCase(),
+      run: async () => vesting.setToken(await harvestToken.getAddress())
+    },
+    {
+      key: "rewardPool",
+      description: "Set Farm Reward System as reward pool",
+      isDone: async () => (await harvestToken.rewardPool()).toLowerCase() === farmAddress.toLowerCase(),
+      run: () => harvestToken.setRewardPool(farmAddress)
+    },
+    {
+      key: "authorizedMinter",
+      description: "Added Farm Reward System as authorized minter",
+      isDone: () => harvestToken.authorizedMinters(farmAddress),
+      run: () => harvestToken.addAuthorizedMinter(farmAddress)
+    },
+    {
+      key: "authorizedFarm",
+      description: "Added Farm Reward System as authorized farm",
+      isDone: () => cropNFT.authorizedFarms(farmAddress),
+      run: () => cropNFT.addAuthorizedFarm(farmAddress)
+    },
+    {
+      key: "farmRewardSystem",
+      description: "Set Farm Reward System address in Crop NFT",
+      isDone: async () => (await cropNFT.farmRewardSystem()).toLowerCase() === farmAddress.toLowerCase(),
+      run: () => cropNFT.setFarmRewardSystem(farmAddress)
+    },
+    {
+      key: "trustedForwarder",
+      description: "Set Forwarder as trusted forwarder of Farm Reward System",
+      isDone: async () => (await farmRewardSystem.trustedForwarder()).toLowerCase() === forwarderAddress.toLowerCase(),
+      run: () => farmRewardSystem.setTrustedForwarder(forwarderAddress)
+    },
+    {
+      key: "activityHook",
+      description: "Set Farm Seasons as activity hook of Farm Reward System",
+      isDone: async () => (await farmRewardSystem.activityHook()).toLowerCase() === seasonsAddress.toLowerCase(),
+      run: () => farmRewardSystem.setActivityHook(seasonsAddress)
+    },
+    {
+      key: "seasonsExcludedFromLimits",
+      description: "Excluded Farm Seasons from transfer limits",
+      isDone: () => harvestToken.isExcludedFromLimits(seasonsAddress),
+      run: () => harvestToken.setExcludedFromLimits(seasonsAddress, true)
+    },
+    {
+      key: "vestingExcludedFromLimits",
+      description: "Excluded Vesting from transfer limits",
+      isDone: () => harvestToken.isExcludedFromLimits(vestingAddress),
+      run: () => harvestToken.setExcludedFromLimits(vestingAddress, true)
+    }
+  ];
+
+  // Vesting grants, created in this order so grant IDs are 0 (team), 1 (marketing) and 2 (reserve).
+  // Team grants are revocable. Schedules are cliff plus linear, in days from VESTING_START.
+  const DAY = 24 * 60 * 60;
+  const initialSupply = await harvestToken.INITIAL_SUPPLY();
+  const vestingStart = Number(process.env.VESTING_START || (await ethers.provider.getBlock("latest")).timestamp);
+  const grants = [
+    {
+      name: "team",
+      label: "Team",
+      beneficiary: teamWallet,
+      amount: (initialSupply * (await harvestToken.TEAM_ALLOCATION())) / 100n,
+      cliffDays: Number(process.env.TEAM_CLIFF_DAYS || 365),
+      vestingDays: Number(process.env.TEAM_VESTING_DAYS || 1095),
+      revocable: true
+    },
+    {
+      name: "marketing",
+      label: "Marketing",
+      beneficiary: marketingWallet,
+      amount: (initialSupply * (await harvestToken.MARKETING_ALLOCATION())) / 100n,
+      cliffDays: Number(process.env.MARKETING_CLIFF_DAYS || 90),
+      vestingDays: Number(process.env.MARKETING_VESTING_DAYS || 730),
+      revocable: false
+    },
+    {
+      name: "reserve",
+      label: "Reserve",
+      beneficiary: reserveWallet,
+      amount: (initialSupply * (await harvestToken.RESERVE_ALLOCATION())) / 100n,
+      cliffDays: Number(process.env.RESERVE_CLIFF_DAYS || 180),
+      vestingDays: Number(process.env.RESERVE_VESTING_DAYS || 1460),
+      revocable: false
+    }
+  ];
+  const grantsCreated = async (count) => (await vesting.grantCount()) >= BigInt(count);
+  grants.forEach((grant, index) => {
+    wiringSteps.push({
+      description: `Created ${grant.name} vesting grant of ${ethers.formatEther(grant.amount)} HARVEST for ${grant.beneficiary}`,
+      isDone: () => grantsCreated(index + 1),
+      run: () =>
+        vesting.createGrantFromBalance(
+          grant.beneficiary,
+          grant.amount,
+          vestingStart,
+          grant.cliffDays * DAY,
+          grant.vestingDays * DAY,
+          grant.revocable
+        )
+    });
+  });
+
+  // A replaced FarmRewardSystem must lose its mint and farm rights
+  for (const retired of manifest.retired.filter((r) => r.name === "FarmRewardSystem")) {
+    wiringSteps.push(
+      {
+        description: `Revoked minter rights of retired Farm Reward System ${retired.address}`,
+        isDone: async () => !(await harvestToken.authorizedMinters(retired.address)),
+        run: () => harvestToken.removeAuthorizedMinter(retired.address)
+      },
+      {
+        description: `Revoked farm rights of retired Farm Reward System ${retired.address}`,
+        isDone: async () => !(await cropNFT.authorizedFarms(retired.address)),
+        run: () => cropNFT.removeAuthorizedFarm(retired.address)
+      }
+    );
+  }
+
+  /**
+   * Runs steps whose isDone() is still false, saving the manifest after each one
+   */
+  async function runSteps(steps) {
+    for (const step of steps) {
+      if (await step.isDone()) {
+        console.log(`   ✓ ${step.description} (already done)`);
+      } else {
+        const tx = await step.run();
+        const receipt = await tx.wait();
+        console.log(`   ✓ ${step.description}`);
+        if (step.key) {
+          manifest.wiring[step.key] = { target: farmAddress, transactionHash: receipt.hash };
+        }
+      }
+      saveManifest(hre.network.name, manifest);
+    }
+  }
+
+  await runSteps(wiringSteps);
+
+  // Timelock for DEFAULT_ADMIN_ROLE: an existing one, or a new one when TIMELOCK_DELAY is set.
+  // With GOVERNOR=true a governor becomes the timelock's only proposer, so admin and
+  // parameter changes need a passed proposal.
+  const governed = process.env.GOVERNOR === "true";
+  if (governed && !process.env.TIMELOCK_DELAY) {
+    throw new Error("GOVERNOR=true needs TIMELOCK_DELAY so a timelock can be deployed for the governor");
+  }
+  if (governed && process.env.TIMELOCK_ADDRESS) {
+    throw new Error("GOVERNOR=true deploys its own timelock; unset TIMELOCK_ADDRESS");
+  }
+  let admin = deployer.address;
+  let timelock = null;
+  let governor = null;
+  if (process.env.TIMELOCK_ADDRESS) {
+    admin = ethers.getAddress(process.env.TIMELOCK_ADDRESS);
+  } else if (process.env.TIMELOCK_DELAY) {
+    console.log("⏳ Deploying timelock...");
+    const proposers = governed
+      ? [] // the governor is added below
+      : (process.env.TIMELOCK_PROPOSERS || deployer.address).split(",").map((a) => ethers.getAddress(a.trim()));
+    timelock = await deployOrReuse("XFarmTimelock", [
+      Number(process.env.TIMELOCK_DELAY),
+      proposers,
+      [ethers.ZeroAddress], // anyone may execute once the delay has passed
+      // the timelock administers itself; under governance the deployer holds admin until the governor is proposer
+      governed ? deployer.address : ethers.ZeroAddress
+    ]);
+    admin = await timelock.getAddress();
+
+    if (governed) {
+      console.log("🗳️  Deploying governor...");
+      governor = await deployOrReuse("XFarmGovernor", [
+        await harvestToken.getAddress(),
+        admin,
+        Number(process.env.GOVERNOR_VOTING_DELAY || 28800), // ~1 day of 3s blocks
+        Number(process.env.GOVERNOR_VOTING_PERIOD || 201600), // ~7 days of 3s blocks
+        ethers.parseEther(process.env.GOVERNOR_PROPOSAL_THRESHOLD || "100000").toString(), // manifest args are JSON
+        Number(process.env.GOVERNOR_QUORUM_PERCENT || 4)
+      ]);
+      await runSteps(governanceSteps({ timelock, governor, deployer: deployer.address }));
+    }
+  }
+
+  // Read every link back before declaring success
+  console.log("🔍 Verifying contract wiring...");
+  const failures = await checkWiring({
+    HarvestToken: harvestToken,
+    CropNFT: cropNFT,
+    FarmRewardSystem: farmRewardSystem,
+    CropMarketplace: cropMarketplace,
+    XFarmForwarder: forwarder,
+    FarmSeasons: farmSeasons,
+    XFarmVesting: vesting,
+    XFarmTimelock: timelock,
+    XFarmGovernor: governor
+  });
+  if (failures.length > 0) {
+    manifest.verified = false;
+    saveManifest(hre.network.name, manifest);
+    throw new Error(`Contract wiring verification failed:\n  - ${failures.join("\n  - ")}`);
+  }
+  console.log("   ✓ All contract links verified");
+
+  // Role migration: hand DEFAULT_ADMIN_ROLE to the timelock and operational roles to their
+  // holders, then drop the deployer's blanket powers. Without a timelock or role holders
+  // configured the deployer keeps every role.
+  const holders = {};
+  for (const role of ["POOL_MANAGER", "MINTER_ADMIN", "PAUSER", "CROP_ADMIN", "TREASURER", "SEASON_MANAGER", "VESTING_ADMIN"]) {
+    if (!process.env[role]) continue;
+    if (governed && GOVERNED_ROLES.includes(`${role}_ROLE`)) {
+      throw new Error(`${role}_ROLE is held by the timelock under governance; unset ${role}`);
+    }
+    holders[`${role}_ROLE`] = ethers.getAddress(process.env[role]);
+  }
+  const roleOptions = { deployer: deployer.address, admin, holders };
+  const roleContracts = {
+    HarvestToken: harvestToken,
+    CropNFT: cropNFT,
+    FarmRewardSystem: farmRewardSystem,
+    FarmSeasons: farmSeasons,
+    XFarmVesting: vesting
+  };
+
+  console.log("🔐 Assigning roles...");
+  await runSteps(roleMigrationSteps(roleContracts, roleOptions));
+  const roleFailures = await checkRoles(roleContracts, roleOptions);
+  manifest.roles = { admin, holders };
+  if (roleFailures.length > 0) {
+    manifest.verified = false;
+    saveManifest(hre.network.name, manifest);
+    throw new Error(`Role verification failed:\n  - ${roleFailures.join("\n  - ")}`);
+  }
+  manifest.verified = true;
+  saveManifest(hre.network.name, manifest);
+  console.log(`   ✓ Roles verified (admin: ${admin === deployer.address ? "deployer" : admin})`);
+
   // Verify initial token distribution
   console.log("📊 Verifying token distribution...");
   const totalSupply = await harvestToken.totalSupply();
-  const teamBalance = await harvestToken.balanceOf(teamWallet);
-  const marketingBalance = await harvestToken.balanceOf(marketingWallet);
   const liquidityBalance = await harvestToken.balanceOf(liquidityWallet);
-  const reserveBalance = await harvestToken.balanceOf(reserveWallet);
-  const rewardPoolBalance = await harvestToken.balanceOf(await farmRewardSystem.getAddress());
-  
+  const vestingBalance = await harvestToken.balanceOf(vestingAddress);
+  const rewardPoolBalance = await harvestToken.balanceOf(farmAddress);
+  const lockedSupply = await vesting.lockedAmount();
+  const now = (await ethers.provider.getBlock("latest")).timestamp;
+
   console.log("   Total Supply:", ethers.formatEther(totalSupply), "HARVEST");
-  console.log("   Team Balance:", ethers.formatEther(teamBalance), "HARVEST");
-  console.log("   Marketing Balance:", ethers.formatEther(marketingBalance), "HARVEST");
+  // Grant schedules are read back from chain, since a resumed run does not recreate existing grants
+  manifest.vesting = [];
+  for (const [grantId, { name, label }] of grants.entries()) {
+    const grant = await vesting.getGrant(grantId);
+    const vested = await vesting.vestedAmount(grantId, now);
+    console.log(`   ${label} Vesting:`, ethers.formatEther(grant.amount), "HARVEST,", ethers.formatEther(vested), "vested");
+    manifest.vesting.push({
+      grantId,
+      name,
+      beneficiary: grant.beneficiary,
+      amount: grant.amount.toString(),
+      start: Number(grant.start),
+      cliff: Number(grant.cliff),
+      duration: Number(grant.duration),
+      revocable: grant.revocable
+    });
+  }
   console.log("   Liquidity Balance:", ethers.formatEther(liquidityBalance), "HARVEST");
-  console.log("   Reserve Balance:", ethers.formatEther(reserveBalance), "HARVEST");
+  console.log("   Vesting Balance:", ethers.formatEther(vestingBalance), "HARVEST");
   console.log("   Reward Pool Balance:", ethers.formatEther(rewardPoolBalance), "HARVEST");
-  
+  saveManifest(hre.network.name, manifest);
+
   // Display deployment summary
   console.log("\n🎉 DEPLOYMENT COMPLETED SUCCESSFULLY!");
   console.log("====================================");
   console.log("Contract Addresses:");
   console.log("• Harvest Token:", await harvestToken.getAddress());
   console.log("• Crop NFT:", await cropNFT.getAddress());
-  console.log("• Farm Reward System:", await farmRewardSystem.getAddress());
-  console.log("====================================");
-  // Replace lines around 119 in deploy.js with this:
-const deploymentInfo = {
-  network: hre.network.name,
-  chainId: Number((await ethers.provider.getNetwork()).chainId), // Convert BigInt to Number
-  deployer: deployer.address,
-  timestamp: new Date().toISOString(),
-  contracts: {
-    HarvestToken: await harvestToken.getAddress(),
-    CropNFT: await cropNFT.getAddress(),
-    FarmRewardSystem: await farmRewardSystem.getAddress()
-  },
-  wallets: {
-    team: teamWallet,
-    marketing: marketingWallet,
-    liquidity: liquidityWallet,
-    reserve: reserveWallet
+  console.log("• Farm Reward System:", farmAddress);
+  console.log("• Crop Marketplace:", await cropMarketplace.getAddress());
+  console.log("• Forwarder:", forwarderAddress);
+  console.log("• Farm Seasons:", seasonsAddress);
+  console.log("• Vesting:", vestingAddress);
+  if (manifest.contracts.XFarmTimelock) {
+    console.log("• Timelock:", manifest.contracts.XFarmTimelock.address);
   }
-};
+  if (governor) {
+    console.log("• Governor:", await governor.getAddress());
+  }
+  console.log("------------------------------------");
+  console.log("Supply:");
+  console.log("• Locked in vesting:", ethers.formatEther(lockedSupply), "HARVEST");
+  console.log("• Unlocked:", ethers.formatEther(totalSupply - lockedSupply), "HARVEST");
+  console.log("====================================");
+  console.log("\n📝 Deployment manifest saved to:", manifestPath(hre.network.name));
 
-console.log("\n📝 Deployment info saved:");
-console.log(JSON.stringify(deploymentInfo, null, 2));
-  
   // Verification instructions
-  if (hre.network.name !== "hardhat") {
+  if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
     console.log("\n🔍 To verify contracts on BSCScan, run:");
-    console.log(`npx hardhat verify --network ${hre.network.name} ${await harvestToken.getAddress()} "${teamWallet}" "${marketingWallet}" "${liquidityWallet}" "${reserveWallet}"`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${await harvestToken.getAddress()} ${tokenArgs.map((a) => `"${a}"`).join(" ")}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${vestingAddress} "${ethers.ZeroAddress}"`);
     console.log(`npx hardhat verify --network ${hre.network.name} ${await cropNFT.getAddress()}`);
-    console.log(`npx hardhat verify --network ${hre.network.name} ${await farmRewardSystem.getAddress()} "${await harvestToken.getAddress()}" "${await cropNFT.getAddress()}"`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${farmAddress} "${await harvestToken.getAddress()}" "${await cropNFT.getAddress()}"`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${await cropMarketplace.getAddress()} "${await harvestToken.getAddress()}" "${await cropNFT.getAddress()}"`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${forwarderAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${seasonsAddress} "${await harvestToken.getAddress()}" "${await cropNFT.getAddress()}" "${farmAddress}" "${process.env.BADGE_URI || ""}"`);
   }
-  
-  return deploymentInfo;
+
+  return manifest;
 }
 
 // Handle errors
@@ -135,4 +487,4 @@ main()
     console.error("❌ Deployment failed:");
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
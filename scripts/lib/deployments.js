@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Returns the manifest path for a network name
+ * @param {string} networkName Hardhat network name
+ */
+function manifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * Loads the deployment manifest for a network, or null if there is none
+ * @param {string} networkName Hardhat network name
+ */
+function loadManifest(networkName) {
+  const file = manifestPath(networkName);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes the deployment manifest for a network
+ * @param {string} networkName Hardhat network name
+ * @param {object} manifest Manifest contents
+ */
+function saveManifest(networkName, manifest) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(manifestPath(networkName), JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Loads the manifest for the current network and attaches contract instances to it.
+ * Throws if the network has no manifest or a contract has no code at its address.
+ * @param {object} hre Hardhat runtime environment
+ */
+async function loadDeployment(hre) {
+  const { ethers, network } = hre;
+  const manifest = loadManifest(network.name);
+  if (!manifest) {
+    throw new Error(`No deployment manifest for network "${network.name}" (expected ${manifestPath(network.name)})`);
+  }
+
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+  if (manifest.chainId !== chainId) {
+    throw new Error(`Manifest chainId ${manifest.chainId} does not match connected chain ${chainId}`);
+  }
+
+  const contracts = {};
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    if ((await ethers.provider.getCode(entry.address)) === "0x") {
+      throw new Error(`${name} has no code at ${entry.address} on ${network.name}`);
+    }
+    contracts[name] = await ethers.getContractAt(name, entry.address);
+  }
+
+  return { manifest, contracts };
+}
+
+/**
+ * Reads back every cross-contract link the system relies on.
+ * Returns a list of human-readable failures; an empty list means the wiring is complete.
+ * @param {object} contracts Attached HarvestToken, CropNFT and FarmRewardSystem instances,
+ * plus CropMarketplace, XFarmForwarder, FarmSeasons, XFarmVesting and XFarmGovernor (with its XFarmTimelock) when they are deployed
+ */
+async function checkWiring({
+  HarvestToken,
+  CropNFT,
+  FarmRewardSystem,
+  CropMarketplace,
+  XFarmForwarder,
+  FarmSeasons,
+  XFarmVesting,
+  XFarmTimelock,
+  XFarmGovernor
+}) {
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const tokenAddress = await HarvestToken.getAddress();
+  const cropAddress = await CropNFT.getAddress();
+  const farmAddress = await FarmRewardSystem.getAddress();
+
+  const checks = [
+    ["HarvestToken.rewardPool", same(await HarvestToken.rewardPool(), farmAddress)],
+    ["HarvestToken.authorizedMinters(FarmRewardSystem)", await HarvestToken.authorizedMinters(farmAddress)],
+    ["CropNFT.authorizedFarms(FarmRewardSystem)", await CropNFT.authorizedFarms(farmAddress)],
+    ["CropNFT.farmRewardSystem", same(await CropNFT.farmRewardSystem(), farmAddress)],
+    ["FarmRewardSystem.harvestToken", same(await FarmRewardSystem.harvestToken(), tokenAddress)],
+    ["FarmRewardSystem.cropNFT", same(await FarmRewardSystem.cropNFT(), cropAddress)]
+  ];
+  if (CropMarketplace) {
+    checks.push(
+      ["CropMarketplace.harvestToken", same(await CropMarketplace.harvestToken(), tokenAddress)],
+      ["CropMarketplace.cropNFT", same(await CropMarketplace.cropNFT(), cropAddress)]
+    );
+  }
+
+  if (XFarmForwarder) {
+    checks.push(["FarmRewardSystem.trustedForwarder", same(await FarmRewardSystem.trustedForwarder(), await XFarmForwarder.getAddress())]);
+  }
+
+  if (FarmSeasons) {
+    const seasonsAddress = await FarmSeasons.getAddress();
+    checks.push(
+      ["FarmRewardSystem.activityHook", same(await FarmRewardSystem.activityHook(), seasonsAddress)],
+      ["FarmSeasons.farmRewardSystem", same(await FarmSeasons.farmRewardSystem(), farmAddress)],
+      ["FarmSeasons.cropNFT", same(await FarmSeasons.cropNFT(), cropAddress)],
+      ["HarvestToken.isExcludedFromLimits(FarmSeasons)", await HarvestToken.isExcludedFromLimits(seasonsAddress)]
+    );
+  }
+
+  if (XFarmVesting) {
+    const vestingAddress = await XFarmVesting.getAddress();
+    checks.push(
+      ["XFarmVesting.token", same(await XFarmVesting.token(), tokenAddress)],
+      ["HarvestToken.teamWallet", same(await HarvestToken.teamWallet(), vestingAddress)],
+      ["HarvestToken.marketingWallet", same(await HarvestToken.marketingWallet(), vestingAddress)],
+      ["HarvestToken.reserveWallet", same(await HarvestToken.reserveWallet(), vestingAddress)],
+      ["HarvestToken.isExcludedFromLimits(XFarmVesting)", await HarvestToken.isExcludedFromLimits(vestingAddress)]
+    );
+  }
+
+  if (XFarmGovernor) {
+    const governorAddress = await XFarmGovernor.getAddress();
+    const timelockAddress = await XFarmTimelock.getAddress();
+    checks.push(
+      ["XFarmGovernor.token", same(await XFarmGovernor.token(), tokenAddress)],
+      ["XFarmGovernor.timelock", same(await XFarmGovernor.timelock(), timelockAddress)],
+      ["XFarmTimelock.PROPOSER_ROLE(XFarmGovernor)", await XFarmTimelock.hasRole(await XFarmTimelock.PROPOSER_ROLE(), governorAddress)]
+    );
+  }
+
+  return checks.filter(([, ok]) => !ok).map(([link]) => link);
+}
+
+module.exports = {
+  checkWiring,
+  DEPLOYMENTS_DIR,
+  manifestPath,
+  loadManifest,
+  saveManifest,
+  loadDeployment
+};
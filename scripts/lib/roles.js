@@ -0,0 +1,144 @@
+const { ZeroHash, id } = require("ethers");
+
+// Operational roles used by each contract, keyed by manifest contract name
+const CONTRACT_ROLES = {
+  HarvestToken: ["MINTER_ADMIN_ROLE", "TREASURER_ROLE", "PAUSER_ROLE"],
+  CropNFT: ["CROP_ADMIN_ROLE", "PAUSER_ROLE"],
+  FarmRewardSystem: ["POOL_MANAGER_ROLE", "TREASURER_ROLE", "PAUSER_ROLE"],
+  FarmSeasons: ["SEASON_MANAGER_ROLE", "PAUSER_ROLE"],
+  XFarmVesting: ["VESTING_ADMIN_ROLE"]
+};
+
+const ROLE_NAMES = [
+  "DEFAULT_ADMIN_ROLE",
+  "POOL_MANAGER_ROLE",
+  "MINTER_ADMIN_ROLE",
+  "PAUSER_ROLE",
+  "CROP_ADMIN_ROLE",
+  "TREASURER_ROLE",
+  "SEASON_MANAGER_ROLE",
+  "VESTING_ADMIN_ROLE"
+];
+
+// Roles that may only change parameters through governance proposals when a governor is deployed:
+// pools and emissions, transfer limits and reserves, minters and the reward pool, the crop catalog,
+// and vesting grants and their revocation
+const GOVERNED_ROLES = ["POOL_MANAGER_ROLE", "TREASURER_ROLE", "MINTER_ADMIN_ROLE", "CROP_ADMIN_ROLE", "VESTING_ADMIN_ROLE"];
+
+/**
+ * Role id for a role name; accepts "PAUSER" as well as "PAUSER_ROLE"
+ * @param {string} name Role name
+ */
+function roleId(name) {
+  const role = normalizeRole(name);
+  return role === "DEFAULT_ADMIN_ROLE" ? ZeroHash : id(role);
+}
+
+/**
+ * Canonical role name, throwing on names no contract uses
+ * @param {string} name Role name with or without the _ROLE suffix
+ */
+function normalizeRole(name) {
+  const role = name.toUpperCase().endsWith("_ROLE") ? name.toUpperCase() : `${name.toUpperCase()}_ROLE`;
+  if (!ROLE_NAMES.includes(role)) {
+    throw new Error(`Unknown role "${name}", expected one of: ${ROLE_NAMES.join(", ")}`);
+  }
+  return role;
+}
+
+/**
+ * Builds the idempotent steps that hand every role from the deployer to its configured holder.
+ * All grants come first, then the deployer renounces what it no longer holds, and
+ * DEFAULT_ADMIN_ROLE is renounced last so a failed run never leaves a contract without an admin.
+ * @param {object} contracts Attached HarvestToken, CropNFT, FarmRewardSystem, FarmSeasons and XFarmVesting instances
+ * @param {object} options
+ * @param {string} options.deployer Account that currently holds every role
+ * @param {string} options.admin Account receiving DEFAULT_ADMIN_ROLE, usually a timelock
+ * @param {object} [options.holders] Role name => holder; roles without an entry go to `admin`
+ * @returns {Array<{description: string, expectation: string, isDone: Function, run: Function}>}
+ */
+function roleMigrationSteps(contracts, { deployer, admin, holders = {} }) {
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const grants = [];
+  const renounces = [];
+  const adminRenounces = [];
+
+  for (const [name, roles] of Object.entries(CONTRACT_ROLES)) {
+    const contract = contracts[name];
+    const assignments = roles.map((role) => [role, holders[role] || admin]).concat([["DEFAULT_ADMIN_ROLE", admin]]);
+
+    for (const [role, holder] of assignments) {
+      const roleHash = roleId(role);
+      grants.push({
+        description: `Granted ${role} on ${name} to ${holder}`,
+        expectation: `${holder} holds ${role} on ${name}`,
+        isDone: () => contract.hasRole(roleHash, holder),
+        run: () => contract.grantRole(roleHash, holder)
+      });
+
+      if (!same(holder, deployer)) {
+        (role === "DEFAULT_ADMIN_ROLE" ? adminRenounces : renounces).push({
+          description: `Deployer renounced ${role} on ${name}`,
+          expectation: `deployer no longer holds ${role} on ${name}`,
+          isDone: async () => !(await contract.hasRole(roleHash, deployer)),
+          run: () => contract.renounceRole(roleHash, deployer)
+        });
+      }
+    }
+  }
+
+  return [...grants, ...renounces, ...adminRenounces];
+}
+
+/**
+ * Builds the idempotent steps that make a governor the only proposer and canceller of its timelock,
+ * then drop the deployer's temporary timelock admin role
+ * @param {object} options
+ * @param {object} options.timelock Attached XFarmTimelock deployed with the deployer as admin
+ * @param {object} options.governor Attached XFarmGovernor
+ * @param {string} options.deployer Account that currently administers the timelock
+ * @returns {Array<{description: string, expectation: string, isDone: Function, run: Function}>}
+ */
+function governanceSteps({ timelock, governor, deployer }) {
+  const steps = [];
+  for (const role of ["PROPOSER_ROLE", "CANCELLER_ROLE"]) {
+    steps.push({
+      description: `Granted ${role} on XFarmTimelock to the governor`,
+      expectation: `governor holds ${role} on XFarmTimelock`,
+      isDone: async () => timelock.hasRole(await timelock[role](), governor),
+      run: async () => timelock.grantRole(await timelock[role](), governor)
+    });
+  }
+  steps.push({
+    description: "Deployer renounced DEFAULT_ADMIN_ROLE on XFarmTimelock",
+    expectation: "deployer no longer holds DEFAULT_ADMIN_ROLE on XFarmTimelock",
+    isDone: async () => !(await timelock.hasRole(ZeroHash, deployer)),
+    run: () => timelock.renounceRole(ZeroHash, deployer)
+  });
+  return steps;
+}
+
+/**
+ * Reads back the role layout produced by roleMigrationSteps.
+ * Returns a list of human-readable failures; an empty list means every role sits where it should.
+ * @param {object} contracts Attached HarvestToken, CropNFT, FarmRewardSystem, FarmSeasons and XFarmVesting instances
+ * @param {object} options Same options as roleMigrationSteps
+ */
+async function checkRoles(contracts, options) {
+  const failures = [];
+  for (const step of roleMigrationSteps(contracts, options)) {
+    if (!(await step.isDone())) failures.push(step.expectation);
+  }
+  return failures;
+}
+
+module.exports = {
+  CONTRACT_ROLES,
+  GOVERNED_ROLES,
+  ROLE_NAMES,
+  checkRoles,
+  governanceSteps,
+  normalizeRole,
+  roleId,
+  roleMigrationSteps
+};
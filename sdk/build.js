@@ -0,0 +1,25 @@
+// Copies contract ABIs from the Hardhat artifacts into sdk/abi.
+// Run `npx hardhat compile` first (or use `npm run sdk:build`).
+const fs = require("fs");
+const path = require("path");
+
+const CONTRACTS = ["HarvestToken", "CropNFT", "FarmRewardSystem", "XFarmForwarder"];
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+const ABI_DIR = path.join(__dirname, "abi");
+
+function main() {
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+
+  for (const name of CONTRACTS) {
+    const artifactPath = path.join(ARTIFACTS_DIR, `${name}.sol`, `${name}.json`);
+    if (!fs.existsSync(artifactPath)) {
+      throw new Error(`Missing artifact ${artifactPath} - run "npx hardhat compile" first`);
+    }
+
+    const { abi } = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+    fs.writeFileSync(path.join(ABI_DIR, `${name}.json`), JSON.stringify(abi, null, 2) + "\n");
+    console.log(`✓ ${name} ABI written (${abi.length} entries)`);
+  }
+}
+
+main();
@@ -0,0 +1,18 @@
+const { XFarmClient } = require("./src/client");
+const { decodeCrop, decodeCropType, decodeTokenURI, resolveCropType } = require("./src/crops");
+const { decodeFarmerStats } = require("./src/farmer");
+const { signRelayRequest } = require("./src/relay");
+const constants = require("./src/constants");
+const errors = require("./src/errors");
+
+module.exports = {
+  XFarmClient,
+  decodeCrop,
+  decodeCropType,
+  decodeTokenURI,
+  resolveCropType,
+  decodeFarmerStats,
+  signRelayRequest,
+  ...constants,
+  ...errors
+};
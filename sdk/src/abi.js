@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+
+// ABIs written by `npm run sdk:build`, shipped with the published package
+const ABI_DIR = path.join(__dirname, "..", "abi");
+// Hardhat artifacts, present in a compiled repository checkout
+const ARTIFACTS_DIR = path.join(__dirname, "..", "..", "artifacts", "contracts");
+
+const cache = new Map();
+
+/**
+ * Loads a contract ABI from sdk/abi, falling back to the Hardhat artifacts in a repository checkout
+ * @param {string} name Contract name
+ * @returns {Array<object>}
+ */
+function loadAbi(name) {
+  if (!cache.has(name)) cache.set(name, readAbi(name));
+  return cache.get(name);
+}
+
+function readAbi(name) {
+  const abiPath = path.join(ABI_DIR, `${name}.json`);
+  if (fs.existsSync(abiPath)) {
+    return JSON.parse(fs.readFileSync(abiPath, "utf8"));
+  }
+  const artifactPath = path.join(ARTIFACTS_DIR, `${name}.sol`, `${name}.json`);
+  if (fs.existsSync(artifactPath)) {
+    return JSON.parse(fs.readFileSync(artifactPath, "utf8")).abi;
+  }
+  throw new Error(`Missing ${name} ABI - run "npm run sdk:build"`);
+}
+
+module.exports = { loadAbi };
@@ -0,0 +1,80 @@
+const { Contract } = require("ethers");
+const { loadAbi } = require("./abi");
+const { FarmApi } = require("./farm");
+const { CropsApi } = require("./crops");
+const { FarmerApi } = require("./farmer");
+
+/**
+ * Entry point of the SDK. Holds contract instances and exposes the
+ * `farm`, `crops` and `farmer` helper groups.
+ */
+class XFarmClient {
+  /**
+   * @param {object} options
+   * @param {object} options.runner ethers Signer (for writes) or Provider (read-only)
+   * @param {object} options.addresses Contract addresses
+   * @param {string} options.addresses.harvestToken HarvestToken address
+   * @param {string} options.addresses.cropNFT CropNFT address
+   * @param {string} options.addresses.farmRewardSystem FarmRewardSystem address
+   */
+  constructor({ runner, addresses }) {
+    if (!runner) throw new TypeError("XFarmClient requires a signer or provider as runner");
+    for (const key of ["harvestToken", "cropNFT", "farmRewardSystem"]) {
+      if (!addresses || !addresses[key]) throw new TypeError(`XFarmClient requires addresses.${key}`);
+    }
+
+    this.runner = runner;
+    this.provider = runner.provider || runner;
+    this.harvestToken = new Contract(addresses.harvestToken, loadAbi("HarvestToken"), runner);
+    this.cropNFT = new Contract(addresses.cropNFT, loadAbi("CropNFT"), runner);
+    this.farmRewardSystem = new Contract(addresses.farmRewardSystem, loadAbi("FarmRewardSystem"), runner);
+
+    this.farm = new FarmApi(this);
+    this.crops = new CropsApi(this);
+    this.farmer = new FarmerApi(this);
+  }
+
+  /**
+   * Builds a client from a deployments/<network>.json manifest written by scripts/deploy.js
+   * @param {object} manifest Parsed manifest
+   * @param {object} runner ethers Signer or Provider
+   */
+  static fromManifest(manifest, runner) {
+    return new XFarmClient({
+      runner,
+      addresses: {
+        harvestToken: manifest.contracts.HarvestToken.address,
+        cropNFT: manifest.contracts.CropNFT.address,
+        farmRewardSystem: manifest.contracts.FarmRewardSystem.address
+      }
+    });
+  }
+
+  /**
+   * Returns a client bound to a different signer, sharing the same addresses
+   * @param {object} runner ethers Signer or Provider
+   */
+  connect(runner) {
+    return new XFarmClient({
+      runner,
+      addresses: {
+        harvestToken: this.harvestToken.target,
+        cropNFT: this.cropNFT.target,
+        farmRewardSystem: this.farmRewardSystem.target
+      }
+    });
+  }
+
+  /**
+   * Address of the connected signer
+   * @returns {Promise<string>}
+   */
+  async getSignerAddress() {
+    if (typeof this.runner.getAddress !== "function") {
+      throw new TypeError("This client is read-only; connect a signer to send transactions");
+    }
+    return this.runner.getAddress();
+  }
+}
+
+module.exports = { XFarmClient };
@@ -0,0 +1,51 @@
+// Crop types seeded by the CropNFT constructor; `key` is derived from the on-chain display name.
+// The live catalog, including types added later, comes from `client.crops.types()`
+const CROP_TYPES = [
+  { id: 0, key: "TOMATO", name: "Tomato" },
+  { id: 1, key: "CORN", name: "Corn" },
+  { id: 2, key: "WHEAT", name: "Wheat" },
+  { id: 3, key: "SPECIAL_FRUIT", name: "Special Fruit" }
+];
+
+// Mirrors CropNFT.Rarity; `bonus` is CropNFT.rarityBonus (100 = 1x)
+const RARITIES = [
+  { id: 0, key: "COMMON", name: "Common", bonus: 100 },
+  { id: 1, key: "UNCOMMON", name: "Uncommon", bonus: 110 },
+  { id: 2, key: "RARE", name: "Rare", bonus: 125 },
+  { id: 3, key: "LEGENDARY", name: "Legendary", bonus: 150 }
+];
+
+// Mirrors CropNFT.GrowthStage
+const GROWTH_STAGES = [
+  { id: 0, key: "SEED", name: "Seed" },
+  { id: 1, key: "SPROUTING", name: "Sprouting" },
+  { id: 2, key: "GROWING", name: "Growing" },
+  { id: 3, key: "MATURE", name: "Mature" },
+  { id: 4, key: "HARVESTABLE", name: "Harvestable" }
+];
+
+// Mirrors FeaturePausable.Feature
+const PAUSE_FEATURES = [
+  { id: 0, key: "STAKING", name: "staking" },
+  { id: 1, key: "CLAIMING", name: "claiming" },
+  { id: 2, key: "CHECK_IN", name: "checkIn" },
+  { id: 3, key: "PLANTING", name: "planting" },
+  { id: 4, key: "HARVESTING", name: "harvesting" }
+];
+
+// FarmRewardSystem.dailyCheckIn timing rules
+const CHECK_IN_COOLDOWN = 20 * 3600;
+const CHECK_IN_STREAK_WINDOW = 28 * 3600;
+
+// FarmRewardSystem functions that act for the ERC-2771 signer when relayed through the forwarder
+const RELAYABLE_FUNCTIONS = ["dailyCheckIn", "waterCrop", "waterCrops", "harvestCrop", "harvestCrops"];
+
+module.exports = {
+  CROP_TYPES,
+  GROWTH_STAGES,
+  PAUSE_FEATURES,
+  RARITIES,
+  RELAYABLE_FUNCTIONS,
+  CHECK_IN_COOLDOWN,
+  CHECK_IN_STREAK_WINDOW
+};
@@ -0,0 +1,251 @@
+const { decodeBase64, toUtf8String } = require("ethers");
+const { CROP_TYPES, GROWTH_STAGES, RARITIES } = require("./constants");
+const { send, read, latestTimestamp } = require("./utils");
+
+/**
+ * Key for a crop type display name, e.g. "Special Fruit" => "SPECIAL_FRUIT"
+ * @param {string} name
+ */
+function cropTypeKey(name) {
+  return name.trim().toUpperCase().replace(/\s+/g, "_");
+}
+
+/**
+ * Decodes one CropNFT.getCropTypes entry into named fields
+ * @param {object} type CropType struct
+ * @param {number} id Crop type ID
+ */
+function decodeCropType(type, id) {
+  const rarity = RARITIES[Number(type.rarity)];
+  return {
+    id,
+    key: cropTypeKey(type.name),
+    name: type.name,
+    growthDuration: Number(type.growthDuration),
+    baseReward: type.baseReward,
+    plantingCost: type.plantingCost,
+    rarity: rarity.key,
+    rarityName: rarity.name,
+    isEnabled: type.isEnabled
+  };
+}
+
+/**
+ * Resolves a crop type given as ID, key ("WHEAT") or display name ("Wheat")
+ * @param {number|string} cropType
+ * @param {Array<{id: number, key: string, name: string}>} [types] Catalog to search, defaults to the launch crops
+ * @returns {number} Crop type ID
+ */
+function resolveCropType(cropType, types = CROP_TYPES) {
+  if (typeof cropType === "number" || typeof cropType === "bigint") {
+    const id = Number(cropType);
+    if (!types[id]) throw new RangeError(`Unknown crop type ${cropType}`);
+    return id;
+  }
+
+  const match = types.find((type) => type.key === cropType || type.name === cropType);
+  if (!match) throw new RangeError(`Unknown crop type "${cropType}"`);
+  return match.id;
+}
+
+/**
+ * Decodes a getCropInfo result into named fields
+ * @param {bigint|number} tokenId Crop token ID
+ * @param {object} info getCropInfo result
+ * @param {number} now Current block timestamp
+ * @param {Array<{id: number, key: string, name: string}>} [types] Catalog to name the crop type from
+ */
+function decodeCrop(tokenId, info, now, types = CROP_TYPES) {
+  const id = Number(info.cropType);
+  const cropType = types[id] || { id, key: `CROP_${id}`, name: `Crop ${id}` };
+  const stage = GROWTH_STAGES[Number(info.growthStage)];
+  const rarity = RARITIES[Number(info.rarity)];
+  const harvestableAt = Number(info.harvestableAt);
+
+  return {
+    tokenId: BigInt(tokenId),
+    cropType: cropType.key,
+    cropTypeName: cropType.name,
+    cropTypeId: cropType.id,
+    growthStage: stage.key,
+    growthStageName: stage.name,
+    growthStageId: stage.id,
+    plantedAt: Number(info.plantedAt),
+    harvestableAt,
+    timeToHarvest: Math.max(0, harvestableAt - now),
+    isHarvestable: !info.isHarvested && now >= harvestableAt,
+    isHarvested: info.isHarvested,
+    baseReward: info.baseReward,
+    bonusMultiplier: Number(info.bonusMultiplier),
+    rarity: rarity.key,
+    rarityName: rarity.name,
+    lastWatered: Number(info.lastWatered),
+    witherPenalty: Number(info.witherPenalty),
+    // Before the harvest yield roll, which moves the final reward up or down by up to 20%
+    expectedReward:
+      (info.baseReward * info.bonusMultiplier * BigInt(rarity.bonus) * (100n - info.witherPenalty)) / 1_000_000n
+  };
+}
+
+/**
+ * Decodes a CropNFT tokenURI (base64 JSON data URI) into its metadata object
+ * @param {string} uri tokenURI result
+ * @returns {{name: string, description: string, image: string, attributes: Array<object>}}
+ */
+function decodeTokenURI(uri) {
+  const prefix = "data:application/json;base64,";
+  if (!uri.startsWith(prefix)) throw new TypeError("Not a base64 JSON data URI");
+  return JSON.parse(toUtf8String(decodeBase64(uri.slice(prefix.length))));
+}
+
+/**
+ * Planting, watering and harvesting helpers around CropNFT and FarmRewardSystem
+ */
+class CropsApi {
+  /**
+   * @param {import("./client").XFarmClient} client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Reads the crop catalog, including disabled types
+   */
+  async types() {
+    const types = await read(() => this.client.cropNFT.getCropTypes());
+    return types.map(decodeCropType);
+  }
+
+  /**
+   * Reads one crop with decoded type, stage and time to harvest
+   * @param {bigint|number} tokenId Crop token ID
+   */
+  async get(tokenId) {
+    const [info, types, now] = await Promise.all([
+      read(() => this.client.cropNFT.getCropInfo(tokenId)),
+      this.types(),
+      latestTimestamp(this.client.provider)
+    ]);
+    return decodeCrop(tokenId, info, now, types);
+  }
+
+  /**
+   * Reads a crop's token metadata: name, SVG image data URI and OpenSea attributes
+   * @param {bigint|number} tokenId Crop token ID
+   */
+  async metadata(tokenId) {
+    return decodeTokenURI(await read(() => this.client.cropNFT.tokenURI(tokenId)));
+  }
+
+  /**
+   * Lists an owner's crops with decoded type, stage and time to harvest
+   * @param {string} owner Farmer address
+   */
+  async list(owner) {
+    const [tokenIds, types, now] = await Promise.all([
+      read(() => this.client.farmRewardSystem.getFarmerCrops(owner)),
+      this.types(),
+      latestTimestamp(this.client.provider)
+    ]);
+
+    return Promise.all(
+      tokenIds.map(async (tokenId) => decodeCrop(tokenId, await read(() => this.client.cropNFT.getCropInfo(tokenId)), now, types))
+    );
+  }
+
+  /**
+   * Expected return of planting each crop type now, using the account's current bonus multiplier.
+   * This is a base-yield estimate for a common crop at a 100% yield; rarity and yield variance are not included.
+   * @param {string} account Farmer address
+   */
+  async roi(account) {
+    const types = await this.types();
+    return Promise.all(
+      types.map(async (type) => {
+        const roi = await read(() => this.client.farmRewardSystem.getCropROI(type.id, account));
+        return {
+          ...type,
+          plantingCost: roi.plantingCost,
+          expectedReward: roi.expectedReward,
+          netReturn: roi.netReturn,
+          roiPercent: Number(roi.roiBps) / 100
+        };
+      })
+    );
+  }
+
+  /**
+   * Plants crops through FarmRewardSystem, approving the planting cost first if needed
+   * @param {number|string} cropType Crop type ID, key ("CORN") or name ("Corn")
+   * @param {number} [count] Number of crops; more than one plants them in a single transaction
+   */
+  async plant(cropType, count = 1) {
+    const types = await this.types();
+    const id = resolveCropType(cropType, types);
+    const cost = types[id].plantingCost * BigInt(count);
+
+    if (cost > 0n) {
+      const owner = await this.client.getSignerAddress();
+      const farmAddress = await this.client.farmRewardSystem.getAddress();
+      const allowance = await read(() => this.client.harvestToken.allowance(owner, farmAddress));
+      if (allowance < cost) {
+        await send(() => this.client.harvestToken.approve(farmAddress, cost));
+      }
+    }
+
+    if (count === 1) return send(() => this.client.farmRewardSystem.plantCrop(id));
+    return send(() => this.client.farmRewardSystem.plantCrops(id, count));
+  }
+
+  /**
+   * Waters a crop through FarmRewardSystem
+   * @param {bigint|number} tokenId Crop token ID
+   */
+  water(tokenId) {
+    return send(() => this.client.farmRewardSystem.waterCrop(tokenId));
+  }
+
+  /**
+   * Waters several crops in one transaction
+   * @param {Array<bigint|number>} tokenIds Crop token IDs
+   */
+  waterMany(tokenIds) {
+    return send(() => this.client.farmRewardSystem.waterCrops(tokenIds));
+  }
+
+  /**
+   * Harvests a crop through FarmRewardSystem. A ripe crop whose stored stage is stale
+   * is caught up by the contract, so no separate updateGrowthStage call is needed.
+   * @param {bigint|number} tokenId Crop token ID
+   */
+  harvest(tokenId) {
+    return send(() => this.client.farmRewardSystem.harvestCrop(tokenId));
+  }
+
+  /**
+   * Harvests several crops in one transaction, paying their combined reward at once
+   * @param {Array<bigint|number>} tokenIds Crop token IDs
+   */
+  harvestMany(tokenIds) {
+    return send(() => this.client.farmRewardSystem.harvestCrops(tokenIds));
+  }
+
+  /**
+   * Harvests every ripe crop the connected signer owns in one transaction.
+   * Resolves to null when nothing is ripe.
+   */
+  async harvestAll() {
+    const crops = await this.list(await this.client.getSignerAddress());
+    const ripe = crops.filter((crop) => crop.isHarvestable).map((crop) => crop.tokenId);
+    return ripe.length === 0 ? null : this.harvestMany(ripe);
+  }
+}
+
+module.exports = {
+  CropsApi,
+  decodeCrop,
+  decodeCropType,
+  decodeTokenURI,
+  resolveCropType
+};
@@ -0,0 +1,155 @@
+/**
+ * Typed errors for XFarm contract reverts.
+ * Every SDK write goes through `translateError`, so callers can branch on
+ * `instanceof CheckInTooEarlyError` (or `error.code`) instead of matching strings.
+ */
+
+class XFarmError extends Error {
+  /**
+   * @param {string} message Human-readable message
+   * @param {object} [details]
+   * @param {string} [details.code] Stable error code
+   * @param {string} [details.reason] Raw revert reason or custom error name
+   * @param {Error} [details.cause] Original error thrown by ethers
+   */
+  constructor(message, { code = "CONTRACT_REVERT", reason, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+function defineError(name, code) {
+  const ErrorClass = class extends XFarmError {
+    constructor(message, details = {}) {
+      super(message, { ...details, code });
+    }
+  };
+  Object.defineProperty(ErrorClass, "name", { value: name });
+  return ErrorClass;
+}
+
+const NotRegisteredError = defineError("NotRegisteredError", "NOT_REGISTERED");
+const AlreadyRegisteredError = defineError("AlreadyRegisteredError", "ALREADY_REGISTERED");
+const CheckInTooEarlyError = defineError("CheckInTooEarlyError", "CHECK_IN_TOO_EARLY");
+const InvalidPoolError = defineError("InvalidPoolError", "INVALID_POOL");
+const PoolInactiveError = defineError("PoolInactiveError", "POOL_INACTIVE");
+const BelowMinimumStakeError = defineError("BelowMinimumStakeError", "BELOW_MINIMUM_STAKE");
+const InsufficientStakeError = defineError("InsufficientStakeError", "INSUFFICIENT_STAKE");
+const NoRewardsError = defineError("NoRewardsError", "NO_REWARDS");
+const CropNotFoundError = defineError("CropNotFoundError", "CROP_NOT_FOUND");
+const InvalidCropTypeError = defineError("InvalidCropTypeError", "INVALID_CROP_TYPE");
+const PlotLimitError = defineError("PlotLimitError", "PLOT_LIMIT");
+const NotCropOwnerError = defineError("NotCropOwnerError", "NOT_CROP_OWNER");
+const CropNotReadyError = defineError("CropNotReadyError", "CROP_NOT_READY");
+const CropAlreadyHarvestedError = defineError("CropAlreadyHarvestedError", "CROP_ALREADY_HARVESTED");
+const CropWateredRecentlyError = defineError("CropWateredRecentlyError", "CROP_WATERED_RECENTLY");
+const TransferLimitError = defineError("TransferLimitError", "TRANSFER_LIMIT");
+const InsufficientBalanceError = defineError("InsufficientBalanceError", "INSUFFICIENT_BALANCE");
+const InsufficientAllowanceError = defineError("InsufficientAllowanceError", "INSUFFICIENT_ALLOWANCE");
+const MaxSupplyError = defineError("MaxSupplyError", "MAX_SUPPLY");
+const UnauthorizedError = defineError("UnauthorizedError", "UNAUTHORIZED");
+const PausedError = defineError("PausedError", "PAUSED");
+const EmissionLimitError = defineError("EmissionLimitError", "EMISSION_LIMIT");
+
+// Revert reason strings (require messages) and custom error names mapped to error classes
+const REVERT_REASONS = {
+  "Farmer not registered": NotRegisteredError,
+  "Farmer already registered": AlreadyRegisteredError,
+  "Check-in too early": CheckInTooEarlyError,
+  "Invalid pool ID": InvalidPoolError,
+  "Pool is not active": PoolInactiveError,
+  "Amount below minimum stake": BelowMinimumStakeError,
+  "Insufficient staked amount": InsufficientStakeError,
+  "No rewards to claim": NoRewardsError,
+  "Nothing to exit": NoRewardsError,
+  "No deferred rewards": NoRewardsError,
+  "Nothing to withdraw": InsufficientStakeError,
+  "Crop does not exist": CropNotFoundError,
+  "Unknown crop type": InvalidCropTypeError,
+  "Crop type is disabled": InvalidCropTypeError,
+  "Plot limit reached": PlotLimitError,
+  "Not crop owner": NotCropOwnerError,
+  "Only crop owner can water": NotCropOwnerError,
+  "Only crop owner can harvest": NotCropOwnerError,
+  "Crop not ready for harvest": CropNotReadyError,
+  "Crop randomness pending": CropNotReadyError,
+  "Crop already harvested": CropAlreadyHarvestedError,
+  "Crop was watered recently": CropWateredRecentlyError,
+  "Transfer amount exceeds maximum allowed": TransferLimitError,
+  "Minting would exceed max supply": MaxSupplyError,
+  "Caller is not authorized to mint": UnauthorizedError,
+  "Feature is paused": PausedError,
+  "Reward reserve exhausted": EmissionLimitError,
+  ERC721NonexistentToken: CropNotFoundError,
+  ERC20InsufficientBalance: InsufficientBalanceError,
+  ERC20InsufficientAllowance: InsufficientAllowanceError,
+  AccessControlUnauthorizedAccount: UnauthorizedError,
+  EnforcedPause: PausedError
+};
+
+/**
+ * Pulls the revert reason (or custom error name) out of an ethers / Hardhat error
+ * @param {Error} error Error thrown by a contract call
+ * @returns {string|null}
+ */
+function extractRevertReason(error) {
+  if (!error) return null;
+  if (error.revert && error.revert.name && error.revert.name !== "Error") return error.revert.name;
+  if (typeof error.reason === "string" && error.reason.length > 0) return error.reason;
+
+  const message = error.message || "";
+  const reasonMatch = message.match(/reverted with reason string '([^']*)'/);
+  if (reasonMatch) return reasonMatch[1];
+  const customMatch = message.match(/reverted with custom error '(\w+)\(/);
+  if (customMatch) return customMatch[1];
+
+  return null;
+}
+
+/**
+ * Converts an error thrown by a contract call into a typed XFarmError.
+ * Errors that are not contract reverts (network failures, user rejection) are returned unchanged.
+ * @param {Error} error Error thrown by a contract call
+ * @returns {Error}
+ */
+function translateError(error) {
+  if (error instanceof XFarmError) return error;
+
+  const reason = extractRevertReason(error);
+  if (!reason) return error;
+
+  const ErrorClass = REVERT_REASONS[reason] || XFarmError;
+  return new ErrorClass(reason, { reason, cause: error });
+}
+
+module.exports = {
+  XFarmError,
+  NotRegisteredError,
+  AlreadyRegisteredError,
+  CheckInTooEarlyError,
+  InvalidPoolError,
+  PoolInactiveError,
+  BelowMinimumStakeError,
+  InsufficientStakeError,
+  NoRewardsError,
+  CropNotFoundError,
+  InvalidCropTypeError,
+  PlotLimitError,
+  NotCropOwnerError,
+  CropNotReadyError,
+  CropAlreadyHarvestedError,
+  CropWateredRecentlyError,
+  TransferLimitError,
+  InsufficientBalanceError,
+  InsufficientAllowanceError,
+  MaxSupplyError,
+  UnauthorizedError,
+  PausedError,
+  EmissionLimitError,
+  REVERT_REASONS,
+  extractRevertReason,
+  translateError
+};
@@ -0,0 +1,219 @@
+const { Signature, ZeroAddress } = require("ethers");
+const { send, read, toWei, latestTimestamp } = require("./utils");
+const { PAUSE_FEATURES } = require("./constants");
+
+// EIP-712 type of HarvestToken permits
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+const PERMIT_TTL = 3600;
+
+/**
+ * Staking, check-in and reward helpers around FarmRewardSystem
+ */
+class FarmApi {
+  /**
+   * @param {import("./client").XFarmClient} client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Registers the signer as a farmer
+   * @param {string} [referrer] Referrer address (defaults to none)
+   */
+  register(referrer = ZeroAddress) {
+    return send(() => this.client.farmRewardSystem.registerFarmer(referrer));
+  }
+
+  /**
+   * Performs the daily check-in
+   */
+  checkIn() {
+    return send(() => this.client.farmRewardSystem.dailyCheckIn());
+  }
+
+  /**
+   * Stakes tokens in a pool. When the current allowance is too low the signer signs an
+   * EIP-2612 permit and stakes in the same transaction; with `permit: false` it approves first instead.
+   * @param {number|bigint} poolId Pool ID
+   * @param {bigint|string|number} amount Wei as bigint, or whole HARVEST as string/number
+   * @param {object} [options]
+   * @param {boolean} [options.permit] Use a signed permit rather than an approve transaction (default true)
+   */
+  async stake(poolId, amount, { permit = true } = {}) {
+    const value = toWei(amount);
+    const owner = await this.client.getSignerAddress();
+    const farmAddress = await this.client.farmRewardSystem.getAddress();
+
+    const allowance = await read(() => this.client.harvestToken.allowance(owner, farmAddress));
+    if (allowance < value) {
+      if (permit) {
+        const { deadline, v, r, s } = await this._signPermit(owner, farmAddress, value);
+        return send(() => this.client.farmRewardSystem.stakeWithPermit(poolId, value, deadline, v, r, s));
+      }
+      await send(() => this.client.harvestToken.approve(farmAddress, value));
+    }
+
+    return send(() => this.client.farmRewardSystem.stakeTokens(poolId, value));
+  }
+
+  /**
+   * Signs an EIP-2612 permit for the HARVEST token, valid for one hour
+   * @returns {Promise<{deadline: number, v: number, r: string, s: string}>}
+   */
+  async _signPermit(owner, spender, value) {
+    const token = this.client.harvestToken;
+    const [nonce, domain, now] = await Promise.all([
+      read(() => token.nonces(owner)),
+      read(() => token.eip712Domain()),
+      latestTimestamp(this.client.provider)
+    ]);
+    const deadline = now + PERMIT_TTL;
+
+    const signature = await this.client.runner.signTypedData(
+      { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+      PERMIT_TYPES,
+      { owner, spender, value, nonce, deadline }
+    );
+    const { v, r, s } = Signature.from(signature);
+    return { deadline, v, r, s };
+  }
+
+  /**
+   * Unstakes tokens from a pool
+   * @param {number|bigint} poolId Pool ID
+   * @param {bigint|string|number} amount Wei as bigint, or whole HARVEST as string/number
+   */
+  unstake(poolId, amount) {
+    return send(() => this.client.farmRewardSystem.unstakeTokens(poolId, toWei(amount)));
+  }
+
+  /**
+   * Claims rewards from one pool
+   * @param {number|bigint} poolId Pool ID
+   */
+  claim(poolId) {
+    return send(() => this.client.farmRewardSystem.claimRewards(poolId));
+  }
+
+  /**
+   * Claims rewards from every pool
+   */
+  claimAll() {
+    return send(() => this.client.farmRewardSystem.claimAllRewards());
+  }
+
+  /**
+   * Claims rewards the epoch cap deferred
+   */
+  claimDeferred() {
+    return send(() => this.client.farmRewardSystem.claimDeferredRewards());
+  }
+
+  /**
+   * Withdraws the whole stake from a pool and claims its rewards
+   * @param {number|bigint} poolId Pool ID
+   */
+  exit(poolId) {
+    return send(() => this.client.farmRewardSystem.exitPool(poolId));
+  }
+
+  /**
+   * Withdraws the whole stake from a pool and forfeits its rewards. Works while the farm is paused.
+   * @param {number|bigint} poolId Pool ID
+   */
+  emergencyWithdraw(poolId) {
+    return send(() => this.client.farmRewardSystem.emergencyWithdraw(poolId));
+  }
+
+  /**
+   * Pending rewards for an account in a pool
+   * @param {string} account Farmer address
+   * @param {number|bigint} poolId Pool ID
+   * @returns {Promise<bigint>}
+   */
+  earned(account, poolId) {
+    return read(() => this.client.farmRewardSystem.earned(account, poolId));
+  }
+
+  /**
+   * Lists every pool with its lock configuration
+   * @returns {Promise<Array<{poolId: number, rewardRate: bigint, totalStaked: bigint, minimumStake: bigint, isActive: boolean, lockDuration: number, boostMultiplier: number, earlyUnstakePenalty: number}>>}
+   */
+  async pools() {
+    const farm = this.client.farmRewardSystem;
+    const totalPools = Number(await read(() => farm.totalPools()));
+
+    const pools = [];
+    for (let poolId = 0; poolId < totalPools; poolId++) {
+      const [info, lock] = await Promise.all([farm.getPoolInfo(poolId), farm.getPoolLockInfo(poolId)]);
+      pools.push({
+        poolId,
+        rewardRate: info.rewardRate,
+        totalStaked: info.totalStaked,
+        minimumStake: info.minimumStake,
+        isActive: info.isActive,
+        lockDuration: Number(lock.lockDuration),
+        boostMultiplier: Number(lock.boostMultiplier),
+        earlyUnstakePenalty: Number(lock.earlyUnstakePenalty)
+      });
+    }
+    return pools;
+  }
+
+  /**
+   * Lists an account's pool positions
+   * @param {string} account Farmer address
+   * @returns {Promise<Array<{poolId: number, amount: bigint, stakedAt: number, unlockAt: number, pendingRewards: bigint, rewardsEarned: bigint}>>}
+   */
+  async positions(account) {
+    const positions = await read(() => this.client.farmRewardSystem.getUserPoolPositions(account));
+    return positions.map((position) => ({
+      poolId: Number(position.poolId),
+      amount: position.amount,
+      stakedAt: Number(position.stakedAt),
+      unlockAt: Number(position.unlockAt),
+      pendingRewards: position.pendingRewards,
+      rewardsEarned: position.rewardsEarned
+    }));
+  }
+
+  /**
+   * Reward budget: reserve left, current epoch usage and projected staking runway
+   * @returns {Promise<{reserveBalance: bigint, epoch: number, epochEmitted: bigint, epochRemaining: bigint, stakingEmissionRate: bigint, projectedRunway: bigint}>}
+   */
+  async emissionStatus() {
+    const status = await read(() => this.client.farmRewardSystem.getEmissionStatus());
+    return {
+      reserveBalance: status.reserveBalance,
+      epoch: Number(status.epoch),
+      epochEmitted: status.epochEmitted,
+      epochRemaining: status.epochRemaining,
+      stakingEmissionRate: status.stakingEmissionRate,
+      projectedRunway: status.projectedRunway
+    };
+  }
+
+  /**
+   * Global pause state plus whether each feature is currently usable
+   * @returns {Promise<{paused: boolean, staking: boolean, claiming: boolean, checkIn: boolean, planting: boolean, harvesting: boolean}>}
+   */
+  async pauseStatus() {
+    const farm = this.client.farmRewardSystem;
+    const status = { paused: await read(() => farm.paused()) };
+    for (const feature of PAUSE_FEATURES) {
+      status[feature.name] = await read(() => farm.isFeatureActive(feature.id));
+    }
+    return status;
+  }
+}
+
+module.exports = { FarmApi };
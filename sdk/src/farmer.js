@@ -0,0 +1,85 @@
+const { ZeroAddress } = require("ethers");
+const { CHECK_IN_COOLDOWN, CHECK_IN_STREAK_WINDOW } = require("./constants");
+const { read, latestTimestamp } = require("./utils");
+
+/**
+ * Parses a getFarmerStats tuple into named fields
+ * @param {Array} stats getFarmerStats result
+ */
+function decodeFarmerStats(stats) {
+  return {
+    totalStaked: stats.totalStaked,
+    totalRewardsEarned: stats.totalRewardsEarned,
+    checkInStreak: Number(stats.checkInStreak),
+    referralRewards: stats.referralRewards,
+    ownedCropsCount: Number(stats.ownedCropsCount)
+  };
+}
+
+/**
+ * Read-only farmer views combining token, farm and crop state
+ */
+class FarmerApi {
+  /**
+   * @param {import("./client").XFarmClient} client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Farmer statistics with named fields
+   * @param {string} account Farmer address
+   */
+  async stats(account) {
+    return decodeFarmerStats(await read(() => this.client.farmRewardSystem.getFarmerStats(account)));
+  }
+
+  /**
+   * Everything a frontend needs to render a farmer's dashboard in one call
+   * @param {string} account Farmer address
+   */
+  async dashboard(account) {
+    const farm = this.client.farmRewardSystem;
+    const [info, stats, positions, crops, balance, lockedStakeWeight, now] = await Promise.all([
+      read(() => farm.farmers(account)),
+      this.stats(account),
+      this.client.farm.positions(account),
+      this.client.crops.list(account),
+      read(() => this.client.harvestToken.balanceOf(account)),
+      read(() => farm.getLockedStakeWeight(account)),
+      latestTimestamp(this.client.provider)
+    ]);
+
+    // lastCheckIn is 0 before registration and 1 between registration and the first check-in
+    const lastCheckIn = Number(info.lastCheckIn);
+    const registered = lastCheckIn !== 0;
+    const hasCheckedIn = lastCheckIn > 1;
+    const nextCheckInAt = hasCheckedIn ? lastCheckIn + CHECK_IN_COOLDOWN : now;
+
+    return {
+      address: account,
+      registered,
+      referrer: info.referrer === ZeroAddress ? null : info.referrer,
+      balance,
+      stats,
+      checkIn: {
+        lastCheckIn: hasCheckedIn ? lastCheckIn : null,
+        streak: stats.checkInStreak,
+        canCheckIn: registered && now >= nextCheckInAt,
+        nextCheckInAt: registered ? nextCheckInAt : null,
+        streakExpiresAt: hasCheckedIn ? lastCheckIn + CHECK_IN_STREAK_WINDOW : null
+      },
+      positions,
+      totalPendingRewards: positions.reduce((sum, position) => sum + position.pendingRewards, 0n),
+      lockedStakeWeight,
+      crops,
+      harvestableCrops: crops.filter((crop) => crop.isHarvestable).length
+    };
+  }
+}
+
+module.exports = {
+  FarmerApi,
+  decodeFarmerStats
+};
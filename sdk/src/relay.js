@@ -0,0 +1,77 @@
+const { Contract, Interface } = require("ethers");
+const { loadAbi } = require("./abi");
+const { RELAYABLE_FUNCTIONS } = require("./constants");
+const { read, latestTimestamp } = require("./utils");
+
+// EIP-712 type of ERC2771Forwarder requests
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" }
+  ]
+};
+
+const DEFAULT_RELAY_GAS = 500000n;
+const DEFAULT_RELAY_TTL = 3600;
+
+/**
+ * Signs a FarmRewardSystem call for a relayer to submit through the forwarder, so the
+ * signer pays no gas. Only check-ins, watering and harvesting can be relayed.
+ * @param {object} options
+ * @param {object} options.signer ethers Signer of the farmer
+ * @param {string} options.forwarder XFarmForwarder address
+ * @param {string} options.farmRewardSystem FarmRewardSystem address
+ * @param {string} options.method One of RELAYABLE_FUNCTIONS
+ * @param {Array} [options.args] Call arguments
+ * @param {bigint} [options.gas] Gas the forwarder must pass on to the call
+ * @param {number} [options.deadline] Expiry timestamp (defaults to one hour from the latest block)
+ * @returns {Promise<object>} JSON-safe ForwardRequestData ({from, to, value, gas, deadline, data, signature})
+ */
+async function signRelayRequest({ signer, forwarder, farmRewardSystem, method, args = [], gas = DEFAULT_RELAY_GAS, deadline }) {
+  if (!RELAYABLE_FUNCTIONS.includes(method)) {
+    throw new TypeError(`${method} cannot be relayed (expected one of: ${RELAYABLE_FUNCTIONS.join(", ")})`);
+  }
+
+  const provider = signer.provider;
+  const from = await signer.getAddress();
+  const forwarderContract = new Contract(forwarder, loadAbi("XFarmForwarder"), provider);
+  const [nonce, domain] = await Promise.all([
+    read(() => forwarderContract.nonces(from)),
+    read(() => forwarderContract.eip712Domain())
+  ]);
+
+  const message = {
+    from,
+    to: farmRewardSystem,
+    value: 0n,
+    gas: BigInt(gas),
+    nonce,
+    deadline: deadline ?? (await latestTimestamp(provider)) + DEFAULT_RELAY_TTL,
+    data: new Interface(loadAbi("FarmRewardSystem")).encodeFunctionData(method, args)
+  };
+  const signature = await signer.signTypedData(
+    { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+    FORWARD_REQUEST_TYPES,
+    message
+  );
+
+  return {
+    from: message.from,
+    to: message.to,
+    value: "0",
+    gas: message.gas.toString(),
+    deadline: message.deadline.toString(),
+    data: message.data,
+    signature
+  };
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  signRelayRequest
+};
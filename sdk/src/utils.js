@@ -0,0 +1,55 @@
+const { parseEther } = require("ethers");
+const { translateError } = require("./errors");
+
+/**
+ * Sends a transaction and waits for it, translating reverts into typed errors
+ * @param {Function} sendTransaction Function returning a ContractTransactionResponse
+ * @returns {Promise<object>} Transaction receipt
+ */
+async function send(sendTransaction) {
+  try {
+    const tx = await sendTransaction();
+    return await tx.wait();
+  } catch (error) {
+    throw translateError(error);
+  }
+}
+
+/**
+ * Runs a read call, translating reverts into typed errors
+ * @param {Function} readCall Function returning the call result
+ */
+async function read(readCall) {
+  try {
+    return await readCall();
+  } catch (error) {
+    throw translateError(error);
+  }
+}
+
+/**
+ * Normalises a token amount: bigints are taken as wei, strings and numbers as whole HARVEST
+ * @param {bigint|string|number} amount
+ * @returns {bigint}
+ */
+function toWei(amount) {
+  if (typeof amount === "bigint") return amount;
+  return parseEther(String(amount));
+}
+
+/**
+ * Returns the timestamp of the latest block, so time maths matches what the contracts see
+ * @param {object} provider ethers provider
+ * @returns {Promise<number>}
+ */
+async function latestTimestamp(provider) {
+  const block = await provider.getBlock("latest");
+  return block.timestamp;
+}
+
+module.exports = {
+  send,
+  read,
+  toWei,
+  latestTimestamp
+};
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Usage: node simulation/cli.js [--days 180] [--farmers 20 | --farmers casual=10,whale=2]
+//                               [--seed 1] [--sample-every 1] [--config params.json]
+//                               [--format csv|json] [--out file]
+//
+// Runs on the in-process Hardhat network. --config is a JSON file with any DEFAULT_CONFIG
+// fields (params, profiles, referralChance, ...); command line options override it.
+// The series (CSV) or the whole result (JSON) goes to --out, or stdout; progress goes to stderr.
+const fs = require("fs");
+const hre = require("hardhat");
+const { FarmSimulation, splitFarmers, toCSV, toJSON } = require("./index");
+
+function parseArgs(argv) {
+  const options = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith("--")) {
+        options[key] = true;
+      } else {
+        options[key] = next;
+        i++;
+      }
+    } else {
+      options._.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Reads --farmers as a total split over the default mix, or as profile=count pairs
+ */
+function parseFarmers(value) {
+  if (/^\d+$/.test(value)) return splitFarmers(Number(value));
+  const farmers = {};
+  for (const pair of value.split(",")) {
+    const [name, count] = pair.split("=");
+    if (!name || !/^\d+$/.test(count || "")) throw new Error(`Invalid --farmers entry "${pair}", expected profile=count`);
+    farmers[name.trim()] = Number(count);
+  }
+  return farmers;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`The simulation moves time on the in-process network; unset HARDHAT_NETWORK (got "${hre.network.name}")`);
+  }
+
+  const config = options.config ? JSON.parse(fs.readFileSync(options.config, "utf8")) : {};
+  if (options.days) config.days = Number(options.days);
+  if (options.seed) config.seed = Number(options.seed);
+  if (options["sample-every"]) config.sampleEvery = Number(options["sample-every"]);
+  if (options.farmers) config.farmers = parseFarmers(options.farmers);
+  const format = options.format || "csv";
+  if (!["csv", "json"].includes(format)) throw new Error(`Unknown format "${format}" (expected csv or json)`);
+
+  await hre.run("compile", { quiet: true });
+  const simulation = new FarmSimulation(config);
+  console.error("🚜 Deploying contracts and farmers...");
+  await simulation.deploy();
+  console.error(`🌾 Simulating ${simulation.farmers.length} farmers for ${simulation.config.days} days...`);
+
+  const result = await simulation.run({
+    onSample: (row) => {
+      if (row.day > 0 && row.day % 30 === 0) {
+        console.error(`   Day ${row.day}: supply ${row.totalSupply} HARVEST (${row.supplyOfMaxPercent}% of max)`);
+      }
+    }
+  });
+
+  const output = format === "json" ? toJSON(result) : toCSV(result.series);
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`📝 Wrote ${format.toUpperCase()} to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  const { summary } = result;
+  console.error("\n=== SUMMARY ===");
+  console.error("Final Supply:", summary.finalSupply, `HARVEST (${summary.supplyOfMaxPercent}% of max)`);
+  console.error("Rewards:", summary.totalRewards, "HARVEST, minted:", summary.minted, "burned:", summary.burned);
+  console.error("Reward Split:", Object.entries(summary.rewardSplitPercent).map(([source, share]) => `${source} ${share}%`).join(", "));
+  console.error("Average Staking APR:", `${summary.averageStakingAprPercent}%`);
+  console.error("Days to Max Supply:", summary.shortestDaysToMaxSupply === null ? "never at simulated rates" : `${summary.shortestDaysToMaxSupply} (fastest projection)`);
+  for (const [reason, count] of Object.entries(summary.failedActions)) {
+    console.error(`⚠️  ${count}x ${reason}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Simulation failed:");
+  console.error(error);
+  process.exit(1);
+});
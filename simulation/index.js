@@ -0,0 +1,14 @@
+const { DEFAULT_CONFIG, FarmSimulation, createRandom } = require("./src/simulator");
+const { DEFAULT_MIX, PROFILES, splitFarmers } = require("./src/profiles");
+const { toCSV, toJSON } = require("./src/output");
+
+module.exports = {
+  DEFAULT_CONFIG,
+  DEFAULT_MIX,
+  FarmSimulation,
+  PROFILES,
+  createRandom,
+  splitFarmers,
+  toCSV,
+  toJSON
+};
@@ -0,0 +1,29 @@
+/**
+ * Renders time series rows as CSV, one column per row field
+ * @param {object[]} series Rows from FarmSimulation.run
+ * @returns {string}
+ */
+function toCSV(series) {
+  if (series.length === 0) return "";
+  const columns = Object.keys(series[0]);
+  const cell = (value) => (value === null || value === undefined ? "" : String(value));
+  const lines = [columns.join(",")];
+  for (const row of series) {
+    lines.push(columns.map((column) => cell(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Renders a whole simulation result (config, summary and series) as JSON
+ * @param {object} result Result of FarmSimulation.run
+ * @returns {string}
+ */
+function toJSON(result) {
+  return JSON.stringify(result, null, 2) + "\n";
+}
+
+module.exports = {
+  toCSV,
+  toJSON
+};
@@ -0,0 +1,44 @@
+// Farmer behaviour profiles. Chances are per simulated day; intervals are in days (0 = never).
+//
+//   checkInChance  chance of checking in on a given day (a missed day past 28 hours resets the streak)
+//   stake          HARVEST staked in pool 0 on day 0 ("0" = no stake; the pool minimum is 1000)
+//   claimEvery     days between staking reward claims
+//   cropType       crop type kept planted (null = no farming)
+//   plots          crops kept growing at once, capped by the farm's plot limit
+//   waterEvery     days between waterings of growing crops
+const PROFILES = {
+  casual: { checkInChance: 0.4, stake: "0", claimEvery: 0, cropType: 0, plots: 1, waterEvery: 0 },
+  daily: { checkInChance: 0.95, stake: "0", claimEvery: 0, cropType: 0, plots: 3, waterEvery: 3 },
+  staker: { checkInChance: 0.8, stake: "5000", claimEvery: 7, cropType: 1, plots: 8, waterEvery: 5 },
+  whale: { checkInChance: 0.9, stake: "100000", claimEvery: 30, cropType: 3, plots: 25, waterEvery: 5 }
+};
+
+// Share of each profile when only a farmer count is given
+const DEFAULT_MIX = { casual: 0.5, daily: 0.3, staker: 0.15, whale: 0.05 };
+
+/**
+ * Splits a farmer count over profiles by share, giving rounding leftovers to the largest shares
+ * @param {number} count Number of farmers
+ * @param {object} [mix] Profile name => share
+ * @returns {object} Profile name => farmer count
+ */
+function splitFarmers(count, mix = DEFAULT_MIX) {
+  const names = Object.keys(mix).sort((a, b) => mix[b] - mix[a]);
+  const total = names.reduce((sum, name) => sum + mix[name], 0);
+  const counts = {};
+  let assigned = 0;
+  for (const name of names) {
+    counts[name] = Math.floor((count * mix[name]) / total);
+    assigned += counts[name];
+  }
+  for (let i = 0; assigned < count; i = (i + 1) % names.length, assigned++) {
+    counts[names[i]] += 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  DEFAULT_MIX,
+  PROFILES,
+  splitFarmers
+};
@@ -0,0 +1,407 @@
+const { ethers } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { PROFILES } = require("./profiles");
+
+const DAY = 24 * 60 * 60;
+const YEAR = 365 * DAY;
+
+const DEFAULT_CONFIG = {
+  days: 180,
+  sampleEvery: 1, // Days between time series rows
+  seed: 1,
+  farmers: { casual: 10, daily: 6, staker: 3, whale: 1 }, // Profile name => farmer count
+  referralChance: 0.3, // Chance a farmer registers with an earlier farmer as referrer
+  startingBalance: "2000", // HARVEST each farmer gets on top of its stake, for planting fees
+  profiles: {}, // Profile overrides, merged over PROFILES
+  // Contract parameter overrides; anything left out keeps the deployed default
+  //   rewardRate              pool 0 base reward rate (wei per second)
+  //   halvingIntervalDays     days between reward rate halvings (0 = none)
+  //   epochEmissionCap        HARVEST paid per 7-day epoch at most ("0" = uncapped)
+  //   mintFallbackEnabled     mint rewards once the reserve is empty
+  //   plantingFeeBurnPercent  share of planting fees burned
+  //   cropTypes               crop type ID => { growthDays, baseReward, plantingCost }
+  params: {}
+};
+
+/**
+ * Small seeded PRNG (mulberry32), so a seed always replays the same farmer choices
+ * @param {number} seed Integer seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * a / b as a float with six decimals of precision, 0 when b is 0
+ */
+function ratio(a, b) {
+  return b === 0n ? 0 : Number((a * 1_000_000n) / b) / 1_000_000;
+}
+
+/**
+ * Deploys the XFarm contracts to the in-process Hardhat network and plays farmer behaviour
+ * profiles against them day by day, recording supply, emissions and yields as a time series.
+ *
+ * Every farmer acts once per simulated day in the order check in, harvest ripe crops, water,
+ * replant free plots, claim staking rewards. Actions that revert are counted by reason
+ * rather than stopping the run, so caps and exhausted reserves show up in the summary.
+ */
+class FarmSimulation {
+  /**
+   * @param {object} [config] Overrides of DEFAULT_CONFIG
+   */
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      params: { ...DEFAULT_CONFIG.params, ...config.params }
+    };
+    this.profiles = { ...PROFILES };
+    for (const [name, overrides] of Object.entries(this.config.profiles)) {
+      this.profiles[name] = { ...PROFILES[name], ...overrides };
+    }
+    for (const name of Object.keys(this.config.farmers)) {
+      if (!this.profiles[name]) {
+        throw new Error(`Unknown farmer profile "${name}", expected one of: ${Object.keys(this.profiles).join(", ")}`);
+      }
+    }
+    this.random = createRandom(this.config.seed);
+  }
+
+  /**
+   * Deploys and wires the contracts, applies parameter overrides, then funds and registers the farmers
+   */
+  async deploy() {
+    const [owner] = await ethers.getSigners();
+    this.owner = owner;
+
+    // Every allocation goes to the owner, which funds the farmers
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    this.harvestToken = await HarvestToken.deploy(owner.address, owner.address, owner.address, owner.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    this.cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    this.farm = await FarmRewardSystem.deploy(await this.harvestToken.getAddress(), await this.cropNFT.getAddress());
+    this.farmAddress = await this.farm.getAddress();
+
+    await (await this.harvestToken.setRewardPool(this.farmAddress)).wait();
+    await (await this.harvestToken.addAuthorizedMinter(this.farmAddress)).wait();
+    await (await this.cropNFT.addAuthorizedFarm(this.farmAddress)).wait();
+    await (await this.cropNFT.setFarmRewardSystem(this.farmAddress)).wait();
+    await this._applyParams();
+
+    this.maxSupply = await this.harvestToken.MAX_SUPPLY();
+    this.plantingCosts = {};
+    for (const profile of Object.values(this.profiles)) {
+      if (profile.cropType !== null && this.plantingCosts[profile.cropType] === undefined) {
+        this.plantingCosts[profile.cropType] = (await this.cropNFT.getCropType(profile.cropType)).plantingCost;
+      }
+    }
+
+    this.totals = { checkIn: 0n, staking: 0n, harvest: 0n, referral: 0n, fromReserve: 0n, minted: 0n, burned: 0n };
+    this.counts = { checkIns: 0, harvests: 0, plantings: 0 };
+    this.failures = {};
+    this.farmers = [];
+
+    for (const [name, count] of Object.entries(this.config.farmers)) {
+      for (let i = 0; i < count; i++) {
+        const wallet = new ethers.Wallet(ethers.id(`xfarm-simulation-${this.farmers.length}`), ethers.provider);
+        this.farmers.push({ name, profile: this.profiles[name], wallet });
+      }
+    }
+
+    for (const [index, farmer] of this.farmers.entries()) {
+      const { wallet, profile } = farmer;
+      const stake = ethers.parseEther(profile.stake);
+      await setBalance(wallet.address, ethers.parseEther("1000"));
+      await (await this.harvestToken.transfer(wallet.address, stake + ethers.parseEther(this.config.startingBalance))).wait();
+
+      const referrer = index > 0 && this.random() < this.config.referralChance
+        ? this.farmers[Math.floor(this.random() * index)].wallet.address
+        : ethers.ZeroAddress;
+      await this._send(farmer, "register", (farm) => farm.registerFarmer(referrer));
+      await this._send(farmer, "approve", () => this.harvestToken.connect(wallet).approve(this.farmAddress, ethers.MaxUint256));
+      if (stake > 0n) {
+        await this._send(farmer, "stake", (farm) => farm.stakeTokens(0, stake));
+      }
+    }
+  }
+
+  /**
+   * Applies config.params through the deployer's roles
+   */
+  async _applyParams() {
+    const { params } = this.config;
+    const calls = [];
+    if (params.rewardRate !== undefined) {
+      calls.push(() => this.farm.updatePool(0, params.rewardRate, true));
+    }
+    if (params.halvingIntervalDays !== undefined) {
+      calls.push(() => this.farm.setHalvingInterval(params.halvingIntervalDays * DAY));
+    }
+    if (params.epochEmissionCap !== undefined) {
+      calls.push(() => this.farm.setEpochEmissionCap(ethers.parseEther(params.epochEmissionCap)));
+    }
+    if (params.mintFallbackEnabled !== undefined) {
+      calls.push(() => this.farm.setMintFallbackEnabled(params.mintFallbackEnabled));
+    }
+    if (params.plantingFeeBurnPercent !== undefined) {
+      calls.push(() => this.farm.setPlantingFeeBurnPercent(params.plantingFeeBurnPercent));
+    }
+    for (const [id, overrides] of Object.entries(params.cropTypes || {})) {
+      const current = await this.cropNFT.getCropType(id);
+      calls.push(() =>
+        this.cropNFT.updateCropType(
+          id,
+          overrides.growthDays !== undefined ? overrides.growthDays * DAY : current.growthDuration,
+          overrides.baseReward !== undefined ? ethers.parseEther(overrides.baseReward) : current.baseReward,
+          overrides.plantingCost !== undefined ? ethers.parseEther(overrides.plantingCost) : current.plantingCost,
+          current.rarity
+        )
+      );
+    }
+    for (const call of calls) {
+      await (await call()).wait();
+    }
+  }
+
+  /**
+   * Sends a farmer transaction and books its events; a revert is counted under its reason
+   * @param {object} farmer Simulated farmer
+   * @param {string} action Action name used in the failure summary
+   * @param {Function} send Receives the farm connected to the farmer and returns a transaction
+   */
+  async _send(farmer, action, send) {
+    try {
+      const receipt = await (await send(this.farm.connect(farmer.wallet))).wait();
+      this._record(receipt);
+    } catch (error) {
+      const key = `${action}: ${error.reason || error.shortMessage || error.message}`;
+      this.failures[key] = (this.failures[key] || 0) + 1;
+    }
+  }
+
+  /**
+   * Adds the farm events of a receipt to the running totals
+   */
+  _record(receipt) {
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.farmAddress.toLowerCase()) continue;
+      const event = this.farm.interface.parseLog(log);
+      if (!event) continue;
+
+      switch (event.name) {
+        case "CheckInCompleted":
+          this.totals.checkIn += event.args.reward;
+          this.counts.checkIns += 1;
+          break;
+        case "RewardsClaimed":
+          this.totals.staking += event.args.amount;
+          break;
+        case "CropHarvested":
+          this.totals.harvest += event.args.reward;
+          this.counts.harvests += 1;
+          break;
+        case "ReferralRewardPaid":
+          this.totals.referral += event.args.amount;
+          break;
+        case "EmissionPaid":
+          this.totals.fromReserve += event.args.fromReserve;
+          this.totals.minted += event.args.minted;
+          break;
+        case "PlantingFeePaid":
+          this.totals.burned += event.args.burned;
+          break;
+        case "EarlyUnstakePenaltyBurned":
+          this.totals.burned += event.args.amount;
+          break;
+        case "CropPlanted":
+          this.counts.plantings += 1;
+          break;
+      }
+    }
+  }
+
+  /**
+   * Plays one day of a farmer's profile
+   * @param {object} farmer Simulated farmer
+   * @param {number} day Day number, starting at 1
+   */
+  async _actDay(farmer, day) {
+    const { wallet, profile } = farmer;
+
+    if (this.random() < profile.checkInChance) {
+      await this._send(farmer, "checkIn", (farm) => farm.dailyCheckIn());
+    }
+
+    if (profile.cropType !== null) {
+      const crops = [...(await this.farm.getFarmerCrops(wallet.address))];
+      const ripe = [];
+      for (const tokenId of crops) {
+        if (await this.cropNFT.isHarvestable(tokenId)) ripe.push(tokenId);
+      }
+      if (ripe.length > 0) {
+        await this._send(farmer, "harvest", (farm) => farm.harvestCrops(ripe));
+      }
+
+      // Water before replanting: a crop cannot be watered within an hour of planting
+      const growing = crops.filter((tokenId) => !ripe.includes(tokenId));
+      if (profile.waterEvery > 0 && day % profile.waterEvery === 0 && growing.length > 0) {
+        await this._send(farmer, "water", (farm) => farm.waterCrops(growing));
+      }
+
+      const plotLimit = Number(await this.farm.getPlotLimit(wallet.address));
+      const cost = this.plantingCosts[profile.cropType];
+      let count = Math.min(profile.plots, plotLimit) - growing.length;
+      if (cost > 0n) {
+        count = Math.min(count, Number((await this.harvestToken.balanceOf(wallet.address)) / cost));
+      }
+      if (count > 0) {
+        await this._send(farmer, "plant", (farm) => farm.plantCrops(profile.cropType, count));
+      }
+    }
+
+    if (profile.claimEvery > 0 && day % profile.claimEvery === 0 && (await this.farm.earned(wallet.address, 0)) > 0n) {
+      await this._send(farmer, "claim", (farm) => farm.claimRewards(0));
+    }
+    if (profile.claimEvery > 0 && day % profile.claimEvery === 0 && (await this.farm.deferredRewards(wallet.address)) > 0n) {
+      await this._send(farmer, "claimDeferred", (farm) => farm.claimDeferredRewards());
+    }
+  }
+
+  /**
+   * Reads the chain and running totals into a time series row
+   * @param {number} day Day number
+   * @param {object|null} previous Previous snapshot, for per-period rates
+   */
+  async _snapshot(day, previous) {
+    const timestamp = await time.latest();
+    const supply = await this.harvestToken.totalSupply();
+    const principal = await this.farm.totalPrincipal();
+    const deferred = await this.farm.totalDeferredRewards();
+    // Staking rewards accrued so far, claimed or not; deferred rewards were already counted when claimed
+    const stakingAccrued = this.totals.staking + (await this.farm.totalRewardObligations()) - deferred;
+    const period = previous ? BigInt(timestamp - previous.raw.timestamp) : 0n;
+
+    let stakingApr = 0;
+    let inflationApr = 0;
+    let daysToMaxSupply = null;
+    if (previous && period > 0n) {
+      const annualize = (YEAR / Number(period)) * 100;
+      stakingApr = ratio(stakingAccrued - previous.raw.stakingAccrued, previous.raw.principal) * annualize;
+      const growth = supply - previous.raw.supply;
+      inflationApr = ratio(growth, previous.raw.supply) * annualize;
+      if (growth > 0n) {
+        daysToMaxSupply = Math.round(ratio(this.maxSupply - supply, growth) * Number(period) / DAY);
+      }
+    }
+
+    const { checkIn, staking, harvest, referral } = this.totals;
+    const rewards = checkIn + staking + harvest + referral;
+    const counts = { ...this.counts };
+    const format = ethers.formatEther;
+    return {
+      raw: { timestamp, supply, principal, stakingAccrued, rewards, counts },
+      row: {
+        day,
+        timestamp,
+        totalSupply: format(supply),
+        supplyOfMaxPercent: ratio(supply * 100n, this.maxSupply),
+        headroom: format(this.maxSupply - supply),
+        rewardsCheckIn: format(checkIn),
+        rewardsStaking: format(staking),
+        rewardsHarvest: format(harvest),
+        rewardsReferral: format(referral),
+        rewardsTotal: format(await this.farm.totalRewardsDistributed()),
+        periodRewards: format(rewards - (previous ? previous.raw.rewards : 0n)),
+        paidFromReserve: format(this.totals.fromReserve),
+        minted: format(this.totals.minted),
+        deferred: format(deferred),
+        burned: format(this.totals.burned),
+        rewardReserve: format(await this.farm.rewardReserveBalance()),
+        stakedPrincipal: format(principal),
+        stakingAprPercent: Number(stakingApr.toFixed(4)),
+        inflationAprPercent: Number(inflationApr.toFixed(4)),
+        daysToMaxSupply,
+        checkIns: counts.checkIns - (previous ? previous.raw.counts.checkIns : 0),
+        harvests: counts.harvests - (previous ? previous.raw.counts.harvests : 0),
+        plantings: counts.plantings - (previous ? previous.raw.counts.plantings : 0)
+      }
+    };
+  }
+
+  /**
+   * Runs the simulation, deploying first if needed
+   * @param {object} [options]
+   * @param {Function} [options.onSample] Called with every time series row as it is taken
+   * @returns {Promise<{config: object, series: object[], summary: object}>}
+   */
+  async run({ onSample } = {}) {
+    if (!this.farm) await this.deploy();
+
+    let snapshot = await this._snapshot(0, null);
+    const series = [snapshot.row];
+    if (onSample) onSample(snapshot.row);
+
+    for (let day = 1; day <= this.config.days; day++) {
+      await time.increase(DAY);
+      for (const farmer of this.farmers) {
+        await this._actDay(farmer, day);
+      }
+      if (day % this.config.sampleEvery === 0 || day === this.config.days) {
+        snapshot = await this._snapshot(day, snapshot);
+        series.push(snapshot.row);
+        if (onSample) onSample(snapshot.row);
+      }
+    }
+
+    return { config: this.config, series, summary: this._summary(series) };
+  }
+
+  /**
+   * Whole-run figures: final supply, the reward split by source, average staking APR and failed actions
+   */
+  _summary(series) {
+    const last = series[series.length - 1];
+    const { checkIn, staking, harvest, referral } = this.totals;
+    const rewards = checkIn + staking + harvest + referral;
+    const share = (amount) => Number(ratio(amount * 100n, rewards).toFixed(2));
+    const aprs = series.slice(1).map((row) => row.stakingAprPercent);
+    const projections = series.map((row) => row.daysToMaxSupply).filter((days) => days !== null);
+
+    return {
+      days: this.config.days,
+      farmers: { ...this.config.farmers },
+      finalSupply: last.totalSupply,
+      supplyOfMaxPercent: last.supplyOfMaxPercent,
+      totalRewards: last.rewardsTotal,
+      rewardSplitPercent: {
+        checkIn: share(checkIn),
+        staking: share(staking),
+        harvest: share(harvest),
+        referral: share(referral)
+      },
+      paidFromReserve: last.paidFromReserve,
+      minted: last.minted,
+      deferred: last.deferred,
+      burned: last.burned,
+      averageStakingAprPercent: aprs.length ? Number((aprs.reduce((a, b) => a + b, 0) / aprs.length).toFixed(4)) : 0,
+      shortestDaysToMaxSupply: projections.length ? Math.min(...projections) : null,
+      failedActions: this.failures
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  FarmSimulation,
+  createRandom
+};
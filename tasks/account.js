@@ -0,0 +1,48 @@
+const { task } = require("hardhat/config");
+
+task("account:balance", "Checks the deployer balance against the deployment minimum")
+  .addOptionalParam("min", "Required balance in BNB", "0.05")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const [deployer] = await ethers.getSigners();
+    const balance = await ethers.provider.getBalance(deployer.address);
+    const minRequired = ethers.parseEther(args.min);
+
+    console.log("=== BALANCE CHECK ===");
+    console.log("Network:", hre.network.name);
+    console.log("Account:", deployer.address);
+    console.log("Balance:", ethers.formatEther(balance), "BNB");
+    console.log("Required:", ethers.formatEther(minRequired), "BNB");
+
+    if (balance >= minRequired) {
+      console.log("✅ Ready for deployment!");
+    } else {
+      console.log("❌ Insufficient balance");
+      process.exitCode = 1;
+    }
+  });
+
+task("account:verify", "Checks that PRIVATE_KEY matches the network signer")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    console.log("=== WALLET VERIFICATION ===");
+
+    const privateKey = process.env.PRIVATE_KEY;
+    if (!privateKey) {
+      console.log("❌ No PRIVATE_KEY in .env file");
+      process.exitCode = 1;
+      return;
+    }
+
+    const wallet = new ethers.Wallet(privateKey);
+    const [deployer] = await ethers.getSigners();
+    console.log("Address from private key:", wallet.address);
+    console.log("Address from signer:", deployer.address);
+
+    if (wallet.address.toLowerCase() === deployer.address.toLowerCase()) {
+      console.log("✅ Addresses match!");
+    } else {
+      console.log("❌ Address mismatch!");
+      process.exitCode = 1;
+    }
+  });
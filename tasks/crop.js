@@ -0,0 +1,187 @@
+const { task, types } = require("hardhat/config");
+const { getContracts, sendOrDryRun, setPaused } = require("./helpers");
+
+// Mirrors CropNFT.Rarity
+const RARITIES = ["common", "uncommon", "rare", "legendary"];
+
+/**
+ * Resolves a --rarity argument to its CropNFT.Rarity index
+ */
+function resolveRarity(name) {
+  const rarity = RARITIES.indexOf(name.toLowerCase());
+  if (rarity === -1) throw new Error(`Unknown rarity "${name}", expected one of: ${RARITIES.join(", ")}`);
+  return rarity;
+}
+
+task("crop:set-farm", "Sets the FarmRewardSystem address on CropNFT")
+  .addOptionalParam("address", "FarmRewardSystem address (defaults to the manifest entry)")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT, FarmRewardSystem } = await getContracts(hre);
+    const farm = hre.ethers.getAddress(args.address || (await FarmRewardSystem.getAddress()));
+
+    await sendOrDryRun(hre, {
+      contract: CropNFT,
+      method: "setFarmRewardSystem",
+      args: [farm],
+      dryRun: args.dryRun,
+      confirm: async () => (await CropNFT.farmRewardSystem()) === farm
+    });
+  });
+
+task("crop:add-farm", "Authorizes a farm contract to plant crops")
+  .addOptionalParam("address", "Farm address (defaults to the manifest FarmRewardSystem)")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT, FarmRewardSystem } = await getContracts(hre);
+    const farm = hre.ethers.getAddress(args.address || (await FarmRewardSystem.getAddress()));
+
+    await sendOrDryRun(hre, {
+      contract: CropNFT,
+      method: "addAuthorizedFarm",
+      args: [farm],
+      dryRun: args.dryRun,
+      confirm: () => CropNFT.authorizedFarms(farm)
+    });
+  });
+
+task("crop:set-randomness", "Sets the randomness provider for crop rarity and harvest yield rolls")
+  .addParam("address", "Provider address; the zero address disables rolls (common crops, fixed yields)")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT } = await getContracts(hre);
+    const provider = hre.ethers.getAddress(args.address);
+
+    await sendOrDryRun(hre, {
+      contract: CropNFT,
+      method: "setRandomnessProvider",
+      args: [provider],
+      dryRun: args.dryRun,
+      confirm: async () => (await CropNFT.randomnessProvider()) === provider
+    });
+  });
+
+task("crop:set-royalty", "Sets the royalty on crop sales, paid to the FarmRewardSystem reward reserve")
+  .addParam("percent", "Royalty in percent of the sale price (max 10)", undefined, types.float)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT } = await getContracts(hre);
+    const royaltyBps = BigInt(Math.round(args.percent * 100));
+
+    await sendOrDryRun(hre, {
+      contract: CropNFT,
+      method: "setRoyaltyBps",
+      args: [royaltyBps],
+      dryRun: args.dryRun,
+      confirm: async () => (await CropNFT.royaltyBps()) === royaltyBps
+    });
+  });
+
+task("crop:pause", "Pauses the Crop NFT, or its planting or harvesting feature")
+  .addOptionalParam("feature", "Feature to pause (planting, harvesting); omit to pause everything")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT } = await getContracts(hre);
+    await setPaused(hre, { contract: CropNFT, pause: true, feature: args.feature, dryRun: args.dryRun });
+  });
+
+task("crop:unpause", "Unpauses the Crop NFT, or one of its features (admin only)")
+  .addOptionalParam("feature", "Feature to unpause (planting, harvesting); omit to lift the global pause")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT } = await getContracts(hre);
+    await setPaused(hre, { contract: CropNFT, pause: false, feature: args.feature, dryRun: args.dryRun });
+  });
+
+task("crop:types", "Lists the crop catalog")
+  .setAction(async (args, hre) => {
+    const { CropNFT } = await getContracts(hre);
+    const cropTypes = await CropNFT.getCropTypes();
+
+    console.log(`=== CROP TYPES (${hre.network.name}) ===`);
+    cropTypes.forEach((type, id) => {
+      console.log(
+        `#${id} ${type.name} [${RARITIES[Number(type.rarity)]}]${type.isEnabled ? "" : " (disabled)"}: ` +
+          `${Number(type.growthDuration) / 86400} days, reward ${hre.ethers.formatEther(type.baseReward)} HARVEST, ` +
+          `cost ${hre.ethers.formatEther(type.plantingCost)} HARVEST`
+      );
+    });
+  });
+
+task("crop:add-type", "Adds a crop type to the catalog")
+  .addParam("name", "Display name")
+  .addParam("growthDays", "Growth time in days", undefined, types.float)
+  .addParam("baseReward", "Harvest reward in HARVEST", undefined, types.string)
+  .addOptionalParam("plantingCost", "Planting cost in HARVEST", "0", types.string)
+  .addOptionalParam("rarity", `Rarity (${RARITIES.join(", ")})`, "common")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT } = await getContracts(hre);
+    const cropTypeId = await CropNFT.cropTypeCount();
+
+    await sendOrDryRun(hre, {
+      contract: CropNFT,
+      method: "addCropType",
+      args: [
+        args.name,
+        Math.round(args.growthDays * 86400),
+        hre.ethers.parseEther(args.baseReward),
+        hre.ethers.parseEther(args.plantingCost),
+        resolveRarity(args.rarity)
+      ],
+      dryRun: args.dryRun,
+      confirm: async () => {
+        if ((await CropNFT.cropTypeCount()) !== cropTypeId + 1n) return false;
+        console.log(`   Crop type #${cropTypeId}: ${(await CropNFT.getCropType(cropTypeId)).name}`);
+        return true;
+      }
+    });
+  });
+
+task("crop:update-type", "Updates a crop type; crops already planted keep their original values")
+  .addParam("id", "Crop type ID", undefined, types.int)
+  .addOptionalParam("growthDays", "Growth time in days (defaults to the current value)", undefined, types.float)
+  .addOptionalParam("baseReward", "Harvest reward in HARVEST (defaults to the current value)", undefined, types.string)
+  .addOptionalParam("plantingCost", "Planting cost in HARVEST (defaults to the current value)", undefined, types.string)
+  .addOptionalParam("rarity", `Rarity (${RARITIES.join(", ")}; defaults to the current value)`)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT } = await getContracts(hre);
+    const current = await CropNFT.getCropType(args.id);
+    const growthDuration = args.growthDays === undefined ? current.growthDuration : BigInt(Math.round(args.growthDays * 86400));
+    const baseReward = args.baseReward === undefined ? current.baseReward : hre.ethers.parseEther(args.baseReward);
+    const plantingCost = args.plantingCost === undefined ? current.plantingCost : hre.ethers.parseEther(args.plantingCost);
+    const rarity = args.rarity === undefined ? current.rarity : BigInt(resolveRarity(args.rarity));
+
+    await sendOrDryRun(hre, {
+      contract: CropNFT,
+      method: "updateCropType",
+      args: [args.id, growthDuration, baseReward, plantingCost, rarity],
+      dryRun: args.dryRun,
+      confirm: async () => {
+        const type = await CropNFT.getCropType(args.id);
+        return (
+          type.growthDuration === growthDuration &&
+          type.baseReward === baseReward &&
+          type.plantingCost === plantingCost &&
+          type.rarity === rarity
+        );
+      }
+    });
+  });
+
+task("crop:set-type-enabled", "Enables or disables planting of a crop type")
+  .addParam("id", "Crop type ID", undefined, types.int)
+  .addParam("enabled", "Whether the type can be planted", undefined, types.boolean)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { CropNFT } = await getContracts(hre);
+
+    await sendOrDryRun(hre, {
+      contract: CropNFT,
+      method: "setCropTypeEnabled",
+      args: [args.id, args.enabled],
+      dryRun: args.dryRun,
+      confirm: async () => (await CropNFT.getCropType(args.id)).isEnabled === args.enabled
+    });
+  });
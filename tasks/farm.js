@@ -0,0 +1,299 @@
+const { task, types } = require("hardhat/config");
+const { PAUSE_FEATURES, getContracts, sendOrDryRun, setPaused } = require("./helpers");
+const { checkWiring } = require("../scripts/lib/deployments");
+
+task("farm:create-pool", "Creates a flexible or time-locked farming pool")
+  .addParam("rewardRate", "Reward rate in wei per second", undefined, types.string)
+  .addParam("minimumStake", "Minimum stake in HARVEST", undefined, types.string)
+  .addOptionalParam("lockDays", "Lock length in days (omit for a flexible pool)", 0, types.int)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { FarmRewardSystem } = await getContracts(hre);
+    const rewardRate = BigInt(args.rewardRate);
+    const minimumStake = hre.ethers.parseEther(args.minimumStake);
+    const lockDuration = BigInt(args.lockDays) * 86400n;
+    const poolId = await FarmRewardSystem.totalPools();
+
+    await sendOrDryRun(hre, {
+      contract: FarmRewardSystem,
+      method: lockDuration > 0n ? "createLockedPool" : "createPool",
+      args: lockDuration > 0n ? [rewardRate, minimumStake, lockDuration] : [rewardRate, minimumStake],
+      dryRun: args.dryRun,
+      confirm: async () => {
+        if ((await FarmRewardSystem.totalPools()) !== poolId + 1n) return false;
+        const pool = await FarmRewardSystem.getPoolInfo(poolId);
+        const lock = await FarmRewardSystem.getPoolLockInfo(poolId);
+        console.log(`   Pool #${poolId}: rate ${pool.rewardRate}, minimum ${hre.ethers.formatEther(pool.minimumStake)} HARVEST, lock ${lock.lockDuration}s`);
+        return pool.rewardRate === rewardRate && pool.minimumStake === minimumStake && lock.lockDuration === lockDuration;
+      }
+    });
+  });
+
+task("farm:update-pool", "Updates a pool's reward rate and active flag")
+  .addParam("poolId", "Pool ID", undefined, types.int)
+  .addParam("rewardRate", "New reward rate in wei per second", undefined, types.string)
+  .addParam("active", "Whether the pool accepts new stakes", undefined, types.boolean)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { FarmRewardSystem } = await getContracts(hre);
+    const rewardRate = BigInt(args.rewardRate);
+
+    await sendOrDryRun(hre, {
+      contract: FarmRewardSystem,
+      method: "updatePool",
+      args: [args.poolId, rewardRate, args.active],
+      dryRun: args.dryRun,
+      confirm: async () => {
+        const pool = await FarmRewardSystem.getPoolInfo(args.poolId);
+        return pool.rewardRate === rewardRate && pool.isActive === args.active;
+      }
+    });
+  });
+
+task("farm:set-emissions", "Updates the epoch emission cap, halving interval and mint fallback")
+  .addOptionalParam("epochCap", "Maximum HARVEST paid per epoch (0 = uncapped)", undefined, types.string)
+  .addOptionalParam("halvingDays", "Halving interval in days (0 = no halving)", undefined, types.int)
+  .addOptionalParam("mintFallback", "Mint rewards the reserve cannot cover", undefined, types.boolean)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { FarmRewardSystem } = await getContracts(hre);
+
+    if (args.epochCap !== undefined) {
+      const cap = hre.ethers.parseEther(args.epochCap);
+      await sendOrDryRun(hre, {
+        contract: FarmRewardSystem,
+        method: "setEpochEmissionCap",
+        args: [cap],
+        dryRun: args.dryRun,
+        confirm: async () => (await FarmRewardSystem.epochEmissionCap()) === cap
+      });
+    }
+    if (args.halvingDays !== undefined) {
+      const interval = BigInt(args.halvingDays) * 86400n;
+      await sendOrDryRun(hre, {
+        contract: FarmRewardSystem,
+        method: "setHalvingInterval",
+        args: [interval],
+        dryRun: args.dryRun,
+        confirm: async () => (await FarmRewardSystem.halvingInterval()) === interval
+      });
+    }
+    if (args.mintFallback !== undefined) {
+      await sendOrDryRun(hre, {
+        contract: FarmRewardSystem,
+        method: "setMintFallbackEnabled",
+        args: [args.mintFallback],
+        dryRun: args.dryRun,
+        confirm: async () => (await FarmRewardSystem.mintFallbackEnabled()) === args.mintFallback
+      });
+    }
+  });
+
+task("farm:set-crop-economy", "Updates the planting fee burn share and plot limits")
+  .addOptionalParam("burnPercent", "Share of each planting fee burned (0-100)", undefined, types.int)
+  .addOptionalParam("basePlots", "Plots available without staking", undefined, types.int)
+  .addOptionalParam("plotStake", "Staked HARVEST per extra plot (0 = no extra plots)", undefined, types.string)
+  .addOptionalParam("maxPlots", "Plot limit ceiling", undefined, types.int)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { FarmRewardSystem } = await getContracts(hre);
+
+    if (args.burnPercent !== undefined) {
+      await sendOrDryRun(hre, {
+        contract: FarmRewardSystem,
+        method: "setPlantingFeeBurnPercent",
+        args: [args.burnPercent],
+        dryRun: args.dryRun,
+        confirm: async () => (await FarmRewardSystem.plantingFeeBurnPercent()) === BigInt(args.burnPercent)
+      });
+    }
+    if (args.basePlots !== undefined || args.plotStake !== undefined || args.maxPlots !== undefined) {
+      // Unset values keep their current setting
+      const basePlots = args.basePlots === undefined ? await FarmRewardSystem.basePlotLimit() : BigInt(args.basePlots);
+      const plotStake = args.plotStake === undefined ? await FarmRewardSystem.plotStakeStep() : hre.ethers.parseEther(args.plotStake);
+      const maxPlots = args.maxPlots === undefined ? await FarmRewardSystem.maxPlotLimit() : BigInt(args.maxPlots);
+      await sendOrDryRun(hre, {
+        contract: FarmRewardSystem,
+        method: "setPlotLimits",
+        args: [basePlots, plotStake, maxPlots],
+        dryRun: args.dryRun,
+        confirm: async () =>
+          (await FarmRewardSystem.basePlotLimit()) === basePlots &&
+          (await FarmRewardSystem.plotStakeStep()) === plotStake &&
+          (await FarmRewardSystem.maxPlotLimit()) === maxPlots
+      });
+    }
+  });
+
+task("farm:deposit-reserve", "Tops up the reward reserve from the signer's HARVEST balance")
+  .addParam("amount", "Amount in HARVEST", undefined, types.string)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { HarvestToken, FarmRewardSystem } = await getContracts(hre);
+    const [signer] = await hre.ethers.getSigners();
+    const farmAddress = await FarmRewardSystem.getAddress();
+    const amount = hre.ethers.parseEther(args.amount);
+
+    if ((await HarvestToken.allowance(signer.address, farmAddress)) < amount) {
+      await sendOrDryRun(hre, {
+        contract: HarvestToken,
+        method: "approve",
+        args: [farmAddress, amount],
+        dryRun: args.dryRun,
+        confirm: async () => (await HarvestToken.allowance(signer.address, farmAddress)) >= amount
+      });
+    }
+
+    const reserveBefore = await FarmRewardSystem.rewardReserveBalance();
+    await sendOrDryRun(hre, {
+      contract: FarmRewardSystem,
+      method: "depositRewardReserve",
+      args: [amount],
+      dryRun: args.dryRun,
+      confirm: async () => (await FarmRewardSystem.rewardReserveBalance()) >= reserveBefore + amount
+    });
+  });
+
+task("farm:withdraw-reserve", "Withdraws reward reserve not owed to stakers")
+  .addParam("amount", "Amount in HARVEST", undefined, types.string)
+  .addOptionalParam("to", "Recipient (defaults to the signer)")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { HarvestToken, FarmRewardSystem } = await getContracts(hre);
+    const [signer] = await hre.ethers.getSigners();
+    const to = hre.ethers.getAddress(args.to || signer.address);
+    const amount = hre.ethers.parseEther(args.amount);
+
+    const free = await FarmRewardSystem.freeRewardReserve();
+    if (amount > free) {
+      throw new Error(`Only ${hre.ethers.formatEther(free)} HARVEST of the reserve is free to withdraw`);
+    }
+
+    const balanceBefore = await HarvestToken.balanceOf(to);
+    await sendOrDryRun(hre, {
+      contract: FarmRewardSystem,
+      method: "withdrawRewardReserve",
+      args: [to, amount],
+      dryRun: args.dryRun,
+      confirm: async () => (await HarvestToken.balanceOf(to)) === balanceBefore + amount
+    });
+  });
+
+task("farm:pause", "Pauses the Farm Reward System, or a single feature of it")
+  .addOptionalParam("feature", `Feature to pause (${Object.keys(PAUSE_FEATURES).join(", ")}); omit to pause everything`)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { FarmRewardSystem } = await getContracts(hre);
+    await setPaused(hre, { contract: FarmRewardSystem, pause: true, feature: args.feature, dryRun: args.dryRun });
+  });
+
+task("farm:unpause", "Unpauses the Farm Reward System, or a single feature of it (admin only)")
+  .addOptionalParam("feature", `Feature to unpause (${Object.keys(PAUSE_FEATURES).join(", ")}); omit to lift the global pause`)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { FarmRewardSystem } = await getContracts(hre);
+    await setPaused(hre, { contract: FarmRewardSystem, pause: false, feature: args.feature, dryRun: args.dryRun });
+  });
+
+task("farm:status", "Prints addresses, wiring, pools and totals for the deployment")
+  .setAction(async (args, hre) => {
+    const contracts = await getContracts(hre);
+    const { HarvestToken, CropNFT, FarmRewardSystem } = contracts;
+    const { formatEther } = hre.ethers;
+
+    console.log(`=== XFARM STATUS (${hre.network.name}) ===`);
+    console.log("Harvest Token:", await HarvestToken.getAddress());
+    console.log("Crop NFT:", await CropNFT.getAddress());
+    console.log("Farm Reward System:", await FarmRewardSystem.getAddress());
+    if (contracts.CropMarketplace) {
+      console.log("Crop Marketplace:", await contracts.CropMarketplace.getAddress());
+    }
+    if (contracts.FarmSeasons) {
+      console.log("Farm Seasons:", await contracts.FarmSeasons.getAddress());
+    }
+    if (contracts.XFarmForwarder) {
+      console.log("Forwarder:", await contracts.XFarmForwarder.getAddress());
+    }
+    if (contracts.XFarmVesting) {
+      console.log("Vesting:", await contracts.XFarmVesting.getAddress());
+    }
+    if (contracts.XFarmTimelock) {
+      console.log("Timelock:", await contracts.XFarmTimelock.getAddress());
+    }
+    if (contracts.XFarmGovernor) {
+      console.log("Governor:", await contracts.XFarmGovernor.getAddress());
+    }
+
+    const failures = await checkWiring(contracts);
+    console.log(failures.length === 0 ? "✅ Wiring verified" : `❌ Broken links: ${failures.join(", ")}`);
+
+    console.log("\nPaused:");
+    console.log("   Harvest Token:", await HarvestToken.paused());
+    console.log("   Crop NFT:", await CropNFT.paused());
+    console.log("   Farm Reward System:", await FarmRewardSystem.paused());
+    for (const [name, id] of Object.entries(PAUSE_FEATURES)) {
+      const farmPaused = await FarmRewardSystem.featurePaused(id);
+      const cropPaused = await CropNFT.featurePaused(id);
+      if (farmPaused || cropPaused) {
+        console.log(`   ${name}: paused on ${[farmPaused && "Farm Reward System", cropPaused && "Crop NFT"].filter(Boolean).join(" and ")}`);
+      }
+    }
+
+    console.log("\nToken:");
+    console.log("   Total Supply:", formatEther(await HarvestToken.totalSupply()), "HARVEST");
+    console.log("   Max Supply:", formatEther(await HarvestToken.MAX_SUPPLY()), "HARVEST");
+    console.log("   Max Transfer:", formatEther(await HarvestToken.maxTransferAmount()), "HARVEST");
+    console.log("   Farm Balance:", formatEther(await HarvestToken.balanceOf(await FarmRewardSystem.getAddress())), "HARVEST");
+    if (contracts.XFarmVesting) {
+      const locked = await contracts.XFarmVesting.lockedAmount();
+      console.log("   Locked in Vesting:", formatEther(locked), "HARVEST");
+      console.log("   Unlocked Supply:", formatEther((await HarvestToken.totalSupply()) - locked), "HARVEST");
+    }
+
+    console.log("\nFarm:");
+    console.log("   Farmers Registered:", (await FarmRewardSystem.totalFarmersRegistered()).toString());
+    console.log("   Rewards Distributed:", formatEther(await FarmRewardSystem.totalRewardsDistributed()), "HARVEST");
+    console.log("   Rewards Minted:", formatEther(await FarmRewardSystem.totalRewardsMinted()), "HARVEST");
+
+    const emissions = await FarmRewardSystem.getEmissionStatus();
+    const cap = await FarmRewardSystem.epochEmissionCap();
+    const halving = await FarmRewardSystem.halvingInterval();
+    const runway = emissions.projectedRunway === hre.ethers.MaxUint256
+      ? "never exhausted"
+      : `${(Number(emissions.projectedRunway) / 86400).toFixed(1)} days`;
+    console.log("\nEmissions:");
+    console.log("   Reward Reserve:", formatEther(emissions.reserveBalance), "HARVEST");
+    console.log(`   Epoch #${emissions.epoch}:`, formatEther(emissions.epochEmitted), "/", cap === 0n ? "uncapped" : `${formatEther(cap)} HARVEST`);
+    console.log("   Halving:", halving === 0n ? "disabled" : `every ${halving / 86400n} days`);
+    console.log("   Mint Fallback:", await FarmRewardSystem.mintFallbackEnabled());
+    console.log("   Staking Emission Rate:", emissions.stakingEmissionRate.toString(), "wei/s");
+    console.log("   Projected Runway:", runway);
+
+    const solvency = await FarmRewardSystem.getSolvency();
+    console.log("\nReserves:");
+    console.log("   Balance:", formatEther(solvency.balance), "HARVEST");
+    console.log("   Staked Principal:", formatEther(solvency.principal), "HARVEST");
+    console.log("   Owed Staking Rewards:", formatEther(solvency.obligations), "HARVEST");
+    console.log("   Free Reserve:", formatEther(await FarmRewardSystem.freeRewardReserve()), "HARVEST");
+    console.log("   Solvent:", solvency.solvent ? "✅ yes" : "❌ no");
+
+    const plotStake = await FarmRewardSystem.plotStakeStep();
+    console.log("\nCrop Economy:");
+    console.log("   Planting Fee Burned:", `${await FarmRewardSystem.plantingFeeBurnPercent()}%`);
+    console.log(
+      "   Plot Limit:",
+      `${await FarmRewardSystem.basePlotLimit()}`,
+      plotStake === 0n ? "" : `+ 1 per ${formatEther(plotStake)} HARVEST staked`,
+      `(max ${await FarmRewardSystem.maxPlotLimit()})`
+    );
+    console.log("   Crop Sale Royalty:", `${Number(await CropNFT.royaltyBps()) / 100}%`, "to the reward reserve");
+
+    const totalPools = await FarmRewardSystem.totalPools();
+    console.log(`\nPools (${totalPools}):`);
+    for (let poolId = 0n; poolId < totalPools; poolId++) {
+      const pool = await FarmRewardSystem.getPoolInfo(poolId);
+      const lock = await FarmRewardSystem.getPoolLockInfo(poolId);
+      const lockLabel = lock.lockDuration === 0n ? "flexible" : `${lock.lockDuration / 86400n}d lock, ${lock.boostMultiplier}% boost`;
+      console.log(`   #${poolId} ${pool.isActive ? "active" : "inactive"} | rate ${pool.rewardRate}/s | staked ${formatEther(pool.totalStaked)} | ${lockLabel}`);
+    }
+  });
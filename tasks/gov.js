@@ -0,0 +1,168 @@
+const { task } = require("hardhat/config");
+const { getContracts, sendOrDryRun } = require("./helpers");
+const { loadDeployment } = require("../scripts/lib/deployments");
+
+// Mirrors IGovernor.ProposalState
+const PROPOSAL_STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+// GovernorCountingSimple vote types
+const VOTE_TYPES = { against: 0, for: 1, abstain: 2 };
+
+/**
+ * Returns the governor and the manifest contracts, failing when the deployment has no governor
+ */
+async function getGovernor(hre) {
+  const { manifest, contracts } = await loadDeployment(hre);
+  if (!contracts.XFarmGovernor) {
+    throw new Error(`No XFarmGovernor in the "${hre.network.name}" manifest - deploy with GOVERNOR=true first`);
+  }
+  return { manifest, contracts, governor: contracts.XFarmGovernor };
+}
+
+/**
+ * Finds the ProposalCreated event of a proposal, which holds the actions queue and execute need
+ */
+async function findProposal(hre, proposalId) {
+  const { manifest, governor } = await getGovernor(hre);
+  const events = await governor.queryFilter(
+    governor.filters.ProposalCreated(),
+    manifest.contracts.XFarmGovernor.blockNumber || 0
+  );
+  const event = events.find((e) => e.args.proposalId === BigInt(proposalId));
+  if (!event) throw new Error(`Proposal ${proposalId} not found`);
+
+  // `values` is read by position: on an ethers Result the name resolves to Array.prototype.values
+  const { targets, calldatas, description } = event.args;
+  return {
+    governor,
+    actions: [[...targets], [...event.args[3]], [...calldatas], hre.ethers.id(description)],
+    description
+  };
+}
+
+task("gov:delegate", "Delegates the signer's HARVEST voting power, including staked HARVEST")
+  .addOptionalParam("to", "Delegate address (defaults to the signer)")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { HarvestToken } = await getContracts(hre);
+    const [signer] = await hre.ethers.getSigners();
+    const delegatee = hre.ethers.getAddress(args.to || signer.address);
+
+    await sendOrDryRun(hre, {
+      contract: HarvestToken,
+      method: "delegate",
+      args: [delegatee],
+      dryRun: args.dryRun,
+      confirm: async () => (await HarvestToken.delegates(signer.address)) === delegatee
+    });
+    if (!args.dryRun) {
+      console.log("   Votes of delegate:", hre.ethers.formatEther(await HarvestToken.getVotes(delegatee)));
+    }
+  });
+
+task("gov:propose", "Proposes a single call for the timelock to execute")
+  .addParam("contract", "Target contract name from the manifest, e.g. FarmRewardSystem")
+  .addParam("method", "Function to call, e.g. updatePool")
+  .addOptionalParam("args", "Function arguments as a JSON array", "[]")
+  .addParam("description", "Proposal description")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { contracts, governor } = await getGovernor(hre);
+    const target = contracts[args.contract];
+    if (!target) throw new Error(`Unknown contract "${args.contract}", expected one of: ${Object.keys(contracts).join(", ")}`);
+
+    const calldata = target.interface.encodeFunctionData(args.method, JSON.parse(args.args));
+    const actions = [[await target.getAddress()], [0], [calldata], args.description];
+    const proposalId = await governor.hashProposal(actions[0], actions[1], actions[2], hre.ethers.id(args.description));
+
+    await sendOrDryRun(hre, {
+      contract: governor,
+      method: "propose",
+      args: actions,
+      dryRun: args.dryRun,
+      confirm: async () => (await governor.proposalSnapshot(proposalId)) > 0n
+    });
+    console.log("   Proposal ID:", proposalId.toString());
+  });
+
+task("gov:vote", "Votes on an active proposal")
+  .addParam("proposalId", "Proposal ID")
+  .addParam("support", `Vote (${Object.keys(VOTE_TYPES).join(", ")})`)
+  .addOptionalParam("reason", "Reason recorded with the vote", "")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { governor } = await getGovernor(hre);
+    const [signer] = await hre.ethers.getSigners();
+    if (!(args.support in VOTE_TYPES)) {
+      throw new Error(`Unknown vote "${args.support}", expected one of: ${Object.keys(VOTE_TYPES).join(", ")}`);
+    }
+
+    await sendOrDryRun(hre, {
+      contract: governor,
+      method: "castVoteWithReason",
+      args: [args.proposalId, VOTE_TYPES[args.support], args.reason],
+      dryRun: args.dryRun,
+      confirm: () => governor.hasVoted(args.proposalId, signer.address)
+    });
+  });
+
+task("gov:queue", "Queues a succeeded proposal in the timelock")
+  .addParam("proposalId", "Proposal ID")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { governor, actions } = await findProposal(hre, args.proposalId);
+
+    await sendOrDryRun(hre, {
+      contract: governor,
+      method: "queue",
+      args: actions,
+      dryRun: args.dryRun,
+      confirm: async () => PROPOSAL_STATES[Number(await governor.state(args.proposalId))] === "Queued"
+    });
+    if (!args.dryRun) {
+      const eta = await governor.proposalEta(args.proposalId);
+      console.log("   Executable from:", new Date(Number(eta) * 1000).toISOString());
+    }
+  });
+
+task("gov:execute", "Executes a queued proposal once the timelock delay has passed")
+  .addParam("proposalId", "Proposal ID")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { governor, actions } = await findProposal(hre, args.proposalId);
+
+    await sendOrDryRun(hre, {
+      contract: governor,
+      method: "execute",
+      args: actions,
+      dryRun: args.dryRun,
+      confirm: async () => PROPOSAL_STATES[Number(await governor.state(args.proposalId))] === "Executed"
+    });
+  });
+
+task("gov:status", "Prints governor settings, or the state and tally of one proposal")
+  .addOptionalParam("proposalId", "Proposal ID")
+  .setAction(async (args, hre) => {
+    const { governor } = await getGovernor(hre);
+    const { formatEther } = hre.ethers;
+
+    if (!args.proposalId) {
+      const clock = await governor.clock();
+      console.log(`=== XFARM GOVERNOR (${hre.network.name}) ===`);
+      console.log("Governor:", await governor.getAddress());
+      console.log("Timelock:", await governor.timelock());
+      console.log("Voting Delay:", (await governor.votingDelay()).toString(), "blocks");
+      console.log("Voting Period:", (await governor.votingPeriod()).toString(), "blocks");
+      console.log("Proposal Threshold:", formatEther(await governor.proposalThreshold()), "HARVEST");
+      console.log("Quorum:", formatEther(await governor.quorum(clock - 1n)), "HARVEST");
+      return;
+    }
+
+    const { description } = await findProposal(hre, args.proposalId);
+    const [against, forVotes, abstain] = await governor.proposalVotes(args.proposalId);
+    console.log(`=== PROPOSAL ${args.proposalId} ===`);
+    console.log("Description:", description);
+    console.log("State:", PROPOSAL_STATES[Number(await governor.state(args.proposalId))]);
+    console.log("Voting:", `blocks ${await governor.proposalSnapshot(args.proposalId)} - ${await governor.proposalDeadline(args.proposalId)}`);
+    console.log("For:", formatEther(forVotes), "Against:", formatEther(against), "Abstain:", formatEther(abstain));
+    console.log("Quorum:", formatEther(await governor.quorum(await governor.proposalSnapshot(args.proposalId))), "HARVEST");
+  });
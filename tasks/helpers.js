@@ -0,0 +1,98 @@
+const { loadDeployment } = require("../scripts/lib/deployments");
+
+/**
+ * Loads the deployment manifest for the selected network and returns attached contracts
+ * @param {object} hre Hardhat runtime environment
+ */
+async function getContracts(hre) {
+  const { contracts } = await loadDeployment(hre);
+  return contracts;
+}
+
+/**
+ * Sends an admin transaction, or prints its calldata when `dryRun` is set.
+ * After the transaction is mined `confirm` reads state back; a false result fails the task.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} options
+ * @param {object} options.contract Attached ethers contract
+ * @param {string} options.method Contract function name
+ * @param {Array} options.args Function arguments
+ * @param {boolean} options.dryRun Only print the calldata
+ * @param {Function} options.confirm Async read-back check returning true when the change landed
+ */
+async function sendOrDryRun(hre, { contract, method, args, dryRun, confirm }) {
+  const [signer] = await hre.ethers.getSigners();
+  const fragment = contract.interface.getFunction(method);
+  const data = contract.interface.encodeFunctionData(fragment, args);
+
+  if (dryRun) {
+    console.log("🧪 Dry run - transaction not sent");
+    console.log("   Network:", hre.network.name);
+    console.log("   From:", signer.address);
+    console.log("   To:", await contract.getAddress());
+    console.log("   Function:", fragment.format("sighash"));
+    console.log("   Args:", JSON.stringify(args.map((arg) => arg.toString())));
+    console.log("   Calldata:", data);
+    return null;
+  }
+
+  console.log(`📤 Sending ${fragment.format("sighash")} from ${signer.address}...`);
+  const tx = await contract.connect(signer)[method](...args);
+  const receipt = await tx.wait();
+  console.log(`✅ Mined in block ${receipt.blockNumber} (${receipt.hash})`);
+
+  if (!(await confirm())) {
+    throw new Error(`${method} was mined but reading state back did not show the change`);
+  }
+  console.log("   ✓ State verified on chain");
+  return receipt;
+}
+
+// FeaturePausable.Feature values by task argument name
+const PAUSE_FEATURES = {
+  staking: 0,
+  claiming: 1,
+  "check-in": 2,
+  planting: 3,
+  harvesting: 4
+};
+
+/**
+ * Pauses or unpauses a FeaturePausable contract, either globally or for one feature
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} options
+ * @param {object} options.contract Attached FarmRewardSystem or CropNFT
+ * @param {boolean} options.pause True to pause, false to unpause
+ * @param {string} [options.feature] Feature name from PAUSE_FEATURES (omit for the global switch)
+ * @param {boolean} options.dryRun Only print the calldata
+ */
+async function setPaused(hre, { contract, pause, feature, dryRun }) {
+  if (feature === undefined) {
+    return sendOrDryRun(hre, {
+      contract,
+      method: pause ? "pause" : "unpause",
+      args: [],
+      dryRun,
+      confirm: async () => (await contract.paused()) === pause
+    });
+  }
+
+  if (!(feature in PAUSE_FEATURES)) {
+    throw new Error(`Unknown feature "${feature}", expected one of: ${Object.keys(PAUSE_FEATURES).join(", ")}`);
+  }
+  const id = PAUSE_FEATURES[feature];
+  return sendOrDryRun(hre, {
+    contract,
+    method: pause ? "pauseFeature" : "unpauseFeature",
+    args: [id],
+    dryRun,
+    confirm: async () => (await contract.featurePaused(id)) === pause
+  });
+}
+
+module.exports = {
+  PAUSE_FEATURES,
+  getContracts,
+  sendOrDryRun,
+  setPaused
+};
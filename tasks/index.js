@@ -0,0 +1,7 @@
+require("./account");
+require("./crop");
+require("./farm");
+require("./gov");
+require("./roles");
+require("./season");
+require("./token");
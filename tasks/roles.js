@@ -0,0 +1,84 @@
+const { task } = require("hardhat/config");
+const { getContracts, sendOrDryRun } = require("./helpers");
+const { CONTRACT_ROLES, normalizeRole, roleId } = require("../scripts/lib/roles");
+const { loadDeployment } = require("../scripts/lib/deployments");
+
+/**
+ * Resolves a --contract argument to an attached contract that uses AccessControl
+ */
+function resolveContract(contracts, name) {
+  if (!(name in CONTRACT_ROLES)) {
+    throw new Error(`Unknown contract "${name}", expected one of: ${Object.keys(CONTRACT_ROLES).join(", ")}`);
+  }
+  return contracts[name];
+}
+
+task("roles:list", "Lists current role holders of every contract from RoleGranted/RoleRevoked events")
+  .setAction(async (args, hre) => {
+    const { manifest, contracts } = await loadDeployment(hre);
+
+    console.log(`=== XFARM ROLES (${hre.network.name}) ===`);
+    for (const [name, roles] of Object.entries(CONTRACT_ROLES)) {
+      const contract = contracts[name];
+      const fromBlock = manifest.contracts[name].blockNumber || 0;
+      const events = [
+        ...(await contract.queryFilter(contract.filters.RoleGranted(), fromBlock)),
+        ...(await contract.queryFilter(contract.filters.RoleRevoked(), fromBlock))
+      ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      // Replay grants and revocations to get the current members of each role
+      const members = new Map();
+      for (const event of events) {
+        const set = members.get(event.args.role) || new Set();
+        if (event.fragment.name === "RoleGranted") set.add(event.args.account);
+        else set.delete(event.args.account);
+        members.set(event.args.role, set);
+      }
+
+      console.log(`\n${name} (${await contract.getAddress()}):`);
+      for (const role of ["DEFAULT_ADMIN_ROLE", ...roles]) {
+        const holders = [...(members.get(roleId(role)) || [])];
+        console.log(`   ${role}: ${holders.length > 0 ? holders.join(", ") : "(none)"}`);
+      }
+    }
+  });
+
+task("roles:grant", "Grants a role on one contract")
+  .addParam("contract", `Contract name (${Object.keys(CONTRACT_ROLES).join(", ")})`)
+  .addParam("role", "Role name, e.g. PAUSER or POOL_MANAGER_ROLE")
+  .addParam("account", "Account receiving the role")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const contract = resolveContract(await getContracts(hre), args.contract);
+    const role = roleId(args.role);
+    const account = hre.ethers.getAddress(args.account);
+    console.log(`🔐 ${normalizeRole(args.role)} → ${account} on ${args.contract}`);
+
+    await sendOrDryRun(hre, {
+      contract,
+      method: "grantRole",
+      args: [role, account],
+      dryRun: args.dryRun,
+      confirm: () => contract.hasRole(role, account)
+    });
+  });
+
+task("roles:revoke", "Revokes a role on one contract")
+  .addParam("contract", `Contract name (${Object.keys(CONTRACT_ROLES).join(", ")})`)
+  .addParam("role", "Role name, e.g. PAUSER or POOL_MANAGER_ROLE")
+  .addParam("account", "Account losing the role")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const contract = resolveContract(await getContracts(hre), args.contract);
+    const role = roleId(args.role);
+    const account = hre.ethers.getAddress(args.account);
+    console.log(`🔐 ${normalizeRole(args.role)} ✗ ${account} on ${args.contract}`);
+
+    await sendOrDryRun(hre, {
+      contract,
+      method: "revokeRole",
+      args: [role, account],
+      dryRun: args.dryRun,
+      confirm: async () => !(await contract.hasRole(role, account))
+    });
+  });
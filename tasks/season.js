@@ -0,0 +1,138 @@
+const { task, types } = require("hardhat/config");
+const { getContracts, sendOrDryRun } = require("./helpers");
+
+// Mirrors FarmSeasons.QuestKind
+const QUEST_KINDS = ["harvest", "streak", "check-ins"];
+
+/**
+ * Returns the FarmSeasons contract, failing when the deployment has none
+ */
+async function getSeasons(hre) {
+  const { FarmSeasons } = await getContracts(hre);
+  if (!FarmSeasons) throw new Error(`No FarmSeasons in the "${hre.network.name}" manifest - redeploy first`);
+  return FarmSeasons;
+}
+
+/**
+ * Parses a timestamp argument: unix seconds or anything Date can parse
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Cannot parse time "${value}"`);
+  return Math.floor(ms / 1000);
+}
+
+task("season:create", "Schedules a season after every existing one")
+  .addParam("start", "Start time (unix seconds or an ISO date)")
+  .addParam("days", "Season length in days", undefined, types.int)
+  .addOptionalParam("prizeShares", "Prize pool percent per leaderboard rank, comma separated", "50,30,20")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const FarmSeasons = await getSeasons(hre);
+    const start = parseTime(args.start);
+    const end = start + args.days * 86400;
+    const shares = args.prizeShares.split(",").map((share) => BigInt(share.trim()));
+    const seasonId = await FarmSeasons.seasonCount();
+
+    await sendOrDryRun(hre, {
+      contract: FarmSeasons,
+      method: "createSeason",
+      args: [start, end, shares],
+      dryRun: args.dryRun,
+      confirm: async () => (await FarmSeasons.seasonCount()) > seasonId
+    });
+  });
+
+task("season:define-badge", "Defines an achievement badge or changes its reward boost")
+  .addParam("id", "Badge token ID", undefined, types.int)
+  .addParam("boost", "Reward boost in percent while holding the badge", undefined, types.int)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const FarmSeasons = await getSeasons(hre);
+
+    await sendOrDryRun(hre, {
+      contract: FarmSeasons,
+      method: "defineBadge",
+      args: [args.id, args.boost],
+      dryRun: args.dryRun,
+      confirm: async () => (await FarmSeasons.badgeBoost(args.id)) === BigInt(args.boost)
+    });
+  });
+
+task("season:add-quest", "Adds a quest to a season")
+  .addParam("season", "Season ID", undefined, types.int)
+  .addParam("kind", `Quest kind (${QUEST_KINDS.join(", ")})`)
+  .addParam("target", "Crops to harvest, streak to reach or check-ins to make", undefined, types.int)
+  .addParam("badge", "Badge ID minted on completion", undefined, types.int)
+  .addOptionalParam("cropType", "Crop type ID for harvest quests (omit for any crop)", undefined, types.int)
+  .addOptionalParam("points", "Season points awarded on completion; earned rewards score one point per whole HARVEST", 0, types.int)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const FarmSeasons = await getSeasons(hre);
+    const kind = QUEST_KINDS.indexOf(args.kind);
+    if (kind === -1) throw new Error(`Unknown quest kind "${args.kind}", expected one of: ${QUEST_KINDS.join(", ")}`);
+    const cropType = args.cropType === undefined ? await FarmSeasons.ANY_CROP() : BigInt(args.cropType);
+    const questCount = (await FarmSeasons.getSeasonQuests(args.season)).length;
+
+    await sendOrDryRun(hre, {
+      contract: FarmSeasons,
+      method: "createQuest",
+      args: [args.season, kind, cropType, args.target, args.badge, args.points],
+      dryRun: args.dryRun,
+      confirm: async () => (await FarmSeasons.getSeasonQuests(args.season)).length > questCount
+    });
+  });
+
+task("season:finalize", "Pays an ended season's prize pool to its leaderboard")
+  .addParam("season", "Season ID", undefined, types.int)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const FarmSeasons = await getSeasons(hre);
+
+    await sendOrDryRun(hre, {
+      contract: FarmSeasons,
+      method: "finalizeSeason",
+      args: [args.season],
+      dryRun: args.dryRun,
+      confirm: async () => (await FarmSeasons.getSeason(args.season)).season.finalized
+    });
+  });
+
+task("season:status", "Prints a season with its quests, prize pool and leaderboard")
+  .addOptionalParam("season", "Season ID (defaults to the running or latest season)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const FarmSeasons = await getSeasons(hre);
+    const { formatEther } = hre.ethers;
+
+    const count = Number(await FarmSeasons.seasonCount());
+    if (count === 0) {
+      console.log("No seasons yet");
+      return;
+    }
+    const [active, current] = await FarmSeasons.currentSeason();
+    const seasonId = args.season ?? (active ? Number(current) : count - 1);
+    const { season, prizeShares } = await FarmSeasons.getSeason(seasonId);
+
+    console.log(`=== SEASON ${seasonId}${active && Number(current) === seasonId ? " (running)" : ""} ===`);
+    console.log("Start:", new Date(Number(season.startTime) * 1000).toISOString());
+    console.log("End:", new Date(Number(season.endTime) * 1000).toISOString());
+    console.log("Prize Pool:", formatEther(season.prizePool), "HARVEST", season.finalized ? "(paid out)" : "");
+    console.log("Prize Shares:", prizeShares.map((share) => `${share}%`).join(" / "));
+
+    console.log("\nQuests:");
+    const anyCrop = await FarmSeasons.ANY_CROP();
+    for (const questId of await FarmSeasons.getSeasonQuests(seasonId)) {
+      const quest = await FarmSeasons.getQuest(questId);
+      const crop = quest.cropType === anyCrop ? "any crop" : `crop type ${quest.cropType}`;
+      const what = Number(quest.kind) === 0 ? `harvest ${quest.target} (${crop})` : `${QUEST_KINDS[Number(quest.kind)]} ${quest.target}`;
+      console.log(`   #${questId}: ${what} -> badge ${quest.badgeId} (+${await FarmSeasons.badgeBoost(quest.badgeId)}%), ${quest.points} points`);
+    }
+
+    console.log("\nLeaderboard:");
+    const leaderboard = await FarmSeasons.getLeaderboard(seasonId);
+    leaderboard.forEach((entry, index) => {
+      console.log(`${String(index + 1).padStart(3)}. ${entry.farmer}  ${entry.points} points`);
+    });
+    if (leaderboard.length === 0) console.log("   (empty)");
+  });
@@ -0,0 +1,50 @@
+const { task, types } = require("hardhat/config");
+const { getContracts, sendOrDryRun } = require("./helpers");
+
+task("token:set-max-transfer", "Sets the anti-whale maximum transfer amount")
+  .addParam("amount", "Maximum transfer amount in HARVEST", undefined, types.string)
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { HarvestToken } = await getContracts(hre);
+    const amount = hre.ethers.parseEther(args.amount);
+
+    await sendOrDryRun(hre, {
+      contract: HarvestToken,
+      method: "setMaxTransferAmount",
+      args: [amount],
+      dryRun: args.dryRun,
+      confirm: async () => (await HarvestToken.maxTransferAmount()) === amount
+    });
+  });
+
+task("token:add-minter", "Authorizes an address to mint HARVEST rewards")
+  .addParam("address", "Minter address")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { HarvestToken } = await getContracts(hre);
+    const minter = hre.ethers.getAddress(args.address);
+
+    await sendOrDryRun(hre, {
+      contract: HarvestToken,
+      method: "addAuthorizedMinter",
+      args: [minter],
+      dryRun: args.dryRun,
+      confirm: () => HarvestToken.authorizedMinters(minter)
+    });
+  });
+
+task("token:remove-minter", "Revokes an address's HARVEST minting rights")
+  .addParam("address", "Minter address")
+  .addFlag("dryRun", "Print the calldata instead of sending the transaction")
+  .setAction(async (args, hre) => {
+    const { HarvestToken } = await getContracts(hre);
+    const minter = hre.ethers.getAddress(args.address);
+
+    await sendOrDryRun(hre, {
+      contract: HarvestToken,
+      method: "removeAuthorizedMinter",
+      args: [minter],
+      dryRun: args.dryRun,
+      confirm: async () => !(await HarvestToken.authorizedMinters(minter))
+    });
+  });
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { decodeTokenURI } = require("../sdk");
 
 describe("XFarm Reward System", function () {
   let harvestToken, cropNFT, farmRewardSystem;
@@ -37,6 +38,20 @@ describe("XFarm Reward System", function () {
     await cropNFT.setFarmRewardSystem(await farmRewardSystem.getAddress());
   });
   
+  // Sends a farmer HARVEST for planting fees and raises their allowance to the farm by the same amount
+  async function fundPlanting(farmer, amount = ethers.parseEther("100")) {
+    const farmAddress = await farmRewardSystem.getAddress();
+    await harvestToken.connect(teamWallet).transfer(farmer.address, amount);
+    const allowance = await harvestToken.allowance(farmer.address, farmAddress);
+    await harvestToken.connect(farmer).approve(farmAddress, allowance + amount);
+  }
+  
+  // Trait type => value from a crop's decoded metadata
+  async function cropTraits(tokenId) {
+    const { attributes } = decodeTokenURI(await cropNFT.tokenURI(tokenId));
+    return Object.fromEntries(attributes.map((attribute) => [attribute.trait_type, attribute.value]));
+  }
+  
   describe("Harvest Token", function () {
     it("Should deploy with correct initial supply and distribution", async function () {
       const totalSupply = await harvestToken.totalSupply();
@@ -146,6 +161,16 @@ describe("XFarm Reward System", function () {
       expect(cropInfo.growthStage).to.equal(4); // HARVESTABLE
     });
     
+    it("Should report the current growth stage without an update", async function () {
+      await cropNFT.addAuthorizedFarm(owner.address);
+      await cropNFT.plantCrop(farmer1.address, 0, 100); // TOMATO (7 days growth)
+
+      for (let stage = 1; stage <= 4; stage++) {
+        await time.increase(7 * SECONDS_IN_DAY * 0.25);
+        expect((await cropNFT.getCropInfo(0)).growthStage).to.equal(stage);
+      }
+    });
+    
     it("Should allow harvesting only when crop is ready", async function () {
       const cropType = 0; // TOMATO
       await cropNFT.addAuthorizedFarm(owner.address);
@@ -166,6 +191,230 @@ describe("XFarm Reward System", function () {
       await expect(cropNFT.ownerOf(tokenId)).to.be.revertedWithCustomError(cropNFT, "ERC721NonexistentToken");
     });
   });
+
+  describe("Crop Types", function () {
+    it("Should seed the launch crops", async function () {
+      const cropTypes = await cropNFT.getCropTypes();
+
+      expect(cropTypes.map((type) => type.name)).to.deep.equal(["Tomato", "Corn", "Wheat", "Special Fruit"]);
+      expect(cropTypes.map((type) => Number(type.growthDuration) / SECONDS_IN_DAY)).to.deep.equal([7, 14, 21, 30]);
+      expect(cropTypes.map((type) => Number(type.rarity))).to.deep.equal([0, 1, 2, 3]);
+      expect(cropTypes[3].baseReward).to.equal(ethers.parseEther("100"));
+      expect(cropTypes.every((type) => type.isEnabled)).to.be.true;
+    });
+
+    it("Should plant a newly added crop type through the farm", async function () {
+      await expect(cropNFT.addCropType("Pumpkin", 10 * SECONDS_IN_DAY, ethers.parseEther("40"), ethers.parseEther("5"), 2))
+        .to.emit(cropNFT, "CropTypeAdded")
+        .withArgs(4, "Pumpkin");
+      expect(await cropNFT.cropTypeCount()).to.equal(5);
+
+      await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await fundPlanting(farmer1);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(4))
+        .to.emit(farmRewardSystem, "CropPlanted")
+        .withArgs(farmer1.address, 0, 4);
+
+      const cropInfo = await cropNFT.getCropInfo(0);
+      expect(cropInfo.cropType).to.equal(4);
+      expect(cropInfo.baseReward).to.equal(ethers.parseEther("40"));
+      expect(cropInfo.harvestableAt - cropInfo.plantedAt).to.equal(10 * SECONDS_IN_DAY);
+
+      expect(await cropTraits(0)).to.include({ "Crop Type": "Pumpkin", "Type Rarity": "Rare" });
+    });
+
+    it("Should keep planted crops on the parameters they were planted with", async function () {
+      await cropNFT.addAuthorizedFarm(owner.address);
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+
+      await expect(cropNFT.updateCropType(0, 14 * SECONDS_IN_DAY, ethers.parseEther("20"), 0, 0))
+        .to.emit(cropNFT, "CropTypeUpdated")
+        .withArgs(0, 14 * SECONDS_IN_DAY, ethers.parseEther("20"), 0, 0);
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+
+      // The first tomato still ripens after 7 days and pays 10 HARVEST
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      await cropNFT.updateGrowthStage(0);
+      await cropNFT.updateGrowthStage(1);
+      expect((await cropNFT.getCropInfo(0)).growthStage).to.equal(4); // HARVESTABLE
+      expect((await cropNFT.getCropInfo(1)).growthStage).to.equal(2); // GROWING
+
+      await expect(cropNFT.connect(farmer1).harvestCrop(0))
+        .to.emit(cropNFT, "CropHarvested")
+        .withArgs(0, farmer1.address, ethers.parseEther("10"));
+      expect((await cropNFT.getCropInfo(1)).baseReward).to.equal(ethers.parseEther("20"));
+    });
+
+    it("Should refuse unknown and disabled crop types", async function () {
+      await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await fundPlanting(farmer1);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(4)).to.be.revertedWith("Unknown crop type");
+
+      await expect(cropNFT.setCropTypeEnabled(3, false))
+        .to.emit(cropNFT, "CropTypeEnabled")
+        .withArgs(3, false);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(3)).to.be.revertedWith("Crop type is disabled");
+
+      await cropNFT.setCropTypeEnabled(3, true);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(3)).to.not.be.reverted;
+    });
+
+    it("Should validate catalog changes and restrict them to the crop admin", async function () {
+      await expect(cropNFT.addCropType("", SECONDS_IN_DAY, 0, 0, 0)).to.be.revertedWith("Name cannot be empty");
+      await expect(cropNFT.addCropType("Herb\"s", SECONDS_IN_DAY, 0, 0, 0)).to.be.revertedWith("Name contains invalid characters");
+      await expect(cropNFT.addCropType("Herb", 0, 0, 0, 0)).to.be.revertedWith("Growth duration must be greater than 0");
+      await expect(cropNFT.updateCropType(9, SECONDS_IN_DAY, 0, 0, 0)).to.be.revertedWith("Unknown crop type");
+
+      await expect(
+        cropNFT.connect(farmer1).addCropType("Herb", SECONDS_IN_DAY, 0, 0, 0)
+      ).to.be.revertedWithCustomError(cropNFT, "AccessControlUnauthorizedAccount");
+      await expect(
+        cropNFT.connect(farmer1).updateCropType(0, SECONDS_IN_DAY, 0, 0, 0)
+      ).to.be.revertedWithCustomError(cropNFT, "AccessControlUnauthorizedAccount");
+      await expect(
+        cropNFT.connect(farmer1).setCropTypeEnabled(0, false)
+      ).to.be.revertedWithCustomError(cropNFT, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Crop Traits", function () {
+    let randomness;
+    
+    beforeEach(async function () {
+      const MockRandomnessProvider = await ethers.getContractFactory("MockRandomnessProvider");
+      randomness = await MockRandomnessProvider.deploy();
+      await cropNFT.addAuthorizedFarm(owner.address);
+    });
+    
+    it("Should plant common crops with fixed yields when no provider is set", async function () {
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      expect((await cropNFT.getCropInfo(0)).rarity).to.equal(0); // COMMON
+      
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      await cropNFT.updateGrowthStage(0);
+      await expect(cropNFT.connect(farmer1).harvestCrop(0))
+        .to.emit(cropNFT, "HarvestYieldRolled")
+        .withArgs(0, 100, 0);
+    });
+    
+    it("Should roll rarity once the provider fulfils the planting request", async function () {
+      await cropNFT.setRandomnessProvider(await randomness.getAddress());
+      
+      await expect(cropNFT.plantCrop(farmer1.address, 0, 100))
+        .to.emit(cropNFT, "RandomnessRequested")
+        .withArgs(0, 0)
+        .and.not.to.emit(cropNFT, "CropRarityRolled");
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      expect((await cropNFT.getCropInfo(0)).rarity).to.equal(0);
+      expect((await cropNFT.cropRandomness(0)).pending).to.be.true;
+      
+      await expect(randomness.fulfill(0, 100))
+        .to.emit(cropNFT, "CropRarityRolled")
+        .withArgs(0, 3) // LEGENDARY
+        .and.to.emit(cropNFT, "MetadataUpdate")
+        .withArgs(0);
+      await randomness.fulfill(1, 3);
+      await randomness.fulfill(2, 10);
+      await randomness.fulfill(3, 57);
+      
+      const rarities = [];
+      for (let tokenId = 0; tokenId < 4; tokenId++) {
+        rarities.push((await cropNFT.getCropInfo(tokenId)).rarity);
+      }
+      expect(rarities).to.deep.equal([3n, 2n, 1n, 0n]);
+      expect(await cropTraits(0)).to.include({ "Type Rarity": "Common", "Rarity": "Legendary" });
+      
+      // Each request is answered once, and only by the provider
+      await expect(randomness.fulfill(0, 5)).to.be.revertedWith("Unknown randomness request");
+      await expect(cropNFT.fulfillRandomness(0, 5)).to.be.revertedWith("Only randomness provider");
+    });
+    
+    it("Should scale harvests by rarity and the yield roll", async function () {
+      await cropNFT.setRandomnessProvider(await randomness.getAddress());
+      // A rare tomato with the lowest yield and a common one with the highest
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      await randomness.fulfill(0, 5);
+      await randomness.fulfill(1, 99 + 100 * 40);
+      
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      await cropNFT.updateGrowthStage(0);
+      await cropNFT.updateGrowthStage(1);
+      
+      // 10 HARVEST * 1.25 rarity * 80% yield
+      await expect(cropNFT.connect(farmer1).harvestCrop(0))
+        .to.emit(cropNFT, "HarvestYieldRolled")
+        .withArgs(0, 80, 0)
+        .and.to.emit(cropNFT, "CropHarvested")
+        .withArgs(0, farmer1.address, ethers.parseEther("10"));
+      // 10 HARVEST * 1x rarity * 120% yield
+      await expect(cropNFT.connect(farmer1).harvestCrop(1))
+        .to.emit(cropNFT, "CropHarvested")
+        .withArgs(1, farmer1.address, ethers.parseEther("12"));
+    });
+    
+    it("Should not harvest a crop before its randomness arrives", async function () {
+      await cropNFT.setRandomnessProvider(await randomness.getAddress());
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      expect(await cropNFT.isHarvestable(0)).to.be.false;
+      await expect(cropNFT.connect(farmer1).harvestCrop(0)).to.be.revertedWith("Crop randomness pending");
+      
+      // Only the admin can reissue a lost request, here after switching providers
+      const MockRandomnessProvider = await ethers.getContractFactory("MockRandomnessProvider");
+      const replacement = await MockRandomnessProvider.deploy();
+      await cropNFT.setRandomnessProvider(await replacement.getAddress());
+      await expect(randomness.fulfill(0, 5)).to.be.revertedWith("Only randomness provider");
+      await expect(cropNFT.connect(farmer1).retryRandomness(0))
+        .to.be.revertedWithCustomError(cropNFT, "AccessControlUnauthorizedAccount");
+      await expect(cropNFT.retryRandomness(0))
+        .to.emit(cropNFT, "RandomnessRequested")
+        .withArgs(0, 0);
+      await expect(cropNFT.retryRandomness(1)).to.be.revertedWith("No pending randomness");
+      
+      await replacement.fulfill(0, 57 + 100 * 20);
+      expect(await cropNFT.isHarvestable(0)).to.be.true;
+      await expect(cropNFT.connect(farmer1).harvestCrop(0))
+        .to.emit(cropNFT, "HarvestYieldRolled")
+        .withArgs(0, 100, 0);
+    });
+    
+    it("Should wither crops left unwatered past the grace period", async function () {
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      await cropNFT.plantCrop(farmer1.address, 0, 100);
+      
+      await time.increase(9 * SECONDS_IN_DAY);
+      await cropNFT.updateGrowthStage(0);
+      expect((await cropNFT.getCropInfo(0)).witherPenalty).to.equal(20); // 2 days at 10% per day
+      expect((await cropTraits(0))["Wither Penalty"]).to.equal(20);
+      await expect(cropNFT.connect(farmer1).harvestCrop(0))
+        .to.emit(cropNFT, "CropHarvested")
+        .withArgs(0, farmer1.address, ethers.parseEther("8"));
+      
+      await time.increase(30 * SECONDS_IN_DAY);
+      expect((await cropNFT.getCropInfo(1)).witherPenalty).to.equal(await cropNFT.MAX_WITHER_PENALTY());
+    });
+    
+    it("Should lock in withering when the crop is watered", async function () {
+      await cropNFT.plantCrop(farmer1.address, 2, 100); // Wheat, 21 days
+      
+      await time.increase(8 * SECONDS_IN_DAY);
+      await cropNFT.connect(farmer1).waterCrop(0);
+      let cropInfo = await cropNFT.getCropInfo(0);
+      expect(cropInfo.witherPenalty).to.equal(10);
+      expect(cropInfo.lastWatered).to.equal(await time.latest());
+      
+      // Watered within the grace period, so the penalty holds
+      await time.increase(6 * SECONDS_IN_DAY);
+      expect((await cropNFT.getCropInfo(0)).witherPenalty).to.equal(10);
+      
+      await time.increase(2 * SECONDS_IN_DAY);
+      expect((await cropNFT.getCropInfo(0)).witherPenalty).to.equal(20);
+    });
+  });
   
   describe("Farm Reward System", function () {    beforeEach(async function () {
       // Register farmers
@@ -206,7 +455,7 @@ describe("XFarm Reward System", function () {
       // Stake tokens
       await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
       
-      const stakeInfo = await farmRewardSystem.stakes(farmer1.address);
+      const stakeInfo = await farmRewardSystem.stakes(farmer1.address, 0);
       expect(stakeInfo.amount).to.equal(stakeAmount);
       
       // Fast forward time to accumulate rewards
@@ -241,6 +490,7 @@ describe("XFarm Reward System", function () {
       expect(farmer1FinalBalance).to.be.gt(farmer1InitialBalance); // Referral bonus received
     });    it("Should handle crop planting and harvesting through farm system", async function () {
       // Plant a crop
+      await fundPlanting(farmer1);
       await farmRewardSystem.connect(farmer1).plantCrop(0); // TOMATO
       
       const farmerCrops = await farmRewardSystem.getFarmerCrops(farmer1.address);
@@ -262,13 +512,15 @@ describe("XFarm Reward System", function () {
       const updatedCrops = await farmRewardSystem.getFarmerCrops(farmer1.address);
       expect(updatedCrops.length).to.equal(0);
     });      it("Should provide staking bonuses for crop rewards", async function () {
-      // Give farmer1 a large stake to get bonus multiplier
+      // Give farmer1 a large locked stake to get bonus multiplier
       const largeStake = ethers.parseEther("10000");
+      await farmRewardSystem.createLockedPool(100, ethers.parseEther("100"), 90 * SECONDS_IN_DAY);
       await harvestToken.connect(teamWallet).transfer(farmer1.address, largeStake);
       await harvestToken.connect(farmer1).approve(await farmRewardSystem.getAddress(), largeStake);
-      await farmRewardSystem.connect(farmer1).stakeTokens(0, largeStake);
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, largeStake);
       
       // Plant crop (should get bonus multiplier due to large stake)
+      await fundPlanting(farmer1);
       await farmRewardSystem.connect(farmer1).plantCrop(0);
       
       const farmerCrops = await farmRewardSystem.getFarmerCrops(farmer1.address);
@@ -278,6 +530,839 @@ describe("XFarm Reward System", function () {
       expect(cropInfo.bonusMultiplier).to.be.gt(100); // Should have bonus
     });
   });
+  describe("Multiple Pools", function () {
+    const stakeAmount = ethers.parseEther("1000");
+    
+    beforeEach(async function () {
+      await farmRewardSystem.createPool(200, ethers.parseEther("100"));
+      await farmRewardSystem.createPool(50, ethers.parseEther("100"));
+      
+      await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await farmRewardSystem.connect(farmer2).registerFarmer(ethers.ZeroAddress);
+      
+      for (const farmer of [farmer1, farmer2]) {
+        await harvestToken.connect(teamWallet).transfer(farmer.address, stakeAmount * 3n);
+        await harvestToken.connect(farmer).approve(await farmRewardSystem.getAddress(), stakeAmount * 3n);
+      }
+    });
+    
+    it("Should keep stakes isolated per pool", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount * 2n);
+      
+      expect((await farmRewardSystem.stakes(farmer1.address, 0)).amount).to.equal(stakeAmount);
+      expect((await farmRewardSystem.stakes(farmer1.address, 1)).amount).to.equal(stakeAmount * 2n);
+      expect((await farmRewardSystem.stakes(farmer1.address, 2)).amount).to.equal(0);
+      expect((await farmRewardSystem.getFarmerStats(farmer1.address)).totalStaked).to.equal(stakeAmount * 3n);
+      
+      // Cannot pull pool 0's stake out through pool 2
+      await expect(
+        farmRewardSystem.connect(farmer1).unstakeTokens(2, stakeAmount)
+      ).to.be.revertedWith("Insufficient staked amount");
+      
+      // Over-unstaking pool 0 fails even though pool 1 holds more
+      await expect(
+        farmRewardSystem.connect(farmer1).unstakeTokens(0, stakeAmount + 1n)
+      ).to.be.revertedWith("Insufficient staked amount");
+      
+      await farmRewardSystem.connect(farmer1).unstakeTokens(1, stakeAmount);
+      expect((await farmRewardSystem.getPoolInfo(0)).totalStaked).to.equal(stakeAmount);
+      expect((await farmRewardSystem.getPoolInfo(1)).totalStaked).to.equal(stakeAmount);
+    });
+    
+    it("Should accrue rewards per pool without mixing them", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      await time.increase(3600);
+      
+      const earned0 = await farmRewardSystem.earned(farmer1.address, 0);
+      const earned1 = await farmRewardSystem.earned(farmer1.address, 1);
+      const earned2 = await farmRewardSystem.earned(farmer1.address, 2);
+      
+      // Pool 1 pays twice the rate of pool 0; pool 2 holds nothing
+      expect(earned1).to.be.closeTo(earned0 * 2n, 1000n);
+      expect(earned2).to.equal(0);
+      
+      // Claiming pool 0 leaves pool 1's rewards untouched
+      await farmRewardSystem.connect(farmer1).claimRewards(0);
+      expect(await farmRewardSystem.rewards(farmer1.address, 0)).to.equal(0);
+      expect(await farmRewardSystem.earned(farmer1.address, 1)).to.be.gte(earned1);
+      
+      await expect(
+        farmRewardSystem.connect(farmer1).claimRewards(2)
+      ).to.be.revertedWith("No rewards to claim");
+    });
+    
+    it("Should split pool rewards only among that pool's stakers", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      await farmRewardSystem.connect(farmer2).stakeTokens(2, stakeAmount);
+      await time.increase(3600);
+      
+      // Each farmer is alone in their pool, so earns the full pool rate
+      const earned1 = await farmRewardSystem.earned(farmer1.address, 1);
+      const earned2 = await farmRewardSystem.earned(farmer2.address, 2);
+      expect(earned1).to.be.closeTo(earned2 * 4n, 1000n);
+      expect(await farmRewardSystem.earned(farmer2.address, 1)).to.equal(0);
+      expect(await farmRewardSystem.earned(farmer1.address, 2)).to.equal(0);
+    });
+    
+    it("Should report user positions across pools", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(2, stakeAmount * 2n);
+      await time.increase(60);
+      
+      const positions = await farmRewardSystem.getUserPoolPositions(farmer1.address);
+      expect(positions.length).to.equal(2);
+      expect(positions[0].poolId).to.equal(0);
+      expect(positions[0].amount).to.equal(stakeAmount);
+      expect(positions[1].poolId).to.equal(2);
+      expect(positions[1].amount).to.equal(stakeAmount * 2n);
+      expect(positions[1].pendingRewards).to.be.gt(0);
+      
+      expect((await farmRewardSystem.getUserPoolPositions(farmer2.address)).length).to.equal(0);
+    });
+    
+    it("Should claim rewards from all pools at once", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(2, stakeAmount);
+      await time.increase(3600);
+      
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      await farmRewardSystem.connect(farmer1).claimAllRewards();
+      const claimed = (await harvestToken.balanceOf(farmer1.address)) - balanceBefore;
+      
+      for (let poolId = 0; poolId < 3; poolId++) {
+        expect(await farmRewardSystem.rewards(farmer1.address, poolId)).to.equal(0);
+        expect((await farmRewardSystem.stakes(farmer1.address, poolId)).rewardsEarned).to.be.gt(0);
+      }
+      expect(claimed).to.equal(await farmRewardSystem.totalRewardsDistributed());
+      
+      await expect(
+        farmRewardSystem.connect(farmer2).claimAllRewards()
+      ).to.be.revertedWith("No rewards to claim");
+    });
+    
+    it("Should exit a single pool with principal and rewards", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      await time.increase(3600);
+      
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      await farmRewardSystem.connect(farmer1).exitPool(1);
+      const received = (await harvestToken.balanceOf(farmer1.address)) - balanceBefore;
+      
+      expect(received).to.be.gt(stakeAmount);
+      expect((await farmRewardSystem.stakes(farmer1.address, 1)).amount).to.equal(0);
+      expect((await farmRewardSystem.getPoolInfo(1)).totalStaked).to.equal(0);
+      
+      // Pool 0 position is untouched
+      expect((await farmRewardSystem.stakes(farmer1.address, 0)).amount).to.equal(stakeAmount);
+      expect(await farmRewardSystem.earned(farmer1.address, 0)).to.be.gt(0);
+      
+      await expect(
+        farmRewardSystem.connect(farmer1).exitPool(1)
+      ).to.be.revertedWith("Nothing to exit");
+    });
+  });
+  
+  describe("Locked Staking", function () {
+    const stakeAmount = ethers.parseEther("10000");
+    const LOCK_30 = 30 * SECONDS_IN_DAY;
+    const LOCK_90 = 90 * SECONDS_IN_DAY;
+    
+    beforeEach(async function () {
+      await farmRewardSystem.createLockedPool(100, ethers.parseEther("100"), LOCK_30); // pool 1
+      await farmRewardSystem.createLockedPool(100, ethers.parseEther("100"), LOCK_90); // pool 2
+      
+      await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await harvestToken.connect(teamWallet).transfer(farmer1.address, stakeAmount * 3n);
+      await harvestToken.connect(farmer1).approve(await farmRewardSystem.getAddress(), stakeAmount * 3n);
+    });
+    
+    it("Should snapshot lock tier settings into new pools", async function () {
+      const lockInfo = await farmRewardSystem.getPoolLockInfo(2);
+      expect(lockInfo.lockDuration).to.equal(LOCK_90);
+      expect(lockInfo.boostMultiplier).to.equal(150);
+      expect(lockInfo.earlyUnstakePenalty).to.equal(15);
+      
+      // Changing the tier later does not touch the existing pool
+      await farmRewardSystem.setLockTier(LOCK_90, 300, 25, true);
+      expect((await farmRewardSystem.getPoolLockInfo(2)).boostMultiplier).to.equal(150);
+      
+      const flexibleInfo = await farmRewardSystem.getPoolLockInfo(0);
+      expect(flexibleInfo.lockDuration).to.equal(0);
+      expect(flexibleInfo.boostMultiplier).to.equal(100);
+    });
+    
+    it("Should only create locked pools for enabled tiers", async function () {
+      await expect(
+        farmRewardSystem.createLockedPool(100, 0, 45 * SECONDS_IN_DAY)
+      ).to.be.revertedWith("Lock tier not enabled");
+      
+      await farmRewardSystem.setLockTier(LOCK_30, 125, 10, false);
+      await expect(
+        farmRewardSystem.createLockedPool(100, 0, LOCK_30)
+      ).to.be.revertedWith("Lock tier not enabled");
+      
+      await expect(
+        farmRewardSystem.setLockTier(LOCK_30, 125, 51, true)
+      ).to.be.revertedWith("Penalty too high");
+      await expect(
+        farmRewardSystem.connect(farmer1).setLockTier(LOCK_30, 125, 10, true)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+    });
+    
+    it("Should boost rewards by the pool's lock tier", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(2, stakeAmount);
+      await time.increase(3600);
+      
+      const flexible = await farmRewardSystem.earned(farmer1.address, 0);
+      const locked = await farmRewardSystem.earned(farmer1.address, 2);
+      expect(locked).to.be.closeTo(flexible * 150n / 100n, 1000n);
+    });
+    
+    it("Should burn the penalty when unstaking before the lock ends", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      const position = await farmRewardSystem.stakes(farmer1.address, 1);
+      expect(position.unlockAt).to.equal(position.stakedAt + BigInt(LOCK_30));
+      
+      const supplyBefore = await harvestToken.totalSupply();
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      const penalty = stakeAmount * 10n / 100n;
+      
+      await expect(farmRewardSystem.connect(farmer1).unstakeTokens(1, stakeAmount))
+        .to.emit(farmRewardSystem, "EarlyUnstakePenaltyBurned")
+        .withArgs(farmer1.address, 1, penalty);
+      
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balanceBefore + stakeAmount - penalty);
+      expect(await harvestToken.totalSupply()).to.equal(supplyBefore - penalty);
+    });
+    
+    it("Should return the full principal once the lock ends", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      await time.increase(LOCK_30);
+      
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      await expect(farmRewardSystem.connect(farmer1).unstakeTokens(1, stakeAmount))
+        .to.not.emit(farmRewardSystem, "EarlyUnstakePenaltyBurned");
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balanceBefore + stakeAmount);
+    });
+    
+    it("Should restart the lock when topping up a position", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      await time.increase(LOCK_30 - 60);
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      
+      const position = await farmRewardSystem.stakes(farmer1.address, 1);
+      expect(position.unlockAt).to.equal(BigInt(await time.latest()) + BigInt(LOCK_30));
+    });
+    
+    it("Should base crop bonuses on locked, time-weighted stake", async function () {
+      // A large flexible stake no longer earns a crop bonus
+      await fundPlanting(farmer1);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await farmRewardSystem.connect(farmer1).plantCrop(0);
+      let crops = await farmRewardSystem.getFarmerCrops(farmer1.address);
+      expect((await cropNFT.getCropInfo(crops[0])).bonusMultiplier).to.equal(100);
+      
+      // 10K locked for 30 days weighs a third of 10K locked for 90 days
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      expect(await farmRewardSystem.getLockedStakeWeight(farmer1.address)).to.equal(stakeAmount * BigInt(LOCK_30) / BigInt(LOCK_90));
+      await farmRewardSystem.connect(farmer1).plantCrop(0);
+      crops = await farmRewardSystem.getFarmerCrops(farmer1.address);
+      expect((await cropNFT.getCropInfo(crops[1])).bonusMultiplier).to.equal(125);
+      
+      await farmRewardSystem.connect(farmer1).stakeTokens(2, stakeAmount);
+      await farmRewardSystem.connect(farmer1).plantCrop(0);
+      crops = await farmRewardSystem.getFarmerCrops(farmer1.address);
+      expect((await cropNFT.getCropInfo(crops[2])).bonusMultiplier).to.equal(150);
+      
+      // Expired locks stop counting
+      await time.increase(LOCK_90);
+      expect(await farmRewardSystem.getLockedStakeWeight(farmer1.address)).to.equal(0);
+    });
+  });
+  
+  describe("Crop Economy", function () {
+    const stakeAmount = ethers.parseEther("2000");
+    let farmAddress;
+    
+    beforeEach(async function () {
+      farmAddress = await farmRewardSystem.getAddress();
+      await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await fundPlanting(farmer1);
+    });
+    
+    it("Should charge the planting cost, burning half and keeping the rest as reserve", async function () {
+      const supplyBefore = await harvestToken.totalSupply();
+      const freeReserveBefore = await farmRewardSystem.freeRewardReserve();
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(2)) // WHEAT, 20 HARVEST
+        .to.emit(farmRewardSystem, "PlantingFeePaid")
+        .withArgs(farmer1.address, 2, ethers.parseEther("10"), ethers.parseEther("10"));
+      
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balanceBefore - ethers.parseEther("20"));
+      expect(await harvestToken.totalSupply()).to.equal(supplyBefore - ethers.parseEther("10"));
+      expect(await farmRewardSystem.freeRewardReserve()).to.equal(freeReserveBefore + ethers.parseEther("10"));
+    });
+    
+    it("Should follow the configured burn share", async function () {
+      await expect(farmRewardSystem.setPlantingFeeBurnPercent(100))
+        .to.emit(farmRewardSystem, "PlantingFeeBurnPercentUpdated")
+        .withArgs(100);
+      const supplyBefore = await harvestToken.totalSupply();
+      await farmRewardSystem.connect(farmer1).plantCrop(0);
+      expect(await harvestToken.totalSupply()).to.equal(supplyBefore - ethers.parseEther("4"));
+      
+      await farmRewardSystem.setPlantingFeeBurnPercent(0);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(0))
+        .to.emit(farmRewardSystem, "PlantingFeePaid")
+        .withArgs(farmer1.address, 0, 0, ethers.parseEther("4"));
+      
+      await expect(farmRewardSystem.setPlantingFeeBurnPercent(101)).to.be.revertedWith("Burn percent cannot exceed 100");
+      await expect(
+        farmRewardSystem.connect(farmer1).setPlantingFeeBurnPercent(0)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+    });
+    
+    it("Should refuse to plant without paying", async function () {
+      await harvestToken.connect(farmer1).approve(farmAddress, 0);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(0)).to.be.revertedWithCustomError(
+        harvestToken,
+        "ERC20InsufficientAllowance"
+      );
+      
+      // Free crop types skip the fee entirely
+      await cropNFT.addCropType("Weed", SECONDS_IN_DAY, ethers.parseEther("1"), 0, 0);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(4)).to.not.emit(farmRewardSystem, "PlantingFeePaid");
+    });
+    
+    it("Should grow the plot limit with stake", async function () {
+      expect(await farmRewardSystem.getPlotLimit(farmer1.address)).to.equal(3);
+      for (let i = 0; i < 3; i++) {
+        await farmRewardSystem.connect(farmer1).plantCrop(0);
+      }
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(0)).to.be.revertedWith("Plot limit reached");
+      
+      // One extra plot per 1000 HARVEST staked
+      await fundPlanting(farmer1, stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      expect(await farmRewardSystem.getPlotLimit(farmer1.address)).to.equal(5);
+      await farmRewardSystem.connect(farmer1).plantCrop(0);
+      await farmRewardSystem.connect(farmer1).plantCrop(0);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(0)).to.be.revertedWith("Plot limit reached");
+      
+      // Harvesting frees a plot
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      await cropNFT.updateGrowthStage(0);
+      await farmRewardSystem.connect(farmer1).harvestCrop(0);
+      await expect(farmRewardSystem.connect(farmer1).plantCrop(0)).to.not.be.reverted;
+    });
+    
+    it("Should cap and validate plot limits", async function () {
+      await fundPlanting(farmer1, stakeAmount * 10n);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount * 10n);
+      expect(await farmRewardSystem.getPlotLimit(farmer1.address)).to.equal(23);
+      
+      await expect(farmRewardSystem.setPlotLimits(2, ethers.parseEther("5000"), 4))
+        .to.emit(farmRewardSystem, "PlotLimitsUpdated")
+        .withArgs(2, ethers.parseEther("5000"), 4);
+      expect(await farmRewardSystem.getPlotLimit(farmer1.address)).to.equal(4);
+      expect(await farmRewardSystem.getPlotLimit(farmer2.address)).to.equal(2);
+      
+      await farmRewardSystem.setPlotLimits(2, 0, 4);
+      expect(await farmRewardSystem.getPlotLimit(farmer1.address)).to.equal(2);
+      
+      await expect(farmRewardSystem.setPlotLimits(0, 0, 4)).to.be.revertedWith("Base plot limit must be greater than 0");
+      await expect(farmRewardSystem.setPlotLimits(5, 0, 4)).to.be.revertedWith("Max plot limit below base");
+      await expect(
+        farmRewardSystem.connect(farmer1).setPlotLimits(5, 0, 10)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+    });
+    
+    it("Should report expected ROI per crop type", async function () {
+      let roi = await farmRewardSystem.getCropROI(0, farmer1.address);
+      expect(roi.plantingCost).to.equal(ethers.parseEther("4"));
+      expect(roi.expectedReward).to.equal(ethers.parseEther("10"));
+      expect(roi.netReturn).to.equal(ethers.parseEther("6"));
+      expect(roi.roiBps).to.equal(15000);
+      
+      // A large locked stake raises the expected reward to 1.5x
+      await farmRewardSystem.createLockedPool(100, 0, 90 * SECONDS_IN_DAY);
+      await fundPlanting(farmer1, ethers.parseEther("10000"));
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, ethers.parseEther("10000"));
+      roi = await farmRewardSystem.getCropROI(3, farmer1.address);
+      expect(roi.expectedReward).to.equal(ethers.parseEther("150"));
+      expect(roi.roiBps).to.equal(27500);
+      
+      // A loss-making type reports a negative return
+      await cropNFT.updateCropType(0, 7 * SECONDS_IN_DAY, ethers.parseEther("2"), ethers.parseEther("4"), 0);
+      roi = await farmRewardSystem.getCropROI(0, farmer2.address);
+      expect(roi.netReturn).to.equal(-ethers.parseEther("2"));
+      expect(roi.roiBps).to.equal(-5000);
+      
+      await expect(farmRewardSystem.getCropROI(9, farmer1.address)).to.be.revertedWith("Unknown crop type");
+    });
+  });
+  
+  describe("Batch Operations", function () {
+    beforeEach(async function () {
+      await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await fundPlanting(farmer1);
+    });
+    
+    it("Should plant several crops for one combined fee", async function () {
+      await expect(farmRewardSystem.connect(farmer1).plantCrops(0, 3))
+        .to.emit(farmRewardSystem, "PlantingFeePaid")
+        .withArgs(farmer1.address, 0, ethers.parseEther("6"), ethers.parseEther("6"))
+        .and.to.emit(farmRewardSystem, "CropPlanted")
+        .withArgs(farmer1.address, 2, 0);
+      expect(await farmRewardSystem.getFarmerCrops(farmer1.address)).to.deep.equal([0n, 1n, 2n]);
+      
+      await expect(farmRewardSystem.connect(farmer1).plantCrops(0, 1)).to.be.revertedWith("Plot limit reached");
+      await expect(farmRewardSystem.connect(farmer1).plantCrops(0, 0)).to.be.revertedWith("Count must be greater than 0");
+    });
+    
+    it("Should water several crops at once", async function () {
+      await farmRewardSystem.connect(farmer1).plantCrops(0, 2);
+      await farmRewardSystem.connect(farmer2).registerFarmer(ethers.ZeroAddress);
+      await fundPlanting(farmer2);
+      await farmRewardSystem.connect(farmer2).plantCrop(0);
+      await time.increase(3600);
+      
+      await expect(farmRewardSystem.connect(farmer1).waterCrops([0, 2])).to.be.revertedWith("Not crop owner");
+      await expect(farmRewardSystem.connect(farmer1).waterCrops([0, 1]))
+        .to.emit(cropNFT, "CropWatered")
+        .withArgs(1, farmer1.address);
+      expect((await cropNFT.getCropInfo(0)).lastWatered).to.equal(await time.latest());
+    });
+    
+    it("Should harvest several crops with a single reward payment", async function () {
+      await farmRewardSystem.connect(farmer1).plantCrops(0, 3);
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      
+      // No updateGrowthStage calls: harvesting catches up the stored stage
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      const tx = await farmRewardSystem.connect(farmer1).harvestCrops([0, 2]);
+      const receipt = await tx.wait();
+      const payments = receipt.logs.filter((log) => log.fragment && log.fragment.name === "EmissionPaid");
+      expect(payments).to.have.length(1);
+      
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balanceBefore + ethers.parseEther("20"));
+      expect((await farmRewardSystem.getFarmerStats(farmer1.address)).totalRewardsEarned).to.equal(ethers.parseEther("20"));
+      expect(await farmRewardSystem.getFarmerCrops(farmer1.address)).to.deep.equal([1n]);
+    });
+    
+    it("Should keep crop lists consistent when removing from the middle", async function () {
+      await farmRewardSystem.connect(farmer1).plantCrops(0, 3);
+      await cropNFT.connect(farmer1).transferFrom(farmer1.address, farmer2.address, 0);
+      expect(await farmRewardSystem.getFarmerCrops(farmer1.address)).to.deep.equal([2n, 1n]);
+      
+      await cropNFT.connect(farmer1).transferFrom(farmer1.address, farmer2.address, 2);
+      await cropNFT.connect(farmer2).transferFrom(farmer2.address, farmer1.address, 0);
+      expect(await farmRewardSystem.getFarmerCrops(farmer1.address)).to.deep.equal([1n, 0n]);
+      expect(await farmRewardSystem.getFarmerCrops(farmer2.address)).to.deep.equal([2n]);
+    });
+    
+    it("Should bundle farm calls with multicall", async function () {
+      const calls = [
+        farmRewardSystem.interface.encodeFunctionData("plantCrop", [0]),
+        farmRewardSystem.interface.encodeFunctionData("plantCrop", [1])
+      ];
+      await time.increase(SECONDS_IN_DAY);
+      calls.push(farmRewardSystem.interface.encodeFunctionData("dailyCheckIn"));
+      
+      await expect(farmRewardSystem.connect(farmer1).multicall(calls))
+        .to.emit(farmRewardSystem, "CheckInCompleted")
+        .and.to.emit(farmRewardSystem, "CropPlanted")
+        .withArgs(farmer1.address, 1, 1);
+      expect(await cropNFT.ownerOf(0)).to.equal(farmer1.address);
+      
+      // One failing call reverts the whole bundle
+      await expect(
+        farmRewardSystem.connect(farmer1).multicall([calls[0], farmRewardSystem.interface.encodeFunctionData("harvestCrop", [0])])
+      ).to.be.revertedWith("Crop not ready for harvest");
+    });
+  });
+  
+  describe("Emissions", function () {
+    const stakeAmount = ethers.parseEther("1000");
+    
+    beforeEach(async function () {
+      await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await farmRewardSystem.connect(farmer2).registerFarmer(ethers.ZeroAddress);
+    });
+    
+    async function deployUnfundedFarm() {
+      const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+      const farm = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+      await harvestToken.addAuthorizedMinter(await farm.getAddress());
+      return farm;
+    }
+    
+    it("Should pay rewards from the funded reserve without minting", async function () {
+      const farmAddress = await farmRewardSystem.getAddress();
+      const supplyBefore = await harvestToken.totalSupply();
+      const reserveBefore = await farmRewardSystem.rewardReserveBalance();
+      
+      await farmRewardSystem.connect(farmer1).dailyCheckIn();
+      const reward = await harvestToken.balanceOf(farmer1.address);
+      
+      expect(await harvestToken.totalSupply()).to.equal(supplyBefore);
+      expect(await harvestToken.balanceOf(farmAddress)).to.equal(reserveBefore - reward);
+      expect(await farmRewardSystem.totalRewardsMinted()).to.equal(0);
+      expect(await farmRewardSystem.totalRewardsDistributed()).to.equal(reward);
+    });
+    
+    it("Should mint only the shortfall once the reserve runs out", async function () {
+      const farm = await deployUnfundedFarm();
+      await farm.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await harvestToken.connect(teamWallet).transfer(await farm.getAddress(), ethers.parseEther("0.5"));
+      
+      const supplyBefore = await harvestToken.totalSupply();
+      await expect(farm.connect(farmer1).dailyCheckIn())
+        .to.emit(farm, "EmissionPaid")
+        .withArgs(farmer1.address, ethers.parseEther("0.5"), ethers.parseEther("0.55"));
+      expect(await harvestToken.totalSupply()).to.equal(supplyBefore + ethers.parseEther("0.55"));
+      expect(await farm.totalRewardsMinted()).to.equal(ethers.parseEther("0.55"));
+      
+      // With the fallback off an empty reserve blocks payouts
+      await farm.setMintFallbackEnabled(false);
+      await time.increase(SECONDS_IN_DAY);
+      await expect(farm.connect(farmer1).dailyCheckIn()).to.be.revertedWith("Reward reserve exhausted");
+    });
+    
+    it("Should never pay rewards out of staked principal", async function () {
+      const farm = await deployUnfundedFarm();
+      await farm.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+      await farm.setMintFallbackEnabled(false);
+      
+      await harvestToken.connect(teamWallet).transfer(farmer1.address, stakeAmount);
+      await harvestToken.connect(farmer1).approve(await farm.getAddress(), stakeAmount);
+      await farm.connect(farmer1).stakeTokens(0, stakeAmount);
+      await time.increase(3600);
+      
+      expect(await farm.totalPrincipal()).to.equal(stakeAmount);
+      expect(await farm.rewardReserveBalance()).to.equal(0);
+      await expect(farm.connect(farmer1).claimRewards(0)).to.be.revertedWith("Reward reserve exhausted");
+      
+      // Principal is still fully withdrawable
+      await farm.connect(farmer1).unstakeTokens(0, stakeAmount);
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(stakeAmount);
+    });
+    
+    it("Should defer rewards beyond the per-epoch emission cap", async function () {
+      await farmRewardSystem.connect(farmer1).dailyCheckIn();
+      const reward = await harvestToken.balanceOf(farmer1.address);
+      await farmRewardSystem.setEpochEmissionCap(reward);
+      
+      // The check-in still counts; its reward waits for the next epoch
+      await expect(farmRewardSystem.connect(farmer2).dailyCheckIn())
+        .to.emit(farmRewardSystem, "RewardDeferred")
+        .withArgs(farmer2.address, reward);
+      expect((await farmRewardSystem.farmers(farmer2.address)).checkInStreak).to.equal(1);
+      expect(await harvestToken.balanceOf(farmer2.address)).to.equal(0);
+      expect(await farmRewardSystem.deferredRewards(farmer2.address)).to.equal(reward);
+      expect(await farmRewardSystem.totalRewardObligations()).to.equal(reward);
+      
+      let status = await farmRewardSystem.getEmissionStatus();
+      expect(status.epochEmitted).to.equal(reward);
+      expect(status.epochRemaining).to.equal(0);
+      
+      // Claiming in the same epoch leaves the reward deferred
+      await farmRewardSystem.connect(farmer2).claimDeferredRewards();
+      expect(await farmRewardSystem.deferredRewards(farmer2.address)).to.equal(reward);
+      
+      // The budget resets with the next epoch
+      await time.increase(await farmRewardSystem.EPOCH_DURATION());
+      await farmRewardSystem.connect(farmer2).claimDeferredRewards();
+      expect(await harvestToken.balanceOf(farmer2.address)).to.equal(reward);
+      expect(await farmRewardSystem.deferredRewards(farmer2.address)).to.equal(0);
+      expect(await farmRewardSystem.totalDeferredRewards()).to.equal(0);
+      status = await farmRewardSystem.getEmissionStatus();
+      expect(status.epoch).to.equal(1);
+      expect(status.epochRemaining).to.equal(0);
+      await expect(farmRewardSystem.connect(farmer2).claimDeferredRewards()).to.be.revertedWith("No deferred rewards");
+      
+      await farmRewardSystem.setEpochEmissionCap(0);
+      expect((await farmRewardSystem.getEmissionStatus()).epochRemaining).to.equal(ethers.MaxUint256);
+    });
+    
+    it("Should let stakers exit with the part of their rewards the cap allows", async function () {
+      await harvestToken.connect(teamWallet).transfer(farmer1.address, stakeAmount);
+      await harvestToken.connect(farmer1).approve(await farmRewardSystem.getAddress(), stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await time.increase(SECONDS_IN_DAY);
+      
+      const room = (await farmRewardSystem.earned(farmer1.address, 0)) / 2n;
+      await farmRewardSystem.setEpochEmissionCap((await farmRewardSystem.epochEmissions(await farmRewardSystem.currentEpoch())) + room);
+      
+      const before = await harvestToken.balanceOf(farmer1.address);
+      await expect(farmRewardSystem.connect(farmer1).exitPool(0)).to.emit(farmRewardSystem, "RewardDeferred");
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(before + stakeAmount + room);
+      expect((await farmRewardSystem.stakes(farmer1.address, 0)).amount).to.equal(0);
+      
+      const deferred = await farmRewardSystem.deferredRewards(farmer1.address);
+      expect(deferred).to.be.greaterThan(0);
+      const solvency = await farmRewardSystem.getSolvency();
+      expect(solvency.obligations).to.be.at.least(deferred);
+      expect(solvency.solvent).to.equal(true);
+      
+      await time.increase(await farmRewardSystem.EPOCH_DURATION());
+      await farmRewardSystem.connect(farmer1).claimDeferredRewards();
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(before + stakeAmount + room + deferred);
+    });
+    
+    it("Should halve reward rates on schedule", async function () {
+      const interval = 10 * SECONDS_IN_DAY;
+      await farmRewardSystem.setHalvingInterval(interval);
+      
+      await harvestToken.connect(teamWallet).transfer(farmer1.address, stakeAmount);
+      await harvestToken.connect(farmer1).approve(await farmRewardSystem.getAddress(), stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      const stakedAt = BigInt(await time.latest());
+      expect(await farmRewardSystem.currentRewardRate(0)).to.equal(100);
+      
+      const boundary = (await farmRewardSystem.emissionStart()) + BigInt(interval);
+      await time.increaseTo(boundary + 1000n);
+      expect(await farmRewardSystem.currentRewardRate(0)).to.equal(50);
+      
+      // 100/s up to the boundary, 50/s after it
+      const expected = (boundary - stakedAt) * 100n + 1000n * 50n;
+      expect(await farmRewardSystem.earned(farmer1.address, 0)).to.be.closeTo(expected, 1000n);
+    });
+    
+    it("Should settle accrued rewards before changing a pool rate", async function () {
+      await harvestToken.connect(teamWallet).transfer(farmer1.address, stakeAmount);
+      await harvestToken.connect(farmer1).approve(await farmRewardSystem.getAddress(), stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      const stakedAt = BigInt(await time.latest());
+      
+      await time.increase(1000);
+      await farmRewardSystem.updatePool(0, 10000, true);
+      const updatedAt = BigInt(await time.latest());
+      
+      expect(await farmRewardSystem.earned(farmer1.address, 0)).to.be.closeTo((updatedAt - stakedAt) * 100n, 1000n);
+    });
+    
+    it("Should project the reserve runway", async function () {
+      await harvestToken.connect(teamWallet).transfer(farmer1.address, stakeAmount);
+      await harvestToken.connect(farmer1).approve(await farmRewardSystem.getAddress(), stakeAmount);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      
+      // A halving schedule with a small rate never exhausts the reserve
+      let status = await farmRewardSystem.getEmissionStatus();
+      expect(status.stakingEmissionRate).to.equal(100);
+      expect(status.projectedRunway).to.equal(ethers.MaxUint256);
+      
+      // Without halving the reserve drains linearly
+      await farmRewardSystem.setHalvingInterval(0);
+      await farmRewardSystem.updatePool(0, ethers.parseEther("1000"), true);
+      status = await farmRewardSystem.getEmissionStatus();
+      expect(status.reserveBalance).to.equal(
+        (await harvestToken.balanceOf(await farmRewardSystem.getAddress())) - stakeAmount
+      );
+      expect(status.stakingEmissionRate).to.equal(ethers.parseEther("1000"));
+      expect(status.projectedRunway).to.equal(status.reserveBalance / ethers.parseEther("1000"));
+    });
+    
+    it("Should restrict emission settings to the owner", async function () {
+      await expect(
+        farmRewardSystem.connect(farmer1).setHalvingInterval(0)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+      await expect(
+        farmRewardSystem.connect(farmer1).setEpochEmissionCap(0)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+      await expect(
+        farmRewardSystem.connect(farmer1).setMintFallbackEnabled(false)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+    });
+  });
+  
+  describe("Reserves", function () {
+    const stakeAmount = ethers.parseEther("1000");
+    let farmAddress;
+    
+    beforeEach(async function () {
+      farmAddress = await farmRewardSystem.getAddress();
+      for (const farmer of [farmer1, farmer2]) {
+        await farmRewardSystem.connect(farmer).registerFarmer(ethers.ZeroAddress);
+        await harvestToken.connect(teamWallet).transfer(farmer.address, stakeAmount * 2n);
+        await harvestToken.connect(farmer).approve(farmAddress, stakeAmount * 2n);
+      }
+    });
+    
+    async function expectSolvent() {
+      const solvency = await farmRewardSystem.getSolvency();
+      expect(solvency.balance).to.equal(await harvestToken.balanceOf(farmAddress));
+      expect(solvency.balance).to.be.gte(solvency.principal + solvency.obligations);
+      expect(solvency.solvent).to.be.true;
+      return solvency;
+    }
+    
+    it("Should track principal apart from the reward reserve", async function () {
+      const balanceBefore = await harvestToken.balanceOf(farmAddress);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      
+      expect(await farmRewardSystem.totalPrincipal()).to.equal(stakeAmount);
+      expect(await harvestToken.balanceOf(farmAddress)).to.equal(balanceBefore + stakeAmount);
+      expect(await farmRewardSystem.rewardReserveBalance()).to.equal(balanceBefore);
+    });
+    
+    it("Should track outstanding staking rewards as obligations", async function () {
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await farmRewardSystem.connect(farmer2).stakeTokens(0, stakeAmount * 2n);
+      await time.increase(3600);
+      
+      const pending = (await farmRewardSystem.earned(farmer1.address, 0)) + (await farmRewardSystem.earned(farmer2.address, 0));
+      expect(await farmRewardSystem.totalRewardObligations()).to.be.closeTo(pending, 10n);
+      await expectSolvent();
+      
+      await farmRewardSystem.connect(farmer1).claimRewards(0);
+      await farmRewardSystem.connect(farmer2).claimRewards(0);
+      // Only the accrual of the one block between the two claims is left
+      expect(await farmRewardSystem.totalRewardObligations()).to.be.lte(await farmRewardSystem.earned(farmer1.address, 0) + 10n);
+    });
+    
+    it("Should let the owner top up and withdraw only the free reserve", async function () {
+      const deposit = ethers.parseEther("5000");
+      await harvestToken.connect(teamWallet).transfer(owner.address, deposit);
+      await harvestToken.approve(farmAddress, deposit);
+      
+      const reserveBefore = await farmRewardSystem.rewardReserveBalance();
+      await expect(farmRewardSystem.depositRewardReserve(deposit))
+        .to.emit(farmRewardSystem, "RewardReserveDeposited")
+        .withArgs(owner.address, deposit);
+      expect(await farmRewardSystem.rewardReserveBalance()).to.equal(reserveBefore + deposit);
+      
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await time.increase(3600);
+      
+      // Everything except principal and accrued rewards can leave
+      const free = await farmRewardSystem.freeRewardReserve();
+      await expect(
+        farmRewardSystem.withdrawRewardReserve(owner.address, free + stakeAmount)
+      ).to.be.revertedWith("Amount exceeds free reserve");
+      
+      const withdrawal = free - ethers.parseEther("1");
+      await expect(farmRewardSystem.withdrawRewardReserve(reserveWallet.address, withdrawal))
+        .to.emit(farmRewardSystem, "RewardReserveWithdrawn")
+        .withArgs(reserveWallet.address, withdrawal);
+      await expectSolvent();
+      
+      // Principal and rewards are still paid in full
+      await farmRewardSystem.setMintFallbackEnabled(false);
+      const earned = await farmRewardSystem.earned(farmer1.address, 0);
+      await farmRewardSystem.connect(farmer1).exitPool(0);
+      expect(await harvestToken.balanceOf(farmer1.address)).to.be.gte(stakeAmount * 2n + earned);
+    });
+    
+    it("Should pay check-ins from the free reserve, never from staking obligations", async function () {
+      await farmRewardSystem.updatePool(0, ethers.parseEther("0.01"), true);
+      await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+      await time.increase(SECONDS_IN_DAY);
+      // Stop the accrual so the obligations stay put while the reserve is drained
+      await farmRewardSystem.updatePool(0, 0, true);
+
+      // Leave half a HARVEST beyond what stakers are owed
+      const margin = ethers.parseEther("0.5");
+      await farmRewardSystem.withdrawRewardReserve(owner.address, (await farmRewardSystem.freeRewardReserve()) - margin);
+      const obligations = await farmRewardSystem.totalRewardObligations();
+      expect(obligations).to.be.greaterThan(ethers.parseEther("800"));
+
+      // The 1.05 HARVEST check-in takes the free half and mints the rest
+      const tx = farmRewardSystem.connect(farmer2).dailyCheckIn();
+      await expect(tx).to.emit(farmRewardSystem, "EmissionPaid").withArgs(farmer2.address, (value) => value <= margin, (value) => value >= ethers.parseEther("0.55"));
+      await expectSolvent();
+
+      // With minting off the staker's reward is still fully covered
+      await farmRewardSystem.setMintFallbackEnabled(false);
+      await expect(farmRewardSystem.connect(farmer1).claimRewards(0))
+        .to.emit(farmRewardSystem, "EmissionPaid")
+        .withArgs(farmer1.address, await farmRewardSystem.earned(farmer1.address, 0), 0);
+      await expectSolvent();
+    });
+
+    it("Should restrict reserve management to the owner", async function () {
+      await expect(
+        farmRewardSystem.connect(farmer1).depositRewardReserve(1)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+      await expect(
+        farmRewardSystem.connect(farmer1).withdrawRewardReserve(farmer1.address, 1)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+      await expect(
+        farmRewardSystem.withdrawRewardReserve(ethers.ZeroAddress, 1)
+      ).to.be.revertedWith("Recipient cannot be zero address");
+    });
+    
+    it("Should return full principal through emergencyWithdraw during an emergency exit", async function () {
+      await farmRewardSystem.createLockedPool(100, 0, 90 * SECONDS_IN_DAY); // pool 1
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      await farmRewardSystem.connect(farmer2).stakeTokens(1, stakeAmount);
+      await time.increase(3600);
+      
+      await farmRewardSystem.pause();
+      await farmRewardSystem.setEmergencyExitEnabled(true);
+      const supplyBefore = await harvestToken.totalSupply();
+      await expect(farmRewardSystem.connect(farmer1).emergencyWithdraw(1))
+        .to.emit(farmRewardSystem, "EmergencyWithdrawn");
+      
+      // No penalty, no rewards
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(stakeAmount * 2n);
+      expect(await harvestToken.totalSupply()).to.equal(supplyBefore);
+      expect(await farmRewardSystem.earned(farmer1.address, 1)).to.equal(0);
+      expect(await farmRewardSystem.totalPrincipal()).to.equal(stakeAmount);
+      expect(await farmRewardSystem.totalRewardObligations()).to.be.closeTo(await farmRewardSystem.earned(farmer2.address, 1), 10n);
+      await expectSolvent();
+      
+      await expect(farmRewardSystem.connect(farmer1).emergencyWithdraw(1)).to.be.revertedWith("Nothing to withdraw");
+      await expect(farmRewardSystem.connect(farmer1).emergencyWithdraw(5)).to.be.revertedWith("Invalid pool ID");
+    });
+    
+    it("Should still burn the lock penalty on emergencyWithdraw without an emergency exit", async function () {
+      await farmRewardSystem.createLockedPool(100, 0, 90 * SECONDS_IN_DAY); // pool 1, 15% penalty
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+      
+      await expect(farmRewardSystem.connect(farmer1).emergencyWithdraw(1))
+        .to.emit(farmRewardSystem, "EarlyUnstakePenaltyBurned")
+        .withArgs(farmer1.address, 1, stakeAmount * 15n / 100n);
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(stakeAmount * 2n - stakeAmount * 15n / 100n);
+    });
+    
+    it("Should stay solvent through a sequence of farm operations", async function () {
+      await farmRewardSystem.createLockedPool(250, 0, 30 * SECONDS_IN_DAY); // pool 1
+      await expectSolvent();
+      
+      const steps = [
+        () => farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount),
+        () => farmRewardSystem.connect(farmer2).stakeTokens(1, stakeAmount),
+        () => time.increase(SECONDS_IN_DAY),
+        () => farmRewardSystem.connect(farmer1).dailyCheckIn(),
+        () => farmRewardSystem.connect(farmer2).claimRewards(1),
+        () => farmRewardSystem.updatePool(0, 500, true),
+        () => farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount),
+        () => time.increase(SECONDS_IN_DAY),
+        () => farmRewardSystem.connect(farmer2).unstakeTokens(1, stakeAmount / 2n),
+        () => farmRewardSystem.connect(farmer1).claimAllRewards(),
+        () => farmRewardSystem.withdrawRewardReserve(owner.address, ethers.parseEther("1000000")),
+        () => farmRewardSystem.connect(farmer2).emergencyWithdraw(1),
+        () => time.increase(SECONDS_IN_DAY),
+        () => farmRewardSystem.connect(farmer1).exitPool(0),
+        () => farmRewardSystem.connect(farmer1).exitPool(1)
+      ];
+      
+      for (const step of steps) {
+        await step();
+        await expectSolvent();
+      }
+      expect(await farmRewardSystem.totalPrincipal()).to.equal(0);
+      expect(await farmRewardSystem.totalRewardObligations()).to.be.lte(10n);
+    });
+  });
+  
     describe("Integration Tests", function () {
     it("Should handle complete farming lifecycle", async function () {
       // Setup: Register farmer and give initial tokens
@@ -298,6 +1383,7 @@ describe("XFarm Reward System", function () {
       await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
       
       // 3. Plant crops
+      await fundPlanting(farmer1);
       await farmRewardSystem.connect(farmer1).plantCrop(0); // TOMATO
       await farmRewardSystem.connect(farmer1).plantCrop(1); // CORN
       
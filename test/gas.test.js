@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("Gas Benchmarks", function () {
+  const SECONDS_IN_DAY = 86400;
+  const CROP_COUNTS = [1, 10, 50];
+  const results = [];
+
+  async function deployFarmFixture() {
+    const [owner, farmer, teamWallet] = await ethers.getSigners();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(teamWallet.address, owner.address, owner.address, owner.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    const farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const farmAddress = await farmRewardSystem.getAddress();
+
+    await harvestToken.setRewardPool(farmAddress);
+    await harvestToken.addAuthorizedMinter(farmAddress);
+    await cropNFT.addAuthorizedFarm(farmAddress);
+    await cropNFT.setFarmRewardSystem(farmAddress);
+    await farmRewardSystem.setPlotLimits(50, 0, 50);
+
+    await farmRewardSystem.connect(farmer).registerFarmer(ethers.ZeroAddress);
+    await harvestToken.connect(teamWallet).transfer(farmer.address, ethers.parseEther("1000"));
+    await harvestToken.connect(farmer).approve(farmAddress, ethers.MaxUint256);
+
+    return { farm: farmRewardSystem.connect(farmer), farmer };
+  }
+
+  async function gasOf(txPromise) {
+    return (await (await txPromise).wait()).gasUsed;
+  }
+
+  /**
+   * Plants, waters and harvests `count` tomatoes, one transaction per crop or one per step
+   * @returns {{plant: bigint, water: bigint, harvest: bigint}} Total gas per step
+   */
+  async function runCycle(count, batched) {
+    const { farm } = await loadFixture(deployFarmFixture);
+    const tokenIds = [...Array(count).keys()];
+    const gas = { plant: 0n, water: 0n, harvest: 0n };
+
+    if (batched) {
+      gas.plant = await gasOf(farm.plantCrops(0, count));
+    } else {
+      for (let i = 0; i < count; i++) gas.plant += await gasOf(farm.plantCrop(0));
+    }
+
+    await time.increase(3600);
+    if (batched) {
+      gas.water = await gasOf(farm.waterCrops(tokenIds));
+    } else {
+      for (const tokenId of tokenIds) gas.water += await gasOf(farm.waterCrop(tokenId));
+    }
+
+    await time.increase(7 * SECONDS_IN_DAY);
+    if (batched) {
+      gas.harvest = await gasOf(farm.harvestCrops(tokenIds));
+    } else {
+      for (const tokenId of tokenIds) gas.harvest += await gasOf(farm.harvestCrop(tokenId));
+    }
+
+    return gas;
+  }
+
+  after(function () {
+    if (results.length === 0) return;
+    console.log("\n      Gas used (single calls -> batch, savings)");
+    console.table(results);
+  });
+
+  for (const count of CROP_COUNTS) {
+    it(`Should measure planting, watering and harvesting ${count} crop${count === 1 ? "" : "s"}`, async function () {
+      const single = await runCycle(count, false);
+      const batch = await runCycle(count, true);
+
+      const row = { crops: count };
+      for (const step of ["plant", "water", "harvest"]) {
+        const saved = Number(((single[step] - batch[step]) * 1000n) / single[step]) / 10;
+        row[step] = `${single[step]} -> ${batch[step]} (${saved}%)`;
+
+        // A batch of one costs about the same as a single call; larger batches save gas
+        if (count === 1) {
+          expect(batch[step], step).to.be.lte((single[step] * 105n) / 100n);
+        } else {
+          expect(batch[step], step).to.be.lt(single[step]);
+        }
+      }
+      results.push(row);
+    });
+  }
+});
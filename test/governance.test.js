@@ -0,0 +1,294 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { CONTRACT_ROLES, GOVERNED_ROLES, governanceSteps, roleId, roleMigrationSteps } = require("../scripts/lib/roles");
+
+describe("Governance", function () {
+  const SECONDS_IN_DAY = 86400;
+  const TIMELOCK_DELAY = 2 * SECONDS_IN_DAY;
+  const VOTING_DELAY = 1; // blocks
+  const VOTING_PERIOD = 50; // blocks
+  const PROPOSAL_THRESHOLD = ethers.parseEther("1000");
+  const QUORUM_PERCENT = 4; // of 100M initial supply = 4M HARVEST
+  const VoteType = { Against: 0, For: 1, Abstain: 2 };
+  const ProposalState = { Pending: 0, Active: 1, Defeated: 3, Succeeded: 4, Queued: 5, Executed: 7 };
+  const stakeAmount = ethers.parseEther("5000000");
+
+  async function deployFarmFixture() {
+    const [deployer, farmer, voter, outsider, teamWallet] = await ethers.getSigners();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(teamWallet.address, deployer.address, deployer.address, deployer.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    const farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const farmAddress = await farmRewardSystem.getAddress();
+
+    await harvestToken.setRewardPool(farmAddress);
+    await cropNFT.addAuthorizedFarm(farmAddress);
+    await cropNFT.setFarmRewardSystem(farmAddress);
+    await farmRewardSystem.createLockedPool(100, 0, 30 * SECONDS_IN_DAY); // pool 1, 10% early-unstake penalty
+
+    await farmRewardSystem.connect(farmer).registerFarmer(ethers.ZeroAddress);
+    // Large amounts come from the deployer as liquidity wallet, the only wallet excluded from the transfer limit
+    await harvestToken.connect(deployer).transfer(farmer.address, stakeAmount);
+    await harvestToken.connect(farmer).approve(farmAddress, ethers.MaxUint256);
+    await harvestToken.connect(deployer).transfer(voter.address, ethers.parseEther("2000000"));
+
+    return { harvestToken, cropNFT, farmRewardSystem, farmAddress, deployer, farmer, voter, outsider, teamWallet };
+  }
+
+  /**
+   * Timelock proposed to only by the governor, holding the admin role and every governed role
+   */
+  async function deployGovernanceFixture() {
+    const context = await deployFarmFixture();
+    const { harvestToken, cropNFT, farmRewardSystem, deployer, farmer, voter } = context;
+
+    const XFarmTimelock = await ethers.getContractFactory("XFarmTimelock");
+    const timelock = await XFarmTimelock.deploy(TIMELOCK_DELAY, [], [ethers.ZeroAddress], deployer.address);
+    const XFarmGovernor = await ethers.getContractFactory("XFarmGovernor");
+    const governor = await XFarmGovernor.deploy(
+      await harvestToken.getAddress(),
+      await timelock.getAddress(),
+      VOTING_DELAY,
+      VOTING_PERIOD,
+      PROPOSAL_THRESHOLD,
+      QUORUM_PERCENT
+    );
+
+    const FarmSeasons = await ethers.getContractFactory("FarmSeasons");
+    const farmSeasons = await FarmSeasons.deploy(
+      await harvestToken.getAddress(),
+      await cropNFT.getAddress(),
+      await farmRewardSystem.getAddress(),
+      ""
+    );
+    const XFarmVesting = await ethers.getContractFactory("XFarmVesting");
+    const vesting = await XFarmVesting.deploy(await harvestToken.getAddress());
+
+    const contracts = {
+      HarvestToken: harvestToken,
+      CropNFT: cropNFT,
+      FarmRewardSystem: farmRewardSystem,
+      FarmSeasons: farmSeasons,
+      XFarmVesting: vesting
+    };
+    const steps = [
+      ...governanceSteps({ timelock, governor, deployer: deployer.address }),
+      ...roleMigrationSteps(contracts, { deployer: deployer.address, admin: await timelock.getAddress() })
+    ];
+    for (const step of steps) {
+      if (!(await step.isDone())) await (await step.run()).wait();
+    }
+
+    // The farmer votes with staked HARVEST, the voter with HARVEST in their wallet
+    await harvestToken.connect(farmer).delegate(farmer.address);
+    await farmRewardSystem.connect(farmer).stakeTokens(0, stakeAmount);
+    await harvestToken.connect(voter).delegate(voter.address);
+
+    return { ...context, timelock, governor, vesting };
+  }
+
+  /**
+   * Encodes a proposal changing a pool rate, the transfer limit and a crop type
+   */
+  async function parameterProposal({ harvestToken, cropNFT, farmRewardSystem }) {
+    const targets = [
+      await farmRewardSystem.getAddress(),
+      await harvestToken.getAddress(),
+      await cropNFT.getAddress(),
+      await cropNFT.getAddress()
+    ];
+    const calldatas = [
+      farmRewardSystem.interface.encodeFunctionData("updatePool", [0, 50, true]),
+      harvestToken.interface.encodeFunctionData("setMaxTransferAmount", [ethers.parseEther("2000000")]),
+      cropNFT.interface.encodeFunctionData("updateCropType", [0, 5 * SECONDS_IN_DAY, ethers.parseEther("12"), ethers.parseEther("4"), 0]),
+      cropNFT.interface.encodeFunctionData("addCropType", ["Pumpkin", 10 * SECONDS_IN_DAY, ethers.parseEther("40"), ethers.parseEther("5"), 2])
+    ];
+    const description = "Halve pool 0 rewards, double the transfer limit, speed up tomatoes and add pumpkins";
+    return { targets, values: targets.map(() => 0), calldatas, description, descriptionHash: ethers.id(description) };
+  }
+
+  describe("Voting power", function () {
+    it("Should count staked HARVEST as the staker's votes", async function () {
+      const { harvestToken, farmRewardSystem, farmer } = await loadFixture(deployFarmFixture);
+      await harvestToken.connect(farmer).delegate(farmer.address);
+      expect(await harvestToken.getVotes(farmer.address)).to.equal(stakeAmount);
+
+      await expect(farmRewardSystem.connect(farmer).stakeTokens(0, stakeAmount))
+        .to.emit(harvestToken, "Staked")
+        .withArgs(await farmRewardSystem.getAddress(), farmer.address, stakeAmount);
+      expect(await harvestToken.balanceOf(farmer.address)).to.equal(0);
+      expect(await harvestToken.stakedBalanceOf(farmer.address)).to.equal(stakeAmount);
+      expect(await harvestToken.getVotes(farmer.address)).to.equal(stakeAmount);
+
+      await farmRewardSystem.connect(farmer).unstakeTokens(0, stakeAmount / 3n);
+      expect(await harvestToken.stakedBalanceOf(farmer.address)).to.equal(stakeAmount - stakeAmount / 3n);
+      expect(await harvestToken.getVotes(farmer.address)).to.equal(stakeAmount);
+    });
+
+    it("Should move staked votes with a later delegation", async function () {
+      const { harvestToken, farmRewardSystem, farmer, voter } = await loadFixture(deployFarmFixture);
+
+      // Staking before delegating still counts once the farmer delegates
+      await farmRewardSystem.connect(farmer).stakeTokens(0, stakeAmount);
+      expect(await harvestToken.getVotes(farmer.address)).to.equal(0);
+      await harvestToken.connect(farmer).delegate(farmer.address);
+      expect(await harvestToken.getVotes(farmer.address)).to.equal(stakeAmount);
+
+      await harvestToken.connect(farmer).delegate(voter.address);
+      expect(await harvestToken.getVotes(farmer.address)).to.equal(0);
+      expect(await harvestToken.getVotes(voter.address)).to.equal(stakeAmount);
+
+      await farmRewardSystem.connect(farmer).exitPool(0);
+      expect(await harvestToken.getVotes(voter.address)).to.equal(stakeAmount);
+    });
+
+    it("Should drop the votes of a burned early-unstake penalty", async function () {
+      const { harvestToken, farmRewardSystem, farmer } = await loadFixture(deployFarmFixture);
+      await harvestToken.connect(farmer).delegate(farmer.address);
+      await farmRewardSystem.connect(farmer).stakeTokens(1, stakeAmount);
+      const supplyBefore = await harvestToken.totalSupply();
+
+      await farmRewardSystem.connect(farmer).unstakeTokens(1, stakeAmount);
+      const penalty = stakeAmount / 10n;
+      expect(await harvestToken.getVotes(farmer.address)).to.equal(stakeAmount - penalty);
+      expect(await harvestToken.balanceOf(farmer.address)).to.equal(stakeAmount - penalty);
+      expect(await harvestToken.totalSupply()).to.equal(supplyBefore - penalty);
+    });
+
+    it("Should only let reward contracts take and return their own stakes", async function () {
+      const { harvestToken, farmer, outsider } = await loadFixture(deployFarmFixture);
+      await harvestToken.connect(farmer).approve(outsider.address, stakeAmount);
+
+      await expect(harvestToken.connect(outsider).stakeFrom(farmer.address, 1)).to.be.revertedWith(
+        "Caller is not authorized to stake"
+      );
+      await expect(harvestToken.connect(outsider).unstakeTo(farmer.address, 1, 0)).to.be.revertedWith(
+        "Amount exceeds stake"
+      );
+    });
+
+    it("Should snapshot votes and supply for past blocks", async function () {
+      const { harvestToken, voter, outsider } = await loadFixture(deployFarmFixture);
+      await harvestToken.connect(voter).delegate(voter.address);
+      const block = await ethers.provider.getBlockNumber();
+      await mine();
+
+      await harvestToken.connect(voter).transfer(outsider.address, ethers.parseEther("500000"));
+      expect(await harvestToken.getPastVotes(voter.address, block)).to.equal(ethers.parseEther("2000000"));
+      expect(await harvestToken.getVotes(voter.address)).to.equal(ethers.parseEther("1500000"));
+      expect(await harvestToken.getPastTotalSupply(block)).to.equal(await harvestToken.INITIAL_SUPPLY());
+    });
+  });
+
+  describe("Proposals", function () {
+    it("Should run a proposal through propose, vote, queue and execute", async function () {
+      const context = await loadFixture(deployGovernanceFixture);
+      const { harvestToken, cropNFT, farmRewardSystem, governor, timelock, farmer, voter, outsider } = context;
+      const { targets, values, calldatas, description, descriptionHash } = await parameterProposal(context);
+
+      await governor.connect(farmer).propose(targets, values, calldatas, description);
+      const proposalId = await governor.hashProposal(targets, values, calldatas, descriptionHash);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Pending);
+
+      await mine(VOTING_DELAY + 1);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Active);
+      await expect(governor.connect(farmer).castVote(proposalId, VoteType.For))
+        .to.emit(governor, "VoteCast")
+        .withArgs(farmer.address, proposalId, VoteType.For, stakeAmount, "");
+      await governor.connect(voter).castVoteWithReason(proposalId, VoteType.Against, "Too aggressive");
+
+      await mine(VOTING_PERIOD);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Succeeded);
+
+      await governor.queue(targets, values, calldatas, descriptionHash);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Queued);
+      await expect(governor.execute(targets, values, calldatas, descriptionHash)).to.be.revertedWithCustomError(
+        timelock,
+        "TimelockUnexpectedOperationState"
+      );
+
+      await time.increase(TIMELOCK_DELAY);
+      await governor.connect(outsider).execute(targets, values, calldatas, descriptionHash);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Executed);
+
+      expect((await farmRewardSystem.farmPools(0)).rewardRate).to.equal(50);
+      expect(await harvestToken.maxTransferAmount()).to.equal(ethers.parseEther("2000000"));
+      expect((await cropNFT.getCropType(0)).growthDuration).to.equal(5 * SECONDS_IN_DAY);
+      expect((await cropNFT.getCropType(4)).name).to.equal("Pumpkin");
+    });
+
+    it("Should defeat a proposal without quorum or majority", async function () {
+      const context = await loadFixture(deployGovernanceFixture);
+      const { governor, farmer, voter } = context;
+      const { targets, values, calldatas, description, descriptionHash } = await parameterProposal(context);
+
+      // 2M votes for is below the 4M quorum
+      await governor.connect(voter).propose(targets, values, calldatas, description);
+      const proposalId = await governor.hashProposal(targets, values, calldatas, descriptionHash);
+      await mine(VOTING_DELAY + 1);
+      await governor.connect(voter).castVote(proposalId, VoteType.For);
+      await mine(VOTING_PERIOD);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Defeated);
+
+      // More votes against than for
+      const second = `${description} (again)`;
+      await governor.connect(voter).propose(targets, values, calldatas, second);
+      const secondId = await governor.hashProposal(targets, values, calldatas, ethers.id(second));
+      await mine(VOTING_DELAY + 1);
+      await governor.connect(voter).castVote(secondId, VoteType.For);
+      await governor.connect(farmer).castVote(secondId, VoteType.Against);
+      await mine(VOTING_PERIOD);
+      expect(await governor.state(secondId)).to.equal(ProposalState.Defeated);
+      await expect(governor.queue(targets, values, calldatas, ethers.id(second))).to.be.revertedWithCustomError(
+        governor,
+        "GovernorUnexpectedProposalState"
+      );
+    });
+
+    it("Should require the proposal threshold to propose", async function () {
+      const context = await loadFixture(deployGovernanceFixture);
+      const { governor, outsider } = context;
+      const { targets, values, calldatas, description } = await parameterProposal(context);
+
+      await expect(governor.connect(outsider).propose(targets, values, calldatas, description)).to.be.revertedWithCustomError(
+        governor,
+        "GovernorInsufficientProposerVotes"
+      );
+    });
+
+    it("Should leave governed parameters to proposals only", async function () {
+      const { harvestToken, cropNFT, farmRewardSystem, vesting, timelock, governor, deployer } =
+        await loadFixture(deployGovernanceFixture);
+      const timelockAddress = await timelock.getAddress();
+
+      await expect(farmRewardSystem.updatePool(0, 50, true)).to.be.revertedWithCustomError(
+        farmRewardSystem,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(harvestToken.setMaxTransferAmount(1)).to.be.revertedWithCustomError(
+        harvestToken,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(cropNFT.setCropTypeEnabled(0, false)).to.be.revertedWithCustomError(
+        cropNFT,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      const contracts = { HarvestToken: harvestToken, CropNFT: cropNFT, FarmRewardSystem: farmRewardSystem, XFarmVesting: vesting };
+      for (const [name, contract] of Object.entries(contracts)) {
+        for (const role of CONTRACT_ROLES[name].filter((r) => GOVERNED_ROLES.includes(r))) {
+          expect(await contract.hasRole(roleId(role), timelockAddress), `${name} ${role}`).to.be.true;
+          expect(await contract.hasRole(roleId(role), deployer.address), `${name} ${role}`).to.be.false;
+        }
+      }
+      // Nobody but the governor can schedule on the timelock, and the deployer no longer administers it
+      expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), await governor.getAddress())).to.be.true;
+      expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), deployer.address)).to.be.false;
+      expect(await timelock.hasRole(ethers.ZeroHash, deployer.address)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine, takeSnapshot } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { EventIndexer, MemoryStore } = require("../indexer");
+
+describe("Event Indexer", function () {
+  let harvestToken, cropNFT, farmRewardSystem;
+  let owner, farmer1, farmer2, farmer3, teamWallet;
+  let indexer;
+
+  const SECONDS_IN_DAY = 86400;
+
+  beforeEach(async function () {
+    [owner, farmer1, farmer2, farmer3, teamWallet] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    harvestToken = await HarvestToken.deploy(teamWallet.address, owner.address, owner.address, owner.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+
+    await harvestToken.setRewardPool(await farmRewardSystem.getAddress());
+    await cropNFT.addAuthorizedFarm(await farmRewardSystem.getAddress());
+    await cropNFT.setFarmRewardSystem(await farmRewardSystem.getAddress());
+
+    indexer = new EventIndexer({
+      provider: ethers.provider,
+      addresses: {
+        cropNFT: await cropNFT.getAddress(),
+        farmRewardSystem: await farmRewardSystem.getAddress()
+      },
+      store: new MemoryStore(),
+      startBlock,
+      batchSize: 5
+    });
+  });
+
+  async function stake(farmer, poolId, amount) {
+    await harvestToken.connect(teamWallet).transfer(farmer.address, amount);
+    await harvestToken.connect(farmer).approve(await farmRewardSystem.getAddress(), amount);
+    await farmRewardSystem.connect(farmer).stakeTokens(poolId, amount);
+  }
+
+  it("Should rebuild farmer, pool and crop state from events", async function () {
+    await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+    await farmRewardSystem.connect(farmer2).registerFarmer(farmer1.address);
+    await farmRewardSystem.connect(farmer1).dailyCheckIn();
+    await stake(farmer2, 0, ethers.parseEther("1000"));
+    await harvestToken.connect(teamWallet).transfer(farmer1.address, ethers.parseEther("4"));
+    await harvestToken.connect(farmer1).approve(await farmRewardSystem.getAddress(), ethers.parseEther("4"));
+    await farmRewardSystem.connect(farmer1).plantCrop(0);
+    await time.increase(7 * SECONDS_IN_DAY + 1);
+    await cropNFT.updateGrowthStage(0);
+    await farmRewardSystem.connect(farmer1).harvestCrop(0);
+    await farmRewardSystem.connect(farmer2).claimRewards(0);
+
+    const result = await indexer.sync();
+    expect(result.newEvents).to.be.gt(0);
+
+    const { farmers, pools, crops, totals } = indexer.projections;
+    const f1 = farmers.get(farmer1.address.toLowerCase());
+    const f2 = farmers.get(farmer2.address.toLowerCase());
+    expect(f1.checkIns).to.equal(1);
+    expect(f1.harvests).to.equal(1);
+    expect(f1.rewards.harvest).to.equal(ethers.parseEther("10"));
+    expect(f1.rewards.referral).to.be.gt(0n);
+    expect(f2.referrer).to.equal(farmer1.address);
+    expect(f2.totalStaked).to.equal(ethers.parseEther("1000"));
+    expect(pools.get(0).totalStaked).to.equal(ethers.parseEther("1000"));
+    expect(crops.get("0")).to.include({ harvested: true, growthStage: 4 });
+    // Funded reward pool covers everything, nothing minted
+    expect(totals.paidFromReserve).to.equal(totals.rewardsDistributed);
+    expect(totals.minted).to.equal(0n);
+    // Tomato costs 4 HARVEST, half burned and half kept as reserve
+    expect(f1.plantingFeesPaid).to.equal(ethers.parseEther("4"));
+    expect(totals.plantingFeesBurned).to.equal(ethers.parseEther("2"));
+    expect(totals.plantingFeesToReserve).to.equal(ethers.parseEther("2"));
+
+    const check = await indexer.crossCheck();
+    expect(check.matches).to.be.true;
+    expect(check.onChain).to.equal(await farmRewardSystem.totalRewardsDistributed());
+  });
+
+  it("Should resume from its checkpoint", async function () {
+    await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+    await farmRewardSystem.connect(farmer1).dailyCheckIn();
+    const first = await indexer.sync();
+
+    await time.increase(SECONDS_IN_DAY);
+    await farmRewardSystem.connect(farmer1).dailyCheckIn();
+    const second = await indexer.sync();
+
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.newEvents).to.be.gt(0);
+    expect(indexer.rewardHistory(farmer1.address).entries).to.have.length(2);
+    expect((await indexer.crossCheck()).matches).to.be.true;
+  });
+
+  it("Should rank farmers on leaderboards", async function () {
+    for (const farmer of [farmer1, farmer2, farmer3]) {
+      await farmRewardSystem.connect(farmer).registerFarmer(ethers.ZeroAddress);
+    }
+    await stake(farmer1, 0, ethers.parseEther("1000"));
+    await stake(farmer2, 0, ethers.parseEther("3000"));
+    await farmRewardSystem.connect(farmer3).dailyCheckIn();
+    await indexer.sync();
+
+    const staked = indexer.leaderboard("staked", 2);
+    expect(staked.map((row) => row.address)).to.deep.equal([farmer2.address, farmer1.address]);
+    expect(staked[0]).to.include({ rank: 1, value: ethers.parseEther("3000") });
+
+    const rewards = indexer.leaderboard("rewards");
+    expect(rewards[0].address).to.equal(farmer3.address);
+
+    expect(() => indexer.leaderboard("luck")).to.throw(RangeError);
+  });
+
+  it("Should build referral trees and ignore rejected referrers", async function () {
+    await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+    await farmRewardSystem.connect(farmer2).registerFarmer(farmer1.address);
+    await farmRewardSystem.connect(farmer3).registerFarmer(farmer2.address);
+    // owner is not registered, so the contract drops this referrer even though the event carries it
+    await farmRewardSystem.connect(teamWallet).registerFarmer(owner.address);
+    await indexer.sync();
+
+    const tree = indexer.referralTree(farmer1.address);
+    expect(tree.referees).to.have.length(1);
+    expect(tree.referees[0].address).to.equal(farmer2.address);
+    expect(tree.referees[0].referees[0].address).to.equal(farmer3.address);
+
+    expect(indexer.referralTree(owner.address).referees).to.have.length(0);
+    expect((await farmRewardSystem.farmers(teamWallet.address)).referrer).to.equal(ethers.ZeroAddress);
+  });
+
+  it("Should report per-farmer reward history by source", async function () {
+    await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+    await farmRewardSystem.connect(farmer1).dailyCheckIn();
+    await stake(farmer1, 0, ethers.parseEther("1000"));
+    await time.increase(3600);
+    await farmRewardSystem.connect(farmer1).claimRewards(0);
+    await indexer.sync();
+
+    const history = indexer.rewardHistory(farmer1.address);
+    expect(history.entries.map((entry) => entry.source)).to.deep.equal(["checkIn", "staking"]);
+    expect(history.total).to.equal(history.totals.checkIn + history.totals.staking);
+    expect(history.entries[0].timestamp).to.be.a("number");
+
+    expect(indexer.rewardHistory(farmer3.address).entries).to.have.length(0);
+  });
+
+  it("Should apply emergency withdrawals", async function () {
+    await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+    await stake(farmer1, 0, ethers.parseEther("1000"));
+    await time.increase(3600);
+    await farmRewardSystem.pause();
+    await farmRewardSystem.connect(farmer1).emergencyWithdraw(0);
+
+    await indexer.sync();
+    const { farmers, pools, totals } = indexer.projections;
+    const f1 = farmers.get(farmer1.address.toLowerCase());
+    expect(f1.emergencyWithdrawals).to.equal(1);
+    expect(f1.totalStaked).to.equal(0n);
+    expect(pools.get(0).totalStaked).to.equal(0n);
+    expect(totals.forfeitedRewards).to.be.gt(0n);
+    expect(f1.totalRewards).to.equal(0n);
+  });
+
+  it("Should stay behind the head by the configured confirmations", async function () {
+    indexer.confirmations = 3;
+    await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+    await farmRewardSystem.connect(farmer1).dailyCheckIn();
+
+    await indexer.sync();
+    expect(indexer.rewardHistory(farmer1.address).entries).to.have.length(0);
+
+    await mine(3);
+    await indexer.sync();
+    expect(indexer.rewardHistory(farmer1.address).entries).to.have.length(1);
+  });
+
+  it("Should roll back events from blocks that were reorged out", async function () {
+    await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+    await farmRewardSystem.connect(farmer2).registerFarmer(ethers.ZeroAddress);
+    await indexer.sync();
+
+    const snapshot = await takeSnapshot();
+    await farmRewardSystem.connect(farmer1).dailyCheckIn();
+    await mine(2);
+    await indexer.sync();
+    expect(indexer.rewardHistory(farmer1.address).entries).to.have.length(1);
+
+    // Replace the indexed blocks with a different fork
+    await snapshot.restore();
+    await farmRewardSystem.connect(farmer2).dailyCheckIn();
+    await mine(4);
+
+    const result = await indexer.sync();
+    expect(result.rolledBackTo).to.not.be.null;
+    expect(indexer.rewardHistory(farmer1.address).entries).to.have.length(0);
+    expect(indexer.rewardHistory(farmer2.address).entries).to.have.length(1);
+    expect((await indexer.crossCheck()).matches).to.be.true;
+  });
+
+  it("Should refuse a store built for another deployment", async function () {
+    await indexer.sync();
+    const other = new EventIndexer({
+      provider: ethers.provider,
+      addresses: { cropNFT: owner.address, farmRewardSystem: farmer1.address },
+      store: indexer.store
+    });
+    await expect(other.init()).to.be.rejectedWith("Store was built for different contract addresses");
+  });
+});
@@ -0,0 +1,631 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createRandom } = require("../simulation");
+
+// FeaturePausable.Feature
+const Feature = { STAKING: 0, CLAIMING: 1, CHECK_IN: 2, PLANTING: 3, HARVESTING: 4 };
+
+/**
+ * Randomized stateful test: seeded sequences of farmer and admin actions against the three contracts,
+ * checked step by step against an off-chain model. Every action states up front whether the model
+ * expects it to revert (and why), and the invariants are checked after each step.
+ * Most seeds run with a small reserve and the mint fallback on; one runs with the fallback off and a
+ * reserve that must stay solvent on its own. FUZZ_STEPS sets the number of steps per seed.
+ */
+describe("Invariants", function () {
+  const HOUR = 3600;
+  const DAY = 24 * HOUR;
+  const INITIAL_SUPPLY = ethers.parseEther("100000000");
+  const STARTING_BALANCE = ethers.parseEther("5000");
+  const RESERVE = ethers.parseEther("100");
+  // Covers staking accrual and every other reward over far more than the default number of steps
+  const FUNDED_RESERVE = ethers.parseEther("500000");
+  const ACTORS = 6;
+  const RUNS = [
+    { seed: 1, mintFallback: true },
+    { seed: 2, mintFallback: true },
+    { seed: 3, mintFallback: true },
+    { seed: 4, mintFallback: false }
+  ];
+  const STEPS = Number(process.env.FUZZ_STEPS || 150);
+
+  /**
+   * Farm with three pools (the default one, a fast flexible one and a 30-day locked one), crops that
+   * ripen in one to four days, a reward reserve small enough to run dry so rewards get minted, and six
+   * funded, self-delegated farmers that are not registered yet
+   */
+  async function deployFarmFixture() {
+    const signers = await ethers.getSigners();
+    const [owner, teamWallet, marketingWallet, liquidityWallet, reserveWallet] = signers;
+    const actors = signers.slice(5, 5 + ACTORS);
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(
+      teamWallet.address,
+      marketingWallet.address,
+      liquidityWallet.address,
+      reserveWallet.address
+    );
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    const farm = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const farmAddress = await farm.getAddress();
+
+    await harvestToken.setRewardPool(farmAddress);
+    await cropNFT.addAuthorizedFarm(farmAddress);
+    await cropNFT.setFarmRewardSystem(farmAddress);
+
+    await farm.createPool(ethers.parseEther("0.001"), ethers.parseEther("100"));
+    await farm.createLockedPool(ethers.parseEther("0.002"), ethers.parseEther("100"), 30 * DAY);
+    for (let i = 0; i < 4; i++) {
+      const cropType = await cropNFT.getCropType(i);
+      await cropNFT.updateCropType(i, (i + 1) * DAY, cropType.baseReward, cropType.plantingCost, cropType.rarity);
+    }
+    await farm.withdrawRewardReserve(owner.address, (await farm.freeRewardReserve()) - RESERVE);
+
+    for (const actor of actors) {
+      await harvestToken.connect(teamWallet).transfer(actor.address, STARTING_BALANCE);
+      await harvestToken.connect(actor).approve(farmAddress, ethers.MaxUint256);
+      await harvestToken.connect(actor).delegate(actor.address);
+    }
+
+    // Every address that can hold HARVEST in this setup
+    const holders = [...signers.map((signer) => signer.address), farmAddress, await harvestToken.getAddress()];
+    return { harvestToken, cropNFT, farm, farmAddress, owner, actors, holders };
+  }
+
+  /**
+   * The same farm with the mint fallback off and a reserve large enough to pay every reward itself
+   */
+  async function deployFundedFarmFixture() {
+    const c = await deployFarmFixture();
+    await c.farm.setMintFallbackEnabled(false);
+    await c.harvestToken.approve(c.farmAddress, FUNDED_RESERVE - RESERVE);
+    await c.farm.depositRewardReserve(FUNDED_RESERVE - RESERVE);
+    return c;
+  }
+
+  /**
+   * Model of the fixture's state as the invariants expect it
+   */
+  async function createModel(c) {
+    const pools = [];
+    for (let i = 0; i < Number(await c.farm.totalPools()); i++) {
+      const [info, lock] = await Promise.all([c.farm.getPoolInfo(i), c.farm.getPoolLockInfo(i)]);
+      pools.push({ minimumStake: info.minimumStake, lockDuration: Number(lock.lockDuration), penalty: lock.earlyUnstakePenalty });
+    }
+    const cropTypes = [];
+    for (const cropType of await c.cropNFT.getCropTypes()) {
+      cropTypes.push({ growth: Number(cropType.growthDuration), cost: cropType.plantingCost });
+    }
+
+    const balances = new Map();
+    for (const address of c.holders) {
+      balances.set(address, await c.harvestToken.balanceOf(address));
+    }
+    const farmers = new Map(c.actors.map((actor) => [actor.address, {
+      registered: false,
+      lastCheckIn: 0,
+      streak: 0,
+      referrer: ethers.ZeroAddress,
+      stakes: pools.map(() => 0n),
+      unlockAt: pools.map(() => 0)
+    }]));
+
+    return {
+      pools,
+      cropTypes,
+      balances,
+      farmers,
+      crops: new Map(), // tokenId => { owner, growth, plantedAt, harvestableAt, lastWatered }
+      burned: 0n,
+      distributed: 0n,
+      minted: 0n,
+      paused: { farm: false, crop: false },
+      featurePaused: { farm: new Set(), crop: new Set() },
+      mintFallback: await c.farm.mintFallbackEnabled(),
+      plantingFeeBurnPercent: await c.farm.plantingFeeBurnPercent(),
+      maxCheckInStreak: Number(await c.farm.MAX_CHECK_IN_STREAK())
+    };
+  }
+
+  // Revert a pause flag causes for a call gated by whenFeatureActive (or whenNotPaused with no feature)
+  function pauseReason(model, contract, feature) {
+    if (model.paused[contract]) return "EnforcedPause";
+    if (feature !== undefined && model.featurePaused[contract].has(feature)) return "Feature is paused";
+    return null;
+  }
+
+  function cropsOf(model, owner) {
+    return [...model.crops.entries()].filter(([, crop]) => crop.owner === owner).map(([tokenId]) => tokenId);
+  }
+
+  function move(model, from, to, amount) {
+    model.balances.set(from, model.balances.get(from) - amount);
+    model.balances.set(to, model.balances.get(to) + amount);
+  }
+
+  /**
+   * Action generators. Each returns null when it has nothing to do for the actor, or
+   * { label, send, revert, mayRevert, apply } where `revert` is the reason the model expects
+   * the call to fail with (null for success) and `mayRevert` a reason the model cannot rule out.
+   */
+  const actions = {
+    register: { weight: 8, build(c, model, random, actor, now) {
+      const farmer = model.farmers.get(actor.address);
+      // Registered farmers only occasionally try again
+      if (farmer.registered && random() < 0.8) return null;
+      const referrer = random() < 0.7 ? pick(random, c.actors).address : ethers.ZeroAddress;
+      return {
+        label: `registerFarmer(${short(c, referrer)})`,
+        send: () => c.farm.connect(actor).registerFarmer(referrer),
+        revert: pauseReason(model, "farm") || (farmer.registered ? "Farmer already registered" : null),
+        apply() {
+          const referrerInfo = model.farmers.get(referrer);
+          farmer.registered = true;
+          farmer.lastCheckIn = 1;
+          if (referrer !== actor.address && referrerInfo && referrerInfo.registered) farmer.referrer = referrer;
+        }
+      };
+    } },
+
+    checkIn: { weight: 12, build(c, model, random, actor, now) {
+      const farmer = model.farmers.get(actor.address);
+      const first = farmer.lastCheckIn === 1;
+      let revert = pauseReason(model, "farm", Feature.CHECK_IN);
+      if (!revert && !farmer.registered) revert = "Farmer not registered";
+      if (!revert && !first && now < farmer.lastCheckIn + 20 * HOUR) revert = "Check-in too early";
+
+      const reset = !first && now > farmer.lastCheckIn + 28 * HOUR;
+      const streak = first || reset ? 1 : Math.min(farmer.streak + 1, model.maxCheckInStreak);
+      return {
+        label: "dailyCheckIn()",
+        send: () => c.farm.connect(actor).dailyCheckIn(),
+        revert,
+        apply(events, stats) {
+          const [event] = events.filter((e) => e.name === "CheckInCompleted");
+          const base = ethers.parseEther("1");
+          expect(event.args.streak, "streak").to.equal(streak);
+          expect(event.args.reward, "check-in reward").to.equal(base + (base * BigInt(streak) * 5n) / 100n);
+          if (reset) stats.streakResets++;
+          farmer.lastCheckIn = now;
+          farmer.streak = streak;
+        }
+      };
+    } },
+
+    stake: { weight: 10, build(c, model, random, actor, now) {
+      const farmer = model.farmers.get(actor.address);
+      const poolId = Math.floor(random() * model.pools.length);
+      const pool = model.pools[poolId];
+      const amount = ethers.parseEther(pick(random, ["50", "100", "400", "1000", "1500"]));
+      let revert = pauseReason(model, "farm", Feature.STAKING);
+      if (!revert && !farmer.registered) revert = "Farmer not registered";
+      if (!revert && amount < pool.minimumStake) revert = "Amount below minimum stake";
+      if (!revert && model.balances.get(actor.address) < amount) revert = "ERC20InsufficientBalance";
+      return {
+        label: `stakeTokens(${poolId}, ${ethers.formatEther(amount)})`,
+        send: () => c.farm.connect(actor).stakeTokens(poolId, amount),
+        revert,
+        apply() {
+          move(model, actor.address, c.farmAddress, amount);
+          farmer.stakes[poolId] = farmer.stakes[poolId] + amount;
+          if (pool.lockDuration > 0) farmer.unlockAt[poolId] = now + pool.lockDuration;
+        }
+      };
+    } },
+
+    unstake: { weight: 6, build(c, model, random, actor, now) {
+      const farmer = model.farmers.get(actor.address);
+      const poolId = Math.floor(random() * model.pools.length);
+      const staked = farmer.stakes[poolId];
+      // Sometimes more than is staked, to check the model agrees on the revert
+      const amount = staked === 0n || random() < 0.1 ? staked + ethers.parseEther("1") : random() < 0.5 ? staked : staked / 2n;
+      let revert = pauseReason(model, "farm", Feature.STAKING);
+      if (!revert && farmer.stakes[poolId] < amount) revert = "Insufficient staked amount";
+      return {
+        label: `unstakeTokens(${poolId}, ${ethers.formatEther(amount)})`,
+        send: () => c.farm.connect(actor).unstakeTokens(poolId, amount),
+        revert,
+        apply(events, stats) {
+          unstake(c, model, stats, farmer, actor, poolId, amount, now, true);
+        }
+      };
+    } },
+
+    emergencyWithdraw: { weight: 2, build(c, model, random, actor, now) {
+      const farmer = model.farmers.get(actor.address);
+      const poolId = Math.floor(random() * model.pools.length);
+      const amount = farmer.stakes[poolId];
+      // Works while paused; the penalty only lifts under the admin's emergency exit, which the suite never enables
+      return {
+        label: `emergencyWithdraw(${poolId})`,
+        send: () => c.farm.connect(actor).emergencyWithdraw(poolId),
+        revert: amount === 0n ? "Nothing to withdraw" : null,
+        apply(events, stats) {
+          unstake(c, model, stats, farmer, actor, poolId, amount, now, true);
+        }
+      };
+    } },
+
+    claim: { weight: 8, build(c, model, random, actor, now) {
+      const farmer = model.farmers.get(actor.address);
+      const poolId = Math.floor(random() * (model.pools.length + 1));
+      const all = poolId === model.pools.length;
+      return {
+        label: all ? "claimAllRewards()" : `claimRewards(${poolId})`,
+        send: () => (all ? c.farm.connect(actor).claimAllRewards() : c.farm.connect(actor).claimRewards(poolId)),
+        revert: pauseReason(model, "farm", Feature.CLAIMING),
+        mayRevert: "No rewards to claim",
+        apply(events) {
+          const [claimed] = events.filter((e) => e.name === "RewardsClaimed");
+          const referrals = events.filter((e) => e.name === "ReferralRewardPaid");
+          if (farmer.referrer === ethers.ZeroAddress) {
+            expect(referrals, "referral rewards").to.have.length(0);
+          } else {
+            expect(referrals[0].args.referrer, "referrer").to.equal(farmer.referrer);
+            expect(referrals[0].args.amount, "referral reward").to.equal((claimed.args.amount * 10n) / 100n);
+          }
+        }
+      };
+    } },
+
+    plant: { weight: 10, build(c, model, random, actor, now) {
+      const farmer = model.farmers.get(actor.address);
+      const cropType = Math.floor(random() * model.cropTypes.length);
+      const count = 1 + Math.floor(random() * 3);
+      const { growth, cost } = model.cropTypes[cropType];
+      const fee = cost * BigInt(count);
+      const staked = farmer.stakes.reduce((a, b) => a + b, 0n);
+      const plotLimit = Math.min(3 + Number(staked / ethers.parseEther("1000")), 25);
+
+      let revert = pauseReason(model, "farm", Feature.PLANTING);
+      if (!revert && !farmer.registered) revert = "Farmer not registered";
+      if (!revert && cropsOf(model, actor.address).length + count > plotLimit) revert = "Plot limit reached";
+      if (!revert && model.balances.get(actor.address) < fee) revert = "ERC20InsufficientBalance";
+      if (!revert) revert = pauseReason(model, "crop", Feature.PLANTING);
+      return {
+        label: count === 1 ? `plantCrop(${cropType})` : `plantCrops(${cropType}, ${count})`,
+        send: () => (count === 1 ? c.farm.connect(actor).plantCrop(cropType) : c.farm.connect(actor).plantCrops(cropType, count)),
+        revert,
+        apply(events) {
+          const burned = (fee * model.plantingFeeBurnPercent) / 100n;
+          move(model, actor.address, c.farmAddress, fee);
+          model.balances.set(c.farmAddress, model.balances.get(c.farmAddress) - burned);
+          model.burned = model.burned + burned;
+
+          const planted = events.filter((e) => e.name === "CropPlanted");
+          expect(planted, "planted crops").to.have.length(count);
+          for (const event of planted) {
+            model.crops.set(event.args.tokenId, { owner: actor.address, growth, plantedAt: now, harvestableAt: now + growth, lastWatered: now });
+          }
+        }
+      };
+    } },
+
+    water: { weight: 8, build(c, model, random, actor, now) {
+      const owned = cropsOf(model, actor.address);
+      if (owned.length === 0) return null;
+      const tokenId = pick(random, owned);
+      const crop = model.crops.get(tokenId);
+
+      let revert = pauseReason(model, "farm", Feature.PLANTING) || pauseReason(model, "crop", Feature.PLANTING);
+      if (!revert && now < crop.lastWatered + HOUR) revert = "Crop was watered recently";
+      return {
+        label: `waterCrop(${tokenId})`,
+        send: () => c.farm.connect(actor).waterCrop(tokenId),
+        revert,
+        apply() {
+          crop.lastWatered = now;
+          // Each watering takes an hour off the growth time, up to half of it
+          if (crop.plantedAt + crop.growth - crop.harvestableAt < Math.floor(crop.growth / 2)) {
+            crop.harvestableAt = crop.harvestableAt - HOUR;
+          }
+        }
+      };
+    } },
+
+    harvest: { weight: 10, build(c, model, random, actor, now) {
+      const owned = cropsOf(model, actor.address);
+      const ripe = owned.filter((tokenId) => now >= model.crops.get(tokenId).harvestableAt);
+      // Mostly ripe crops of the actor's own, sometimes unripe ones or someone else's
+      const roll = random();
+      const candidates = roll < 0.7 && ripe.length > 0 ? ripe : roll < 0.85 || model.crops.size === 0 ? owned : [...model.crops.keys()];
+      if (candidates.length === 0) return null;
+      const tokenId = pick(random, candidates);
+      const crop = model.crops.get(tokenId);
+
+      let revert = pauseReason(model, "farm", Feature.HARVESTING);
+      if (!revert && crop.owner !== actor.address) revert = "Not crop owner";
+      if (!revert && now < crop.harvestableAt) revert = "Crop not ready for harvest";
+      if (!revert) revert = pauseReason(model, "crop", Feature.HARVESTING);
+      return {
+        label: `harvestCrop(${tokenId})`,
+        send: () => c.farm.connect(actor).harvestCrop(tokenId),
+        revert,
+        apply(events) {
+          const [harvested] = events.filter((e) => e.name === "CropHarvested");
+          expect(harvested.args.tokenId, "harvested crop").to.equal(tokenId);
+          model.crops.delete(tokenId);
+        }
+      };
+    } },
+
+    transferCrop: { weight: 5, build(c, model, random, actor, now) {
+      const owned = cropsOf(model, actor.address);
+      if (owned.length === 0) return null;
+      const tokenId = pick(random, owned);
+      const to = pick(random, c.actors.filter((other) => other !== actor));
+      return {
+        label: `transferFrom(crop ${tokenId} to ${short(c, to.address)})`,
+        send: () => c.cropNFT.connect(actor).transferFrom(actor.address, to.address, tokenId),
+        revert: pauseReason(model, "crop"),
+        apply() {
+          model.crops.get(tokenId).owner = to.address;
+        }
+      };
+    } },
+
+    transferTokens: { weight: 3, build(c, model, random, actor, now) {
+      const to = pick(random, c.actors.filter((other) => other !== actor));
+      const balance = model.balances.get(actor.address);
+      const amount = random() < 0.1 ? balance + 1n : ethers.parseEther(pick(random, ["10", "250"]));
+      return {
+        label: `transfer(${ethers.formatEther(amount)} HARVEST to ${short(c, to.address)})`,
+        send: () => c.harvestToken.connect(actor).transfer(to.address, amount),
+        revert: balance < amount ? "ERC20InsufficientBalance" : null,
+        apply() {
+          move(model, actor.address, to.address, amount);
+        }
+      };
+    } },
+
+    pauseToggle: { weight: 4, build(c, model, random, actor, now) {
+      const switches = [];
+      for (const contract of ["farm", "crop"]) {
+        switches.push({ contract, paused: model.paused[contract] });
+        for (const feature of Object.values(Feature)) {
+          switches.push({ contract, feature, paused: model.featurePaused[contract].has(feature) });
+        }
+      }
+      // Lean towards unpausing so runs are not mostly paused
+      const paused = switches.filter((s) => s.paused);
+      const target = paused.length > 0 && random() < 0.8 ? pick(random, paused) : pick(random, switches);
+      const contract = target.contract === "farm" ? c.farm : c.cropNFT;
+      const global = target.feature === undefined;
+      const name = global ? (target.paused ? "unpause" : "pause") : target.paused ? "unpauseFeature" : "pauseFeature";
+      return {
+        label: `${target.contract}.${name}(${global ? "" : target.feature})`,
+        send: () => (global ? contract[name]() : contract[name](target.feature)),
+        revert: null,
+        apply() {
+          if (global) {
+            model.paused[target.contract] = !target.paused;
+          } else if (target.paused) {
+            model.featurePaused[target.contract].delete(target.feature);
+          } else {
+            model.featurePaused[target.contract].add(target.feature);
+          }
+        }
+      };
+    } },
+
+    advanceTime: { weight: 12, build(c, model, random) {
+      // Steps straddle the 20-hour check-in cooldown and the 28-hour streak window
+      const seconds = pick(random, [HOUR, 5 * HOUR, 21 * HOUR, 26 * HOUR, 30 * HOUR, 3 * DAY]);
+      return { label: `advance ${seconds / HOUR}h`, advance: seconds };
+    } }
+  };
+
+  // Shared bookkeeping of unstakeTokens and emergencyWithdraw
+  function unstake(c, model, stats, farmer, actor, poolId, amount, now, penalized) {
+    const pool = model.pools[poolId];
+    const penalty = penalized && now < farmer.unlockAt[poolId] ? (amount * pool.penalty) / 100n : 0n;
+    move(model, c.farmAddress, actor.address, amount - penalty);
+    model.balances.set(c.farmAddress, model.balances.get(c.farmAddress) - penalty);
+    model.burned = model.burned + penalty;
+    farmer.stakes[poolId] = farmer.stakes[poolId] - amount;
+    if (penalty > 0n) stats.penalties++;
+  }
+
+  function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  function short(c, address) {
+    const index = c.actors.findIndex((actor) => actor.address === address);
+    return index >= 0 ? `farmer${index}` : address === ethers.ZeroAddress ? "none" : address.slice(0, 8);
+  }
+
+  /**
+   * Books every reward a successful call paid: where it came from and who received it
+   */
+  function applyRewards(c, model, events) {
+    for (const event of events) {
+      if (event.name === "EmissionPaid") {
+        const { recipient, fromReserve, minted } = event.args;
+        model.balances.set(c.farmAddress, model.balances.get(c.farmAddress) - fromReserve);
+        model.balances.set(recipient, model.balances.get(recipient) + fromReserve + minted);
+        model.minted = model.minted + minted;
+      } else if (event.name === "CheckInCompleted" || event.name === "CropHarvested") {
+        model.distributed = model.distributed + event.args.reward;
+      } else if (event.name === "RewardsClaimed" || event.name === "ReferralRewardPaid") {
+        model.distributed = model.distributed + event.args.amount;
+      }
+    }
+  }
+
+  async function checkInvariants(c, model) {
+    const { harvestToken, cropNFT, farm, farmAddress } = c;
+
+    // Supply: only farm rewards mint, only planting fees and early-unstake penalties burn
+    const [supply, maxSupply, distributed, minted] = await Promise.all([
+      harvestToken.totalSupply(),
+      harvestToken.MAX_SUPPLY(),
+      farm.totalRewardsDistributed(),
+      farm.totalRewardsMinted()
+    ]);
+    expect(supply, "total supply").to.equal(INITIAL_SUPPLY + minted - model.burned);
+    expect(supply, "supply cap").to.be.at.most(maxSupply);
+
+    // Rewards: every reward event went through the emission budget, minted or paid from the reserve
+    expect(distributed, "totalRewardsDistributed").to.equal(model.distributed);
+    expect(minted, "totalRewardsMinted").to.equal(model.minted);
+
+    // Balances: each holder matches the model and together they hold the whole supply
+    let held = 0n;
+    for (const address of c.holders) {
+      const balance = await harvestToken.balanceOf(address);
+      expect(balance, `balance of ${short(c, address)}`).to.equal(model.balances.get(address));
+      held = held + balance;
+    }
+    expect(held, "balances add up to supply").to.equal(supply);
+
+    // Staking: per-farmer stakes, pool totals and principal agree, and principal never pays rewards
+    const poolTotals = model.pools.map(() => 0n);
+    for (const actor of c.actors) {
+      const farmer = model.farmers.get(actor.address);
+      const [info, stakedBalance, votes, balance] = await Promise.all([
+        farm.farmers(actor.address),
+        harvestToken.stakedBalanceOf(actor.address),
+        harvestToken.getVotes(actor.address),
+        harvestToken.balanceOf(actor.address)
+      ]);
+      let staked = 0n;
+      for (let poolId = 0; poolId < model.pools.length; poolId++) {
+        expect((await farm.stakes(actor.address, poolId)).amount, `${short(c, actor.address)} stake in pool ${poolId}`).to.equal(
+          farmer.stakes[poolId]
+        );
+        poolTotals[poolId] = poolTotals[poolId] + farmer.stakes[poolId];
+        staked = staked + farmer.stakes[poolId];
+      }
+      expect(info.totalStaked, "farmer totalStaked").to.equal(staked);
+      expect(stakedBalance, "stakedBalanceOf").to.equal(staked);
+      // Staked tokens sit in the farm but keep counting as the staker's votes
+      expect(votes, "votes").to.equal(balance + staked);
+      expect(info.lastCheckIn, "lastCheckIn").to.equal(farmer.lastCheckIn);
+      expect(info.checkInStreak, "checkInStreak").to.equal(farmer.streak);
+      expect(info.referrer, "referrer").to.equal(farmer.referrer);
+    }
+    for (let poolId = 0; poolId < model.pools.length; poolId++) {
+      expect((await farm.getPoolInfo(poolId)).totalStaked, `pool ${poolId} totalStaked`).to.equal(poolTotals[poolId]);
+    }
+    const principal = poolTotals.reduce((a, b) => a + b, 0n);
+    expect(await farm.totalPrincipal(), "totalPrincipal").to.equal(principal);
+    expect(model.balances.get(farmAddress), "farm balance covers principal").to.be.at.least(principal);
+    expect(await farm.rewardReserveBalance(), "reward reserve").to.equal(model.balances.get(farmAddress) - principal);
+
+    // Solvency: getSolvency agrees with the books. Outstanding staking rewards can outgrow the small
+    // reserve when the mint fallback covers them; without it the reserve alone must cover them.
+    const [solvency, obligations] = await Promise.all([farm.getSolvency(), farm.totalRewardObligations()]);
+    expect(solvency.balance, "solvency balance").to.equal(model.balances.get(farmAddress));
+    expect(solvency.principal, "solvency principal").to.equal(principal);
+    expect(solvency.obligations, "solvency obligations").to.equal(obligations);
+    expect(solvency.solvent, "solvent flag").to.equal(solvency.balance >= principal + obligations);
+    if (!model.mintFallback) {
+      expect(solvency.solvent, "balance >= principal + obligations").to.be.true;
+    }
+
+    // Crops: the farm's per-farmer lists, the NFT's enumeration and ownerOf all agree
+    const now = await time.latest();
+    expect(await cropNFT.totalSupply(), "live crops").to.equal(model.crops.size);
+    for (const [tokenId, crop] of model.crops) {
+      expect(await cropNFT.ownerOf(tokenId), `owner of crop ${tokenId}`).to.equal(crop.owner);
+      expect(await cropNFT.isHarvestable(tokenId), `crop ${tokenId} harvestable`).to.equal(now >= crop.harvestableAt);
+    }
+    for (const actor of c.actors) {
+      const expected = cropsOf(model, actor.address).sort(compare);
+      const [listed, enumerated] = await Promise.all([farm.getFarmerCrops(actor.address), cropNFT.cropsOfOwner(actor.address)]);
+      expect([...listed].sort(compare), `${short(c, actor.address)} ownedCrops`).to.deep.equal(expected);
+      expect([...enumerated].sort(compare), `${short(c, actor.address)} cropsOfOwner`).to.deep.equal(expected);
+    }
+  }
+
+  function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  // Picks an action by weight for a random actor, skipping actions with nothing to do
+  function nextAction(c, model, random, now) {
+    const entries = Object.entries(actions);
+    const totalWeight = entries.reduce((sum, [, action]) => sum + action.weight, 0);
+    for (;;) {
+      let roll = random() * totalWeight;
+      const [name, action] = entries.find(([, candidate]) => (roll -= candidate.weight) < 0);
+      const actor = pick(random, c.actors);
+      const step = action.build(c, model, random, actor, now);
+      if (step) return { name, actor, ...step };
+    }
+  }
+
+  async function run(seed, mintFallback) {
+    const c = await loadFixture(mintFallback ? deployFarmFixture : deployFundedFarmFixture);
+    const model = await createModel(c);
+    const random = createRandom(seed);
+    const stats = { succeeded: {}, reverted: {}, streakResets: 0, penalties: 0 };
+    const trace = [];
+
+    for (let i = 0; i < STEPS; i++) {
+      const now = (await time.latest()) + 1;
+      const step = nextAction(c, model, random, now);
+      trace.push(step.advance ? step.label : `${short(c, step.actor.address)} ${step.label}`);
+
+      try {
+        if (step.advance) {
+          await time.increase(step.advance);
+        } else {
+          await time.setNextBlockTimestamp(now);
+          let receipt;
+          let error;
+          try {
+            receipt = await (await step.send()).wait();
+          } catch (e) {
+            error = e;
+          }
+
+          if (error) {
+            const allowed = step.revert || step.mayRevert;
+            if (!allowed || !error.message.includes(allowed)) {
+              throw new Error(`reverted unexpectedly (model expected ${step.revert || "success"}): ${error.message}`);
+            }
+            stats.reverted[step.name] = (stats.reverted[step.name] || 0) + 1;
+          } else {
+            expect(step.revert, "model expected a revert").to.be.null;
+            const events = receipt.logs
+              .filter((log) => log.address === c.farmAddress)
+              .map((log) => c.farm.interface.parseLog(log));
+            step.apply(events, stats);
+            applyRewards(c, model, events);
+            stats.succeeded[step.name] = (stats.succeeded[step.name] || 0) + 1;
+          }
+        }
+        await checkInvariants(c, model);
+      } catch (error) {
+        error.message = `Seed ${seed}, step ${i}: ${error.message}\n  Last steps: ${trace.slice(-10).join(" → ")}`;
+        throw error;
+      }
+    }
+    return { model, stats };
+  }
+
+  for (const { seed, mintFallback } of RUNS) {
+    const setup = mintFallback ? "" : ", mint fallback off";
+    it(`Should hold every invariant over ${STEPS} random actions (seed ${seed}${setup})`, async function () {
+      const { model, stats } = await run(seed, mintFallback);
+
+      // The run reached the interesting states rather than reverting its way through
+      for (const name of ["register", "checkIn", "stake", "claim", "plant", "water", "harvest", "transferCrop", "pauseToggle"]) {
+        expect(stats.succeeded[name] || 0, `successful ${name} calls`).to.be.greaterThan(0);
+      }
+      expect(stats.reverted.checkIn || 0, "check-ins refused").to.be.greaterThan(0);
+      expect(stats.streakResets, "streak resets").to.be.greaterThan(0);
+      if (mintFallback) {
+        expect(model.minted, "minted rewards").to.be.greaterThan(0n);
+      } else {
+        expect(model.minted, "minted rewards").to.equal(0n);
+      }
+    });
+  }
+});
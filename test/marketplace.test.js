@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("Crop Trading", function () {
+  const SECONDS_IN_DAY = 86400;
+  const price = ethers.parseEther("100");
+
+  /**
+   * Farmer1 has planted two tomatoes (#0, #1) through the farm; farmer2 holds HARVEST to buy with
+   */
+  async function deployMarketFixture() {
+    const [owner, farmer1, farmer2, teamWallet] = await ethers.getSigners();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(teamWallet.address, owner.address, owner.address, owner.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    const farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const CropMarketplace = await ethers.getContractFactory("CropMarketplace");
+    const marketplace = await CropMarketplace.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const farmAddress = await farmRewardSystem.getAddress();
+    const marketAddress = await marketplace.getAddress();
+
+    await harvestToken.setRewardPool(farmAddress);
+    await harvestToken.addAuthorizedMinter(farmAddress);
+    await cropNFT.addAuthorizedFarm(farmAddress);
+    await cropNFT.setFarmRewardSystem(farmAddress);
+
+    for (const farmer of [farmer1, farmer2]) {
+      await farmRewardSystem.connect(farmer).registerFarmer(ethers.ZeroAddress);
+      await harvestToken.connect(teamWallet).transfer(farmer.address, ethers.parseEther("1000"));
+      await harvestToken.connect(farmer).approve(farmAddress, ethers.MaxUint256);
+      await harvestToken.connect(farmer).approve(marketAddress, ethers.MaxUint256);
+    }
+    await farmRewardSystem.connect(farmer1).plantCrop(0);
+    await farmRewardSystem.connect(farmer1).plantCrop(0);
+
+    return { harvestToken, cropNFT, farmRewardSystem, marketplace, farmAddress, marketAddress, farmer1, farmer2 };
+  }
+
+  describe("Ownership sync", function () {
+    it("Should move crops between farmers' lists on transfer", async function () {
+      const { cropNFT, farmRewardSystem, farmer1, farmer2 } = await loadFixture(deployMarketFixture);
+
+      await cropNFT.connect(farmer1).transferFrom(farmer1.address, farmer2.address, 0);
+
+      expect(await farmRewardSystem.getFarmerCrops(farmer1.address)).to.deep.equal([1n]);
+      expect(await farmRewardSystem.getFarmerCrops(farmer2.address)).to.deep.equal([0n]);
+      expect(await cropNFT.cropsOfOwner(farmer1.address)).to.deep.equal([1n]);
+      expect(await cropNFT.cropsOfOwner(farmer2.address)).to.deep.equal([0n]);
+      expect(await cropNFT.tokenOfOwnerByIndex(farmer2.address, 0)).to.equal(0);
+    });
+
+    it("Should let the new owner harvest a transferred crop through the farm", async function () {
+      const { cropNFT, farmRewardSystem, farmer1, farmer2 } = await loadFixture(deployMarketFixture);
+      await cropNFT.connect(farmer1).transferFrom(farmer1.address, farmer2.address, 0);
+
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      await cropNFT.updateGrowthStage(0);
+      await expect(farmRewardSystem.connect(farmer1).harvestCrop(0)).to.be.revertedWith("Not crop owner");
+      await expect(farmRewardSystem.connect(farmer2).harvestCrop(0))
+        .to.emit(farmRewardSystem, "CropHarvested")
+        .withArgs(farmer2.address, 0, ethers.parseEther("10"));
+
+      expect(await farmRewardSystem.getFarmerCrops(farmer2.address)).to.deep.equal([]);
+      expect(await cropNFT.totalSupply()).to.equal(1);
+    });
+
+    it("Should only accept ownership updates from the Crop NFT", async function () {
+      const { farmRewardSystem, farmer1, farmer2 } = await loadFixture(deployMarketFixture);
+
+      await expect(
+        farmRewardSystem.connect(farmer1).onCropTransfer(farmer1.address, farmer2.address, 0)
+      ).to.be.revertedWith("Only CropNFT");
+    });
+  });
+
+  describe("Royalties", function () {
+    it("Should pay 5% royalties to the farm reserve by default", async function () {
+      const { cropNFT, farmAddress } = await loadFixture(deployMarketFixture);
+
+      expect(await cropNFT.supportsInterface("0x2a55205a")).to.be.true; // EIP-2981
+      const [receiver, amount] = await cropNFT.royaltyInfo(0, price);
+      expect(receiver).to.equal(farmAddress);
+      expect(amount).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should cap the royalty rate", async function () {
+      const { cropNFT } = await loadFixture(deployMarketFixture);
+
+      await expect(cropNFT.setRoyaltyBps(250)).to.emit(cropNFT, "RoyaltyUpdated").withArgs(250);
+      expect((await cropNFT.royaltyInfo(0, price))[1]).to.equal(ethers.parseEther("2.5"));
+      await expect(cropNFT.setRoyaltyBps(1001)).to.be.revertedWith("Royalty too high");
+    });
+  });
+
+  describe("Marketplace", function () {
+    it("Should sell a listed crop, paying the seller and the reserve", async function () {
+      const { harvestToken, cropNFT, farmRewardSystem, marketplace, marketAddress, farmer1, farmer2 } =
+        await loadFixture(deployMarketFixture);
+
+      await cropNFT.connect(farmer1).approve(marketAddress, 0);
+      await expect(marketplace.connect(farmer1).listCrop(0, price))
+        .to.emit(marketplace, "CropListed")
+        .withArgs(0, farmer1.address, price);
+      expect(await marketplace.isListingActive(0)).to.be.true;
+
+      const sellerBefore = await harvestToken.balanceOf(farmer1.address);
+      const reserveBefore = await farmRewardSystem.rewardReserveBalance();
+      await expect(marketplace.connect(farmer2).buyCrop(0, price))
+        .to.emit(marketplace, "CropSold")
+        .withArgs(0, farmer1.address, farmer2.address, price, ethers.parseEther("5"));
+
+      expect(await cropNFT.ownerOf(0)).to.equal(farmer2.address);
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(sellerBefore + ethers.parseEther("95"));
+      expect(await farmRewardSystem.rewardReserveBalance()).to.equal(reserveBefore + ethers.parseEther("5"));
+      expect(await farmRewardSystem.getFarmerCrops(farmer2.address)).to.deep.equal([0n]);
+      expect(await marketplace.isListingActive(0)).to.be.false;
+    });
+
+    it("Should require approval and ownership to list", async function () {
+      const { cropNFT, marketplace, marketAddress, farmer1, farmer2 } = await loadFixture(deployMarketFixture);
+
+      await expect(marketplace.connect(farmer1).listCrop(0, price)).to.be.revertedWith("Marketplace not approved");
+      await expect(marketplace.connect(farmer2).listCrop(0, price)).to.be.revertedWith("Not crop owner");
+
+      await cropNFT.connect(farmer1).setApprovalForAll(marketAddress, true);
+      await expect(marketplace.connect(farmer1).listCrop(0, 0)).to.be.revertedWith("Price must be greater than 0");
+      await marketplace.connect(farmer1).listCrop(0, price);
+      await marketplace.connect(farmer1).listCrop(1, price);
+    });
+
+    it("Should protect buyers from price changes and stale listings", async function () {
+      const { cropNFT, marketplace, marketAddress, farmer1, farmer2 } = await loadFixture(deployMarketFixture);
+      await cropNFT.connect(farmer1).setApprovalForAll(marketAddress, true);
+      await marketplace.connect(farmer1).listCrop(0, price);
+
+      await marketplace.connect(farmer1).listCrop(0, price * 2n);
+      await expect(marketplace.connect(farmer2).buyCrop(0, price)).to.be.revertedWith("Price changed");
+      await expect(marketplace.connect(farmer1).buyCrop(0, price * 2n)).to.be.revertedWith("Cannot buy own crop");
+
+      // The seller gives the crop away; the listing can no longer be filled
+      await cropNFT.connect(farmer1).transferFrom(farmer1.address, farmer2.address, 0);
+      expect(await marketplace.isListingActive(0)).to.be.false;
+      await expect(marketplace.connect(farmer2).buyCrop(0, price * 2n)).to.be.revertedWith("Listing is stale");
+    });
+
+    it("Should not revive a listing when the crop returns to the seller", async function () {
+      const { cropNFT, marketplace, marketAddress, farmer1, farmer2 } = await loadFixture(deployMarketFixture);
+      await cropNFT.connect(farmer1).setApprovalForAll(marketAddress, true);
+      await marketplace.connect(farmer1).listCrop(0, price);
+      expect(await cropNFT.transferCount(0)).to.equal(0);
+
+      // The crop leaves the seller and comes back; the old price must not become buyable again
+      await cropNFT.connect(farmer1).transferFrom(farmer1.address, farmer2.address, 0);
+      await cropNFT.connect(farmer2).transferFrom(farmer2.address, farmer1.address, 0);
+      expect(await cropNFT.ownerOf(0)).to.equal(farmer1.address);
+      expect(await cropNFT.transferCount(0)).to.equal(2);
+      expect(await marketplace.isListingActive(0)).to.be.false;
+      await expect(marketplace.connect(farmer2).buyCrop(0, price)).to.be.revertedWith("Listing is stale");
+
+      // Listing again makes it buyable
+      await marketplace.connect(farmer1).listCrop(0, price);
+      expect(await marketplace.isListingActive(0)).to.be.true;
+      await expect(marketplace.connect(farmer2).buyCrop(0, price)).to.emit(marketplace, "CropSold");
+    });
+
+    it("Should let only the seller cancel a listing", async function () {
+      const { cropNFT, marketplace, marketAddress, farmer1, farmer2 } = await loadFixture(deployMarketFixture);
+      await cropNFT.connect(farmer1).approve(marketAddress, 0);
+      await marketplace.connect(farmer1).listCrop(0, price);
+
+      await expect(marketplace.connect(farmer2).cancelListing(0)).to.be.revertedWith("Not the seller");
+      await expect(marketplace.connect(farmer1).cancelListing(0))
+        .to.emit(marketplace, "ListingCancelled")
+        .withArgs(0, farmer1.address);
+      await expect(marketplace.connect(farmer2).buyCrop(0, price)).to.be.revertedWith("Crop not listed");
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const Ajv = require("ajv");
+const { decodeTokenURI } = require("../sdk");
+
+// ERC-721 metadata as documented by OpenSea (https://docs.opensea.io/docs/metadata-standards)
+const OPENSEA_METADATA_SCHEMA = {
+  type: "object",
+  required: ["name", "description", "image", "attributes"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    image: { type: "string", pattern: "^data:image/svg\\+xml;base64," },
+    external_url: { type: "string" },
+    animation_url: { type: "string" },
+    background_color: { type: "string", pattern: "^[0-9a-fA-F]{6}$" },
+    attributes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["trait_type", "value"],
+        additionalProperties: false,
+        properties: {
+          trait_type: { type: "string", minLength: 1 },
+          value: { type: ["string", "number"] },
+          display_type: { enum: ["number", "boost_number", "boost_percentage", "date"] },
+          max_value: { type: "number" }
+        },
+        // Numeric display types need numeric values
+        if: { required: ["display_type"] },
+        then: { properties: { value: { type: "number" } } }
+      }
+    }
+  }
+};
+
+describe("Crop Metadata", function () {
+  const SECONDS_IN_DAY = 86400;
+  const validate = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(OPENSEA_METADATA_SCHEMA);
+
+  async function deployCropFixture() {
+    const [owner, farmer] = await ethers.getSigners();
+
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    await cropNFT.addAuthorizedFarm(owner.address);
+
+    await cropNFT.plantCrop(farmer.address, 0, 100); // Tomato, 7 days
+    await cropNFT.plantCrop(farmer.address, 3, 100); // Special Fruit, 30 days
+
+    return { cropNFT, owner, farmer };
+  }
+
+  async function metadataOf(cropNFT, tokenId) {
+    const metadata = decodeTokenURI(await cropNFT.tokenURI(tokenId));
+    expect(validate(metadata), JSON.stringify(validate.errors)).to.be.true;
+    const traits = Object.fromEntries(metadata.attributes.map((attribute) => [attribute.trait_type, attribute.value]));
+    const svg = ethers.toUtf8String(ethers.decodeBase64(metadata.image.slice("data:image/svg+xml;base64,".length)));
+    return { metadata, traits, svg };
+  }
+
+  it("Should return base64 JSON that matches the OpenSea metadata schema", async function () {
+    const { cropNFT } = await loadFixture(deployCropFixture);
+    const tokenURI = await cropNFT.tokenURI(0);
+    expect(tokenURI.startsWith("data:application/json;base64,")).to.be.true;
+
+    const { metadata, traits } = await metadataOf(cropNFT, 0);
+    expect(metadata.name).to.equal("Tomato #0");
+    expect(traits).to.include({ "Crop Type": "Tomato", "Growth Stage": "Seed", "Rarity": "Common", "Wither Penalty": 0 });
+  });
+
+  it("Should work out the growth stage and time left at read time", async function () {
+    const { cropNFT } = await loadFixture(deployCropFixture);
+    const { harvestableAt } = await cropNFT.getCropInfo(0);
+
+    const expected = [
+      [2 * SECONDS_IN_DAY, "Sprouting", 120],
+      [2 * SECONDS_IN_DAY, "Growing", 72],
+      [1.5 * SECONDS_IN_DAY, "Mature", 36],
+      [1.5 * SECONDS_IN_DAY, "Harvestable", 0]
+    ];
+    for (const [elapsed, stage, hoursRemaining] of expected) {
+      await time.increase(elapsed);
+      // No updateGrowthStage call: the stored stage is stale, the metadata is not
+      const { traits } = await metadataOf(cropNFT, 0);
+      expect(traits["Growth Stage"]).to.equal(stage);
+      expect(traits["Hours Remaining"]).to.be.closeTo(hoursRemaining, 1);
+      expect(traits["Harvest ETA"]).to.equal(Number(harvestableAt));
+    }
+    expect((await cropNFT.crops(0)).growthStage).to.equal(0); // SEED in storage
+  });
+
+  it("Should draw each growth stage and crop type differently", async function () {
+    const { cropNFT } = await loadFixture(deployCropFixture);
+    const images = new Set();
+
+    for (let stage = 0; stage < 5; stage++) {
+      const { svg } = await metadataOf(cropNFT, 0);
+      expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg".*<\/svg>$/);
+      images.add(svg);
+      await time.increase((7 * SECONDS_IN_DAY) / 4);
+    }
+    expect(images.size).to.equal(5);
+
+    // Harvestable tomatoes carry red fruit; the special fruit is still growing
+    expect((await metadataOf(cropNFT, 0)).svg).to.include("#e53935");
+    expect((await metadataOf(cropNFT, 1)).svg).to.include("Special Fruit - Sprouting");
+  });
+
+  it("Should move the harvest ETA and flag a metadata update when watered", async function () {
+    const { cropNFT, farmer } = await loadFixture(deployCropFixture);
+    const before = (await metadataOf(cropNFT, 0)).traits["Harvest ETA"];
+
+    await time.increase(3600);
+    await expect(cropNFT.connect(farmer).waterCrop(0)).to.emit(cropNFT, "MetadataUpdate").withArgs(0);
+    expect((await metadataOf(cropNFT, 0)).traits["Harvest ETA"]).to.equal(before - 3600);
+  });
+
+  it("Should support ERC-4906 and reject unknown tokens", async function () {
+    const { cropNFT } = await loadFixture(deployCropFixture);
+
+    expect(await cropNFT.supportsInterface("0x49064906")).to.be.true;
+    await expect(cropNFT.tokenURI(99)).to.be.revertedWithCustomError(cropNFT, "ERC721NonexistentToken");
+  });
+});
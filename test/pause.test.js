@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+// FeaturePausable.Feature
+const Feature = { STAKING: 0, CLAIMING: 1, CHECK_IN: 2, PLANTING: 3, HARVESTING: 4 };
+
+describe("Pause Model", function () {
+  const SECONDS_IN_DAY = 86400;
+  const stakeAmount = ethers.parseEther("1000");
+
+  /**
+   * Farmer1 is registered with a stake and pending rewards, owns crop #0 (harvestable)
+   * and crop #1 (growing, can be watered). Farmer2 is not registered yet.
+   */
+  async function deployFarmFixture() {
+    const [owner, farmer1, farmer2, guardian, teamWallet] = await ethers.getSigners();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(teamWallet.address, owner.address, owner.address, owner.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    const farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const farmAddress = await farmRewardSystem.getAddress();
+
+    await harvestToken.setRewardPool(farmAddress);
+    await cropNFT.addAuthorizedFarm(farmAddress);
+    await cropNFT.addAuthorizedFarm(owner.address);
+    await cropNFT.setFarmRewardSystem(farmAddress);
+    await farmRewardSystem.grantRole(await farmRewardSystem.PAUSER_ROLE(), guardian.address);
+    await cropNFT.grantRole(await cropNFT.PAUSER_ROLE(), guardian.address);
+
+    await farmRewardSystem.connect(farmer1).registerFarmer(ethers.ZeroAddress);
+    await harvestToken.connect(teamWallet).transfer(farmer1.address, stakeAmount * 3n);
+    await harvestToken.connect(farmer1).approve(farmAddress, stakeAmount * 3n);
+    await farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount);
+
+    await farmRewardSystem.connect(farmer1).plantCrop(0);
+    await time.increase(8 * SECONDS_IN_DAY);
+    await farmRewardSystem.connect(farmer1).plantCrop(0);
+    await time.increase(2 * 3600);
+    await cropNFT.updateGrowthStage(0);
+
+    return { harvestToken, cropNFT, farmRewardSystem, owner, farmer1, farmer2, guardian };
+  }
+
+  // Every state-changing user entry point and the pause flags that must block it
+  const entryPoints = [
+    { name: "FarmRewardSystem.registerFarmer", blockedBy: ["farm"], call: (c) => c.farmRewardSystem.connect(c.farmer2).registerFarmer(ethers.ZeroAddress) },
+    { name: "FarmRewardSystem.dailyCheckIn", blockedBy: ["farm", "farm:CHECK_IN"], call: (c) => c.farmRewardSystem.connect(c.farmer1).dailyCheckIn() },
+    { name: "FarmRewardSystem.stakeTokens", blockedBy: ["farm", "farm:STAKING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).stakeTokens(0, stakeAmount) },
+    // The placeholder permit fails and is skipped; the fixture's remaining allowance covers the stake
+    { name: "FarmRewardSystem.stakeWithPermit", blockedBy: ["farm", "farm:STAKING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).stakeWithPermit(0, stakeAmount, 0, 0, ethers.ZeroHash, ethers.ZeroHash) },
+    { name: "FarmRewardSystem.unstakeTokens", blockedBy: ["farm", "farm:STAKING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).unstakeTokens(0, stakeAmount / 2n) },
+    { name: "FarmRewardSystem.claimRewards", blockedBy: ["farm", "farm:CLAIMING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).claimRewards(0) },
+    { name: "FarmRewardSystem.claimAllRewards", blockedBy: ["farm", "farm:CLAIMING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).claimAllRewards() },
+    { name: "FarmRewardSystem.exitPool", blockedBy: ["farm", "farm:STAKING", "farm:CLAIMING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).exitPool(0) },
+    { name: "FarmRewardSystem.emergencyWithdraw", blockedBy: [], call: (c) => c.farmRewardSystem.connect(c.farmer1).emergencyWithdraw(0) },
+    { name: "FarmRewardSystem.plantCrop", blockedBy: ["farm", "farm:PLANTING", "crop", "crop:PLANTING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).plantCrop(0) },
+    { name: "FarmRewardSystem.waterCrop", blockedBy: ["farm", "farm:PLANTING", "crop", "crop:PLANTING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).waterCrop(1) },
+    { name: "FarmRewardSystem.harvestCrop", blockedBy: ["farm", "farm:HARVESTING", "crop", "crop:HARVESTING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).harvestCrop(0) },
+    { name: "FarmRewardSystem.plantCrops", blockedBy: ["farm", "farm:PLANTING", "crop", "crop:PLANTING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).plantCrops(0, 1) },
+    { name: "FarmRewardSystem.waterCrops", blockedBy: ["farm", "farm:PLANTING", "crop", "crop:PLANTING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).waterCrops([1]) },
+    { name: "FarmRewardSystem.harvestCrops", blockedBy: ["farm", "farm:HARVESTING", "crop", "crop:HARVESTING"], call: (c) => c.farmRewardSystem.connect(c.farmer1).harvestCrops([0]) },
+    { name: "CropNFT.plantCrop", blockedBy: ["crop", "crop:PLANTING"], call: (c) => c.cropNFT.connect(c.owner).plantCrop(c.farmer1.address, 0, 100) },
+    { name: "CropNFT.waterCrop", blockedBy: ["crop", "crop:PLANTING"], call: (c) => c.cropNFT.connect(c.farmer1).waterCrop(1) },
+    { name: "CropNFT.harvestCrop", blockedBy: ["crop", "crop:HARVESTING"], call: (c) => c.cropNFT.connect(c.farmer1).harvestCrop(0) },
+    { name: "CropNFT.updateGrowthStage", blockedBy: ["crop"], call: (c) => c.cropNFT.updateGrowthStage(1) },
+    { name: "CropNFT.updateGrowthStages", blockedBy: ["crop"], call: (c) => c.cropNFT.updateGrowthStages([1]) },
+    { name: "CropNFT.transferFrom", blockedBy: ["crop"], call: (c) => c.cropNFT.connect(c.farmer1).transferFrom(c.farmer1.address, c.farmer2.address, 1) },
+    { name: "CropNFT.burn", blockedBy: ["crop"], call: (c) => c.cropNFT.connect(c.farmer1).burn(1) }
+  ];
+
+  const pauseFlags = [
+    "farm",
+    ...Object.keys(Feature).map((feature) => `farm:${feature}`),
+    "crop",
+    "crop:PLANTING",
+    "crop:HARVESTING"
+  ];
+
+  async function applyFlag(context, flag) {
+    const [target, feature] = flag.split(":");
+    const contract = target === "farm" ? context.farmRewardSystem : context.cropNFT;
+    if (feature) {
+      await contract.connect(context.guardian).pauseFeature(Feature[feature]);
+    } else {
+      await contract.connect(context.guardian).pause();
+    }
+  }
+
+  describe("Entry point matrix", function () {
+    it("Should allow every entry point when nothing is paused", async function () {
+      for (const entry of entryPoints) {
+        const context = await loadFixture(deployFarmFixture);
+        await expect(entry.call(context), entry.name).to.not.be.reverted;
+      }
+    });
+
+    for (const flag of pauseFlags) {
+      it(`Should enforce the ${flag} pause flag`, async function () {
+        for (const entry of entryPoints) {
+          const context = await loadFixture(deployFarmFixture);
+          await applyFlag(context, flag);
+
+          if (entry.blockedBy.includes(flag)) {
+            await expect(entry.call(context), entry.name).to.be.reverted;
+          } else {
+            await expect(entry.call(context), entry.name).to.not.be.reverted;
+          }
+        }
+      });
+    }
+  });
+
+  describe("Pause switches", function () {
+    it("Should report global and feature pauses with distinct errors", async function () {
+      const { farmRewardSystem, farmer1 } = await loadFixture(deployFarmFixture);
+
+      await farmRewardSystem.pauseFeature(Feature.CLAIMING);
+      expect(await farmRewardSystem.isFeatureActive(Feature.CLAIMING)).to.be.false;
+      expect(await farmRewardSystem.isFeatureActive(Feature.STAKING)).to.be.true;
+      await expect(farmRewardSystem.connect(farmer1).claimRewards(0)).to.be.revertedWith("Feature is paused");
+
+      await farmRewardSystem.pause();
+      expect(await farmRewardSystem.isFeatureActive(Feature.STAKING)).to.be.false;
+      await expect(
+        farmRewardSystem.connect(farmer1).stakeTokens(0, stakeAmount)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "EnforcedPause");
+    });
+
+    it("Should let a pauser pause but not unpause", async function () {
+      const { farmRewardSystem, cropNFT, guardian } = await loadFixture(deployFarmFixture);
+
+      for (const contract of [farmRewardSystem, cropNFT]) {
+        await expect(contract.connect(guardian).pauseFeature(Feature.HARVESTING))
+          .to.emit(contract, "FeaturePaused")
+          .withArgs(Feature.HARVESTING, guardian.address);
+        await expect(
+          contract.connect(guardian).unpauseFeature(Feature.HARVESTING)
+        ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+        await contract.connect(guardian).pause();
+        await expect(contract.connect(guardian).unpause()).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+        // Only the admin resumes
+        await contract.unpause();
+        await expect(contract.unpauseFeature(Feature.HARVESTING))
+          .to.emit(contract, "FeatureUnpaused");
+        expect(await contract.isFeatureActive(Feature.HARVESTING)).to.be.true;
+      }
+    });
+
+    it("Should restrict pausing to the pauser role", async function () {
+      const { farmRewardSystem, cropNFT, farmer1, guardian } = await loadFixture(deployFarmFixture);
+
+      for (const contract of [farmRewardSystem, cropNFT]) {
+        await expect(contract.connect(farmer1).pause()).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+        await expect(
+          contract.connect(farmer1).pauseFeature(Feature.STAKING)
+        ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+        await contract.revokeRole(await contract.PAUSER_ROLE(), guardian.address);
+        await expect(contract.connect(guardian).pause()).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      }
+
+      await farmRewardSystem.pauseFeature(Feature.STAKING);
+      await expect(farmRewardSystem.pauseFeature(Feature.STAKING)).to.be.revertedWith("Feature already paused");
+      await expect(farmRewardSystem.unpauseFeature(Feature.CLAIMING)).to.be.revertedWith("Feature not paused");
+    });
+
+    it("Should keep the lock penalty on emergency withdrawals while staking is paused", async function () {
+      const { farmRewardSystem, harvestToken, farmer1, guardian } = await loadFixture(deployFarmFixture);
+      await farmRewardSystem.createLockedPool(100, 0, 90 * SECONDS_IN_DAY); // pool 1, 15% penalty
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+
+      await farmRewardSystem.connect(guardian).pauseFeature(Feature.STAKING);
+      await farmRewardSystem.connect(guardian).pause();
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      const penalty = stakeAmount * 15n / 100n;
+      await expect(farmRewardSystem.connect(farmer1).emergencyWithdraw(1))
+        .to.emit(farmRewardSystem, "EarlyUnstakePenaltyBurned")
+        .withArgs(farmer1.address, 1, penalty);
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balanceBefore + stakeAmount - penalty);
+    });
+
+    it("Should waive the lock penalty only once the admin enables the emergency exit", async function () {
+      const { farmRewardSystem, harvestToken, farmer1, guardian } = await loadFixture(deployFarmFixture);
+      await farmRewardSystem.createLockedPool(100, 0, 90 * SECONDS_IN_DAY); // pool 1, 15% penalty
+      await farmRewardSystem.connect(farmer1).stakeTokens(1, stakeAmount);
+
+      await expect(farmRewardSystem.connect(guardian).setEmergencyExitEnabled(true))
+        .to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+      await expect(farmRewardSystem.setEmergencyExitEnabled(true))
+        .to.emit(farmRewardSystem, "EmergencyExitUpdated")
+        .withArgs(true);
+
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      await expect(farmRewardSystem.connect(farmer1).emergencyWithdraw(1))
+        .to.not.emit(farmRewardSystem, "EarlyUnstakePenaltyBurned");
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balanceBefore + stakeAmount);
+    });
+  });
+});
@@ -0,0 +1,329 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { signRelayRequest } = require("../sdk");
+const { FORWARD_REQUEST_TYPES } = require("../sdk/src/relay");
+const { Relayer, RelayError, createServer } = require("../relayer");
+
+describe("Gasless Transactions", function () {
+  const SECONDS_IN_DAY = 86400;
+  const stakeAmount = ethers.parseEther("1000");
+
+  /**
+   * Farmer is registered, holds HARVEST and owns tomato #0; the forwarder is trusted by the farm
+   */
+  async function deployGaslessFixture() {
+    const [owner, farmer, relayerAccount, frontRunner, teamWallet] = await ethers.getSigners();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(teamWallet.address, owner.address, owner.address, owner.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    const farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const XFarmForwarder = await ethers.getContractFactory("XFarmForwarder");
+    const forwarder = await XFarmForwarder.deploy();
+    const farmAddress = await farmRewardSystem.getAddress();
+    const forwarderAddress = await forwarder.getAddress();
+
+    await harvestToken.setRewardPool(farmAddress);
+    await harvestToken.addAuthorizedMinter(farmAddress);
+    await cropNFT.addAuthorizedFarm(farmAddress);
+    await cropNFT.setFarmRewardSystem(farmAddress);
+    await farmRewardSystem.setTrustedForwarder(forwarderAddress);
+
+    await farmRewardSystem.connect(farmer).registerFarmer(ethers.ZeroAddress);
+    await harvestToken.connect(teamWallet).transfer(farmer.address, ethers.parseEther("5000"));
+    await harvestToken.connect(farmer).approve(farmAddress, ethers.parseEther("4"));
+    await farmRewardSystem.connect(farmer).plantCrop(0);
+
+    const relayer = new Relayer({
+      signer: relayerAccount,
+      addresses: { forwarder: forwarderAddress, farmRewardSystem: farmAddress }
+    });
+
+    return { harvestToken, cropNFT, farmRewardSystem, forwarder, farmAddress, forwarderAddress, relayer, owner, farmer, relayerAccount, frontRunner };
+  }
+
+  async function signPermit(harvestToken, owner, spender, value, deadline) {
+    const domain = await harvestToken.eip712Domain();
+    const signature = await owner.signTypedData(
+      { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      },
+      { owner: owner.address, spender, value, nonce: await harvestToken.nonces(owner.address), deadline }
+    );
+    return ethers.Signature.from(signature);
+  }
+
+  function relayRequest(context, method, args = [], signer = context.farmer) {
+    return signRelayRequest({
+      signer,
+      forwarder: context.forwarderAddress,
+      farmRewardSystem: context.farmAddress,
+      method,
+      args
+    });
+  }
+
+  // Signs any farm call for the forwarder, bypassing the SDK's relayable-function allowlist
+  async function forwardRequest(context, signer, method, args = []) {
+    const domain = await context.forwarder.eip712Domain();
+    const message = {
+      from: signer.address,
+      to: context.farmAddress,
+      value: 0n,
+      gas: 1000000n,
+      nonce: await context.forwarder.nonces(signer.address),
+      deadline: (await time.latest()) + 3600,
+      data: context.farmRewardSystem.interface.encodeFunctionData(method, args)
+    };
+    const signature = await signer.signTypedData(
+      { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+      FORWARD_REQUEST_TYPES,
+      message
+    );
+    return { ...message, signature };
+  }
+
+  describe("Permit staking", function () {
+    it("Should stake with a permit instead of an approval", async function () {
+      const { harvestToken, farmRewardSystem, farmAddress, farmer } = await loadFixture(deployGaslessFixture);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(harvestToken, farmer, farmAddress, stakeAmount, deadline);
+
+      await expect(farmRewardSystem.connect(farmer).stakeWithPermit(0, stakeAmount, deadline, v, r, s))
+        .to.emit(farmRewardSystem, "TokensStaked")
+        .withArgs(farmer.address, 0, stakeAmount);
+
+      expect((await farmRewardSystem.stakes(farmer.address, 0)).amount).to.equal(stakeAmount);
+      expect(await harvestToken.nonces(farmer.address)).to.equal(1);
+    });
+
+    it("Should still stake when someone submits the permit first", async function () {
+      const { harvestToken, farmRewardSystem, farmAddress, farmer, frontRunner } = await loadFixture(deployGaslessFixture);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(harvestToken, farmer, farmAddress, stakeAmount, deadline);
+
+      await harvestToken.connect(frontRunner).permit(farmer.address, farmAddress, stakeAmount, deadline, v, r, s);
+      await farmRewardSystem.connect(farmer).stakeWithPermit(0, stakeAmount, deadline, v, r, s);
+
+      expect((await farmRewardSystem.stakes(farmer.address, 0)).amount).to.equal(stakeAmount);
+    });
+
+    it("Should fail without a valid permit or allowance", async function () {
+      const { harvestToken, farmRewardSystem, farmAddress, farmer } = await loadFixture(deployGaslessFixture);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(harvestToken, farmer, farmAddress, stakeAmount, deadline);
+
+      // Signed for 1000, submitted for 2000
+      await expect(
+        farmRewardSystem.connect(farmer).stakeWithPermit(0, stakeAmount * 2n, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(harvestToken, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Forwarder", function () {
+    it("Should credit relayed check-ins, watering and harvests to the signer", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const { cropNFT, farmRewardSystem, forwarder, farmer, relayerAccount } = context;
+      const farmerEth = await ethers.provider.getBalance(farmer.address);
+
+      await expect(forwarder.connect(relayerAccount).execute(await relayRequest(context, "dailyCheckIn")))
+        .to.emit(farmRewardSystem, "CheckInCompleted")
+        .withArgs(farmer.address, 1, ethers.parseEther("1.05"));
+
+      await time.increase(3600);
+      const { harvestableAt } = await cropNFT.getCropInfo(0);
+      await forwarder.connect(relayerAccount).execute(await relayRequest(context, "waterCrop", [0]));
+      expect((await cropNFT.getCropInfo(0)).harvestableAt).to.equal(harvestableAt - 3600n);
+
+      await time.increase(7 * SECONDS_IN_DAY);
+      await expect(forwarder.connect(relayerAccount).execute(await relayRequest(context, "harvestCrop", [0])))
+        .to.emit(farmRewardSystem, "CropHarvested")
+        .withArgs(farmer.address, 0, ethers.parseEther("10"));
+
+      expect((await farmRewardSystem.getFarmerStats(farmer.address)).totalRewardsEarned).to.equal(ethers.parseEther("11.05"));
+      expect(await ethers.provider.getBalance(farmer.address)).to.equal(farmerEth);
+    });
+
+    it("Should credit relayed registration, staking and planting to the signer", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const { harvestToken, farmRewardSystem, cropNFT, forwarder, forwarderAddress, farmAddress, farmer, relayerAccount } = context;
+      const newcomer = (await ethers.getSigners())[5];
+      await harvestToken.connect(farmer).transfer(newcomer.address, ethers.parseEther("2000"));
+      const relay = async (method, args) => forwarder.connect(relayerAccount).execute(await forwardRequest(context, newcomer, method, args));
+
+      await expect(relay("registerFarmer", [farmer.address]))
+        .to.emit(farmRewardSystem, "FarmerRegistered")
+        .withArgs(newcomer.address, farmer.address);
+      expect((await farmRewardSystem.farmers(newcomer.address)).referrer).to.equal(farmer.address);
+
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(harvestToken, newcomer, farmAddress, stakeAmount, deadline);
+      await expect(relay("stakeWithPermit", [0, stakeAmount, deadline, v, r, s]))
+        .to.emit(farmRewardSystem, "TokensStaked")
+        .withArgs(newcomer.address, 0, stakeAmount);
+      expect((await farmRewardSystem.stakes(newcomer.address, 0)).amount).to.equal(stakeAmount);
+      expect((await farmRewardSystem.stakes(forwarderAddress, 0)).amount).to.equal(0);
+
+      await harvestToken.connect(newcomer).approve(farmAddress, ethers.parseEther("4"));
+      await expect(relay("plantCrop", [0]))
+        .to.emit(farmRewardSystem, "CropPlanted")
+        .withArgs(newcomer.address, 1, 0);
+      expect(await cropNFT.ownerOf(1)).to.equal(newcomer.address);
+      expect(await farmRewardSystem.getFarmerCrops(newcomer.address)).to.deep.equal([1n]);
+
+      await time.increase(SECONDS_IN_DAY);
+      await expect(relay("claimRewards", [0])).to.emit(farmRewardSystem, "RewardsClaimed").withArgs(newcomer.address, (value) => value > 0n);
+      await expect(relay("unstakeTokens", [0, stakeAmount]))
+        .to.emit(farmRewardSystem, "TokensUnstaked")
+        .withArgs(newcomer.address, 0, stakeAmount);
+      expect(await harvestToken.balanceOf(forwarderAddress)).to.equal(0);
+    });
+
+    it("Should not let a relayed request act for anyone but its signer", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const { farmRewardSystem, forwarder, relayerAccount, frontRunner } = context;
+
+      // The front runner signs a harvest of the farmer's crop
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      const request = await relayRequest(context, "harvestCrop", [0], frontRunner);
+      await expect(forwarder.connect(relayerAccount).execute(request)).to.be.reverted;
+
+      // Tampering with the sender breaks the signature
+      const forged = { ...request, from: context.farmer.address };
+      expect(await forwarder.verify(forged)).to.be.false;
+      await expect(forwarder.connect(relayerAccount).execute(forged))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+      expect(await farmRewardSystem.isTrustedForwarder(await forwarder.getAddress())).to.be.true;
+    });
+
+    it("Should refuse forwarders the farm does not trust", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const { farmRewardSystem, forwarder, relayerAccount } = context;
+
+      await expect(farmRewardSystem.setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(farmRewardSystem, "TrustedForwarderUpdated")
+        .withArgs(ethers.ZeroAddress);
+
+      await expect(forwarder.connect(relayerAccount).execute(await relayRequest(context, "dailyCheckIn")))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+    });
+  });
+
+  describe("Relayer", function () {
+    it("Should relay batches of farm actions", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const { farmRewardSystem, relayer, farmer } = context;
+      await context.harvestToken.connect(farmer).approve(context.farmAddress, ethers.parseEther("4"));
+      await farmRewardSystem.connect(farmer).plantCrop(0);
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+
+      const result = await relayer.relay(await relayRequest(context, "harvestCrops", [[0, 1]]));
+
+      expect(result.functionName).to.equal("harvestCrops");
+      expect(result.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await farmRewardSystem.getFarmerCrops(farmer.address)).to.deep.equal([]);
+    });
+
+    it("Should refuse requests outside check-ins, watering and harvesting", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const { relayer } = context;
+
+      await expect(relayRequest(context, "stakeTokens", [0, stakeAmount])).to.be.rejectedWith(TypeError, "stakeTokens cannot be relayed");
+
+      // A hand-built request for a function the relayer does not pay for
+      const request = await relayRequest(context, "dailyCheckIn");
+      const stake = { ...request, data: context.farmRewardSystem.interface.encodeFunctionData("stakeTokens", [0, stakeAmount]) };
+      await expect(relayer.relay(stake)).to.be.rejectedWith(RelayError, "can be relayed");
+      await expect(relayer.relay({ ...request, to: await context.cropNFT.getAddress() })).to.be.rejectedWith(RelayError, "Only FarmRewardSystem");
+      await expect(relayer.relay({ ...request, gas: "30000000" })).to.be.rejectedWith(RelayError, "exceeds the relayer limit");
+    });
+
+    it("Should refuse malformed requests as bad requests", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const request = await relayRequest(context, "dailyCheckIn");
+      const server = createServer(context.relayer);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const url = `http://127.0.0.1:${server.address().port}`;
+
+      const malformed = [
+        [{ data: context.farmRewardSystem.interface.encodeFunctionData("waterCrop", [0]).slice(0, 20) }, "not a valid FarmRewardSystem call"],
+        [{ data: "0x1234" }, "can be relayed"],
+        [{ data: "checkIn" }, "\"data\" is not hex data"],
+        [{ gas: "lots" }, "\"gas\" is not an unsigned integer"],
+        [{ value: "1.5" }, "\"value\" is not an unsigned integer"],
+        [{ deadline: "-1" }, "\"deadline\" is not an unsigned integer"],
+        [{ from: "farmer" }, "\"from\" is not an address"]
+      ];
+      try {
+        for (const [fields, message] of malformed) {
+          const response = await fetch(`${url}/relay`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...request, ...fields })
+          });
+          expect(response.status).to.equal(400);
+          expect((await response.json()).error).to.include(message);
+        }
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("Should check signatures and simulate before paying gas", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const { relayer, relayerAccount } = context;
+
+      const request = await relayRequest(context, "dailyCheckIn");
+      await expect(relayer.relay({ ...request, deadline: "1" })).to.be.rejectedWith(RelayError, "Invalid signature");
+
+      // Tomato #0 is not ripe yet
+      const nonceBefore = await ethers.provider.getTransactionCount(relayerAccount.address);
+      const error = await relayer.relay(await relayRequest(context, "harvestCrop", [0])).catch((e) => e);
+      expect(error).to.be.instanceOf(RelayError);
+      expect(error.status).to.equal(422);
+      expect(error.message).to.include("harvestCrop would revert");
+      expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(nonceBefore);
+
+      await relayer.relay(request);
+      await expect(relayer.relay(request)).to.be.rejectedWith(RelayError, "Invalid signature, nonce or deadline");
+    });
+
+    it("Should serve relay requests over HTTP", async function () {
+      const context = await loadFixture(deployGaslessFixture);
+      const { farmRewardSystem, relayer, farmer } = context;
+      const server = createServer(relayer);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const url = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        const health = await (await fetch(`${url}/health`)).json();
+        expect(health.forwarder).to.equal(context.forwarderAddress);
+
+        const response = await fetch(`${url}/relay`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(await relayRequest(context, "dailyCheckIn"))
+        });
+        expect(response.status).to.equal(200);
+        expect((await response.json()).functionName).to.equal("dailyCheckIn");
+        expect((await farmRewardSystem.farmers(farmer.address)).checkInStreak).to.equal(1);
+
+        const rejected = await fetch(`${url}/relay`, { method: "POST", body: "not json" });
+        expect(rejected.status).to.equal(400);
+        expect((await rejected.json()).error).to.equal("Body is not valid JSON");
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { CONTRACT_ROLES, checkRoles, roleId, roleMigrationSteps } = require("../scripts/lib/roles");
+
+describe("Roles", function () {
+  const SECONDS_IN_DAY = 86400;
+  const TIMELOCK_DELAY = 2 * SECONDS_IN_DAY;
+
+  async function deployFarmFixture() {
+    const [deployer, operator, outsider, teamWallet] = await ethers.getSigners();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(teamWallet.address, deployer.address, deployer.address, deployer.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    const farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const farmAddress = await farmRewardSystem.getAddress();
+
+    await harvestToken.setRewardPool(farmAddress);
+    await cropNFT.addAuthorizedFarm(farmAddress);
+    await cropNFT.setFarmRewardSystem(farmAddress);
+    const FarmSeasons = await ethers.getContractFactory("FarmSeasons");
+    const farmSeasons = await FarmSeasons.deploy(await harvestToken.getAddress(), await cropNFT.getAddress(), farmAddress, "");
+    const XFarmVesting = await ethers.getContractFactory("XFarmVesting");
+    const vesting = await XFarmVesting.deploy(await harvestToken.getAddress());
+
+    const contracts = {
+      HarvestToken: harvestToken,
+      CropNFT: cropNFT,
+      FarmRewardSystem: farmRewardSystem,
+      FarmSeasons: farmSeasons,
+      XFarmVesting: vesting
+    };
+    return { contracts, harvestToken, cropNFT, farmRewardSystem, deployer, operator, outsider };
+  }
+
+  // Every role-gated function, keyed by contract and the role that may call it
+  const gatedCalls = [
+    { contract: "FarmRewardSystem", role: "POOL_MANAGER_ROLE", name: "createPool", call: (c) => c.createPool(100, 0) },
+    { contract: "FarmRewardSystem", role: "POOL_MANAGER_ROLE", name: "createLockedPool", call: (c) => c.createLockedPool(100, 0, 30 * SECONDS_IN_DAY) },
+    { contract: "FarmRewardSystem", role: "POOL_MANAGER_ROLE", name: "setLockTier", call: (c) => c.setLockTier(30 * SECONDS_IN_DAY, 120, 500, true) },
+    { contract: "FarmRewardSystem", role: "POOL_MANAGER_ROLE", name: "updatePool", call: (c) => c.updatePool(0, 50, true) },
+    { contract: "FarmRewardSystem", role: "POOL_MANAGER_ROLE", name: "setHalvingInterval", call: (c) => c.setHalvingInterval(180 * SECONDS_IN_DAY) },
+    { contract: "FarmRewardSystem", role: "POOL_MANAGER_ROLE", name: "setEpochEmissionCap", call: (c) => c.setEpochEmissionCap(ethers.parseEther("500000")) },
+    { contract: "FarmRewardSystem", role: "POOL_MANAGER_ROLE", name: "setPlotLimits", call: (c) => c.setPlotLimits(5, 0, 10) },
+    { contract: "FarmRewardSystem", role: "TREASURER_ROLE", name: "setMintFallbackEnabled", call: (c) => c.setMintFallbackEnabled(false) },
+    { contract: "FarmRewardSystem", role: "TREASURER_ROLE", name: "setPlantingFeeBurnPercent", call: (c) => c.setPlantingFeeBurnPercent(25) },
+    { contract: "FarmRewardSystem", role: "TREASURER_ROLE", name: "withdrawRewardReserve", call: (c, { operator }) => c.withdrawRewardReserve(operator.address, 1) },
+    { contract: "FarmRewardSystem", role: "PAUSER_ROLE", name: "pause", call: (c) => c.pause() },
+    { contract: "FarmRewardSystem", role: "DEFAULT_ADMIN_ROLE", name: "setTrustedForwarder", call: (c, { outsider }) => c.setTrustedForwarder(outsider.address) },
+    { contract: "FarmRewardSystem", role: "DEFAULT_ADMIN_ROLE", name: "setActivityHook", call: (c, { outsider }) => c.setActivityHook(outsider.address) },
+    { contract: "HarvestToken", role: "MINTER_ADMIN_ROLE", name: "addAuthorizedMinter", call: (c, { outsider }) => c.addAuthorizedMinter(outsider.address) },
+    { contract: "HarvestToken", role: "MINTER_ADMIN_ROLE", name: "removeAuthorizedMinter", call: (c, { farmRewardSystem }) => c.removeAuthorizedMinter(farmRewardSystem) },
+    { contract: "HarvestToken", role: "TREASURER_ROLE", name: "setMaxTransferAmount", call: (c) => c.setMaxTransferAmount(ethers.parseEther("2000000")) },
+    { contract: "HarvestToken", role: "TREASURER_ROLE", name: "setExcludedFromLimits", call: (c, { outsider }) => c.setExcludedFromLimits(outsider.address, true) },
+    { contract: "HarvestToken", role: "PAUSER_ROLE", name: "pause", call: (c) => c.pause() },
+    { contract: "CropNFT", role: "CROP_ADMIN_ROLE", name: "addAuthorizedFarm", call: (c, { outsider }) => c.addAuthorizedFarm(outsider.address) },
+    { contract: "CropNFT", role: "CROP_ADMIN_ROLE", name: "setFarmRewardSystem", call: (c, { farmRewardSystem }) => c.setFarmRewardSystem(farmRewardSystem) },
+    { contract: "CropNFT", role: "CROP_ADMIN_ROLE", name: "addCropType", call: (c) => c.addCropType("Pumpkin", 10 * SECONDS_IN_DAY, 0, 0, 0) },
+    { contract: "CropNFT", role: "CROP_ADMIN_ROLE", name: "setCropTypeEnabled", call: (c) => c.setCropTypeEnabled(0, false) },
+    { contract: "CropNFT", role: "CROP_ADMIN_ROLE", name: "setRandomnessProvider", call: (c, { outsider }) => c.setRandomnessProvider(outsider.address) },
+    { contract: "CropNFT", role: "CROP_ADMIN_ROLE", name: "retryRandomness", call: (c) => c.retryRandomness(0) },
+    { contract: "CropNFT", role: "CROP_ADMIN_ROLE", name: "setRoyaltyBps", call: (c) => c.setRoyaltyBps(250) },
+    { contract: "CropNFT", role: "PAUSER_ROLE", name: "pause", call: (c) => c.pause() },
+    { contract: "FarmSeasons", role: "SEASON_MANAGER_ROLE", name: "createSeason", call: async (c) => c.createSeason((await time.latest()) + 100, (await time.latest()) + 1000, [100]) },
+    { contract: "FarmSeasons", role: "SEASON_MANAGER_ROLE", name: "createQuest", call: (c) => c.createQuest(0, 0, 0, 1, 1, 0) },
+    { contract: "FarmSeasons", role: "SEASON_MANAGER_ROLE", name: "defineBadge", call: (c) => c.defineBadge(1, 10) },
+    { contract: "FarmSeasons", role: "SEASON_MANAGER_ROLE", name: "setURI", call: (c) => c.setURI("ipfs://badges/{id}.json") },
+    { contract: "FarmSeasons", role: "PAUSER_ROLE", name: "pause", call: (c) => c.pause() },
+    { contract: "XFarmVesting", role: "VESTING_ADMIN_ROLE", name: "createGrant", call: (c, { outsider }) => c.createGrant(outsider.address, 1, 0, 0, 1, true) },
+    { contract: "XFarmVesting", role: "VESTING_ADMIN_ROLE", name: "createGrantFromBalance", call: (c, { outsider }) => c.createGrantFromBalance(outsider.address, 1, 0, 0, 1, true) },
+    { contract: "XFarmVesting", role: "VESTING_ADMIN_ROLE", name: "revoke", call: (c) => c.revoke(0) },
+    { contract: "XFarmVesting", role: "DEFAULT_ADMIN_ROLE", name: "setToken", call: (c, { outsider }) => c.setToken(outsider.address) }
+  ];
+
+  describe("Deployment", function () {
+    it("Should give the deployer every role", async function () {
+      const { contracts, deployer } = await loadFixture(deployFarmFixture);
+
+      for (const [name, roles] of Object.entries(CONTRACT_ROLES)) {
+        for (const role of ["DEFAULT_ADMIN_ROLE", ...roles]) {
+          expect(await contracts[name].hasRole(roleId(role), deployer.address), `${name} ${role}`).to.be.true;
+        }
+      }
+    });
+
+    it("Should match the role ids exposed by the contracts", async function () {
+      const { contracts } = await loadFixture(deployFarmFixture);
+
+      for (const [name, roles] of Object.entries(CONTRACT_ROLES)) {
+        for (const role of roles) {
+          expect(await contracts[name][role]()).to.equal(roleId(role));
+        }
+      }
+    });
+  });
+
+  describe("Role separation", function () {
+    for (const [name, roles] of Object.entries(CONTRACT_ROLES)) {
+      for (const role of roles) {
+        it(`Should limit ${name} ${role} to its own functions`, async function () {
+          for (const entry of gatedCalls.filter((e) => e.contract === name)) {
+            const context = await loadFixture(deployFarmFixture);
+            const contract = context.contracts[name];
+            await contract.grantRole(roleId(role), context.operator.address);
+            const label = `${name}.${entry.name}`;
+
+            if (entry.role === role) {
+              await expect(
+                entry.call(contract.connect(context.operator), context),
+                label
+              ).to.not.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+            } else {
+              await expect(
+                entry.call(contract.connect(context.operator), context),
+                label
+              ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+            }
+          }
+        });
+      }
+    }
+
+    it("Should keep role administration with the admin", async function () {
+      const { farmRewardSystem, operator, outsider } = await loadFixture(deployFarmFixture);
+      await farmRewardSystem.grantRole(roleId("POOL_MANAGER"), operator.address);
+
+      await expect(
+        farmRewardSystem.connect(operator).grantRole(roleId("POOL_MANAGER"), outsider.address)
+      ).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+      await expect(farmRewardSystem.connect(operator).unpause()).to.be.revertedWithCustomError(
+        farmRewardSystem,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Timelock handoff", function () {
+    async function handoffFixture() {
+      const context = await deployFarmFixture();
+      const { contracts, deployer, operator } = context;
+
+      const XFarmTimelock = await ethers.getContractFactory("XFarmTimelock");
+      const timelock = await XFarmTimelock.deploy(TIMELOCK_DELAY, [deployer.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+      const options = {
+        deployer: deployer.address,
+        admin: await timelock.getAddress(),
+        holders: { PAUSER_ROLE: operator.address }
+      };
+
+      for (const step of roleMigrationSteps(contracts, options)) {
+        if (!(await step.isDone())) await (await step.run()).wait();
+      }
+
+      return { ...context, timelock, options };
+    }
+
+    it("Should move every role off the deployer", async function () {
+      const { contracts, timelock, deployer, operator, options } = await loadFixture(handoffFixture);
+      const timelockAddress = await timelock.getAddress();
+
+      expect(await checkRoles(contracts, options)).to.deep.equal([]);
+      for (const [name, roles] of Object.entries(CONTRACT_ROLES)) {
+        const contract = contracts[name];
+        for (const role of ["DEFAULT_ADMIN_ROLE", ...roles]) {
+          expect(await contract.hasRole(roleId(role), deployer.address), `${name} ${role}`).to.be.false;
+        }
+        expect(await contract.hasRole(roleId("DEFAULT_ADMIN_ROLE"), timelockAddress)).to.be.true;
+        if (roles.includes("PAUSER_ROLE")) {
+          expect(await contract.hasRole(roleId("PAUSER_ROLE"), operator.address), name).to.be.true;
+        }
+      }
+    });
+
+    it("Should leave nothing to do on a second run", async function () {
+      const { contracts, options } = await loadFixture(handoffFixture);
+
+      for (const step of roleMigrationSteps(contracts, options)) {
+        expect(await step.isDone(), step.description).to.be.true;
+      }
+    });
+
+    it("Should strip the deployer of admin and operational powers", async function () {
+      const { farmRewardSystem, harvestToken, cropNFT, deployer, outsider } = await loadFixture(handoffFixture);
+
+      await expect(farmRewardSystem.createPool(100, 0)).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+      await expect(farmRewardSystem.pause()).to.be.revertedWithCustomError(farmRewardSystem, "AccessControlUnauthorizedAccount");
+      await expect(harvestToken.addAuthorizedMinter(deployer.address)).to.be.revertedWithCustomError(
+        harvestToken,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(
+        cropNFT.grantRole(roleId("CROP_ADMIN"), outsider.address)
+      ).to.be.revertedWithCustomError(cropNFT, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should grant roles through the timelock only after the delay", async function () {
+      const { farmRewardSystem, timelock, outsider } = await loadFixture(handoffFixture);
+      const target = await farmRewardSystem.getAddress();
+      const data = farmRewardSystem.interface.encodeFunctionData("grantRole", [roleId("PAUSER"), outsider.address]);
+      const salt = ethers.id("grant-pauser");
+
+      await timelock.schedule(target, 0, data, ethers.ZeroHash, salt, TIMELOCK_DELAY);
+      await expect(
+        timelock.execute(target, 0, data, ethers.ZeroHash, salt)
+      ).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await time.increase(TIMELOCK_DELAY);
+      // Executors are open, so anyone can execute a ready operation
+      await timelock.connect(outsider).execute(target, 0, data, ethers.ZeroHash, salt);
+      expect(await farmRewardSystem.hasRole(roleId("PAUSER"), outsider.address)).to.be.true;
+    });
+
+    it("Should only let proposers schedule", async function () {
+      const { farmRewardSystem, timelock, outsider } = await loadFixture(handoffFixture);
+      const data = farmRewardSystem.interface.encodeFunctionData("unpause");
+
+      await expect(
+        timelock.connect(outsider).schedule(await farmRewardSystem.getAddress(), 0, data, ethers.ZeroHash, ethers.ZeroHash, TIMELOCK_DELAY)
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
@@ -0,0 +1,292 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  XFarmClient,
+  XFarmError,
+  CheckInTooEarlyError,
+  CropNotReadyError,
+  NotRegisteredError,
+  BelowMinimumStakeError,
+  NotCropOwnerError,
+  InvalidCropTypeError,
+  PlotLimitError,
+  PausedError,
+  InsufficientBalanceError,
+  InsufficientAllowanceError,
+  translateError
+} = require("../sdk");
+const { loadAbi } = require("../sdk/src/abi");
+
+describe("XFarm SDK", function () {
+  let harvestToken, cropNFT, farmRewardSystem;
+  let owner, farmer1, farmer2, teamWallet;
+  let client;
+
+  const SECONDS_IN_DAY = 86400;
+
+  beforeEach(async function () {
+    [owner, farmer1, farmer2, teamWallet] = await ethers.getSigners();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    harvestToken = await HarvestToken.deploy(teamWallet.address, owner.address, owner.address, owner.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+
+    await harvestToken.setRewardPool(await farmRewardSystem.getAddress());
+    await cropNFT.addAuthorizedFarm(await farmRewardSystem.getAddress());
+    await cropNFT.setFarmRewardSystem(await farmRewardSystem.getAddress());
+
+    client = new XFarmClient({
+      runner: farmer1,
+      addresses: {
+        harvestToken: await harvestToken.getAddress(),
+        cropNFT: await cropNFT.getAddress(),
+        farmRewardSystem: await farmRewardSystem.getAddress()
+      }
+    });
+    await harvestToken.connect(teamWallet).transfer(farmer1.address, ethers.parseEther("5000"));
+  });
+
+  it("Should ship ABIs that match the compiled contracts", async function () {
+    for (const name of ["HarvestToken", "CropNFT", "FarmRewardSystem", "XFarmForwarder"]) {
+      const { abi } = await artifacts.readArtifact(name);
+      expect(loadAbi(name), `${name} ABI is stale - run npm run sdk:build`).to.deep.equal(abi);
+    }
+  });
+
+  it("Should build a client from a deployment manifest", async function () {
+    const manifest = {
+      contracts: {
+        HarvestToken: { address: await harvestToken.getAddress() },
+        CropNFT: { address: await cropNFT.getAddress() },
+        FarmRewardSystem: { address: await farmRewardSystem.getAddress() }
+      }
+    };
+    const readOnly = XFarmClient.fromManifest(manifest, ethers.provider);
+    expect(await readOnly.farmRewardSystem.totalPools()).to.equal(1);
+    await expect(readOnly.farm.checkIn()).to.be.rejected;
+  });
+
+  describe("farm", function () {
+    beforeEach(async function () {
+      await client.farm.register();
+    });
+
+    it("Should stake with a signed permit when the allowance is too low", async function () {
+      const farmAddress = await farmRewardSystem.getAddress();
+      expect(await harvestToken.allowance(farmer1.address, farmAddress)).to.equal(0);
+      const nonceBefore = await ethers.provider.getTransactionCount(farmer1.address);
+
+      const receipt = await client.farm.stake(0, "1000");
+
+      expect(receipt.to).to.equal(farmAddress);
+      expect(await ethers.provider.getTransactionCount(farmer1.address)).to.equal(nonceBefore + 1);
+      expect(await harvestToken.nonces(farmer1.address)).to.equal(1);
+      expect((await farmRewardSystem.stakes(farmer1.address, 0)).amount).to.equal(ethers.parseEther("1000"));
+      expect(await harvestToken.allowance(farmer1.address, farmAddress)).to.equal(0);
+    });
+
+    it("Should approve before staking when permits are turned off", async function () {
+      await client.farm.stake(0, "1000", { permit: false });
+
+      expect((await farmRewardSystem.stakes(farmer1.address, 0)).amount).to.equal(ethers.parseEther("1000"));
+      expect(await harvestToken.nonces(farmer1.address)).to.equal(0);
+    });
+
+    it("Should reuse an existing allowance", async function () {
+      const farmAddress = await farmRewardSystem.getAddress();
+      await harvestToken.connect(farmer1).approve(farmAddress, ethers.parseEther("5000"));
+
+      const receipt = await client.farm.stake(0, ethers.parseEther("1000"));
+
+      expect(await harvestToken.allowance(farmer1.address, farmAddress)).to.equal(ethers.parseEther("4000"));
+      expect(receipt.status).to.equal(1);
+    });
+
+    it("Should decode pools and positions", async function () {
+      await farmRewardSystem.createLockedPool(100, 0, 30 * SECONDS_IN_DAY);
+      await client.farm.stake(1, "1000");
+      await time.increase(60);
+
+      const pools = await client.farm.pools();
+      expect(pools).to.have.length(2);
+      expect(pools[1]).to.include({ poolId: 1, lockDuration: 30 * SECONDS_IN_DAY, boostMultiplier: 125, isActive: true });
+
+      const positions = await client.farm.positions(farmer1.address);
+      expect(positions).to.have.length(1);
+      expect(positions[0].poolId).to.equal(1);
+      expect(positions[0].unlockAt).to.equal(positions[0].stakedAt + 30 * SECONDS_IN_DAY);
+      expect(positions[0].pendingRewards).to.be.gt(0n);
+
+      const emissions = await client.farm.emissionStatus();
+      expect(emissions.epoch).to.equal(0);
+      expect(emissions.stakingEmissionRate).to.equal(125n);
+      expect(emissions.reserveBalance).to.equal(await farmRewardSystem.rewardReserveBalance());
+    });
+
+    it("Should surface revert reasons as typed errors", async function () {
+      await client.farm.checkIn();
+
+      const error = await client.farm.checkIn().catch((e) => e);
+      expect(error).to.be.instanceOf(CheckInTooEarlyError);
+      expect(error).to.be.instanceOf(XFarmError);
+      expect(error.code).to.equal("CHECK_IN_TOO_EARLY");
+      expect(error.reason).to.equal("Check-in too early");
+
+      await expect(client.farm.stake(0, "10")).to.be.rejectedWith(BelowMinimumStakeError);
+      await expect(client.connect(farmer2).farm.checkIn()).to.be.rejectedWith(NotRegisteredError);
+    });
+
+    it("Should tell a missing allowance from a missing balance", async function () {
+      const token = harvestToken.connect(farmer2);
+
+      const allowanceError = translateError(await token.transferFrom(farmer1.address, farmer2.address, 1).catch((e) => e));
+      expect(allowanceError).to.be.instanceOf(InsufficientAllowanceError);
+      expect(allowanceError.code).to.equal("INSUFFICIENT_ALLOWANCE");
+
+      const balanceError = translateError(await token.transfer(farmer1.address, 1).catch((e) => e));
+      expect(balanceError).to.be.instanceOf(InsufficientBalanceError);
+      expect(balanceError.code).to.equal("INSUFFICIENT_BALANCE");
+    });
+
+    it("Should report paused features", async function () {
+      await farmRewardSystem.pauseFeature(2); // CHECK_IN
+
+      const status = await client.farm.pauseStatus();
+      expect(status).to.deep.equal({ paused: false, staking: true, claiming: true, checkIn: false, planting: true, harvesting: true });
+      await expect(client.farm.checkIn()).to.be.rejectedWith(PausedError);
+
+      await farmRewardSystem.pause();
+      expect((await client.farm.pauseStatus()).staking).to.be.false;
+      await expect(client.farm.stake(0, "1000")).to.be.rejectedWith(PausedError);
+    });
+  });
+
+  describe("crops", function () {
+    beforeEach(async function () {
+      await client.farm.register();
+    });
+
+    it("Should list crops with decoded types, stages and time to harvest", async function () {
+      await client.crops.plant("TOMATO");
+      await client.crops.plant("Wheat");
+      await time.increase(2 * SECONDS_IN_DAY);
+
+      const crops = await client.crops.list(farmer1.address);
+      expect(crops).to.have.length(2);
+      expect(crops[0]).to.include({ cropType: "TOMATO", cropTypeName: "Tomato", growthStage: "SPROUTING", isHarvestable: false });
+      expect(crops[1]).to.include({ cropType: "WHEAT", cropTypeName: "Wheat", rarity: "COMMON", witherPenalty: 0 });
+      expect(crops[0].timeToHarvest).to.be.closeTo(5 * SECONDS_IN_DAY, 5);
+      expect(crops[1].timeToHarvest).to.be.closeTo(19 * SECONDS_IN_DAY, 5);
+      expect(crops[1].expectedReward).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should decode crop metadata", async function () {
+      await client.crops.plant("Corn");
+
+      const metadata = await client.crops.metadata(0);
+      expect(metadata.name).to.equal("Corn #0");
+      expect(metadata.image.startsWith("data:image/svg+xml;base64,")).to.be.true;
+      expect(metadata.attributes).to.deep.include({ trait_type: "Growth Stage", value: "Seed" });
+    });
+
+    it("Should refresh a stale growth stage before harvesting", async function () {
+      await client.crops.plant(0);
+      const [crop] = await client.crops.list(farmer1.address);
+
+      await expect(client.crops.harvest(crop.tokenId)).to.be.rejectedWith(CropNotReadyError);
+
+      await time.increase(7 * SECONDS_IN_DAY + 1);
+      const ripe = await client.crops.get(crop.tokenId);
+      expect(ripe.isHarvestable).to.be.true;
+      expect(ripe.growthStage).to.equal("HARVESTABLE");
+
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      await client.crops.harvest(crop.tokenId);
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balanceBefore + ripe.expectedReward);
+      expect(await client.crops.list(farmer1.address)).to.have.length(0);
+    });
+
+    it("Should reject watering someone else's crop", async function () {
+      await client.crops.plant(0);
+      const [crop] = await client.crops.list(farmer1.address);
+      await time.increase(3600);
+
+      await expect(client.connect(farmer2).crops.water(crop.tokenId)).to.be.rejectedWith(NotCropOwnerError);
+      await client.crops.water(crop.tokenId);
+    });
+
+    it("Should approve planting costs and report expected ROI", async function () {
+      const farmAddress = await farmRewardSystem.getAddress();
+      const balanceBefore = await harvestToken.balanceOf(farmer1.address);
+      await client.crops.plant("CORN");
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balanceBefore - ethers.parseEther("10"));
+      expect(await harvestToken.allowance(farmer1.address, farmAddress)).to.equal(0);
+
+      const roi = await client.crops.roi(farmer1.address);
+      expect(roi).to.have.length(4);
+      expect(roi[0]).to.include({ key: "TOMATO", roiPercent: 150 });
+      expect(roi[0].netReturn).to.equal(ethers.parseEther("6"));
+      expect(roi[3].expectedReward).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should reject plantings beyond the plot limit", async function () {
+      for (let i = 0; i < 3; i++) await client.crops.plant("TOMATO");
+      await expect(client.crops.plant("TOMATO")).to.be.rejectedWith(PlotLimitError);
+    });
+
+    it("Should reject unknown crop types before sending", async function () {
+      await expect(client.crops.plant("BANANA")).to.be.rejectedWith(RangeError);
+    });
+
+    it("Should read crop types added after deployment", async function () {
+      await cropNFT.addCropType("Giant Pumpkin", 10 * SECONDS_IN_DAY, ethers.parseEther("40"), ethers.parseEther("5"), 2);
+
+      const types = await client.crops.types();
+      expect(types).to.have.length(5);
+      expect(types[4]).to.include({ id: 4, key: "GIANT_PUMPKIN", name: "Giant Pumpkin", rarity: "RARE", growthDuration: 10 * SECONDS_IN_DAY });
+      expect(types[4].plantingCost).to.equal(ethers.parseEther("5"));
+
+      await client.crops.plant("GIANT_PUMPKIN");
+      const [crop] = await client.crops.list(farmer1.address);
+      expect(crop).to.include({ cropType: "GIANT_PUMPKIN", cropTypeName: "Giant Pumpkin", cropTypeId: 4 });
+
+      await cropNFT.setCropTypeEnabled(4, false);
+      expect((await client.crops.types())[4].isEnabled).to.be.false;
+      await expect(client.crops.plant(4)).to.be.rejectedWith(InvalidCropTypeError);
+    });
+  });
+
+  describe("farmer", function () {
+    it("Should build a dashboard for a farmer", async function () {
+      await client.farm.register();
+      await client.farm.checkIn();
+      await client.farm.stake(0, "1000");
+      await client.crops.plant("CORN");
+      await time.increase(3600);
+
+      const dashboard = await client.farmer.dashboard(farmer1.address);
+      expect(dashboard.registered).to.be.true;
+      expect(dashboard.referrer).to.be.null;
+      expect(dashboard.stats.totalStaked).to.equal(ethers.parseEther("1000"));
+      expect(dashboard.stats.checkInStreak).to.equal(1);
+      expect(dashboard.stats.ownedCropsCount).to.equal(1);
+      expect(dashboard.checkIn.canCheckIn).to.be.false;
+      expect(dashboard.checkIn.nextCheckInAt).to.equal(dashboard.checkIn.lastCheckIn + 20 * 3600);
+      expect(dashboard.positions).to.have.length(1);
+      expect(dashboard.totalPendingRewards).to.equal(dashboard.positions[0].pendingRewards);
+      expect(dashboard.crops[0].cropType).to.equal("CORN");
+      expect(dashboard.harvestableCrops).to.equal(0);
+    });
+
+    it("Should report an unregistered address", async function () {
+      const dashboard = await client.farmer.dashboard(farmer2.address);
+      expect(dashboard.registered).to.be.false;
+      expect(dashboard.checkIn.canCheckIn).to.be.false;
+      expect(dashboard.crops).to.have.length(0);
+    });
+  });
+});
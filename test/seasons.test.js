@@ -0,0 +1,405 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("Seasons", function () {
+  const SECONDS_IN_DAY = 86400;
+  const SEASON_LENGTH = 60 * SECONDS_IN_DAY;
+  const QuestKind = { HARVEST: 0, CHECK_IN_STREAK: 1, CHECK_INS: 2 };
+  const Feature = { STAKING: 0, CLAIMING: 1, CHECK_IN: 2, PLANTING: 3, HARVESTING: 4 };
+  const TOMATO = 0;
+  const WHEAT = 2;
+  const HARVEST_BADGE = 1;
+  const STREAK_BADGE = 2;
+
+  /**
+   * Wired farm with Farm Seasons as activity hook and a 60-day season starting in an hour.
+   * Three registered farmers hold HARVEST and have approved the farm and the seasons contract.
+   */
+  async function deploySeasonFixture() {
+    const [owner, farmer1, farmer2, farmer3, teamWallet] = await ethers.getSigners();
+
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(teamWallet.address, owner.address, owner.address, owner.address);
+    const CropNFT = await ethers.getContractFactory("CropNFT");
+    const cropNFT = await CropNFT.deploy();
+    const FarmRewardSystem = await ethers.getContractFactory("FarmRewardSystem");
+    const farmRewardSystem = await FarmRewardSystem.deploy(await harvestToken.getAddress(), await cropNFT.getAddress());
+    const farmAddress = await farmRewardSystem.getAddress();
+    const FarmSeasons = await ethers.getContractFactory("FarmSeasons");
+    const farmSeasons = await FarmSeasons.deploy(
+      await harvestToken.getAddress(),
+      await cropNFT.getAddress(),
+      farmAddress,
+      "ipfs://badges/{id}.json"
+    );
+    const seasonsAddress = await farmSeasons.getAddress();
+
+    await harvestToken.setRewardPool(farmAddress);
+    await harvestToken.addAuthorizedMinter(farmAddress);
+    await harvestToken.setExcludedFromLimits(seasonsAddress, true);
+    await cropNFT.addAuthorizedFarm(farmAddress);
+    await cropNFT.setFarmRewardSystem(farmAddress);
+    await farmRewardSystem.setPlotLimits(10, 0, 10);
+    await farmRewardSystem.setActivityHook(seasonsAddress);
+
+    const farmers = [farmer1, farmer2, farmer3];
+    for (const farmer of farmers) {
+      await farmRewardSystem.connect(farmer).registerFarmer(ethers.ZeroAddress);
+      await harvestToken.connect(teamWallet).transfer(farmer.address, ethers.parseEther("1000"));
+      await harvestToken.connect(farmer).approve(farmAddress, ethers.MaxUint256);
+    }
+    await harvestToken.connect(teamWallet).transfer(owner.address, ethers.parseEther("10000"));
+    await harvestToken.approve(seasonsAddress, ethers.MaxUint256);
+
+    await farmSeasons.defineBadge(HARVEST_BADGE, 20);
+    await farmSeasons.defineBadge(STREAK_BADGE, 40);
+    const start = (await time.latest()) + 3600;
+    await farmSeasons.createSeason(start, start + SEASON_LENGTH, [50, 30, 20]);
+
+    return { harvestToken, cropNFT, farmRewardSystem, farmSeasons, farmAddress, owner, farmers, farmer1, farmer2, farmer3, start };
+  }
+
+  async function startSeasonFixture() {
+    const context = await deploySeasonFixture();
+    await time.increaseTo(context.start);
+    return context;
+  }
+
+  /**
+   * Plants `count` crops of a type, lets them ripen and harvests all of the farmer's crops in one batch
+   */
+  async function growAndHarvest(farmRewardSystem, cropNFT, farmer, cropType, count) {
+    await farmRewardSystem.connect(farmer).plantCrops(cropType, count);
+    const { growthDuration } = await cropNFT.getCropType(cropType);
+    await time.increase(growthDuration + 1n);
+
+    const tokenIds = await farmRewardSystem.getFarmerCrops(farmer.address);
+    return farmRewardSystem.connect(farmer).harvestCrops([...tokenIds]);
+  }
+
+  describe("Season schedule", function () {
+    it("Should report the running season", async function () {
+      const { farmSeasons, start } = await loadFixture(deploySeasonFixture);
+
+      expect(await farmSeasons.currentSeason()).to.deep.equal([false, 0n]);
+      await time.increaseTo(start);
+      expect(await farmSeasons.currentSeason()).to.deep.equal([true, 0n]);
+      await time.increaseTo(start + SEASON_LENGTH);
+      expect(await farmSeasons.currentSeason()).to.deep.equal([false, 0n]);
+    });
+
+    it("Should reject overlapping seasons and invalid prize shares", async function () {
+      const { farmSeasons, start } = await loadFixture(deploySeasonFixture);
+      const end = start + SEASON_LENGTH;
+
+      await expect(farmSeasons.createSeason(end - 1, end + SEASON_LENGTH, [100])).to.be.revertedWith(
+        "Season overlaps previous season"
+      );
+      await expect(farmSeasons.createSeason(end, end, [100])).to.be.revertedWith("Invalid season window");
+      await expect(farmSeasons.createSeason(end, end + SEASON_LENGTH, [60, 30])).to.be.revertedWith(
+        "Prize shares must sum to 100"
+      );
+      await expect(farmSeasons.createSeason(end, end + SEASON_LENGTH, Array(11).fill(0))).to.be.revertedWith(
+        "Too many prize ranks"
+      );
+
+      await expect(farmSeasons.createSeason(end, end + SEASON_LENGTH, [100]))
+        .to.emit(farmSeasons, "SeasonCreated")
+        .withArgs(1, end, end + SEASON_LENGTH, [100]);
+      expect(await farmSeasons.seasonCount()).to.equal(2);
+    });
+
+    it("Should validate quests and badges", async function () {
+      const { farmSeasons } = await loadFixture(deploySeasonFixture);
+
+      await expect(farmSeasons.createQuest(1, QuestKind.HARVEST, TOMATO, 3, HARVEST_BADGE, 0)).to.be.revertedWith(
+        "Invalid season ID"
+      );
+      await expect(farmSeasons.createQuest(0, QuestKind.HARVEST, TOMATO, 0, HARVEST_BADGE, 0)).to.be.revertedWith(
+        "Target must be greater than 0"
+      );
+      await expect(farmSeasons.createQuest(0, QuestKind.HARVEST, TOMATO, 3, 99, 0)).to.be.revertedWith(
+        "Badge not defined"
+      );
+      await expect(farmSeasons.createQuest(0, QuestKind.HARVEST, 42, 3, HARVEST_BADGE, 0)).to.be.revertedWith(
+        "Invalid crop type"
+      );
+      await expect(farmSeasons.defineBadge(3, 0)).to.be.revertedWith("Invalid boost");
+      await expect(farmSeasons.defineBadge(3, 51)).to.be.revertedWith("Invalid boost");
+
+      await farmSeasons.createQuest(0, QuestKind.HARVEST, await farmSeasons.ANY_CROP(), 3, HARVEST_BADGE, 0);
+      expect(await farmSeasons.getSeasonQuests(0)).to.deep.equal([0n]);
+      expect(await farmSeasons.getBadgeIds()).to.deep.equal([BigInt(HARVEST_BADGE), BigInt(STREAK_BADGE)]);
+    });
+  });
+
+  describe("Quests", function () {
+    it("Should complete a harvest quest and mint its badge", async function () {
+      const { cropNFT, farmRewardSystem, farmSeasons, farmer1 } = await loadFixture(startSeasonFixture);
+      await farmSeasons.createQuest(0, QuestKind.HARVEST, WHEAT, 3, HARVEST_BADGE, 100);
+
+      // Other crop types do not count towards a wheat quest
+      await growAndHarvest(farmRewardSystem, cropNFT, farmer1, TOMATO, 2);
+      expect(await farmSeasons.questProgress(0, farmer1.address)).to.equal(0);
+
+      await growAndHarvest(farmRewardSystem, cropNFT, farmer1, WHEAT, 2);
+      expect(await farmSeasons.questProgress(0, farmer1.address)).to.equal(2);
+      expect(await farmSeasons.balanceOf(farmer1.address, HARVEST_BADGE)).to.equal(0);
+
+      await expect(growAndHarvest(farmRewardSystem, cropNFT, farmer1, WHEAT, 1))
+        .to.emit(farmSeasons, "QuestCompleted")
+        .withArgs(0, farmer1.address, HARVEST_BADGE);
+      expect(await farmSeasons.questCompleted(0, farmer1.address)).to.be.true;
+      expect(await farmSeasons.balanceOf(farmer1.address, HARVEST_BADGE)).to.equal(1);
+      expect(await farmSeasons.uri(HARVEST_BADGE)).to.equal("ipfs://badges/{id}.json");
+    });
+
+    it("Should complete a 14-day streak quest and keep the best streak", async function () {
+      const { farmRewardSystem, farmSeasons, farmer1 } = await loadFixture(startSeasonFixture);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_IN_STREAK, 0, 14, STREAK_BADGE, 0);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_INS, 0, 20, HARVEST_BADGE, 0);
+      const farm = farmRewardSystem.connect(farmer1);
+
+      for (let day = 0; day < 10; day++) {
+        await farm.dailyCheckIn();
+        await time.increase(SECONDS_IN_DAY);
+      }
+      // Missing two days resets the streak but not the best one or the check-in count
+      await time.increase(2 * SECONDS_IN_DAY);
+      await farm.dailyCheckIn();
+      expect(await farmSeasons.questProgress(0, farmer1.address)).to.equal(10);
+      expect(await farmSeasons.questProgress(1, farmer1.address)).to.equal(11);
+
+      for (let day = 0; day < 13; day++) {
+        await time.increase(SECONDS_IN_DAY);
+        await farm.dailyCheckIn();
+      }
+      expect((await farmRewardSystem.farmers(farmer1.address)).checkInStreak).to.equal(14);
+      expect(await farmSeasons.questCompleted(0, farmer1.address)).to.be.true;
+      expect(await farmSeasons.questCompleted(1, farmer1.address)).to.be.true;
+      expect(await farmSeasons.balanceOf(farmer1.address, STREAK_BADGE)).to.equal(1);
+    });
+
+    it("Should count streaks from the season start", async function () {
+      const { farmRewardSystem, farmSeasons, farmer1, start } = await loadFixture(startSeasonFixture);
+      const nextStart = start + SEASON_LENGTH;
+      await farmSeasons.createSeason(nextStart, nextStart + SEASON_LENGTH, [100]);
+      await farmSeasons.createQuest(1, QuestKind.CHECK_IN_STREAK, 0, 3, STREAK_BADGE, 0);
+      const farm = farmRewardSystem.connect(farmer1);
+
+      // A five-day streak built at the end of the previous season
+      await time.increaseTo(nextStart - 5 * SECONDS_IN_DAY - 3600);
+      for (let day = 0; day < 5; day++) {
+        await farm.dailyCheckIn();
+        await time.increase(SECONDS_IN_DAY);
+      }
+      await time.increaseTo(nextStart);
+
+      await farm.dailyCheckIn();
+      expect((await farmRewardSystem.farmers(farmer1.address)).checkInStreak).to.equal(6);
+      expect(await farmSeasons.seasonStreak(0, farmer1.address)).to.equal(5);
+      expect(await farmSeasons.seasonStreak(1, farmer1.address)).to.equal(1);
+      expect(await farmSeasons.questProgress(0, farmer1.address)).to.equal(1);
+      expect(await farmSeasons.questCompleted(0, farmer1.address)).to.be.false;
+
+      await time.increase(SECONDS_IN_DAY);
+      await farm.dailyCheckIn();
+      await time.increase(SECONDS_IN_DAY);
+      await expect(farm.dailyCheckIn()).to.emit(farmSeasons, "QuestCompleted").withArgs(0, farmer1.address, STREAK_BADGE);
+      expect(await farmSeasons.seasonStreak(1, farmer1.address)).to.equal(3);
+    });
+
+    it("Should not track activity outside a season", async function () {
+      const { farmRewardSystem, farmSeasons, farmer1, start } = await loadFixture(deploySeasonFixture);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_INS, 0, 1, HARVEST_BADGE, 0);
+
+      await farmRewardSystem.connect(farmer1).dailyCheckIn();
+      expect(await farmSeasons.questProgress(0, farmer1.address)).to.equal(0);
+      expect(await farmSeasons.seasonPoints(0, farmer1.address)).to.equal(0);
+
+      await time.increaseTo(start + SEASON_LENGTH);
+      await farmRewardSystem.connect(farmer1).dailyCheckIn();
+      expect(await farmSeasons.questProgress(0, farmer1.address)).to.equal(0);
+      await expect(farmSeasons.createQuest(0, QuestKind.CHECK_INS, 0, 1, HARVEST_BADGE, 0)).to.be.revertedWith(
+        "Season already ended"
+      );
+    });
+
+    it("Should only accept activity reports from the farm", async function () {
+      const { farmSeasons, farmer1 } = await loadFixture(startSeasonFixture);
+
+      await expect(farmSeasons.connect(farmer1).onCheckIn(farmer1.address, 14, 0)).to.be.revertedWith(
+        "Only FarmRewardSystem"
+      );
+      await expect(farmSeasons.connect(farmer1).onHarvest(farmer1.address, 0, 0)).to.be.revertedWith(
+        "Only FarmRewardSystem"
+      );
+    });
+  });
+
+  describe("Badges", function () {
+    it("Should be soulbound", async function () {
+      const { farmRewardSystem, farmSeasons, farmer1, farmer2 } = await loadFixture(startSeasonFixture);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_INS, 0, 1, HARVEST_BADGE, 0);
+      await farmRewardSystem.connect(farmer1).dailyCheckIn();
+
+      await expect(
+        farmSeasons.connect(farmer1).safeTransferFrom(farmer1.address, farmer2.address, HARVEST_BADGE, 1, "0x")
+      ).to.be.revertedWith("Badges are soulbound");
+      expect(await farmSeasons.supportsInterface("0xd9b67a26")).to.be.true; // ERC-1155
+    });
+
+    it("Should boost harvest rewards while held", async function () {
+      const { cropNFT, farmRewardSystem, farmSeasons, farmer1, farmer2 } = await loadFixture(startSeasonFixture);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_INS, 0, 1, HARVEST_BADGE, 0);
+      await farmRewardSystem.connect(farmer1).dailyCheckIn();
+      expect(await farmSeasons.rewardBoost(farmer1.address)).to.equal(20);
+      expect(await farmSeasons.rewardBoost(farmer2.address)).to.equal(0);
+
+      await expect(growAndHarvest(farmRewardSystem, cropNFT, farmer1, TOMATO, 1))
+        .to.emit(farmRewardSystem, "CropHarvested")
+        .withArgs(farmer1.address, 0, ethers.parseEther("12"));
+      await expect(growAndHarvest(farmRewardSystem, cropNFT, farmer2, TOMATO, 1))
+        .to.emit(farmRewardSystem, "CropHarvested")
+        .withArgs(farmer2.address, 1, ethers.parseEther("10"));
+    });
+
+    it("Should cap the combined boost", async function () {
+      const { farmRewardSystem, farmSeasons, farmer1 } = await loadFixture(startSeasonFixture);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_INS, 0, 1, HARVEST_BADGE, 0);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_IN_STREAK, 0, 1, STREAK_BADGE, 0);
+
+      // The first check-in earns both badges (20% + 40%) and is paid with the capped 50% boost
+      const baseReward = ethers.parseEther("1.05");
+      await expect(farmRewardSystem.connect(farmer1).dailyCheckIn())
+        .to.emit(farmRewardSystem, "CheckInCompleted")
+        .withArgs(farmer1.address, 1, baseReward + baseReward / 2n);
+      expect(await farmSeasons.rewardBoost(farmer1.address)).to.equal(await farmSeasons.MAX_REWARD_BOOST());
+    });
+
+    it("Should stop boosting and tracking while paused without blocking farming", async function () {
+      const { farmRewardSystem, farmSeasons, farmer1 } = await loadFixture(startSeasonFixture);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_INS, 0, 2, HARVEST_BADGE, 0);
+      await farmSeasons.pause();
+
+      await expect(farmRewardSystem.connect(farmer1).dailyCheckIn())
+        .to.emit(farmRewardSystem, "CheckInCompleted")
+        .withArgs(farmer1.address, 1, ethers.parseEther("1.05"));
+      expect(await farmSeasons.questProgress(0, farmer1.address)).to.equal(0);
+    });
+
+    it("Should stop tracking a single paused feature", async function () {
+      const { cropNFT, farmRewardSystem, farmSeasons, farmer1 } = await loadFixture(startSeasonFixture);
+      await farmSeasons.createQuest(0, QuestKind.CHECK_INS, 0, 5, HARVEST_BADGE, 0);
+      await farmSeasons.createQuest(0, QuestKind.HARVEST, TOMATO, 5, HARVEST_BADGE, 0);
+      await farmSeasons.pauseFeature(Feature.CHECK_IN);
+
+      await farmRewardSystem.connect(farmer1).dailyCheckIn();
+      await growAndHarvest(farmRewardSystem, cropNFT, farmer1, TOMATO, 1);
+      expect(await farmSeasons.questProgress(0, farmer1.address)).to.equal(0);
+      expect(await farmSeasons.questProgress(1, farmer1.address)).to.equal(1);
+      expect(await farmSeasons.seasonPoints(0, farmer1.address)).to.equal(10);
+
+      await expect(farmSeasons.connect(farmer1).unpauseFeature(Feature.CHECK_IN))
+        .to.be.revertedWithCustomError(farmSeasons, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should keep farming when the hook reverts", async function () {
+      const { harvestToken, cropNFT, farmRewardSystem, farmer1 } = await loadFixture(startSeasonFixture);
+      // A hook bound to another farm rejects every report
+      const FarmSeasons = await ethers.getContractFactory("FarmSeasons");
+      const strayHook = await FarmSeasons.deploy(
+        await harvestToken.getAddress(),
+        await cropNFT.getAddress(),
+        farmer1.address,
+        ""
+      );
+      await expect(farmRewardSystem.setActivityHook(await strayHook.getAddress()))
+        .to.emit(farmRewardSystem, "ActivityHookUpdated")
+        .withArgs(await strayHook.getAddress());
+
+      await expect(farmRewardSystem.connect(farmer1).dailyCheckIn())
+        .to.emit(farmRewardSystem, "CheckInCompleted")
+        .withArgs(farmer1.address, 1, ethers.parseEther("1.05"));
+      await expect(growAndHarvest(farmRewardSystem, cropNFT, farmer1, TOMATO, 1))
+        .to.emit(farmRewardSystem, "CropHarvested")
+        .withArgs(farmer1.address, 0, ethers.parseEther("10"));
+    });
+  });
+
+  describe("Leaderboard and prizes", function () {
+    /**
+     * Farmer2 leads with a completed quest, farmer1 is second and farmer3 third
+     */
+    async function rankedSeasonFixture() {
+      const context = await startSeasonFixture();
+      const { cropNFT, farmRewardSystem, farmSeasons, farmer1, farmer2, farmer3 } = context;
+      await farmSeasons.createQuest(0, QuestKind.HARVEST, TOMATO, 2, HARVEST_BADGE, 100);
+
+      await growAndHarvest(farmRewardSystem, cropNFT, farmer1, TOMATO, 1);
+      await growAndHarvest(farmRewardSystem, cropNFT, farmer2, TOMATO, 2);
+      await farmRewardSystem.connect(farmer3).dailyCheckIn();
+      await farmSeasons.fundPrizePool(0, ethers.parseEther("1000"));
+
+      return context;
+    }
+
+    it("Should rank farmers by season points", async function () {
+      const { farmSeasons, farmer1, farmer2, farmer3 } = await loadFixture(rankedSeasonFixture);
+
+      const board = await farmSeasons.getLeaderboard(0);
+      expect(board.map((entry) => entry.farmer)).to.deep.equal([farmer2.address, farmer1.address, farmer3.address]);
+      // One point per whole HARVEST of base rewards plus quest points; the badge boost does not count
+      expect(board[0].points).to.equal(120);
+      expect(board[1].points).to.equal(10);
+      expect(board[2].points).to.equal(1);
+    });
+
+    it("Should overtake on the leaderboard", async function () {
+      const { cropNFT, farmRewardSystem, farmSeasons, farmer1, farmer3 } = await loadFixture(rankedSeasonFixture);
+
+      await growAndHarvest(farmRewardSystem, cropNFT, farmer3, TOMATO, 1);
+      const board = await farmSeasons.getLeaderboard(0);
+      expect(board[1].farmer).to.equal(farmer3.address);
+      expect(board[2].farmer).to.equal(farmer1.address);
+    });
+
+    it("Should pay prizes by rank once the season has ended", async function () {
+      const { harvestToken, farmSeasons, farmer1, farmer2, farmer3, start } =
+        await loadFixture(rankedSeasonFixture);
+
+      await expect(farmSeasons.connect(farmer3).finalizeSeason(0)).to.be.revertedWith("Season not ended");
+      await time.increaseTo(start + SEASON_LENGTH);
+
+      const balances = await Promise.all([farmer1, farmer2, farmer3].map((f) => harvestToken.balanceOf(f.address)));
+      await expect(farmSeasons.connect(farmer3).finalizeSeason(0))
+        .to.emit(farmSeasons, "PrizePaid")
+        .withArgs(0, farmer2.address, 1, ethers.parseEther("500"))
+        .and.to.emit(farmSeasons, "SeasonFinalized")
+        .withArgs(0, ethers.parseEther("1000"), 0);
+
+      expect(await harvestToken.balanceOf(farmer2.address)).to.equal(balances[1] + ethers.parseEther("500"));
+      expect(await harvestToken.balanceOf(farmer1.address)).to.equal(balances[0] + ethers.parseEther("300"));
+      expect(await harvestToken.balanceOf(farmer3.address)).to.equal(balances[2] + ethers.parseEther("200"));
+      expect(await harvestToken.balanceOf(await farmSeasons.getAddress())).to.equal(0);
+
+      await expect(farmSeasons.finalizeSeason(0)).to.be.revertedWith("Season already finalized");
+      await expect(farmSeasons.fundPrizePool(0, 1)).to.be.revertedWith("Season already finalized");
+    });
+
+    it("Should return unclaimed prize shares to the reward reserve", async function () {
+      const { harvestToken, farmRewardSystem, farmSeasons, farmer1, start } = await loadFixture(startSeasonFixture);
+      await farmRewardSystem.connect(farmer1).dailyCheckIn();
+      await farmSeasons.fundPrizePool(0, ethers.parseEther("1000"));
+      await time.increaseTo(start + SEASON_LENGTH);
+
+      const reserveBefore = await farmRewardSystem.rewardReserveBalance();
+      await expect(farmSeasons.finalizeSeason(0))
+        .to.emit(farmSeasons, "SeasonFinalized")
+        .withArgs(0, ethers.parseEther("500"), ethers.parseEther("500"));
+      expect(await farmRewardSystem.rewardReserveBalance()).to.equal(reserveBefore + ethers.parseEther("500"));
+      expect(await harvestToken.balanceOf(await farmSeasons.getAddress())).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FarmSimulation, createRandom, splitFarmers, toCSV } = require("../simulation");
+
+describe("Economic Simulation", function () {
+  const INITIAL_SUPPLY = ethers.parseEther("100000000");
+
+  describe("Run", function () {
+    let result;
+
+    before(async function () {
+      const simulation = new FarmSimulation({
+        days: 12,
+        sampleEvery: 4,
+        farmers: { casual: 1, daily: 1, staker: 1 },
+        referralChance: 1,
+        // A pool rate high enough for staking and referral rewards to show up
+        params: { rewardRate: ethers.parseEther("0.001").toString() }
+      });
+      result = await simulation.run();
+    });
+
+    it("Should sample the series at the configured interval", async function () {
+      expect(result.series.map((row) => row.day)).to.deep.equal([0, 4, 8, 12]);
+      expect(result.series[0].totalSupply).to.equal("100000000.0");
+    });
+
+    it("Should account for every reward by source", async function () {
+      const last = result.series[result.series.length - 1];
+      const bySource = ["rewardsCheckIn", "rewardsStaking", "rewardsHarvest", "rewardsReferral"]
+        .map((column) => ethers.parseEther(last[column]))
+        .reduce((a, b) => a + b, 0n);
+
+      expect(bySource).to.equal(ethers.parseEther(last.rewardsTotal));
+      expect(
+        ethers.parseEther(last.paidFromReserve) + ethers.parseEther(last.minted) + ethers.parseEther(last.deferred)
+      ).to.equal(bySource);
+      for (const source of ["rewardsCheckIn", "rewardsStaking", "rewardsHarvest", "rewardsReferral"]) {
+        expect(ethers.parseEther(last[source]), source).to.be.greaterThan(0n);
+      }
+    });
+
+    it("Should reconcile supply with minted and burned HARVEST", async function () {
+      for (const row of result.series) {
+        expect(ethers.parseEther(row.totalSupply)).to.equal(
+          INITIAL_SUPPLY + ethers.parseEther(row.minted) - ethers.parseEther(row.burned)
+        );
+        expect(ethers.parseEther(row.totalSupply) + ethers.parseEther(row.headroom)).to.equal(INITIAL_SUPPLY * 10n);
+      }
+    });
+
+    it("Should report the staking APR of the pool rate", async function () {
+      // 0.001 HARVEST per second over the staker's 5000 HARVEST is about 631% a year
+      for (const row of result.series.slice(1)) {
+        expect(row.stakingAprPercent).to.be.closeTo(630.72, 1);
+      }
+      expect(result.summary.averageStakingAprPercent).to.be.closeTo(630.72, 1);
+    });
+
+    it("Should summarize the reward split and render CSV", async function () {
+      const split = Object.values(result.summary.rewardSplitPercent).reduce((a, b) => a + b, 0);
+      expect(split).to.be.closeTo(100, 0.05);
+
+      const lines = toCSV(result.series).trim().split("\n");
+      expect(lines).to.have.length(result.series.length + 1);
+      expect(lines[0].split(",")).to.include.members(["day", "totalSupply", "stakingAprPercent", "daysToMaxSupply"]);
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should replay the same choices for a seed", async function () {
+      const a = createRandom(7);
+      const b = createRandom(7);
+      const first = [a(), a(), a()];
+
+      expect([b(), b(), b()]).to.deep.equal(first);
+      expect(createRandom(8)()).to.not.equal(first[0]);
+    });
+
+    it("Should split a farmer count over the profile mix", async function () {
+      expect(splitFarmers(20)).to.deep.equal({ casual: 10, daily: 6, staker: 3, whale: 1 });
+      expect(Object.values(splitFarmers(7)).reduce((a, b) => a + b, 0)).to.equal(7);
+    });
+
+    it("Should reject unknown profiles", async function () {
+      expect(() => new FarmSimulation({ farmers: { speculator: 1 } })).to.throw('Unknown farmer profile "speculator"');
+    });
+  });
+});
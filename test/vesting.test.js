@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("Vesting", function () {
+  const SECONDS_IN_DAY = 86400;
+  const TEAM_AMOUNT = ethers.parseEther("15000000");
+  const MARKETING_AMOUNT = ethers.parseEther("10000000");
+  const RESERVE_AMOUNT = ethers.parseEther("10000000");
+  const CLIFF = 365 * SECONDS_IN_DAY;
+  const DURATION = 4 * 365 * SECONDS_IN_DAY;
+
+  /**
+   * Vesting contract funded the way deploy.js funds it: deployed first without a token, it receives the
+   * team, marketing and reserve allocations when HarvestToken is deployed, and turns them into a
+   * revocable team grant and a fixed marketing grant, both starting now
+   */
+  async function deployVestingFixture() {
+    const [owner, teamMember, marketingWallet, outsider, liquidityWallet] = await ethers.getSigners();
+
+    const XFarmVesting = await ethers.getContractFactory("XFarmVesting");
+    const vesting = await XFarmVesting.deploy(ethers.ZeroAddress);
+    const vestingAddress = await vesting.getAddress();
+    const HarvestToken = await ethers.getContractFactory("HarvestToken");
+    const harvestToken = await HarvestToken.deploy(vestingAddress, vestingAddress, liquidityWallet.address, vestingAddress);
+    await vesting.setToken(await harvestToken.getAddress());
+    await harvestToken.setExcludedFromLimits(vestingAddress, true);
+
+    const start = await time.latest();
+    await vesting.createGrantFromBalance(teamMember.address, TEAM_AMOUNT, start, CLIFF, DURATION, true);
+    await vesting.createGrantFromBalance(marketingWallet.address, MARKETING_AMOUNT, start, CLIFF, DURATION, false);
+
+    return { harvestToken, vesting, vestingAddress, owner, teamMember, marketingWallet, outsider, liquidityWallet, start };
+  }
+
+  describe("Grants", function () {
+    it("Should fund grants from the allocations minted to the vesting contract", async function () {
+      const { harvestToken, vesting, vestingAddress, teamMember } = await loadFixture(deployVestingFixture);
+
+      expect(await harvestToken.teamWallet()).to.equal(vestingAddress);
+      expect(await harvestToken.isExcludedFromLimits(vestingAddress)).to.be.true;
+      expect(await harvestToken.balanceOf(vestingAddress)).to.equal(TEAM_AMOUNT + MARKETING_AMOUNT + RESERVE_AMOUNT);
+      expect(await vesting.totalAllocated()).to.equal(TEAM_AMOUNT + MARKETING_AMOUNT);
+      expect(await vesting.unallocatedBalance()).to.equal(RESERVE_AMOUNT);
+      expect(await vesting.grantCount()).to.equal(2);
+      expect(await vesting.getBeneficiaryGrants(teamMember.address)).to.deep.equal([0n]);
+
+      const grant = await vesting.getGrant(0);
+      expect(grant.beneficiary).to.equal(teamMember.address);
+      expect(grant.amount).to.equal(TEAM_AMOUNT);
+      expect(grant.revocable).to.be.true;
+    });
+
+    it("Should only set the token of a vesting contract deployed without one, once", async function () {
+      const { harvestToken, vesting, outsider } = await loadFixture(deployVestingFixture);
+
+      expect(await vesting.token()).to.equal(await harvestToken.getAddress());
+      await expect(vesting.setToken(outsider.address)).to.be.revertedWith("Token already set");
+
+      const XFarmVesting = await ethers.getContractFactory("XFarmVesting");
+      const unbound = await XFarmVesting.deploy(ethers.ZeroAddress);
+      await expect(unbound.setToken(ethers.ZeroAddress)).to.be.revertedWith("Token cannot be zero address");
+      await expect(unbound.setToken(await harvestToken.getAddress()))
+        .to.emit(unbound, "TokenSet")
+        .withArgs(await harvestToken.getAddress());
+    });
+
+    it("Should not fund a grant from tokens other grants hold", async function () {
+      const { vesting, outsider, start } = await loadFixture(deployVestingFixture);
+
+      await expect(
+        vesting.createGrantFromBalance(outsider.address, RESERVE_AMOUNT + 1n, start, 0, DURATION, false)
+      ).to.be.revertedWith("Insufficient unallocated balance");
+      await vesting.createGrantFromBalance(outsider.address, RESERVE_AMOUNT, start, 0, DURATION, false);
+      expect(await vesting.unallocatedBalance()).to.equal(0);
+    });
+
+    it("Should take the granted tokens from the admin", async function () {
+      const { harvestToken, vesting, vestingAddress, owner, outsider, liquidityWallet, start } =
+        await loadFixture(deployVestingFixture);
+
+      const amount = ethers.parseEther("1000");
+      await harvestToken.connect(liquidityWallet).transfer(owner.address, amount);
+      await harvestToken.approve(vestingAddress, amount);
+      await vesting.createGrant(outsider.address, amount, start, 0, DURATION, false);
+      expect(await harvestToken.balanceOf(owner.address)).to.equal(0);
+      expect(await vesting.totalAllocated()).to.equal(TEAM_AMOUNT + MARKETING_AMOUNT + amount);
+      expect(await vesting.unallocatedBalance()).to.equal(RESERVE_AMOUNT);
+    });
+
+    it("Should reject invalid schedules", async function () {
+      const { vesting, teamMember, start } = await loadFixture(deployVestingFixture);
+
+      await expect(vesting.createGrant(ethers.ZeroAddress, 1, start, 0, 1, false)).to.be.revertedWith(
+        "Beneficiary cannot be zero address"
+      );
+      await expect(vesting.createGrant(teamMember.address, 0, start, 0, 1, false)).to.be.revertedWith(
+        "Amount must be greater than 0"
+      );
+      await expect(vesting.createGrant(teamMember.address, 1, start, 0, 0, false)).to.be.revertedWith(
+        "Duration must be greater than 0"
+      );
+      await expect(vesting.createGrant(teamMember.address, 1, start, 2, 1, false)).to.be.revertedWith(
+        "Cliff exceeds duration"
+      );
+    });
+  });
+
+  describe("Schedule", function () {
+    it("Should release nothing before the cliff", async function () {
+      const { vesting, teamMember, start } = await loadFixture(deployVestingFixture);
+
+      await time.increaseTo(start + CLIFF - 60);
+      expect(await vesting.claimable(0)).to.equal(0);
+      await expect(vesting.connect(teamMember).claim(0)).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should release linearly from the start once the cliff has passed", async function () {
+      const { vesting, start } = await loadFixture(deployVestingFixture);
+
+      // At the cliff a quarter of the four-year grant has vested at once
+      expect(await vesting.vestedAmount(0, start + CLIFF)).to.equal(TEAM_AMOUNT / 4n);
+      expect(await vesting.vestedAmount(0, start + DURATION / 2)).to.equal(TEAM_AMOUNT / 2n);
+      expect(await vesting.vestedAmount(0, start + DURATION)).to.equal(TEAM_AMOUNT);
+      expect(await vesting.vestedAmount(0, start + 2 * DURATION)).to.equal(TEAM_AMOUNT);
+    });
+
+    it("Should pay claims to the beneficiary, whoever calls", async function () {
+      const { harvestToken, vesting, marketingWallet, outsider, start } = await loadFixture(deployVestingFixture);
+
+      await time.increaseTo(start + DURATION / 2);
+      const claimable = await vesting.claimable(1);
+
+      await expect(vesting.connect(outsider).claim(1))
+        .to.emit(vesting, "TokensClaimed")
+        .withArgs(1, marketingWallet.address, (amount) => amount >= claimable);
+      // The claim moves more than the transfer limit in one go, which the excluded vesting contract may do
+      expect(await harvestToken.balanceOf(marketingWallet.address)).to.be.greaterThan(await harvestToken.maxTransferAmount());
+      expect(await harvestToken.balanceOf(outsider.address)).to.equal(0);
+
+      await time.increaseTo(start + DURATION);
+      await vesting.connect(marketingWallet).claim(1);
+      expect(await harvestToken.balanceOf(marketingWallet.address)).to.equal(MARKETING_AMOUNT);
+      expect(await vesting.claimable(1)).to.equal(0);
+    });
+
+    it("Should keep the deployer and beneficiaries subject to the transfer limit", async function () {
+      const { harvestToken, vesting, owner, marketingWallet, outsider, liquidityWallet, start } =
+        await loadFixture(deployVestingFixture);
+      const limit = await harvestToken.maxTransferAmount();
+
+      expect(await harvestToken.isExcludedFromLimits(owner.address)).to.be.false;
+      expect(await harvestToken.isExcludedFromLimits(marketingWallet.address)).to.be.false;
+      expect(await harvestToken.isExcludedFromLimits(liquidityWallet.address)).to.be.true;
+
+      // The excluded liquidity wallet may fund the deployer beyond the limit; the deployer may not pass it on
+      await harvestToken.connect(liquidityWallet).transfer(owner.address, limit * 2n);
+      await expect(harvestToken.transfer(outsider.address, limit + 1n)).to.be.revertedWith(
+        "Transfer amount exceeds maximum allowed"
+      );
+      await harvestToken.transfer(outsider.address, limit);
+
+      await time.increaseTo(start + DURATION);
+      await vesting.claim(1);
+      await expect(harvestToken.connect(marketingWallet).transfer(outsider.address, limit + 1n)).to.be.revertedWith(
+        "Transfer amount exceeds maximum allowed"
+      );
+    });
+
+    it("Should report the tokens still locked", async function () {
+      const { vesting, start } = await loadFixture(deployVestingFixture);
+
+      expect(await vesting.lockedAmount()).to.equal(TEAM_AMOUNT + MARKETING_AMOUNT);
+      await time.increaseTo(start + DURATION / 2);
+      expect(await vesting.lockedAmount()).to.equal((TEAM_AMOUNT + MARKETING_AMOUNT) / 2n);
+      await time.increaseTo(start + DURATION);
+      expect(await vesting.lockedAmount()).to.equal(0);
+    });
+  });
+
+  describe("Revocation", function () {
+    it("Should keep vested tokens claimable and return the rest to the admin", async function () {
+      const { harvestToken, vesting, owner, teamMember, start } = await loadFixture(deployVestingFixture);
+
+      await time.setNextBlockTimestamp(start + DURATION / 2);
+      const ownerBefore = await harvestToken.balanceOf(owner.address);
+      await expect(vesting.revoke(0))
+        .to.emit(vesting, "GrantRevoked")
+        .withArgs(0, teamMember.address, TEAM_AMOUNT / 2n, TEAM_AMOUNT / 2n);
+      expect(await harvestToken.balanceOf(owner.address)).to.equal(ownerBefore + TEAM_AMOUNT / 2n);
+
+      // Nothing more vests after revocation
+      await time.increaseTo(start + DURATION);
+      expect(await vesting.claimable(0)).to.equal(TEAM_AMOUNT / 2n);
+      await vesting.connect(teamMember).claim(0);
+      expect(await harvestToken.balanceOf(teamMember.address)).to.equal(TEAM_AMOUNT / 2n);
+      expect(await vesting.lockedAmount()).to.equal(0);
+      expect(await vesting.totalAllocated()).to.equal(MARKETING_AMOUNT);
+    });
+
+    it("Should only revoke revocable grants, once", async function () {
+      const { vesting, teamMember } = await loadFixture(deployVestingFixture);
+
+      await expect(vesting.revoke(1)).to.be.revertedWith("Grant is not revocable");
+      await vesting.revoke(0);
+      await expect(vesting.revoke(0)).to.be.revertedWith("Grant already revoked");
+      await expect(vesting.connect(teamMember).revoke(0)).to.be.revertedWithCustomError(
+        vesting,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+});